@@ -12,7 +12,7 @@ import { ParticleRenderer } from '@pixi/particles';
 import { Prepare } from '@pixi/prepare';
 import { SpritesheetLoader } from '@pixi/spritesheet';
 import { TilingSpriteRenderer } from '@pixi/sprite-tiling';
-import { BitmapFontLoader } from '@pixi/text-bitmap';
+import { BitmapFontLoader, DistanceFieldRenderer } from '@pixi/text-bitmap';
 import { TickerPlugin } from '@pixi/ticker';
 import { AlphaFilter } from '@pixi/filter-alpha';
 import { BlurFilter, BlurFilterPass } from '@pixi/filter-blur';
@@ -31,6 +31,7 @@ Renderer.registerPlugin('interaction', InteractionManager);
 Renderer.registerPlugin('particle', ParticleRenderer);
 Renderer.registerPlugin('prepare', Prepare);
 Renderer.registerPlugin('batch', BatchRenderer);
+Renderer.registerPlugin('distanceField', DistanceFieldRenderer);
 Renderer.registerPlugin('tilingSprite', TilingSpriteRenderer);
 
 // Install loader plugins
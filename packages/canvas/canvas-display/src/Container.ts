@@ -28,6 +28,18 @@ Container.prototype.renderCanvas = function renderCanvas(renderer: CanvasRendere
         return;
     }
 
+    // objects on a layer are rendered during the layer's turn, not their parent's
+    if (this.parentLayer && this.parentLayer._renderingMember !== this && !this.isMask)
+    {
+        return;
+    }
+
+    // skip the whole subtree if it lies outside of the frame being rendered
+    if (this.cullable && this.isCulled(renderer.sourceFrame))
+    {
+        return;
+    }
+
     if (this._mask)
     {
         renderer.maskManager.pushMask(this._mask as MaskData);
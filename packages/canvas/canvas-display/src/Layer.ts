@@ -0,0 +1,23 @@
+import { Layer } from '@pixi/display';
+import type { CanvasRenderer } from '@pixi/canvas-renderer';
+
+/**
+ * Renders the members of the layer using the Canvas renderer, they are drawn before its children.
+ *
+ * @method _renderCanvas
+ * @memberof PIXI.Layer#
+ * @protected
+ * @param {PIXI.CanvasRenderer} renderer - The renderer
+ */
+Layer.prototype._renderCanvas = function _renderCanvas(renderer: CanvasRenderer): void
+{
+    const members = this.getActiveMembers();
+
+    for (let i = 0, j = members.length; i < j; ++i)
+    {
+        this._renderingMember = members[i];
+        members[i].renderCanvas(renderer);
+    }
+
+    this._renderingMember = null;
+};
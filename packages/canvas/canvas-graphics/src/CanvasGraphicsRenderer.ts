@@ -1,6 +1,7 @@
 import { Texture } from '@pixi/core';
 import { SHAPES, Matrix } from '@pixi/math';
 import { canvasUtils } from '@pixi/canvas-renderer';
+import { LINE_CAP, GraphicsData, GraphicsGeometry, graphicsUtils } from '@pixi/graphics';
 
 import type { CanvasRenderer } from '@pixi/canvas-renderer';
 import type { FillStyle, Graphics } from '@pixi/graphics';
@@ -30,6 +31,7 @@ export class CanvasGraphicsRenderer
     public renderer: CanvasRenderer;
     private _svgMatrix: DOMMatrix|boolean;
     private _tempMatrix: Matrix;
+    private _lineGeometry: GraphicsGeometry;
 
     /**
      * @param {PIXI.CanvasRenderer} renderer - The current PIXI renderer.
@@ -39,6 +41,7 @@ export class CanvasGraphicsRenderer
         this.renderer = renderer;
         this._svgMatrix = null;
         this._tempMatrix = new Matrix();
+        this._lineGeometry = null;
     }
 
     /**
@@ -47,13 +50,17 @@ export class CanvasGraphicsRenderer
      * @private
      * @param {PIXI.FillStyle} style
      * @param {number} tint
-     * @returns {string|CanvasPattern}
+     * @returns {string|CanvasPattern|CanvasGradient}
      */
-    private _calcCanvasStyle(style: FillStyle, tint: number): string|CanvasPattern
+    private _calcCanvasStyle(style: FillStyle, tint: number): string|CanvasPattern|CanvasGradient
     {
         let res;
 
-        if (style.texture && style.texture.baseTexture !== Texture.WHITE.baseTexture)
+        if (style.gradient)
+        {
+            res = style.gradient.createCanvasGradient(this.renderer.context, tint);
+        }
+        else if (style.texture && style.texture.baseTexture !== Texture.WHITE.baseTexture)
         {
             if (style.texture.valid)
             {
@@ -133,10 +140,47 @@ export class CanvasGraphicsRenderer
                 contextStrokeStyle = this._calcCanvasStyle(lineStyle, lineTint);
             }
 
+            // Shapes filled with a rule are filled together as a single path, before their lines
+            const fillShape = fillStyle.visible && !fillStyle.fillRule;
+
+            if (fillStyle.visible && fillStyle.fillRule && (i === 0 || graphicsData[i - 1].fillStyle !== fillStyle))
+            {
+                const contours = graphics.geometry.getFillContours(i);
+
+                renderer.setContextTransform(transform);
+                context.beginPath();
+
+                for (let j = 0; j < contours.length; j++)
+                {
+                    const points = contours[j];
+
+                    context.moveTo(points[0], points[1]);
+
+                    for (let k = 2; k < points.length; k += 2)
+                    {
+                        context.lineTo(points[k], points[k + 1]);
+                    }
+
+                    context.closePath();
+                }
+
+                // The path stays where it was traced, but the fill style is in the space of the shape
+                if (data.matrix)
+                {
+                    renderer.setContextTransform(transform.copyTo(this._tempMatrix).append(data.matrix));
+                }
+
+                context.globalAlpha = fillStyle.alpha * worldAlpha;
+                context.fillStyle = contextFillStyle;
+                context.fill(fillStyle.fillRule as CanvasFillRule);
+            }
+
             context.lineWidth = lineStyle.width;
-            context.lineCap = lineStyle.cap;
+            context.lineCap = lineStyle.dot ? LINE_CAP.ROUND : lineStyle.cap;
             context.lineJoin = lineStyle.join;
             context.miterLimit = lineStyle.miterLimit;
+            context.setLineDash(lineStyle.getDashPattern());
+            context.lineDashOffset = lineStyle.dashOffset;
 
             if (data.type === SHAPES.POLY)
             {
@@ -217,14 +261,20 @@ export class CanvasGraphicsRenderer
                     }
                 }
 
-                if (fillStyle.visible)
+                if (fillShape)
                 {
                     context.globalAlpha = fillStyle.alpha * worldAlpha;
                     context.fillStyle = contextFillStyle;
                     context.fill();
                 }
 
-                if (lineStyle.visible)
+                if (lineStyle.visible && !lineStyle.native && (data.widths || holes.some((hole) => !!hole.widths)))
+                {
+                    context.globalAlpha = lineStyle.alpha * worldAlpha;
+                    context.fillStyle = contextStrokeStyle;
+                    this.fillLines(data, context);
+                }
+                else if (lineStyle.visible)
                 {
                     context.globalAlpha = lineStyle.alpha * worldAlpha;
                     context.strokeStyle = contextStrokeStyle;
@@ -235,7 +285,7 @@ export class CanvasGraphicsRenderer
             {
                 const tempShape = shape as Rectangle;
 
-                if (fillStyle.visible)
+                if (fillShape)
                 {
                     context.globalAlpha = fillStyle.alpha * worldAlpha;
                     context.fillStyle = contextFillStyle;
@@ -257,7 +307,7 @@ export class CanvasGraphicsRenderer
                 context.arc(tempShape.x, tempShape.y, tempShape.radius, 0, 2 * Math.PI);
                 context.closePath();
 
-                if (fillStyle.visible)
+                if (fillShape)
                 {
                     context.globalAlpha = fillStyle.alpha * worldAlpha;
                     context.fillStyle = contextFillStyle;
@@ -301,7 +351,7 @@ export class CanvasGraphicsRenderer
 
                 context.closePath();
 
-                if (fillStyle.visible)
+                if (fillShape)
                 {
                     context.globalAlpha = fillStyle.alpha * worldAlpha;
                     context.fillStyle = contextFillStyle;
@@ -340,7 +390,7 @@ export class CanvasGraphicsRenderer
                 context.quadraticCurveTo(rx, ry, rx, ry + radius);
                 context.closePath();
 
-                if (fillStyle.visible)
+                if (fillShape)
                 {
                     context.globalAlpha = fillStyle.alpha * worldAlpha;
                     context.fillStyle = contextFillStyle;
@@ -386,6 +436,64 @@ export class CanvasGraphicsRenderer
         (this._svgMatrix as DOMMatrix).f = matrix.ty;
         pattern.setTransform((this._svgMatrix as DOMMatrix).inverse());
     }
+    /**
+     * Fills the lines of a polygon and its holes, for lines of varying width that the context can't stroke:
+     * the lines are built into triangles like for WebGL, and the triangles are filled together.
+     *
+     * @private
+     * @param {PIXI.GraphicsData} data - The polygon
+     * @param {CanvasRenderingContext2D} context - The context to fill with, with the style of the lines
+     */
+    private fillLines(data: GraphicsData, context: CanvasRenderingContext2D): void
+    {
+        const geometry = this._lineGeometry || (this._lineGeometry = new GraphicsGeometry());
+        const { points, indices } = geometry;
+        const shapes = [data].concat(data.holes);
+
+        points.length = 0;
+        indices.length = 0;
+
+        for (let i = 0; i < shapes.length; i++)
+        {
+            const shape = shapes[i].shape as Polygon;
+
+            if (!shape.points)
+            {
+                continue;
+            }
+
+            const lineData = new GraphicsData(shape, null, data.lineStyle);
+
+            lineData.points = shape.points;
+            lineData.widths = shapes[i].widths;
+            graphicsUtils.buildLine(lineData, geometry);
+        }
+
+        context.beginPath();
+
+        // The triangles all go the same way, so that they add up where they overlap
+        for (let i = 0; i < indices.length; i += 3)
+        {
+            const a = indices[i] * 2;
+            let b = indices[i + 1] * 2;
+            let c = indices[i + 2] * 2;
+            const area = ((points[b] - points[a]) * (points[c + 1] - points[a + 1]))
+                - ((points[c] - points[a]) * (points[b + 1] - points[a + 1]));
+
+            if (area < 0)
+            {
+                [b, c] = [c, b];
+            }
+
+            context.moveTo(points[a], points[a + 1]);
+            context.lineTo(points[b], points[b + 1]);
+            context.lineTo(points[c], points[c + 1]);
+            context.closePath();
+        }
+
+        context.fill();
+    }
+
     /**
      * destroy graphics object
      *
@@ -395,5 +503,11 @@ export class CanvasGraphicsRenderer
         this.renderer = null;
         this._svgMatrix = null;
         this._tempMatrix = null;
+
+        if (this._lineGeometry)
+        {
+            this._lineGeometry.destroy();
+            this._lineGeometry = null;
+        }
     }
 }
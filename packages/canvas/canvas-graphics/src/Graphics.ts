@@ -71,5 +71,6 @@ Graphics.prototype._renderCanvas = function _renderCanvas(renderer: CanvasRender
     }
 
     this.finishPoly();
+    this.updateCurveScale();
     renderer.plugins.graphics.render(this);
 };
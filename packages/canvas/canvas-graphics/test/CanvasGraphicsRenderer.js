@@ -1,5 +1,5 @@
 const { BaseTexture, Texture } = require('@pixi/core');
-const { Graphics } = require('@pixi/graphics');
+const { Graphics, FILL_RULE } = require('@pixi/graphics');
 const { CanvasRenderer } = require('@pixi/canvas-renderer');
 const { CanvasGraphicsRenderer } = require('../');
 
@@ -57,4 +57,65 @@ describe('PIXI.CanvasGraphicsRenderer', function ()
             renderer.destroy();
         }
     });
+
+    it('should fill shapes with a fill rule as a single path', function ()
+    {
+        const renderer = new CanvasRenderer(1, 1);
+
+        renderer.plugins.graphics = new CanvasGraphicsRenderer(renderer);
+
+        const graphics = new Graphics();
+        const fill = sinon.spy(renderer.context, 'fill');
+
+        graphics.beginFill(0xff0000, 1, FILL_RULE.EVENODD);
+        graphics.drawCircle(0, 0, 10);
+        graphics.drawCircle(0, 0, 5);
+        graphics.endFill();
+
+        try
+        {
+            renderer.render(graphics);
+            expect(fill).to.have.been.calledOnce;
+            expect(fill).to.have.been.calledWith(FILL_RULE.EVENODD);
+        }
+        finally
+        {
+            fill.restore();
+            renderer.destroy();
+        }
+    });
+
+    it('should fill lines of varying width instead of stroking them', function ()
+    {
+        const renderer = new CanvasRenderer(1, 1);
+
+        renderer.plugins.graphics = new CanvasGraphicsRenderer(renderer);
+
+        const graphics = new Graphics();
+        const fill = sinon.spy(renderer.context, 'fill');
+        const stroke = sinon.spy(renderer.context, 'stroke');
+        const lineTo = sinon.spy(renderer.context, 'lineTo');
+
+        graphics.lineStyle(2, 0xff0000);
+        graphics.moveTo(0, 0, 1);
+        graphics.lineTo(10, 0, 5);
+        graphics.lineTo(10, 10, 1);
+
+        try
+        {
+            renderer.render(graphics);
+            expect(stroke).to.not.have.been.called;
+            expect(fill).to.have.been.calledOnce;
+
+            // the triangles of the line are traced, not the path
+            expect(lineTo.callCount).to.be.above(4);
+        }
+        finally
+        {
+            fill.restore();
+            stroke.restore();
+            lineTo.restore();
+            renderer.destroy();
+        }
+    });
 });
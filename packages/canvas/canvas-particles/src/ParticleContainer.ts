@@ -16,6 +16,17 @@ ParticleContainer.prototype.renderCanvas = function renderCanvas(renderer: Canva
         return;
     }
 
+    // objects on a layer are rendered during the layer's turn, not their parent's
+    if (this.parentLayer && this.parentLayer._renderingMember !== this && !this.isMask)
+    {
+        return;
+    }
+
+    if (this.cullable && this.isCulled(renderer.sourceFrame))
+    {
+        return;
+    }
+
     const context = renderer.context;
     const transform = this.worldTransform;
     let isRotated = true;
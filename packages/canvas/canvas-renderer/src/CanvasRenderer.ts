@@ -4,7 +4,7 @@ import { CanvasMaskManager } from './utils/CanvasMaskManager';
 import { mapCanvasBlendModesToPixi } from './utils/mapCanvasBlendModesToPixi';
 import { RENDERER_TYPE, SCALE_MODES, BLEND_MODES } from '@pixi/constants';
 import { settings } from '@pixi/settings';
-import { Matrix } from '@pixi/math';
+import { Matrix, Point, Rectangle } from '@pixi/math';
 
 import type { DisplayObject } from '@pixi/display';
 import type {
@@ -15,6 +15,8 @@ import type {
 } from '@pixi/core';
 
 const tempMatrix = new Matrix();
+const tempPoint = new Point();
+const sourceFramePool: Rectangle[] = [];
 
 export interface ICanvasRendererPluginConstructor {
     new (renderer: CanvasRenderer, options?: any): IRendererPlugin;
@@ -68,6 +70,7 @@ export class CanvasRenderer extends AbstractRenderer
     public smoothProperty: SmoothingEnabledProperties;
     public readonly blendModes: string[];
     public renderingToScreen: boolean;
+    public readonly sourceFrame: Rectangle;
 
     private _activeBlendMode: BLEND_MODES;
     private _projTransform: Matrix;
@@ -175,6 +178,15 @@ export class CanvasRenderer extends AbstractRenderer
 
         this.renderingToScreen = false;
 
+        /**
+         * The area being rendered to in the current render() call, in world space. It is used to
+         * skip display objects that are [cullable]{@link PIXI.DisplayObject#cullable} and out of frame.
+         *
+         * @member {PIXI.Rectangle}
+         * @readonly
+         */
+        this.sourceFrame = new Rectangle();
+
         sayHello('Canvas');
 
         /**
@@ -249,6 +261,11 @@ export class CanvasRenderer extends AbstractRenderer
             this._lastObjectRendered = displayObject;
         }
 
+        // renders to textures can happen while rendering, the frame of the outer render is restored after them
+        const previousSourceFrame = (sourceFramePool.pop() || new Rectangle()).copyFrom(this.sourceFrame);
+
+        this.updateSourceFrame(renderTexture as BaseRenderTexture);
+
         if (!skipUpdateTransform)
         {
             // update the scene graph
@@ -307,10 +324,68 @@ export class CanvasRenderer extends AbstractRenderer
 
         this.resolution = rootResolution;
         this._projTransform = null;
+        this.sourceFrame.copyFrom(previousSourceFrame);
+        sourceFramePool.push(previousSourceFrame);
 
         this.emit('postrender');
     }
 
+    /**
+     * Calculates the world-space area that is visible on the current render target.
+     *
+     * @private
+     * @param {PIXI.BaseRenderTexture} [renderTexture] - The render texture being rendered to, if any.
+     */
+    private updateSourceFrame(renderTexture?: BaseRenderTexture): void
+    {
+        const sourceFrame = this.sourceFrame;
+
+        if (renderTexture)
+        {
+            sourceFrame.x = 0;
+            sourceFrame.y = 0;
+            sourceFrame.width = renderTexture.width;
+            sourceFrame.height = renderTexture.height;
+        }
+        else
+        {
+            sourceFrame.copyFrom(this.screen);
+        }
+
+        const proj = this._projTransform;
+
+        if (!proj)
+        {
+            return;
+        }
+
+        // map the corners of the target back into world space
+        const x0 = sourceFrame.x;
+        const y0 = sourceFrame.y;
+        const x1 = x0 + sourceFrame.width;
+        const y1 = y0 + sourceFrame.height;
+        let minX = Infinity;
+        let minY = Infinity;
+        let maxX = -Infinity;
+        let maxY = -Infinity;
+
+        for (let i = 0; i < 4; i++)
+        {
+            tempPoint.set(i & 1 ? x1 : x0, i & 2 ? y1 : y0);
+            proj.applyInverse(tempPoint, tempPoint);
+
+            minX = Math.min(minX, tempPoint.x);
+            minY = Math.min(minY, tempPoint.y);
+            maxX = Math.max(maxX, tempPoint.x);
+            maxY = Math.max(maxY, tempPoint.y);
+        }
+
+        sourceFrame.x = minX;
+        sourceFrame.y = minY;
+        sourceFrame.width = maxX - minX;
+        sourceFrame.height = maxY - minY;
+    }
+
     /**
      * sets matrix of context
      * called only from render() methods
@@ -1,5 +1,6 @@
 const { Container } = require('@pixi/display');
 const { Matrix } = require('@pixi/math');
+const { RenderTexture } = require('@pixi/core');
 const { CanvasRenderer } = require('../');
 
 describe('PIXI.CanvasRenderer', function ()
@@ -54,4 +55,31 @@ describe('PIXI.CanvasRenderer', function ()
         expect(cont.worldTransform.tx).to.equal(0);
         expect(cont.worldTransform.ty).to.equal(0);
     });
+
+    it('should restore the source frame after rendering to a texture while rendering', function ()
+    {
+        const renderer = new CanvasRenderer({ width: 100, height: 50 });
+        const renderTexture = RenderTexture.create({ width: 10, height: 10 });
+        const stage = new Container();
+        const first = new Container();
+        const second = new Container();
+        const frames = [];
+
+        first.renderCanvas = () => renderer.render(new Container(), renderTexture);
+        second.renderCanvas = () => frames.push(renderer.sourceFrame.clone());
+        stage.addChild(first, second);
+
+        try
+        {
+            renderer.render(stage);
+
+            expect(frames[0].width).to.equal(100);
+            expect(frames[0].height).to.equal(50);
+        }
+        finally
+        {
+            renderer.destroy();
+            renderTexture.destroy(true);
+        }
+    });
 });
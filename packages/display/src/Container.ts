@@ -1,9 +1,11 @@
 import { settings } from '@pixi/settings';
 import { removeItems } from '@pixi/utils';
 import { DisplayObject } from './DisplayObject';
+import { Bounds } from './Bounds';
 import { Rectangle } from '@pixi/math';
 
 import type { MaskData, Renderer } from '@pixi/core';
+import type { Matrix } from '@pixi/math';
 import type { IDestroyOptions } from './DisplayObject';
 
 function sortChildren(a: DisplayObject, b: DisplayObject): number
@@ -16,6 +18,9 @@ function sortChildren(a: DisplayObject, b: DisplayObject): number
     return a.zIndex - b.zIndex;
 }
 
+const tempBounds = new Bounds();
+const tempRect = new Rectangle();
+
 export interface Container extends GlobalMixins.Container, DisplayObject {}
 
 /**
@@ -563,9 +568,13 @@ export class Container extends DisplayObject
      * setting alpha to zero is not recommended for purely skipping rendering.
      *
      * When your scene becomes large (especially when it is larger than can be viewed in a single screen), it is
-     * advised to employ **culling** to automatically skip rendering objects outside of the current screen. The
+     * advised to employ **culling** to automatically skip rendering objects outside of the current screen. Setting
+     * [cullable]{@link PIXI.DisplayObject#cullable} to `true` does this for a display object and its subtree. The
      * [@pixi-essentials/cull]{@link https://www.npmjs.com/package/@pixi-essentials/cull} and
-     * [pixi-cull]{@link https://www.npmjs.com/package/pixi-cull} packages do this out of the box.
+     * [pixi-cull]{@link https://www.npmjs.com/package/pixi-cull} packages provide alternative strategies.
+     *
+     * Objects with a [parentLayer]{@link PIXI.DisplayObject#parentLayer} are skipped, and rendered by their layer
+     * instead.
      *
      * The [renderAdvanced]{@link PIXI.Container#renderAdvanced} method is internally used when when masking or
      * filtering is applied on a container. This does, however, break batching and can affect performance when
@@ -581,6 +590,18 @@ export class Container extends DisplayObject
             return;
         }
 
+        // objects on a layer are rendered during the layer's turn, not their parent's
+        if (this.parentLayer && this.parentLayer._renderingMember !== this && !this.isMask)
+        {
+            return;
+        }
+
+        // skip the whole subtree if it lies outside of the frame being rendered
+        if (this.cullable && this.isCulled(renderer.renderTexture.sourceFrame, renderer.projection.transform))
+        {
+            return;
+        }
+
         // do a quick check to see if this element has a mask or a filter.
         if (this._mask || (this.filters && this.filters.length))
         {
@@ -598,6 +619,45 @@ export class Container extends DisplayObject
         }
     }
 
+    /**
+     * Tests whether this container lies entirely outside of the given frame, in which case it can be
+     * skipped, along with its whole subtree, while rendering. The world bounds of this container are used
+     * for the test, unless a [cullArea]{@link PIXI.DisplayObject#cullArea} is set.
+     *
+     * This is used by the renderers for [cullable]{@link PIXI.DisplayObject#cullable} objects.
+     *
+     * @param {PIXI.Rectangle} frame - The area being rendered to.
+     * @param {PIXI.Matrix} [transform] - The transform from world space into the space of `frame`, if they differ.
+     * @return {boolean} Whether this container is outside of the frame.
+     */
+    isCulled(frame: Rectangle, transform?: Matrix): boolean
+    {
+        let bounds: Rectangle;
+
+        if (this.cullArea)
+        {
+            const area = this.cullArea;
+
+            tempBounds.clear();
+            tempBounds.addFrameMatrix(this.worldTransform, area.x, area.y, area.x + area.width, area.y + area.height);
+            bounds = tempBounds.getRectangle(tempRect);
+        }
+        else
+        {
+            // transforms are up-to-date during rendering, so there is no need to update them
+            bounds = this.getBounds(true, tempRect);
+        }
+
+        if (transform)
+        {
+            tempBounds.clear();
+            tempBounds.addFrameMatrix(transform, bounds.x, bounds.y, bounds.x + bounds.width, bounds.y + bounds.height);
+            bounds = tempBounds.getRectangle(tempRect);
+        }
+
+        return !frame.intersects(bounds);
+    }
+
     /**
      * Render the object using the WebGL renderer and advanced features.
      *
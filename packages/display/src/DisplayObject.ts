@@ -1,9 +1,10 @@
 import { DEG_TO_RAD, Matrix, Point, RAD_TO_DEG, Rectangle, Transform } from '@pixi/math';
-import { EventEmitter } from '@pixi/utils';
+import { EventEmitter, removeItems } from '@pixi/utils';
 import { Container } from './Container';
 import { Bounds } from './Bounds';
 
 import type { Filter, MaskData, Renderer } from '@pixi/core';
+import type { Layer } from './Layer';
 import type { IPointData, ObservablePoint } from '@pixi/math';
 import type { Dict } from '@pixi/utils';
 
@@ -192,9 +193,10 @@ export interface DisplayObject extends GlobalMixins.DisplayObject, EventEmitter
  * object (and its children subtree) will continue to be calculated. When using `visible`, the transforms will not
  * be calculated.
  *
- * It is recommended that applications use the `renderable` property for culling. See
- * [@pixi-essentials/cull]{@link https://www.npmjs.com/package/@pixi-essentials/cull} or
- * [pixi-cull]{@link https://www.npmjs.com/package/pixi-cull} for more details.
+ * It is recommended that applications use the [cullable]{@link PIXI.DisplayObject#cullable} property for culling,
+ * which lets the renderer skip objects that are outside of the frame. The `renderable` property can be used
+ * for custom culling, as done by [@pixi-essentials/cull]{@link https://www.npmjs.com/package/@pixi-essentials/cull}
+ * or [pixi-cull]{@link https://www.npmjs.com/package/pixi-cull}.
  *
  * Otherwise, to prevent an object from rendering in the general-purpose sense - `visible` is the property to use. This
  * one is also better in terms of performance.
@@ -213,6 +215,8 @@ export abstract class DisplayObject extends EventEmitter
     public alpha: number;
     public visible: boolean;
     public renderable: boolean;
+    public cullable: boolean;
+    public cullArea: Rectangle;
     public filterArea: Rectangle;
     public filters: Filter[];
     public isSprite: boolean;
@@ -223,6 +227,7 @@ export abstract class DisplayObject extends EventEmitter
     public _localBounds: Bounds;
 
     protected _zIndex: number;
+    protected _parentLayer: Layer;
     protected _enabledFilters: Filter[];
     protected _boundsID: number;
     protected _boundsRect: Rectangle;
@@ -301,6 +306,31 @@ export abstract class DisplayObject extends EventEmitter
          */
         this.renderable = true;
 
+        /**
+         * Should this object be rendered if the bounds of this object are out of frame?
+         *
+         * When enabled, the renderer tests the world bounds of this object (or its
+         * [cullArea]{@link PIXI.DisplayObject#cullArea}, if set) against the area being rendered to, and skips
+         * rendering this object along with its whole subtree when they do not intersect. Culling has no effect on
+         * `updateTransform`, so the transforms of culled objects are still kept up-to-date.
+         *
+         * Bounds are recalculated every frame for cullable containers, which costs a walk of the subtree. For large
+         * or frequently changing subtrees, set a `cullArea` instead. Filter padding is not part of the bounds either,
+         * so filtered objects should use a `cullArea` that includes it.
+         *
+         * @member {boolean}
+         * @default false
+         */
+        this.cullable = false;
+
+        /**
+         * If set, this shape is used for culling instead of the bounds of this object. It can improve the
+         * culling performance of objects with many children. The culling area is defined in local space.
+         *
+         * @member {?PIXI.Rectangle}
+         */
+        this.cullArea = null;
+
         /**
          * The display object container that contains this display object.
          *
@@ -334,6 +364,14 @@ export abstract class DisplayObject extends EventEmitter
          */
         this._zIndex = 0;
 
+        /**
+         * The layer this object is rendered by.
+         *
+         * @member {PIXI.Layer}
+         * @protected
+         */
+        this._parentLayer = null;
+
         /**
          * The area the filter is applied to. This is used as more of an optimization
          * rather than figuring out the dimensions of the displayObject each frame you can set this rectangle.
@@ -738,6 +776,7 @@ export abstract class DisplayObject extends EventEmitter
         {
             this.parent.removeChild(this);
         }
+        this.parentLayer = null;
         this.removeAllListeners();
         this.transform = null;
 
@@ -747,6 +786,7 @@ export abstract class DisplayObject extends EventEmitter
 
         this.filters = null;
         this.filterArea = null;
+        this.cullArea = null;
         this.hitArea = null;
 
         this.interactive = false;
@@ -977,6 +1017,48 @@ export abstract class DisplayObject extends EventEmitter
         {
             this.parent.sortDirty = true;
         }
+        if (this._parentLayer)
+        {
+            this._parentLayer.sortDirty = true;
+        }
+    }
+
+    /**
+     * The layer this object is rendered by, instead of by its parent.
+     *
+     * The object keeps its place in the hierarchy, and still gets its transform and alpha from its parent,
+     * but it is drawn, along with its subtree, during the layer's turn. Set to `null` to render it with its
+     * parent again.
+     *
+     * @member {PIXI.Layer}
+     * @see PIXI.Layer
+     */
+    get parentLayer(): Layer
+    {
+        return this._parentLayer;
+    }
+
+    set parentLayer(value: Layer)
+    {
+        if (this._parentLayer === value)
+        {
+            return;
+        }
+
+        if (this._parentLayer)
+        {
+            const members = this._parentLayer.members;
+
+            removeItems(members, members.indexOf(this), 1);
+        }
+
+        this._parentLayer = value;
+
+        if (value)
+        {
+            value.members.push(this);
+            value.sortDirty = true;
+        }
     }
 
     /**
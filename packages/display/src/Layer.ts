@@ -0,0 +1,199 @@
+import { Container } from './Container';
+
+import type { DisplayObject, IDestroyOptions } from './DisplayObject';
+import type { Renderer } from '@pixi/core';
+
+function sortMembers(a: DisplayObject, b: DisplayObject): number
+{
+    if (a.zIndex === b.zIndex)
+    {
+        return a._lastSortedIndex - b._lastSortedIndex;
+    }
+
+    return a.zIndex - b.zIndex;
+}
+
+/**
+ * A Layer renders display objects from anywhere in the scene graph, decoupling their draw order
+ * from the hierarchy.
+ *
+ * Display objects are put on a layer by setting their [parentLayer]{@link PIXI.DisplayObject#parentLayer}.
+ * They keep getting their transform and alpha from their real parent, but are skipped when their parent is
+ * rendered and are drawn when the layer is rendered instead, along with their whole subtree. Members are
+ * drawn before the layer's own children, in the order they joined the layer or by zIndex if
+ * [sortableChildren]{@link PIXI.Container#sortableChildren} is set.
+ *
+ * ```js
+ * import { Container, Layer } from '@pixi/display';
+ *
+ * const shadows = new Layer();
+ * const labels = new Layer();
+ *
+ * stage.addChild(world, shadows, labels);
+ *
+ * // The character's parts move with it, but are drawn with all the other shadows and labels
+ * character.addChild(shadow, body, label);
+ * shadow.parentLayer = shadows;
+ * label.parentLayer = labels;
+ * ```
+ *
+ * A member is rendered only by its layer, so the layer has to be rendered too, and a member is skipped while
+ * the layer is not in the same scene. Since members are rendered outside of their parent, the masks and filters
+ * of their ancestors are not applied to them; the ones of the layer are, along with their own. The interaction
+ * manager hit-tests members during the layer's turn as well, so that objects drawn on top are hit first.
+ *
+ * @class
+ * @extends PIXI.Container
+ * @memberof PIXI
+ */
+export class Layer extends Container
+{
+    public readonly members: DisplayObject[];
+    public _renderingMember: DisplayObject;
+
+    private _activeMembers: DisplayObject[];
+
+    constructor()
+    {
+        super();
+
+        /**
+         * The display objects whose `parentLayer` is this layer, in rendering order.
+         * Set [parentLayer]{@link PIXI.DisplayObject#parentLayer} to change it.
+         *
+         * @member {PIXI.DisplayObject[]}
+         * @readonly
+         */
+        this.members = [];
+
+        /**
+         * The member currently being rendered by this layer.
+         *
+         * @member {PIXI.DisplayObject}
+         * @private
+         */
+        this._renderingMember = null;
+
+        /**
+         * Reusable array of the members that are in the scene.
+         *
+         * @member {PIXI.DisplayObject[]}
+         * @private
+         */
+        this._activeMembers = [];
+    }
+
+    /**
+     * Sorts the children and the members of the layer by zIndex. Previous order is maintained for
+     * 2 objects with the same zIndex.
+     */
+    sortChildren(): void
+    {
+        super.sortChildren();
+
+        const members = this.members;
+        let sortRequired = false;
+
+        for (let i = 0, j = members.length; i < j; ++i)
+        {
+            const member = members[i];
+
+            member._lastSortedIndex = i;
+
+            if (!sortRequired && member.zIndex !== 0)
+            {
+                sortRequired = true;
+            }
+        }
+
+        if (sortRequired && members.length > 1)
+        {
+            members.sort(sortMembers);
+        }
+    }
+
+    /**
+     * Collects the members that are part of the same scene as this layer and are visible along with
+     * all of their ancestors. These are the members that get rendered and hit-tested.
+     *
+     * The returned array is reused by the layer, do not hold on to it.
+     *
+     * @return {PIXI.DisplayObject[]} The active members, in rendering order.
+     */
+    getActiveMembers(): DisplayObject[]
+    {
+        const members = this.members;
+        const active = this._activeMembers;
+        let root = this as DisplayObject;
+
+        active.length = 0;
+
+        while (root.parent)
+        {
+            root = root.parent;
+        }
+
+        for (let i = 0, j = members.length; i < j; ++i)
+        {
+            let item = members[i];
+            let visible = true;
+
+            while (item.parent)
+            {
+                if (!item.visible)
+                {
+                    visible = false;
+                    break;
+                }
+
+                item = item.parent;
+            }
+
+            if (visible && item === root && item.visible)
+            {
+                active.push(members[i]);
+            }
+        }
+
+        return active;
+    }
+
+    /**
+     * Renders the members of the layer, they are drawn before its children.
+     *
+     * @protected
+     * @param {PIXI.Renderer} renderer - The renderer
+     */
+    protected _render(renderer: Renderer): void
+    {
+        const members = this.getActiveMembers();
+
+        for (let i = 0, j = members.length; i < j; ++i)
+        {
+            this._renderingMember = members[i];
+            members[i].render(renderer);
+        }
+
+        this._renderingMember = null;
+    }
+
+    /**
+     * Removes all members from the layer, then destroys it like any other container.
+     *
+     * @param {object|boolean} [options] - Options parameter. A boolean will act as if all options
+     *  have been set to that value
+     */
+    destroy(options?: IDestroyOptions|boolean): void
+    {
+        const members = this.members.slice();
+
+        for (let i = 0; i < members.length; i++)
+        {
+            members[i].parentLayer = null;
+        }
+
+        this._activeMembers = null;
+
+        super.destroy(options);
+    }
+}
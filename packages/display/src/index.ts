@@ -3,3 +3,4 @@ import './settings';
 export * from './Bounds';
 export * from './DisplayObject';
 export * from './Container';
+export * from './Layer';
@@ -1,4 +1,5 @@
 const { Container, DisplayObject } = require('../');
+const { Matrix, Rectangle } = require('@pixi/math');
 
 function testAddChild(fn)
 {
@@ -553,6 +554,86 @@ describe('PIXI.Container', function ()
             container.render();
             expect(webGLSpy).to.have.been.called;
         });
+
+        function createRenderer(frame, transform = null)
+        {
+            return {
+                renderTexture: { sourceFrame: frame },
+                projection: { transform },
+            };
+        }
+
+        function createCullable(x, y)
+        {
+            const container = new Container();
+            const child = new Container();
+
+            container.cullable = true;
+            container.position.set(x, y);
+            container.addChild(child);
+            container._calculateBounds = function ()
+            {
+                this._bounds.addFrame(this.transform, 0, 0, 10, 10);
+            };
+            container.enableTempParent();
+            container.updateTransform();
+
+            return { container, child };
+        }
+
+        it('should not render cullable object outside of the frame', function ()
+        {
+            const { container, child } = createCullable(200, 200);
+            const webGLSpy = sinon.spy(child, '_render');
+
+            container.render(createRenderer(new Rectangle(0, 0, 100, 100)));
+            expect(webGLSpy).to.not.have.been.called;
+        });
+
+        it('should render cullable object inside of the frame', function ()
+        {
+            const { container, child } = createCullable(95, 95);
+            const webGLSpy = sinon.spy(child, '_render');
+
+            container.render(createRenderer(new Rectangle(0, 0, 100, 100)));
+            expect(webGLSpy).to.have.been.called;
+        });
+
+        it('should render object outside of the frame when not cullable', function ()
+        {
+            const { container, child } = createCullable(200, 200);
+            const webGLSpy = sinon.spy(child, '_render');
+
+            container.cullable = false;
+
+            container.render(createRenderer(new Rectangle(0, 0, 100, 100)));
+            expect(webGLSpy).to.have.been.called;
+        });
+
+        it('should use cullArea instead of bounds when set', function ()
+        {
+            const { container, child } = createCullable(95, 95);
+            const webGLSpy = sinon.spy(child, '_render');
+
+            container.cullArea = new Rectangle(10, 10, 10, 10);
+
+            container.render(createRenderer(new Rectangle(0, 0, 100, 100)));
+            expect(webGLSpy).to.not.have.been.called;
+
+            container.cullArea = new Rectangle(-100, -100, 10, 10);
+
+            container.render(createRenderer(new Rectangle(0, 0, 100, 100)));
+            expect(webGLSpy).to.have.been.called;
+        });
+
+        it('should apply the projection transform when culling', function ()
+        {
+            const { container, child } = createCullable(200, 200);
+            const webGLSpy = sinon.spy(child, '_render');
+
+            container.render(createRenderer(new Rectangle(0, 0, 100, 100), new Matrix().translate(-150, -150)));
+            expect(webGLSpy).to.have.been.called;
+        });
     });
 
     describe('removeChildren', function ()
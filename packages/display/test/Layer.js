@@ -0,0 +1,169 @@
+const { Container, Layer } = require('../');
+
+describe('PIXI.Layer', function ()
+{
+    function createLogged(name, log)
+    {
+        const container = new Container();
+
+        container._render = () => log.push(name);
+
+        return container;
+    }
+
+    function render(stage)
+    {
+        const cacheParent = stage.enableTempParent();
+
+        stage.updateTransform();
+        stage.disableTempParent(cacheParent);
+        stage.render({});
+    }
+
+    it('should track its members', function ()
+    {
+        const layer = new Layer();
+        const other = new Layer();
+        const child = new Container();
+
+        expect(child.parentLayer).to.be.null;
+
+        child.parentLayer = layer;
+
+        expect(child.parentLayer).to.equal(layer);
+        expect(layer.members).to.deep.equal([child]);
+
+        child.parentLayer = other;
+
+        expect(layer.members).to.be.empty;
+        expect(other.members).to.deep.equal([child]);
+
+        child.destroy();
+
+        expect(child.parentLayer).to.be.null;
+        expect(other.members).to.be.empty;
+    });
+
+    it('should clear the layer of its members when destroyed', function ()
+    {
+        const layer = new Layer();
+        const child = new Container();
+
+        child.parentLayer = layer;
+        layer.destroy();
+
+        expect(child.parentLayer).to.be.null;
+    });
+
+    it('should render members during its turn', function ()
+    {
+        const log = [];
+        const stage = createLogged('stage', log);
+        const character = createLogged('character', log);
+        const shadow = createLogged('shadow', log);
+        const label = createLogged('label', log);
+        const shadows = new Layer();
+        const labels = new Layer();
+        const world = new Container();
+
+        character.addChild(shadow, label);
+        world.addChild(character);
+        stage.addChild(shadows, world, labels);
+        shadow.parentLayer = shadows;
+        label.parentLayer = labels;
+
+        render(stage);
+
+        expect(log).to.deep.equal(['stage', 'shadow', 'character', 'label']);
+    });
+
+    it('should keep the transform of members from their parent', function ()
+    {
+        const stage = new Container();
+        const layer = new Layer();
+        const parent = new Container();
+        const child = new Container();
+
+        layer.position.set(100, 100);
+        parent.position.set(10, 20);
+        parent.addChild(child);
+        stage.addChild(parent, layer);
+        child.parentLayer = layer;
+
+        render(stage);
+
+        expect(child.worldTransform.tx).to.equal(10);
+        expect(child.worldTransform.ty).to.equal(20);
+    });
+
+    it('should sort members by zIndex if sortableChildren is set', function ()
+    {
+        const log = [];
+        const stage = new Container();
+        const layer = new Layer();
+        const a = createLogged('a', log);
+        const b = createLogged('b', log);
+        const c = createLogged('c', log);
+
+        stage.addChild(layer, a, b, c);
+        a.parentLayer = layer;
+        b.parentLayer = layer;
+        c.parentLayer = layer;
+        a.zIndex = 2;
+
+        render(stage);
+
+        expect(log).to.deep.equal(['a', 'b', 'c']);
+
+        log.length = 0;
+        layer.sortableChildren = true;
+        render(stage);
+
+        expect(log).to.deep.equal(['b', 'c', 'a']);
+        expect(layer.members).to.deep.equal([b, c, a]);
+
+        log.length = 0;
+        b.zIndex = 3;
+        render(stage);
+
+        expect(log).to.deep.equal(['c', 'a', 'b']);
+    });
+
+    it('should skip members that are hidden or not in its scene', function ()
+    {
+        const stage = new Container();
+        const layer = new Layer();
+        const parent = new Container();
+        const hidden = new Container();
+        const detached = new Container();
+        const visible = new Container();
+
+        stage.addChild(layer, parent, visible);
+        parent.addChild(hidden);
+        hidden.parentLayer = layer;
+        detached.parentLayer = layer;
+        visible.parentLayer = layer;
+        parent.visible = false;
+
+        expect(layer.getActiveMembers()).to.deep.equal([visible]);
+
+        parent.visible = true;
+
+        expect(layer.getActiveMembers()).to.deep.equal([hidden, visible]);
+    });
+
+    it('should not render members when the layer is not rendered', function ()
+    {
+        const log = [];
+        const stage = new Container();
+        const layer = new Layer();
+        const child = createLogged('child', log);
+
+        stage.addChild(child);
+        child.parentLayer = layer;
+
+        render(stage);
+
+        expect(log).to.be.empty;
+    });
+});
@@ -1,4 +1,5 @@
 require('./Container');
 require('./DisplayObject');
+require('./Layer');
 require('./toGlobal');
 require('./toLocal');
@@ -0,0 +1,110 @@
+import type { Graphics } from '@pixi/graphics';
+
+/**
+ * Options for {@link PIXI.Graphics#drawArrow}.
+ *
+ * @memberof PIXI
+ * @typedef {object} IArrowOptions
+ * @property {number} [shaftWidth=2] - Width of the shaft
+ * @property {number} [headWidth=shaftWidth*4] - Width of the heads, at their base
+ * @property {number} [headLength=headWidth] - Length of the heads, from their base to their tip
+ * @property {boolean} [startHead=false] - Whether to draw a head at the start point
+ * @property {boolean} [endHead=true] - Whether to draw a head at the end point
+ */
+export interface IArrowOptions
+{
+    shaftWidth?: number;
+    headWidth?: number;
+    headLength?: number;
+    startHead?: boolean;
+    endHead?: boolean;
+}
+
+/**
+ * Draw an arrow from a point to another, as a single polygon so that it can be filled and stroked.
+ * When the arrow is too short for its heads, the heads are shortened to fit.
+ *
+ * _Note: Only available with **@pixi/graphics-extras**._
+ *
+ * @example
+ * graphics
+ *     .beginFill(0xff0000)
+ *     .drawArrow(0, 0, 100, 0, { shaftWidth: 4, startHead: true });
+ *
+ * @instance
+ * @method PIXI.Graphics#drawArrow
+ * @param {number} x - X position of the start point
+ * @param {number} y - Y position of the start point
+ * @param {number} toX - X position of the end point
+ * @param {number} toY - Y position of the end point
+ * @param {PIXI.IArrowOptions} [options] - The size of the shaft and the heads
+ * @return {PIXI.Graphics} Returns self.
+ */
+export function drawArrow(this: Graphics,
+    x: number,
+    y: number,
+    toX: number,
+    toY: number,
+    options: IArrowOptions = {}): Graphics
+{
+    const dx = toX - x;
+    const dy = toY - y;
+    const length = Math.sqrt((dx * dx) + (dy * dy));
+
+    if (length === 0)
+    {
+        return this;
+    }
+
+    const {
+        shaftWidth = 2,
+        headWidth = shaftWidth * 4,
+        headLength = headWidth,
+        startHead = false,
+        endHead = true,
+    } = options;
+    const heads = (startHead ? 1 : 0) + (endHead ? 1 : 0);
+    const head = Math.min(headLength, heads > 0 ? length / heads : 0);
+
+    // Direction of the arrow and its normal
+    const ux = dx / length;
+    const uy = dy / length;
+    const nx = -uy;
+    const ny = ux;
+    const shaft = shaftWidth / 2;
+    const side = headWidth / 2;
+
+    const startX = startHead ? x + (ux * head) : x;
+    const startY = startHead ? y + (uy * head) : y;
+    const endX = endHead ? toX - (ux * head) : toX;
+    const endY = endHead ? toY - (uy * head) : toY;
+    const polygon = [
+        startX + (nx * shaft), startY + (ny * shaft),
+        endX + (nx * shaft), endY + (ny * shaft),
+    ];
+
+    if (endHead)
+    {
+        polygon.push(
+            endX + (nx * side), endY + (ny * side),
+            toX, toY,
+            endX - (nx * side), endY - (ny * side)
+        );
+    }
+
+    polygon.push(
+        endX - (nx * shaft), endY - (ny * shaft),
+        startX - (nx * shaft), startY - (ny * shaft)
+    );
+
+    if (startHead)
+    {
+        polygon.push(
+            startX - (nx * side), startY - (ny * side),
+            x, y,
+            startX + (nx * side), startY + (ny * side)
+        );
+    }
+
+    return this.drawPolygon(polygon);
+}
@@ -0,0 +1,174 @@
+import type { Graphics } from '@pixi/graphics';
+
+/**
+ * Solves the system `b[i - 1] + 4 * b[i] + b[i + 1] = 6 * d[i]` giving the control points of a
+ * uniform cubic B-spline that passes through the points `d`, coordinate by coordinate.
+ * Open splines keep their ends (natural spline), closed ones wrap around.
+ *
+ * @ignore
+ * @private
+ */
+function solveControlPoints(d: Array<number>, closed: boolean): Array<number>
+{
+    const n = d.length;
+    const b = new Array<number>(n);
+
+    if (!closed)
+    {
+        // Thomas algorithm, with the ends fixed to the points
+        const c = new Array<number>(n);
+
+        c[0] = 0;
+        b[0] = d[0];
+
+        for (let i = 1; i < n - 1; i++)
+        {
+            const m = 4 - c[i - 1];
+
+            c[i] = 1 / m;
+            b[i] = ((6 * d[i]) - b[i - 1]) / m;
+        }
+
+        b[n - 1] = d[n - 1];
+
+        for (let i = n - 2; i > 0; i--)
+        {
+            b[i] -= c[i] * b[i + 1];
+        }
+
+        return b;
+    }
+
+    // Sherman-Morrison, to solve the wrapping corners with the tridiagonal algorithm
+    const gamma = -4;
+    const diagonal = (i: number): number =>
+    {
+        if (i === 0)
+        {
+            return 4 - gamma;
+        }
+
+        return i === n - 1 ? 4 - (1 / gamma) : 4;
+    };
+    const solve = (r: Array<number>): Array<number> =>
+    {
+        const c = new Array<number>(n);
+        const x = new Array<number>(n);
+
+        c[0] = 1 / diagonal(0);
+        x[0] = r[0] / diagonal(0);
+
+        for (let i = 1; i < n; i++)
+        {
+            const m = diagonal(i) - c[i - 1];
+
+            c[i] = 1 / m;
+            x[i] = (r[i] - x[i - 1]) / m;
+        }
+
+        for (let i = n - 2; i >= 0; i--)
+        {
+            x[i] -= c[i] * x[i + 1];
+        }
+
+        return x;
+    };
+    const u = new Array<number>(n);
+
+    for (let i = 0; i < n; i++)
+    {
+        b[i] = 6 * d[i];
+        u[i] = 0;
+    }
+
+    u[0] = gamma;
+    u[n - 1] = 1;
+
+    const y = solve(b);
+    const z = solve(u);
+    const factor = (y[0] + (y[n - 1] / gamma)) / (1 + z[0] + (z[n - 1] / gamma));
+
+    for (let i = 0; i < n; i++)
+    {
+        b[i] = y[i] - (factor * z[i]);
+    }
+
+    return b;
+}
+
+/**
+ * Draw a smooth curve passing through all the given points, as an interpolating cubic B-spline.
+ * Unlike {@link PIXI.Graphics#drawCatmullRom}, the curvature of the curve is continuous too,
+ * which gives rounder curves, but moving a point changes the whole curve.
+ *
+ * The curve is drawn with bezier curves, so it keeps following the resolution of other curves.
+ *
+ * _Note: Only available with **@pixi/graphics-extras**._
+ *
+ * @example
+ * graphics
+ *     .beginFill(0xff0000)
+ *     .drawBSpline([0, 0, 100, 0, 100, 100, 0, 100], true);
+ *
+ * @instance
+ * @method PIXI.Graphics#drawBSpline
+ * @param {number[]} points - The points to pass through, as a flat list of x and y coordinates
+ * @param {boolean} [closed=false] - Whether the curve loops back to the first point
+ * @return {PIXI.Graphics} Returns self.
+ */
+export function drawBSpline(this: Graphics,
+    points: Array<number>,
+    closed = false): Graphics
+{
+    let length = points.length / 2;
+
+    // closed curves don't need their last point when it is the first
+    if (closed && length > 2
+        && points[0] === points[(length * 2) - 2] && points[1] === points[(length * 2) - 1])
+    {
+        length--;
+    }
+
+    if (length < 2)
+    {
+        return this;
+    }
+
+    // A loop needs at least three points, fewer are drawn as an open curve and closed
+    const wrap = closed && length > 2;
+    const xs: Array<number> = [];
+    const ys: Array<number> = [];
+
+    for (let i = 0; i < length; i++)
+    {
+        xs.push(points[i * 2]);
+        ys.push(points[(i * 2) + 1]);
+    }
+
+    const bx = solveControlPoints(xs, wrap);
+    const by = solveControlPoints(ys, wrap);
+    const segments = wrap ? length : length - 1;
+
+    this.moveTo(xs[0], ys[0]);
+
+    for (let i = 0; i < segments; i++)
+    {
+        const j = (i + 1) % length;
+
+        this.bezierCurveTo(
+            ((2 * bx[i]) + bx[j]) / 3,
+            ((2 * by[i]) + by[j]) / 3,
+            (bx[i] + (2 * bx[j])) / 3,
+            (by[i] + (2 * by[j])) / 3,
+            xs[j],
+            ys[j]
+        );
+    }
+
+    if (closed)
+    {
+        this.closePath();
+    }
+
+    return this;
+}
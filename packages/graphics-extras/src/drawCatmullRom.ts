@@ -0,0 +1,72 @@
+import type { Graphics } from '@pixi/graphics';
+
+/**
+ * Draw a smooth curve passing through all the given points, as a Catmull-Rom (cardinal) spline.
+ * The tangent at each point follows the direction from the previous to the next point, the tension
+ * shortens the tangents: 0 gives a Catmull-Rom spline and 1 gives straight lines.
+ *
+ * The curve is drawn with bezier curves, so it keeps following the resolution of other curves.
+ *
+ * _Note: Only available with **@pixi/graphics-extras**._
+ *
+ * @example
+ * graphics
+ *     .lineStyle(2, 0xff0000)
+ *     .drawCatmullRom([0, 0, 50, 40, 100, 0, 150, 40]);
+ *
+ * @instance
+ * @method PIXI.Graphics#drawCatmullRom
+ * @param {number[]} points - The points to pass through, as a flat list of x and y coordinates
+ * @param {boolean} [closed=false] - Whether the curve loops back to the first point
+ * @param {number} [tension=0] - How tight the curve is, from 0 to 1
+ * @return {PIXI.Graphics} Returns self.
+ */
+export function drawCatmullRom(this: Graphics,
+    points: Array<number>,
+    closed = false,
+    tension = 0): Graphics
+{
+    let length = points.length / 2;
+
+    // closed curves don't need their last point when it is the first
+    if (closed && length > 2
+        && points[0] === points[(length * 2) - 2] && points[1] === points[(length * 2) - 1])
+    {
+        length--;
+    }
+
+    if (length < 2)
+    {
+        return this;
+    }
+
+    const scale = (1 - tension) / 6;
+    const segments = closed ? length : length - 1;
+
+    this.moveTo(points[0], points[1]);
+
+    for (let i = 0; i < segments; i++)
+    {
+        // the neighbours of the ends of the segment, the ends of open curves are their own neighbours
+        const p0 = closed ? (i + length - 1) % length : Math.max(i - 1, 0);
+        const p1 = i;
+        const p2 = (i + 1) % length;
+        const p3 = closed ? (i + 2) % length : Math.min(i + 2, length - 1);
+
+        this.bezierCurveTo(
+            points[p1 * 2] + ((points[p2 * 2] - points[p0 * 2]) * scale),
+            points[(p1 * 2) + 1] + ((points[(p2 * 2) + 1] - points[(p0 * 2) + 1]) * scale),
+            points[p2 * 2] - ((points[p3 * 2] - points[p1 * 2]) * scale),
+            points[(p2 * 2) + 1] - ((points[(p3 * 2) + 1] - points[(p1 * 2) + 1]) * scale),
+            points[p2 * 2],
+            points[(p2 * 2) + 1]
+        );
+    }
+
+    if (closed)
+    {
+        this.closePath();
+    }
+
+    return this;
+}
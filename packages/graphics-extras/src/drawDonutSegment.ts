@@ -0,0 +1,65 @@
+import type { Graphics } from '@pixi/graphics';
+
+/**
+ * Draw a segment of a donut, like the slices of a donut chart. Unlike {@link PIXI.Graphics#drawTorus},
+ * the outline of the segment is closed, so that strokes go around its ends too.
+ *
+ * _Note: Only available with **@pixi/graphics-extras**._
+ *
+ * @example
+ * graphics
+ *     .beginFill(0xff0000)
+ *     .lineStyle(2, 0xffffff)
+ *     .drawDonutSegment(0, 0, 50, 100, 0, Math.PI / 2);
+ *
+ * @instance
+ * @method PIXI.Graphics#drawDonutSegment
+ * @param {number} x - X position of the center
+ * @param {number} y - Y position of the center
+ * @param {number} innerRadius - Inner circle radius, 0 draws a pie slice
+ * @param {number} outerRadius - Outer circle radius
+ * @param {number} startAngle - Where to begin the segment, in radians, 0.0 = to the right
+ * @param {number} endAngle - Where to end the segment, in radians, clockwise from the start
+ * @return {PIXI.Graphics} Returns self.
+ */
+export function drawDonutSegment(this: Graphics,
+    x: number,
+    y: number,
+    innerRadius: number,
+    outerRadius: number,
+    startAngle: number,
+    endAngle: number): Graphics
+{
+    if (startAngle === endAngle)
+    {
+        return this;
+    }
+
+    if (Math.abs(endAngle - startAngle) >= Math.PI * 2)
+    {
+        this.drawCircle(x, y, outerRadius);
+
+        if (innerRadius > 0)
+        {
+            this.beginHole()
+                .drawCircle(x, y, innerRadius)
+                .endHole();
+        }
+
+        return this;
+    }
+
+    this.moveTo(x + (Math.cos(startAngle) * outerRadius), y + (Math.sin(startAngle) * outerRadius))
+        .arc(x, y, outerRadius, startAngle, endAngle);
+
+    if (innerRadius > 0)
+    {
+        this.arc(x, y, innerRadius, endAngle, startAngle, true);
+    }
+    else
+    {
+        this.lineTo(x, y);
+    }
+
+    return this.closePath();
+}
@@ -0,0 +1,32 @@
+import { drawDonutSegment } from './drawDonutSegment';
+
+import type { Graphics } from '@pixi/graphics';
+
+/**
+ * Draw a slice of a pie, like the slices of a pie chart.
+ *
+ * _Note: Only available with **@pixi/graphics-extras**._
+ *
+ * @example
+ * graphics
+ *     .beginFill(0xff0000)
+ *     .drawPie(0, 0, 100, 0, Math.PI / 2);
+ *
+ * @instance
+ * @method PIXI.Graphics#drawPie
+ * @param {number} x - X position of the center
+ * @param {number} y - Y position of the center
+ * @param {number} radius - Radius of the pie
+ * @param {number} startAngle - Where to begin the slice, in radians, 0.0 = to the right
+ * @param {number} endAngle - Where to end the slice, in radians, clockwise from the start
+ * @return {PIXI.Graphics} Returns self.
+ */
+export function drawPie(this: Graphics,
+    x: number,
+    y: number,
+    radius: number,
+    startAngle: number,
+    endAngle: number): Graphics
+{
+    return drawDonutSegment.call(this, x, y, 0, radius, startAngle, endAngle);
+}
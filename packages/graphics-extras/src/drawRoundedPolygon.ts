@@ -0,0 +1,88 @@
+import type { Graphics } from '@pixi/graphics';
+
+/**
+ * Draw a polygon with rounded corners. Each corner can have its own radius, radii that don't fit
+ * between the neighbouring corners are reduced, and corners with a radius of 0 stay sharp.
+ *
+ * _Note: Only available with **@pixi/graphics-extras**._
+ *
+ * @example
+ * graphics
+ *     .beginFill(0xff0000)
+ *     .drawRoundedPolygon([0, 0, 100, 0, 50, 80], [10, 10, 0]);
+ *
+ * @instance
+ * @method PIXI.Graphics#drawRoundedPolygon
+ * @param {number[]} points - The points of the polygon, as a flat list of x and y coordinates
+ * @param {number|number[]} radius - Radius of all the corners, or the radius of each corner
+ * @return {PIXI.Graphics} Returns self.
+ */
+export function drawRoundedPolygon(this: Graphics,
+    points: Array<number>,
+    radius: number | Array<number>): Graphics
+{
+    const length = points.length / 2;
+
+    if (length < 3)
+    {
+        return this.drawPolygon(points);
+    }
+
+    for (let i = 0; i < length; i++)
+    {
+        const vx = points[i * 2];
+        const vy = points[(i * 2) + 1];
+        const prev = ((i + length - 1) % length) * 2;
+        const next = ((i + 1) % length) * 2;
+        const ax = points[prev] - vx;
+        const ay = points[prev + 1] - vy;
+        const bx = points[next] - vx;
+        const by = points[next + 1] - vy;
+        const lengthA = Math.sqrt((ax * ax) + (ay * ay));
+        const lengthB = Math.sqrt((bx * bx) + (by * by));
+        const cornerRadius = typeof radius === 'number' ? radius : (radius[i] || 0);
+        const cross = (ax * by) - (ay * bx);
+
+        if (cornerRadius <= 0 || lengthA === 0 || lengthB === 0 || cross === 0)
+        {
+            if (i === 0)
+            {
+                this.moveTo(vx, vy);
+            }
+            else
+            {
+                this.lineTo(vx, vy);
+            }
+
+            continue;
+        }
+
+        // The arc touches both edges, at the same distance from the corner
+        const angle = Math.acos(Math.max(-1, Math.min(1, ((ax * bx) + (ay * by)) / (lengthA * lengthB))));
+        const tan = Math.tan(angle / 2);
+        const distance = Math.min(cornerRadius / tan, lengthA / 2, lengthB / 2);
+        const r = distance * tan;
+        const offset = r / Math.sin(angle / 2);
+        const mx = (ax / lengthA) + (bx / lengthB);
+        const my = (ay / lengthA) + (by / lengthB);
+        const m = Math.sqrt((mx * mx) + (my * my));
+        const cx = vx + (mx / m * offset);
+        const cy = vy + (my / m * offset);
+        const startX = vx + (ax / lengthA * distance);
+        const startY = vy + (ay / lengthA * distance);
+        const endX = vx + (bx / lengthB * distance);
+        const endY = vy + (by / lengthB * distance);
+
+        if (i === 0)
+        {
+            this.moveTo(startX, startY);
+        }
+
+        this.arc(cx, cy, r,
+            Math.atan2(startY - cy, startX - cx),
+            Math.atan2(endY - cy, endX - cx),
+            cross > 0);
+    }
+
+    return this.closePath();
+}
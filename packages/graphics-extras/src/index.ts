@@ -3,12 +3,26 @@ import { drawTorus } from './drawTorus';
 import { drawChamferRect } from './drawChamferRect';
 import { drawFilletRect } from './drawFilletRect';
 import { drawRegularPolygon } from './drawRegularPolygon';
+import { drawRoundedPolygon } from './drawRoundedPolygon';
+import { drawArrow } from './drawArrow';
+import { drawCatmullRom } from './drawCatmullRom';
+import { drawBSpline } from './drawBSpline';
+import { drawDonutSegment } from './drawDonutSegment';
+import { drawPie } from './drawPie';
+
+export type { IArrowOptions } from './drawArrow';
 
 export interface IGraphicsExtras {
     drawTorus: typeof drawTorus;
     drawChamferRect: typeof drawChamferRect;
     drawFilletRect: typeof drawFilletRect;
     drawRegularPolygon: typeof drawRegularPolygon;
+    drawRoundedPolygon: typeof drawRoundedPolygon;
+    drawArrow: typeof drawArrow;
+    drawCatmullRom: typeof drawCatmullRom;
+    drawBSpline: typeof drawBSpline;
+    drawDonutSegment: typeof drawDonutSegment;
+    drawPie: typeof drawPie;
 }
 
 // Assign extras to Graphics
@@ -17,4 +31,10 @@ Object.defineProperties(Graphics.prototype, {
     drawChamferRect: { value: drawChamferRect },
     drawFilletRect: { value: drawFilletRect },
     drawRegularPolygon: { value: drawRegularPolygon },
+    drawRoundedPolygon: { value: drawRoundedPolygon },
+    drawArrow: { value: drawArrow },
+    drawCatmullRom: { value: drawCatmullRom },
+    drawBSpline: { value: drawBSpline },
+    drawDonutSegment: { value: drawDonutSegment },
+    drawPie: { value: drawPie },
 });
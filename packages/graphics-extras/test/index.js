@@ -0,0 +1,373 @@
+const { Graphics } = require('@pixi/graphics');
+const { SHAPES } = require('@pixi/math');
+
+require('../');
+
+function getPoints(graphics)
+{
+    graphics.finishPoly();
+
+    const { graphicsData } = graphics.geometry;
+
+    return graphicsData[graphicsData.length - 1].shape.points;
+}
+
+function hasPoint(points, x, y)
+{
+    for (let i = 0; i < points.length; i += 2)
+    {
+        if (Math.abs(points[i] - x) < 1e-6 && Math.abs(points[i + 1] - y) < 1e-6)
+        {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+function getBounds(points)
+{
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+    for (let i = 0; i < points.length; i += 2)
+    {
+        bounds.minX = Math.min(bounds.minX, points[i]);
+        bounds.minY = Math.min(bounds.minY, points[i + 1]);
+        bounds.maxX = Math.max(bounds.maxX, points[i]);
+        bounds.maxY = Math.max(bounds.maxY, points[i + 1]);
+    }
+
+    return bounds;
+}
+
+describe('PIXI.Graphics extras', function ()
+{
+    describe('drawArrow', function ()
+    {
+        it('should draw a closed polygon ending at its tip', function ()
+        {
+            const graphics = new Graphics().beginFill(0).drawArrow(0, 0, 100, 0, { shaftWidth: 4 });
+            const data = graphics.geometry.graphicsData[0];
+
+            expect(data.shape.type).to.equal(SHAPES.POLY);
+            expect(data.shape.closeStroke).to.be.true;
+            expect(data.shape.points).to.deep.equal([
+                0, 2, 84, 2, 84, 8, 100, 0, 84, -8, 84, -2, 0, -2,
+            ]);
+        });
+
+        it('should draw heads at both ends', function ()
+        {
+            const points = getPoints(new Graphics().drawArrow(0, 0, 0, 100, {
+                shaftWidth: 2, headWidth: 10, headLength: 20, startHead: true,
+            }));
+
+            expect(points.length).to.equal(20);
+            expect(hasPoint(points, 0, 0)).to.be.true;
+            expect(hasPoint(points, 0, 100)).to.be.true;
+            expect(hasPoint(points, 5, 20)).to.be.true;
+            expect(hasPoint(points, -5, 80)).to.be.true;
+        });
+
+        it('should draw no heads', function ()
+        {
+            const points = getPoints(new Graphics().drawArrow(0, 0, 100, 0, { shaftWidth: 10, endHead: false }));
+
+            expect(points).to.deep.equal([0, 5, 100, 5, 100, -5, 0, -5]);
+        });
+
+        it('should shorten heads that do not fit', function ()
+        {
+            const points = getPoints(new Graphics().drawArrow(0, 0, 10, 0, {
+                headLength: 20, startHead: true,
+            }));
+
+            expect(hasPoint(points, 5, 1)).to.be.true;
+            expect(getBounds(points).minX).to.equal(0);
+            expect(getBounds(points).maxX).to.equal(10);
+        });
+
+        it('should not draw arrows without length', function ()
+        {
+            const graphics = new Graphics().beginFill(0).drawArrow(10, 10, 10, 10);
+
+            expect(graphics.geometry.graphicsData).to.be.empty;
+        });
+
+        it('should stroke the outline', function ()
+        {
+            const graphics = new Graphics().lineStyle(2, 0xff0000).drawArrow(0, 0, 100, 0, { shaftWidth: 20 });
+            const data = graphics.geometry.graphicsData[0];
+
+            expect(data.fillStyle.visible).to.be.false;
+            expect(data.lineStyle.visible).to.be.true;
+            expect(graphics.containsPoint({ x: 100, y: 0 })).to.be.true;
+            expect(graphics.containsPoint({ x: 10, y: 10 })).to.be.true;
+            expect(graphics.containsPoint({ x: 10, y: 0 })).to.be.false;
+        });
+    });
+
+    describe('drawRoundedPolygon', function ()
+    {
+        it('should keep the bounds of the polygon', function ()
+        {
+            const points = getPoints(new Graphics().drawRoundedPolygon([0, 0, 100, 0, 100, 100, 0, 100], 10));
+            const bounds = getBounds(points);
+
+            expect(bounds.minX).to.be.closeTo(0, 1e-6);
+            expect(bounds.minY).to.be.closeTo(0, 1e-6);
+            expect(bounds.maxX).to.be.closeTo(100, 1e-6);
+            expect(bounds.maxY).to.be.closeTo(100, 1e-6);
+            expect(hasPoint(points, 0, 0)).to.be.false;
+            expect(hasPoint(points, 10, 0)).to.be.true;
+            expect(hasPoint(points, 0, 10)).to.be.true;
+        });
+
+        it('should round the corners on a circle of the radius', function ()
+        {
+            const points = getPoints(new Graphics().drawRoundedPolygon([0, 0, 100, 0, 100, 100, 0, 100], 10));
+
+            for (let i = 0; i < points.length; i += 2)
+            {
+                const x = points[i];
+                const y = points[i + 1];
+
+                if (x < 10 && y < 10)
+                {
+                    expect(Math.sqrt(((x - 10) * (x - 10)) + ((y - 10) * (y - 10)))).to.be.closeTo(10, 1e-6);
+                }
+            }
+        });
+
+        it('should use a radius per corner', function ()
+        {
+            const points = getPoints(new Graphics().drawRoundedPolygon([0, 0, 100, 0, 100, 100, 0, 100], [0, 20]));
+
+            expect(hasPoint(points, 0, 0)).to.be.true;
+            expect(hasPoint(points, 100, 100)).to.be.true;
+            expect(hasPoint(points, 0, 100)).to.be.true;
+            expect(hasPoint(points, 100, 0)).to.be.false;
+            expect(hasPoint(points, 80, 0)).to.be.true;
+            expect(hasPoint(points, 100, 20)).to.be.true;
+        });
+
+        it('should reduce radii that do not fit', function ()
+        {
+            const points = getPoints(new Graphics().drawRoundedPolygon([0, 0, 100, 0, 100, 100, 0, 100], 500));
+            const bounds = getBounds(points);
+
+            expect(bounds.minX).to.be.closeTo(0, 1e-6);
+            expect(bounds.maxX).to.be.closeTo(100, 1e-6);
+            expect(hasPoint(points, 50, 0)).to.be.true;
+            expect(hasPoint(points, 100, 50)).to.be.true;
+        });
+
+        it('should round concave corners', function ()
+        {
+            const points = getPoints(new Graphics().drawRoundedPolygon(
+                [0, 0, 100, 0, 100, 100, 50, 50, 0, 100], 5
+            ));
+
+            expect(hasPoint(points, 50, 50)).to.be.false;
+
+            for (let i = 0; i < points.length; i += 2)
+            {
+                // The rounded concave corner fills the tip of the notch
+                if (Math.abs(points[i] - 50) < 1)
+                {
+                    expect(points[i + 1]).to.be.closeTo(50 + (5 * Math.SQRT2) - 5, 0.1);
+                }
+            }
+        });
+
+        it('should close the stroke', function ()
+        {
+            const graphics = new Graphics().lineStyle(1).drawRoundedPolygon([0, 0, 100, 0, 50, 80], 10);
+
+            graphics.finishPoly();
+
+            expect(graphics.geometry.graphicsData[0].shape.closeStroke).to.be.true;
+        });
+    });
+
+    describe('drawCatmullRom', function ()
+    {
+        it('should pass through the points', function ()
+        {
+            const input = [0, 0, 50, 40, 100, 0, 150, 40];
+            const points = getPoints(new Graphics().lineStyle(1).drawCatmullRom(input));
+
+            for (let i = 0; i < input.length; i += 2)
+            {
+                expect(hasPoint(points, input[i], input[i + 1])).to.be.true;
+            }
+
+            expect(points.slice(-2)).to.deep.equal([150, 40]);
+            expect(points.length).to.be.above(input.length);
+        });
+
+        it('should draw straight lines with a tension of 1', function ()
+        {
+            const points = getPoints(new Graphics().drawCatmullRom([0, 0, 100, 0, 100, 100], false, 1));
+
+            for (let i = 0; i < points.length; i += 2)
+            {
+                const onTop = Math.abs(points[i + 1]) < 1e-6;
+                const onRight = Math.abs(points[i] - 100) < 1e-6;
+
+                expect(onTop || onRight).to.be.true;
+            }
+        });
+
+        it('should follow the direction of the neighbours', function ()
+        {
+            const points = getPoints(new Graphics().drawCatmullRom([0, 0, 50, 50, 100, 0]));
+            const index = points.findIndex((value, i) => i % 2 === 0 && value === 50 && points[i + 1] === 50);
+
+            // The tangent at the middle point is horizontal
+            expect(points[index - 1]).to.be.closeTo(points[index + 3], 1e-6);
+        });
+
+        it('should close the curve', function ()
+        {
+            const graphics = new Graphics()
+                .beginFill(0)
+                .drawCatmullRom([0, 0, 100, 0, 100, 100, 0, 100], true);
+            const points = getPoints(graphics);
+            const bounds = getBounds(points);
+
+            expect(graphics.geometry.graphicsData[0].shape.closeStroke).to.be.true;
+            expect(points.slice(-2)).to.deep.equal([0, 0]);
+            expect(bounds.minX).to.be.below(0);
+            expect(bounds.maxY).to.be.above(100);
+        });
+
+        it('should not draw a single point', function ()
+        {
+            const graphics = new Graphics().beginFill(0).drawCatmullRom([10, 10]);
+
+            expect(graphics.geometry.graphicsData).to.be.empty;
+            expect(graphics.currentPath).to.be.null;
+        });
+    });
+
+    describe('drawBSpline', function ()
+    {
+        it('should pass through the points', function ()
+        {
+            const input = [0, 0, 50, 40, 100, 0, 150, 40, 200, 10];
+            const points = getPoints(new Graphics().lineStyle(1).drawBSpline(input));
+
+            for (let i = 0; i < input.length; i += 2)
+            {
+                expect(hasPoint(points, input[i], input[i + 1])).to.be.true;
+            }
+
+            expect(points.slice(-2)).to.deep.equal([200, 10]);
+        });
+
+        it('should draw a line between two points', function ()
+        {
+            const points = getPoints(new Graphics().drawBSpline([0, 0, 100, 50]));
+
+            for (let i = 0; i < points.length; i += 2)
+            {
+                expect(points[i + 1]).to.be.closeTo(points[i] / 2, 1e-6);
+            }
+        });
+
+        it('should close the curve symmetrically', function ()
+        {
+            const graphics = new Graphics()
+                .beginFill(0)
+                .drawBSpline([0, -100, 100, 0, 0, 100, -100, 0], true);
+            const points = getPoints(graphics);
+            const bounds = getBounds(points);
+
+            expect(graphics.geometry.graphicsData[0].shape.closeStroke).to.be.true;
+            expect(points.slice(-2)).to.deep.equal([0, -100]);
+            expect(bounds.maxX).to.be.closeTo(-bounds.minX, 1e-6);
+            expect(bounds.maxY).to.be.closeTo(-bounds.minY, 1e-6);
+
+            // A B-spline through the corners of a diamond bulges out towards a circle
+            expect(hasPoint(points, 70.71, 70.71)).to.be.false;
+            expect(graphics.containsPoint({ x: 60, y: 60 })).to.be.true;
+        });
+
+        it('should be smoother than a Catmull-Rom spline', function ()
+        {
+            const input = [0, 0, 100, 0, 100, 100, 0, 100];
+            const bspline = getBounds(getPoints(new Graphics().drawBSpline(input, true)));
+            const catmullRom = getBounds(getPoints(new Graphics().drawCatmullRom(input, true)));
+
+            expect(bspline.maxX).to.be.above(catmullRom.maxX);
+        });
+    });
+
+    describe('drawDonutSegment', function ()
+    {
+        it('should draw a closed segment', function ()
+        {
+            const graphics = new Graphics()
+                .beginFill(0)
+                .lineStyle(2)
+                .drawDonutSegment(0, 0, 50, 100, 0, Math.PI / 2);
+            const points = getPoints(graphics);
+            const bounds = getBounds(points);
+
+            expect(graphics.geometry.graphicsData[0].shape.closeStroke).to.be.true;
+            expect(hasPoint(points, 100, 0)).to.be.true;
+            expect(hasPoint(points, 0, 100)).to.be.true;
+            expect(hasPoint(points, 0, 50)).to.be.true;
+            expect(hasPoint(points, 50, 0)).to.be.true;
+            expect(bounds.minX).to.be.closeTo(0, 1e-6);
+            expect(bounds.minY).to.be.closeTo(0, 1e-6);
+            expect(graphics.containsPoint({ x: 50, y: 50 })).to.be.true;
+            expect(graphics.containsPoint({ x: 20, y: 20 })).to.be.false;
+        });
+
+        it('should draw a ring for a full turn', function ()
+        {
+            const graphics = new Graphics()
+                .beginFill(0)
+                .drawDonutSegment(0, 0, 50, 100, 0, Math.PI * 2);
+            const data = graphics.geometry.graphicsData;
+
+            expect(data.length).to.equal(1);
+            expect(data[0].shape.type).to.equal(SHAPES.CIRC);
+            expect(data[0].holes.length).to.equal(1);
+        });
+
+        it('should not draw empty segments', function ()
+        {
+            const graphics = new Graphics().beginFill(0).drawDonutSegment(0, 0, 50, 100, 1, 1);
+
+            expect(graphics.geometry.graphicsData).to.be.empty;
+        });
+    });
+
+    describe('drawPie', function ()
+    {
+        it('should draw a slice from the center', function ()
+        {
+            const graphics = new Graphics().beginFill(0).drawPie(10, 10, 100, Math.PI, Math.PI * 1.5);
+            const points = getPoints(graphics);
+
+            expect(hasPoint(points, 10, 10)).to.be.true;
+            expect(hasPoint(points, -90, 10)).to.be.true;
+            expect(hasPoint(points, 10, -90)).to.be.true;
+            expect(graphics.containsPoint({ x: -20, y: -20 })).to.be.true;
+            expect(graphics.containsPoint({ x: 20, y: 20 })).to.be.false;
+        });
+
+        it('should draw a circle for a full turn', function ()
+        {
+            const graphics = new Graphics().beginFill(0).drawPie(0, 0, 100, 0, Math.PI * 2);
+            const data = graphics.geometry.graphicsData;
+
+            expect(data.length).to.equal(1);
+            expect(data[0].shape.type).to.equal(SHAPES.CIRC);
+            expect(data[0].holes).to.be.empty;
+        });
+    });
+});
@@ -10,19 +10,27 @@ import {
     SHAPES,
 } from '@pixi/math';
 
-import { Texture, UniformGroup, State, Renderer, BatchDrawCall } from '@pixi/core';
-import { BezierUtils, QuadraticUtils, ArcUtils, Star } from './utils';
+import { Texture, UniformGroup, State, Renderer, BatchDrawCall, BatchShaderGenerator } from '@pixi/core';
+import { BezierUtils, QuadraticUtils, ArcUtils, Star, interpolateWidths } from './utils';
 import { hex2rgb } from '@pixi/utils';
 import { GraphicsGeometry } from './GraphicsGeometry';
 import { FillStyle } from './styles/FillStyle';
 import { LineStyle } from './styles/LineStyle';
+import { GraphicsGradient } from './styles/GraphicsGradient';
 import { BLEND_MODES } from '@pixi/constants';
 import { Container } from '@pixi/display';
 import { Shader } from '@pixi/core';
 
 import type { IShape, IPointData } from '@pixi/math';
 import type { IDestroyOptions } from '@pixi/display';
-import { LINE_JOIN, LINE_CAP } from './const';
+import type { IGradientColorStop, IGradientOptions } from './styles/GraphicsGradient';
+import type { GraphicsData, IGraphicsCurve } from './GraphicsData';
+import { LINE_JOIN, LINE_CAP, GRADIENT_TYPE, CURVE_TYPE, GRAPHICS_CURVES } from './const';
+
+import type { FILL_RULE } from './const';
+
+import graphicsVertex from './shader/graphics.vert';
+import graphicsFragment from './shader/graphics.frag';
 
 /**
  * Batch element computed from Graphics geometry
@@ -44,6 +52,8 @@ export interface IFillStyleOptions {
     alpha?: number;
     texture?: Texture;
     matrix?: Matrix;
+    gradient?: GraphicsGradient | IGradientOptions;
+    fillRule?: FILL_RULE;
 }
 
 export interface ILineStyleOptions extends IFillStyleOptions {
@@ -53,13 +63,43 @@ export interface ILineStyleOptions extends IFillStyleOptions {
     cap?: LINE_CAP;
     join?: LINE_JOIN;
     miterLimit?: number;
+    dash?: number[];
+    dashOffset?: number;
+    dot?: boolean;
 }
 
 const temp = new Float32Array(3);
 
+/**
+ * Replaces the gradient options of a fill or line style by a gradient, along with the texture
+ * and matrix it provides.
+ *
+ * @private
+ * @param {object} options - The style options.
+ */
+function applyGradientOptions(options: IFillStyleOptions): void
+{
+    if (!options.gradient)
+    {
+        return;
+    }
+
+    const gradient = options.gradient instanceof GraphicsGradient
+        ? options.gradient
+        : new GraphicsGradient(options.gradient);
+
+    options.gradient = gradient;
+    options.texture = gradient.texture;
+    options.matrix = gradient.matrix;
+}
+
 // a default shaders map used by graphics..
 const DEFAULT_SHADERS: {[key: string]: Shader} = {};
 
+// shaders of anti-aliased graphics and graphics with radial gradients, by their defines and number of textures
+const FEATURE_SHADERS: {[key: string]: Shader} = {};
+const featureShaderGenerators: {[key: string]: BatchShaderGenerator} = {};
+
 export interface Graphics extends GlobalMixins.Graphics, Container {}
 
 /**
@@ -97,14 +137,19 @@ export class Graphics extends Container
 
     public shader: Shader;
     public pluginName: string;
+    public scaleAwareCurves: boolean;
+    public hitTolerance: number;
 
     protected currentPath: Polygon;
+    protected currentCurves: Array<IGraphicsCurve>;
+    protected currentWidths: Array<number>;
     protected batches: Array<IGraphicsBatchElement>;
     protected batchTint: number;
     protected batchDirty: number;
     protected vertexData: Float32Array;
 
     protected _fillStyle: FillStyle;
+    protected _fillRuleStyle: FillStyle;
     protected _lineStyle: LineStyle;
     protected _matrix: Matrix;
     protected _holeMode: boolean;
@@ -162,6 +207,14 @@ export class Graphics extends Container
          */
         this._fillStyle = new FillStyle();
 
+        /**
+         * Fill style shared by the shapes drawn since the current fill began, if it has a fill rule
+         *
+         * @member {PIXI.FillStyle}
+         * @protected
+         */
+        this._fillRuleStyle = null;
+
         /**
          * Current line style
          *
@@ -195,6 +248,44 @@ export class Graphics extends Container
          */
         this.currentPath = null;
 
+        /**
+         * Curves of the current path
+         *
+         * @member {PIXI.IGraphicsCurve[]}
+         * @protected
+         */
+        this.currentCurves = [];
+
+        /**
+         * Width of the line at each point of the current path, null while the width doesn't vary
+         *
+         * @member {number[]}
+         * @protected
+         */
+        this.currentWidths = null;
+
+        /**
+         * Whether to tessellate curves and circles again when the world scale of the graphics changes,
+         * so that they stay smooth when zoomed in and don't use too many vertices when zoomed out.
+         * They are tessellated again when the scale changes by more than `PIXI.GRAPHICS_CURVES.scaleThreshold`,
+         * which rebuilds the whole geometry. Geometries shared with other graphics are not tessellated again,
+         * since the graphics would change the scale of their curves back and forth.
+         *
+         * @member {boolean}
+         * @default false
+         */
+        this.scaleAwareCurves = false;
+
+        /**
+         * Extra distance around the shapes and lines of the graphics within which points are still
+         * considered inside, in local coordinates. It makes thin lines easier to hit with the
+         * {@link PIXI.InteractionManager}, which tests points with {@link PIXI.Graphics#containsPoint}.
+         *
+         * @member {number}
+         * @default 0
+         */
+        this.hitTolerance = 0;
+
         /**
          * When cacheAsBitmap is set to true the graphics object will be rendered as if it was a sprite.
          * This is useful if your graphics element does not change often, as it will speed up the rendering
@@ -356,6 +447,10 @@ export class Graphics extends Container
      * @param {PIXI.LINE_CAP}[options.cap=PIXI.LINE_CAP.BUTT] - line cap style
      * @param {PIXI.LINE_JOIN}[options.join=PIXI.LINE_JOIN.MITER] - line join style
      * @param {number}[options.miterLimit=10] - miter limit ratio
+     * @param {number[]}[options.dash=[]] - alternating lengths of dashes and gaps, lines are solid if empty
+     * @param {number}[options.dashOffset=0] - distance into the dash pattern at which lines start
+     * @param {boolean}[options.dot=false] - draw round dots instead of dashes, `dash` is then the spacing of the dots
+     * @param {PIXI.GraphicsGradient|PIXI.IGradientOptions} [options.gradient=null] - gradient to color the line with
      * @return {PIXI.Graphics} This Graphics object. Good for chaining method calls
      */
     public lineStyle(options: ILineStyleOptions = null): this
@@ -393,6 +488,11 @@ export class Graphics extends Container
      * @param {PIXI.LINE_CAP}[options.cap=PIXI.LINE_CAP.BUTT] - line cap style
      * @param {PIXI.LINE_JOIN}[options.join=PIXI.LINE_JOIN.MITER] - line join style
      * @param {number}[options.miterLimit=10] - miter limit ratio
+     * @param {number[]}[options.dash=[]] - alternating lengths of dashes and gaps, lines are solid if empty
+     * @param {number}[options.dashOffset=0] - distance into the dash pattern at which lines start
+     * @param {boolean}[options.dot=false] - draw round dots instead of dashes, `dash` is then the spacing of the dots
+     * @param {PIXI.GraphicsGradient|PIXI.IGradientOptions} [options.gradient=null] - Gradient to use, it replaces
+     *  the texture and matrix
      * @return {PIXI.Graphics} This Graphics object. Good for chaining method calls
      */
     public lineTextureStyle(options: ILineStyleOptions): this
@@ -401,14 +501,18 @@ export class Graphics extends Container
         options = Object.assign({
             width: 0,
             texture: Texture.WHITE,
-            color: (options && options.texture) ? 0xFFFFFF : 0x0,
+            color: (options && (options.texture || options.gradient)) ? 0xFFFFFF : 0x0,
             alpha: 1,
             matrix: null,
+            gradient: null,
             alignment: 0.5,
             native: false,
             cap: LINE_CAP.BUTT,
             join: LINE_JOIN.MITER,
             miterLimit: 10,
+            dash: [],
+            dashOffset: 0,
+            dot: false,
         }, options);
 
         if (this.currentPath)
@@ -424,12 +528,16 @@ export class Graphics extends Container
         }
         else
         {
+            applyGradientOptions(options);
+
             if (options.matrix)
             {
                 options.matrix = options.matrix.clone();
                 options.matrix.invert();
             }
 
+            options.dash = options.dash ? options.dash.slice() : [];
+
             Object.assign(this._lineStyle, { visible }, options);
         }
 
@@ -453,12 +561,16 @@ export class Graphics extends Container
                 this.currentPath = new Polygon();
                 this.currentPath.closeStroke = false;
                 this.currentPath.points.push(points[len - 2], points[len - 1]);
+                this.currentCurves = [];
+                this.currentWidths = null;
             }
         }
         else
         {
             this.currentPath = new Polygon();
             this.currentPath.closeStroke = false;
+            this.currentCurves = [];
+            this.currentWidths = null;
         }
     }
 
@@ -479,6 +591,9 @@ export class Graphics extends Container
             {
                 this.currentPath.points.length = 0;
             }
+
+            this.currentCurves = [];
+            this.currentWidths = null;
         }
     }
 
@@ -487,13 +602,16 @@ export class Graphics extends Container
      *
      * @param {number} x - the X coordinate to move to
      * @param {number} y - the Y coordinate to move to
+     * @param {number} [width] - the width of the line at this point, see {@link PIXI.Graphics#lineTo}
      * @return {PIXI.Graphics} This Graphics object. Good for chaining method calls
      */
-    public moveTo(x: number, y: number): this
+    public moveTo(x: number, y: number, width?: number): this
     {
         this.startPoly();
         this.currentPath.points[0] = x;
         this.currentPath.points[1] = y;
+        this.currentWidths = null;
+        this._addWidths(0, width);
 
         return this;
     }
@@ -502,11 +620,24 @@ export class Graphics extends Container
      * Draws a line using the current line style from the current drawing position to (x, y);
      * The current drawing position is then set to (x, y).
      *
+     * The width of the line can vary along the path, for tapered or hand-drawn strokes: the line gets wider
+     * or thinner from the previous point to the width given at this point, joins and caps follow the width
+     * at their point. Points without a width keep the width of the previous point, which is the width of
+     * the line style at first. Arcs keep the width of the point before them.
+     *
+     * @example
+     * graphics
+     *     .lineStyle(1, 0x000000)
+     *     .moveTo(0, 0, 1)
+     *     .lineTo(50, 20, 8)
+     *     .lineTo(100, 0, 1);
+     *
      * @param {number} x - the X coordinate to draw to
      * @param {number} y - the Y coordinate to draw to
+     * @param {number} [width] - the width of the line at this point
      * @return {PIXI.Graphics} This Graphics object. Good for chaining method calls
      */
-    public lineTo(x: number, y: number): this
+    public lineTo(x: number, y: number, width?: number): this
     {
         if (!this.currentPath)
         {
@@ -515,6 +646,7 @@ export class Graphics extends Container
 
         // remove duplicates..
         const points = this.currentPath.points;
+        const start = points.length;
         const fromX = points[points.length - 2];
         const fromY = points[points.length - 1];
 
@@ -523,9 +655,49 @@ export class Graphics extends Container
             points.push(x, y);
         }
 
+        this._addWidths(start, width);
+
         return this;
     }
 
+    /**
+     * Keeps the width of the line at the points added to the current path, when the width varies.
+     *
+     * @protected
+     * @param {number} start - The index of the first coordinate of the added points in the points of the path
+     * @param {number} [width] - The width of the line at the last added point, the width changes along the
+     *  added points from the width at the point before them, and stays the same when not given
+     */
+    protected _addWidths(start: number, width?: number): void
+    {
+        let widths = this.currentWidths;
+
+        if (!widths)
+        {
+            if (width === undefined)
+            {
+                return;
+            }
+
+            widths = this.currentWidths = [];
+        }
+
+        // points added without a width keep the width before them
+        const count = start / 2;
+
+        widths.length = Math.min(widths.length, count);
+
+        const from = widths.length ? widths[widths.length - 1] : this._lineStyle.width;
+
+        while (widths.length < count)
+        {
+            widths.push(from);
+        }
+
+        interpolateWidths(this.currentPath.points, start, this.currentPath.points.length,
+            from, width === undefined ? from : width, widths);
+    }
+
     /**
      * Initialize the curve
      *
@@ -556,9 +728,10 @@ export class Graphics extends Container
      * @param {number} cpY - Control point y
      * @param {number} toX - Destination point x
      * @param {number} toY - Destination point y
+     * @param {number} [width] - Width of the line at the destination point, see {@link PIXI.Graphics#lineTo}
      * @return {PIXI.Graphics} This Graphics object. Good for chaining method calls
      */
-    public quadraticCurveTo(cpX: number, cpY: number, toX: number, toY: number): this
+    public quadraticCurveTo(cpX: number, cpY: number, toX: number, toY: number, width?: number): this
     {
         this._initCurve();
 
@@ -569,7 +742,12 @@ export class Graphics extends Container
             this.moveTo(0, 0);
         }
 
-        QuadraticUtils.curveTo(cpX, cpY, toX, toY, points);
+        const start = points.length;
+        const params = [points[start - 2], points[start - 1], cpX, cpY, toX, toY];
+
+        QuadraticUtils.curveTo(cpX, cpY, toX, toY, points, this._geometry.curveScale);
+        this._addCurve(CURVE_TYPE.QUADRATIC, start, params);
+        this._addWidths(start, width);
 
         return this;
     }
@@ -583,13 +761,21 @@ export class Graphics extends Container
      * @param {number} cpY2 - Second Control point y
      * @param {number} toX - Destination point x
      * @param {number} toY - Destination point y
+     * @param {number} [width] - Width of the line at the destination point, see {@link PIXI.Graphics#lineTo}
      * @return {PIXI.Graphics} This Graphics object. Good for chaining method calls
      */
-    public bezierCurveTo(cpX: number, cpY: number, cpX2: number, cpY2: number, toX: number, toY: number): this
+    public bezierCurveTo(cpX: number, cpY: number, cpX2: number, cpY2: number, toX: number, toY: number,
+        width?: number): this
     {
         this._initCurve();
 
-        BezierUtils.curveTo(cpX, cpY, cpX2, cpY2, toX, toY, this.currentPath.points);
+        const points = this.currentPath.points;
+        const start = points.length;
+        const params = [points[start - 2], points[start - 1], cpX, cpY, cpX2, cpY2, toX, toY];
+
+        BezierUtils.curveTo(cpX, cpY, cpX2, cpY2, toX, toY, points, this._geometry.curveScale);
+        this._addCurve(CURVE_TYPE.BEZIER, start, params);
+        this._addWidths(start, width);
 
         return this;
     }
@@ -692,22 +878,58 @@ export class Graphics extends Container
             points = this.currentPath.points;
         }
 
-        ArcUtils.arc(startX, startY, cx, cy, radius, startAngle, endAngle, anticlockwise, points);
+        const start = points.length;
+
+        ArcUtils.arc(startX, startY, cx, cy, radius, startAngle, endAngle, anticlockwise, points,
+            this._geometry.curveScale);
+        this._addCurve(CURVE_TYPE.ARC, start, [cx, cy, radius, startAngle, endAngle, anticlockwise ? 1 : 0]);
+        this._addWidths(start);
 
         return this;
     }
 
+    /**
+     * Keeps the definition of a curve of the current path, to tessellate it again at another scale.
+     *
+     * @protected
+     * @param {PIXI.CURVE_TYPE} type - The type of curve
+     * @param {number} start - The index of the first coordinate of the curve in the points of the path
+     * @param {number[]} params - The arguments of the curve
+     */
+    protected _addCurve(type: CURVE_TYPE, start: number, params: number[]): void
+    {
+        const length = this.currentPath.points.length - start;
+
+        if (length > 0)
+        {
+            this.currentCurves.push({ type, start, length, params });
+        }
+    }
+
     /**
      * Specifies a simple one-color fill that subsequent calls to other Graphics methods
      * (such as lineTo() or drawCircle()) use when drawing.
      *
+     * With a fill rule, the shapes drawn until the fill ends are filled together like a single path of the
+     * Canvas API: the rule decides where overlapping and self-intersecting shapes are filled, so that holes
+     * don't have to be drawn with `beginHole`.
+     *
+     * @example
+     * graphics
+     *     .beginFill(0xff0000, 1, PIXI.FILL_RULE.EVENODD)
+     *     .drawCircle(50, 50, 50)
+     *     .drawCircle(50, 50, 25)
+     *     .endFill();
+     *
      * @param {number} [color=0] - the color of the fill
      * @param {number} [alpha=1] - the alpha of the fill
+     * @param {PIXI.FILL_RULE} [fillRule=null] - the rule deciding which parts of the shapes are filled,
+     *  each shape is filled on its own without a rule
      * @return {PIXI.Graphics} This Graphics object. Good for chaining method calls
      */
-    public beginFill(color = 0, alpha = 1): this
+    public beginFill(color = 0, alpha = 1, fillRule: FILL_RULE = null): this
     {
-        return this.beginTextureFill({ texture: Texture.WHITE, color, alpha });
+        return this.beginTextureFill({ texture: Texture.WHITE, color, alpha, fillRule });
     }
 
     /**
@@ -718,6 +940,10 @@ export class Graphics extends Container
      * @param {number} [options.color=0xffffff] - Background to fill behind texture
      * @param {number} [options.alpha=1] - Alpha of fill
      * @param {PIXI.Matrix} [options.matrix=null] - Transform matrix
+     * @param {PIXI.GraphicsGradient|PIXI.IGradientOptions} [options.gradient=null] - Gradient to fill with, it
+     *  replaces the texture and matrix
+     * @param {PIXI.FILL_RULE} [options.fillRule=null] - Rule deciding which parts of the shapes are filled,
+     *  see {@link PIXI.Graphics#beginFill}
      * @return {PIXI.Graphics} This Graphics object. Good for chaining method calls
      */
     beginTextureFill(options?: IFillStyleOptions): this
@@ -728,6 +954,8 @@ export class Graphics extends Container
             color: 0xFFFFFF,
             alpha: 1,
             matrix: null,
+            gradient: null,
+            fillRule: null,
         }, options) as IFillStyleOptions;
 
         if (this.currentPath)
@@ -735,6 +963,8 @@ export class Graphics extends Container
             this.startPoly();
         }
 
+        this._fillRuleStyle = null;
+
         const visible = options.alpha > 0;
 
         if (!visible)
@@ -743,6 +973,8 @@ export class Graphics extends Container
         }
         else
         {
+            applyGradientOptions(options);
+
             if (options.matrix)
             {
                 options.matrix = options.matrix.clone();
@@ -755,6 +987,66 @@ export class Graphics extends Container
         return this;
     }
 
+    /**
+     * Begins a fill with a linear gradient, which changes colors along the line between two points.
+     * The points are in the local coordinates of the shapes.
+     *
+     * @example
+     * graphics
+     *     .beginLinearGradientFill(0, 0, 100, 0, [
+     *         { offset: 0, color: 0xff0000 },
+     *         { offset: 1, color: 0x0000ff },
+     *     ])
+     *     .drawRect(0, 0, 100, 100);
+     *
+     * @param {number} x0 - The x coordinate of the start point
+     * @param {number} y0 - The y coordinate of the start point
+     * @param {number} x1 - The x coordinate of the end point
+     * @param {number} y1 - The y coordinate of the end point
+     * @param {PIXI.IGradientColorStop[]} colorStops - The colors along the gradient
+     * @param {number} [alpha=1] - Alpha of the fill
+     * @return {PIXI.Graphics} This Graphics object. Good for chaining method calls
+     */
+    public beginLinearGradientFill(x0: number, y0: number, x1: number, y1: number,
+        colorStops: IGradientColorStop[], alpha = 1): this
+    {
+        return this.beginTextureFill({
+            alpha,
+            gradient: { type: GRADIENT_TYPE.LINEAR, x0, y0, x1, y1, colorStops },
+        });
+    }
+
+    /**
+     * Begins a fill with a radial gradient, which changes colors from a start circle to an end circle.
+     * The circles are in the local coordinates of the shapes.
+     *
+     * @example
+     * graphics
+     *     .beginRadialGradientFill(50, 50, 0, 50, 50, 50, [
+     *         { offset: 0, color: 0xffffff },
+     *         { offset: 1, color: 0x000000, alpha: 0 },
+     *     ])
+     *     .drawCircle(50, 50, 50);
+     *
+     * @param {number} x0 - The x coordinate of the center of the start circle
+     * @param {number} y0 - The y coordinate of the center of the start circle
+     * @param {number} r0 - The radius of the start circle
+     * @param {number} x1 - The x coordinate of the center of the end circle
+     * @param {number} y1 - The y coordinate of the center of the end circle
+     * @param {number} r1 - The radius of the end circle
+     * @param {PIXI.IGradientColorStop[]} colorStops - The colors along the gradient
+     * @param {number} [alpha=1] - Alpha of the fill
+     * @return {PIXI.Graphics} This Graphics object. Good for chaining method calls
+     */
+    public beginRadialGradientFill(x0: number, y0: number, r0: number, x1: number, y1: number, r1: number,
+        colorStops: IGradientColorStop[], alpha = 1): this
+    {
+        return this.beginTextureFill({
+            alpha,
+            gradient: { type: GRADIENT_TYPE.RADIAL, x0, y0, r0, x1, y1, r1, colorStops },
+        });
+    }
+
     /**
      * Applies a fill to the lines and shapes that were added since the last call to the beginFill() method.
      *
@@ -765,6 +1057,7 @@ export class Graphics extends Container
         this.finishPoly();
 
         this._fillStyle.reset();
+        this._fillRuleStyle = null;
 
         return this;
     }
@@ -826,17 +1119,20 @@ export class Graphics extends Container
     }
 
     public drawPolygon(...path: Array<number> | Array<Point>): this
-    public drawPolygon(path: Array<number> | Array<Point> | Polygon): this
+    public drawPolygon(path: Array<number> | Array<Point> | Polygon, widths?: Array<number>): this
 
     /**
      * Draws a polygon using the given path.
      *
      * @param {number[]|PIXI.Point[]|PIXI.Polygon} path - The path data used to construct the polygon.
+     * @param {number[]} [widths] - The width of the line at each point of the polygon, when the path is given
+     *  as an array or polygon, see {@link PIXI.Graphics#lineTo}
      * @return {PIXI.Graphics} This Graphics object. Good for chaining method calls
      */
     public drawPolygon(...path: any[]): this
     {
         let points: Array<number> | Array<Point>;
+        let widths: Array<number> = null;
         let closeStroke = true;// !!this._fillStyle;
 
         const poly = path[0] as Polygon;
@@ -846,11 +1142,13 @@ export class Graphics extends Container
         {
             closeStroke = poly.closeStroke;
             points = poly.points;
+            widths = path[1];
         }
         else
         if (Array.isArray(path[0]))
         {
             points = path[0];
+            widths = path[1];
         }
         else
         {
@@ -863,6 +1161,13 @@ export class Graphics extends Container
 
         this.drawShape(shape);
 
+        const data = widths ? this.getLastShapeData() : null;
+
+        if (data && data.shape === shape)
+        {
+            data.widths = widths.slice();
+        }
+
         return this;
     }
 
@@ -874,23 +1179,71 @@ export class Graphics extends Container
      */
     public drawShape(shape: IShape): this
     {
+        const geometry = this._geometry;
+
         if (!this._holeMode)
         {
-            this._geometry.drawShape(
+            let fillStyle = this._fillRuleStyle;
+
+            // Shapes filled with a rule are filled together, they share their fill style
+            if (!fillStyle)
+            {
+                fillStyle = this._fillStyle.clone();
+
+                if (fillStyle.visible && fillStyle.fillRule)
+                {
+                    this._fillRuleStyle = fillStyle;
+                }
+            }
+
+            geometry.drawShape(
                 shape,
-                this._fillStyle.clone(),
+                fillStyle,
                 this._lineStyle.clone(),
                 this._matrix
             );
         }
-        else
+        else if (!geometry.drawHole(shape, this._matrix))
+        {
+            return this;
+        }
+
+        if (shape === this.currentPath && (this.currentCurves.length || this.currentWidths))
         {
-            this._geometry.drawHole(shape, this._matrix);
+            const data = this.getLastShapeData();
+
+            data.curves = this.currentCurves;
+
+            if (this.currentWidths)
+            {
+                // the points added without a width keep the last width
+                this._addWidths(this.currentPath.points.length);
+                data.widths = this.currentWidths;
+            }
         }
 
         return this;
     }
 
+    /**
+     * The data of the last shape or hole drawn.
+     *
+     * @protected
+     * @return {PIXI.GraphicsData} The last shape, or its last hole while drawing holes
+     */
+    protected getLastShapeData(): GraphicsData
+    {
+        const graphicsData = this._geometry.graphicsData;
+        const lastShape = graphicsData[graphicsData.length - 1];
+
+        if (this._holeMode && lastShape)
+        {
+            return lastShape.holes[lastShape.holes.length - 1];
+        }
+
+        return lastShape;
+    }
+
     /**
      * Draw a star shape with an arbitrary number of points.
      *
@@ -917,6 +1270,7 @@ export class Graphics extends Container
         this._geometry.clear();
         this._lineStyle.reset();
         this._fillStyle.reset();
+        this._fillRuleStyle = null;
 
         this._boundsID++;
         this._matrix = null;
@@ -950,6 +1304,7 @@ export class Graphics extends Container
     protected _render(renderer: Renderer): void
     {
         this.finishPoly();
+        this.updateCurveScale();
 
         const geometry = this._geometry;
         const hasuint32 = renderer.context.supports.uint32Indices;
@@ -976,6 +1331,29 @@ export class Graphics extends Container
         }
     }
 
+    /**
+     * Tessellates the curves and circles again if `scaleAwareCurves` is set and the world scale changed
+     * by more than `PIXI.GRAPHICS_CURVES.scaleThreshold` since they were tessellated, and the geometry is not
+     * shared with other graphics. Called when rendering.
+     */
+    public updateCurveScale(): void
+    {
+        if (!this.scaleAwareCurves || this._geometry.refCount > 1)
+        {
+            return;
+        }
+
+        const { a, b, c, d } = this.transform.worldTransform;
+        const scale = Math.max(Math.sqrt((a * a) + (b * b)), Math.sqrt((c * c) + (d * d)));
+        const ratio = scale / this._geometry.curveScale;
+        const threshold = GRAPHICS_CURVES.scaleThreshold;
+
+        if (scale > 0 && (ratio > threshold || ratio < 1 / threshold))
+        {
+            this._geometry.curveScale = scale;
+        }
+    }
+
     /**
      * Populating batches for rendering
      *
@@ -1078,6 +1456,14 @@ export class Graphics extends Container
         uniforms.tint[2] = ((tint & 0xFF) / 255) * worldAlpha;
         uniforms.tint[3] = worldAlpha;
 
+        if (geometry.antialias)
+        {
+            const target = renderer.renderTexture.current;
+
+            // the fringe is one pixel of the render target wide
+            uniforms.fringeWidth = 1 / (target ? target.baseTexture.resolution : renderer.resolution);
+        }
+
         // the first draw call, we can set the uniforms of the shader directly here.
 
         // this means that we can tack advantage of the sync function of pixi!
@@ -1127,7 +1513,29 @@ export class Graphics extends Container
 
         const pluginName = this.pluginName;
 
-        if (!shader)
+        if (!shader && (this._geometry.antialias || this._geometry.radialGradients))
+        {
+            const MAX_TEXTURES = renderer.plugins.batch.MAX_TEXTURES;
+            const defines = (this._geometry.antialias ? '#define ANTIALIAS\n' : '')
+                + (this._geometry.radialGradients ? '#define RADIAL_GRADIENTS\n' : '');
+            const key = `${defines}${MAX_TEXTURES}`;
+
+            if (!FEATURE_SHADERS[key])
+            {
+                if (!featureShaderGenerators[defines])
+                {
+                    featureShaderGenerators[defines] = new BatchShaderGenerator(
+                        defines + graphicsVertex, defines + graphicsFragment);
+                }
+
+                const { program, uniforms } = featureShaderGenerators[defines].generateShader(MAX_TEXTURES);
+
+                FEATURE_SHADERS[key] = new Shader(program, Object.assign({ fringeWidth: 1 }, uniforms));
+            }
+
+            shader = FEATURE_SHADERS[key];
+        }
+        else if (!shader)
         {
             // if there is no shader here, we can use the default shader.
             // and that only gets created if we actually need it..
@@ -1182,16 +1590,20 @@ export class Graphics extends Container
     }
 
     /**
-     * Tests if a point is inside this graphics object
+     * Tests if a point is inside this graphics object: inside its filled shapes, or on its lines,
+     * following their width, alignment, joins and caps.
      *
      * @param {PIXI.IPointData} point - the point to test
+     * @param {number} [tolerance=this.hitTolerance] - extra distance around the shapes and lines
+     *  within which the point is still inside, in local coordinates
      * @return {boolean} the result of the test
      */
-    public containsPoint(point: IPointData): boolean
+    public containsPoint(point: IPointData, tolerance = this.hitTolerance): boolean
     {
+        this.finishPoly();
         this.worldTransform.applyInverse(point, Graphics._TEMP_POINT);
 
-        return this._geometry.containsPoint(Graphics._TEMP_POINT);
+        return this._geometry.containsPoint(Graphics._TEMP_POINT, tolerance);
     }
 
     /**
@@ -1342,6 +1754,7 @@ export class Graphics extends Container
         if (this._geometry.refCount === 0)
         {
             this._geometry.dispose();
+            this._geometry.releaseGradients();
         }
 
         this._matrix = null;
@@ -1350,6 +1763,7 @@ export class Graphics extends Container
         this._lineStyle = null;
         this._fillStyle.destroy();
         this._fillStyle = null;
+        this._fillRuleStyle = null;
         this._geometry = null;
         this.shader = null;
         this.vertexData = null;
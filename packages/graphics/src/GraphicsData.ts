@@ -1,6 +1,27 @@
 import type { Matrix, SHAPES, IShape } from '@pixi/math';
 import type { FillStyle } from './styles/FillStyle';
 import type { LineStyle } from './styles/LineStyle';
+import type { CURVE_TYPE } from './const';
+
+/**
+ * The definition of a curve of a polygon, and where its points are in the polygon.
+ *
+ * @memberof PIXI
+ * @typedef {object} IGraphicsCurve
+ * @property {PIXI.CURVE_TYPE} type - The type of curve.
+ * @property {number} start - The index of the first coordinate of the curve in the points of the polygon,
+ *  after its starting point.
+ * @property {number} length - The number of coordinates of the curve in the points of the polygon.
+ * @property {number[]} params - The arguments of the curve: the starting point, control points and end point of
+ *  bezier curves, or the center, radius, start angle, end angle and 1 if anticlockwise of arcs.
+ */
+export interface IGraphicsCurve
+{
+    type: CURVE_TYPE;
+    start: number;
+    length: number;
+    params: number[];
+}
 
 /**
  * A class to contain data useful for Graphics objects
@@ -17,6 +38,9 @@ export class GraphicsData
     type: SHAPES;
     points: number[];
     holes: Array<GraphicsData>;
+    curves: Array<IGraphicsCurve>;
+    curveScale: number;
+    widths: number[];
     /**
      *
      * @param {PIXI.Circle|PIXI.Ellipse|PIXI.Polygon|PIXI.Rectangle|PIXI.RoundedRectangle} shape - The shape object to draw.
@@ -67,6 +91,27 @@ export class GraphicsData
          * @member {PIXI.GraphicsData[]}
          */
         this.holes = [];
+
+        /**
+         * The curves of a polygon, so that it can be tessellated again at another scale.
+         * @member {PIXI.IGraphicsCurve[]}
+         */
+        this.curves = [];
+
+        /**
+         * The scale the curves and circles are tessellated at.
+         * @member {number}
+         * @default 1
+         */
+        this.curveScale = 1;
+
+        /**
+         * The width of the line at each point of a polygon, to draw lines of varying width.
+         * The line has the width of its style when null.
+         * @member {number[]}
+         * @default null
+         */
+        this.widths = null;
     }
 
     /**
@@ -95,6 +140,8 @@ export class GraphicsData
         this.holes = null;
         this.points.length = 0;
         this.points = null;
+        this.curves = null;
+        this.widths = null;
         this.lineStyle = null;
         this.fillStyle = null;
     }
@@ -1,9 +1,18 @@
 import {
+    ArcUtils,
+    BezierUtils,
+    QuadraticUtils,
+    buildFringe,
     buildLine,
+    interpolateWidths,
     buildPoly,
     BatchPart,
     FILL_COMMANDS,
     BATCH_POOL,
+    hitTestLine,
+    fillRuleContains,
+    signedArea,
+    triangulateFillRule,
     DRAW_CALL_POOL,
 } from './utils';
 
@@ -12,18 +21,21 @@ import {
     BatchDrawCall,
     BatchTextureArray,
     BaseTexture,
+    Buffer,
     Texture,
 } from '@pixi/core';
 
-import { DRAW_MODES, WRAP_MODES } from '@pixi/constants';
+import { DRAW_MODES, TYPES, WRAP_MODES } from '@pixi/constants';
 import { SHAPES, Point, Matrix } from '@pixi/math';
 import { GraphicsData } from './GraphicsData';
 import { premultiplyTint } from '@pixi/utils';
 import { Bounds } from '@pixi/display';
+import { CURVE_TYPE, GRADIENT_TYPE, LINE_JOIN } from './const';
 
 import type { Circle, Ellipse, Polygon, Rectangle, RoundedRectangle, IPointData } from '@pixi/math';
 import type { FillStyle } from './styles/FillStyle';
-import type { LineStyle } from './styles/LineStyle';
+import type { GraphicsGradient } from './styles/GraphicsGradient';
+import { LineStyle } from './styles/LineStyle';
 
 /*
  * Complex shape type
@@ -33,6 +45,96 @@ type IShape = Circle | Ellipse | Polygon | Rectangle | RoundedRectangle;
 
 const tmpPoint = new Point();
 const tmpBounds = new Bounds();
+const tmpMatrix = new Matrix();
+
+/*
+ * Style of the outline that extends the fills by the hit test tolerance
+ */
+const OUTLINE_STYLE = new LineStyle();
+
+OUTLINE_STYLE.width = 0;
+OUTLINE_STYLE.join = LINE_JOIN.ROUND;
+
+/*
+ * Widest width of a line of varying width, 0 when its width doesn't vary
+ */
+function maxWidth(widths: Array<number>): number
+{
+    let max = 0;
+
+    if (widths)
+    {
+        for (let i = 0; i < widths.length; i++)
+        {
+            max = Math.max(max, widths[i]);
+        }
+    }
+
+    return max;
+}
+
+/*
+ * Releases gradients retained by shapes, disposing the ones that no shapes use anymore
+ */
+function releaseGradients(gradients: Array<GraphicsGradient>): void
+{
+    for (let i = 0; i < gradients.length; i++)
+    {
+        gradients[i].refCount--;
+
+        if (gradients[i].refCount === 0)
+        {
+            gradients[i].dispose();
+        }
+    }
+
+    gradients.length = 0;
+}
+
+/**
+ * A batch of triangles built for a {@link PIXI.GraphicsGeometry}, with its style given by the shape it belongs to.
+ *
+ * @memberof PIXI
+ * @typedef {object} IGraphicsBatchData
+ * @property {number} shapeIndex - Index of the shape whose style the batch is drawn with
+ * @property {boolean} line - Whether the batch is drawn with the line style of the shape instead of its fill style
+ * @property {number} start - Index of the first index of the batch
+ * @property {number} size - Number of indices of the batch
+ * @property {number} attribStart - Index of the first vertex of the batch
+ * @property {number} attribSize - Number of vertices of the batch
+ */
+export interface IGraphicsBatchData
+{
+    shapeIndex: number;
+    line: boolean;
+    start: number;
+    size: number;
+    attribStart: number;
+    attribSize: number;
+}
+
+/**
+ * The triangles built for the shapes of a {@link PIXI.GraphicsGeometry}, see
+ * {@link PIXI.GraphicsGeometry#getBatchesData}.
+ *
+ * @memberof PIXI
+ * @typedef {object} IGraphicsBatchesData
+ * @property {ArrayLike<number>} points - The vertices, 2 numbers per vertex
+ * @property {ArrayLike<number>} uvs - The texture coordinates of the vertices
+ * @property {ArrayLike<number>} indices - The indices of the vertices of the triangles
+ * @property {ArrayLike<number>} fringes - The anti-aliasing fringe data of the vertices, if anti-aliased
+ * @property {PIXI.IGraphicsBatchData[]} batches - The batches of triangles
+ * @property {number[]} bounds - The bounds of the geometry, as `[minX, minY, maxX, maxY]`
+ */
+export interface IGraphicsBatchesData
+{
+    points: ArrayLike<number>;
+    uvs: ArrayLike<number>;
+    indices: ArrayLike<number>;
+    fringes: ArrayLike<number>;
+    batches: Array<IGraphicsBatchData>;
+    bounds: Array<number>;
+}
 
 /**
  * The Graphics class contains methods used to draw primitive shapes such as lines, circles and
@@ -64,11 +166,13 @@ export class GraphicsGeometry extends BatchGeometry
     uvsFloat32: Float32Array = null;
     indicesUint16: Uint16Array | Uint32Array = null;
     batchable: boolean;
+    radialGradients: boolean;
     points: Array<number>;
     colors: Array<number>;
     uvs: Array<number>;
     indices: Array<number>;
     textureIds: Array<number>;
+    fringes: Array<number>;
     graphicsData: Array<GraphicsData>;
     drawCalls: Array<BatchDrawCall>;
     batchDirty: number;
@@ -76,10 +180,21 @@ export class GraphicsGeometry extends BatchGeometry
 
     protected dirty: number;
     protected cacheDirty: number;
+    protected packDirty: number;
     protected clearDirty: number;
     protected shapeIndex: number;
     protected _bounds: Bounds;
     protected boundsDirty: number;
+    protected outlinesDirty: number;
+    protected _outlines: Array<Array<Array<number>>>;
+    protected _contours: Array<Array<Array<number>>>;
+    protected _antialias: boolean;
+    protected _curveScale: number;
+    protected _fringeBuffer: Buffer;
+    protected _gradientBuffer: Buffer;
+    protected _gradients: Array<GraphicsGradient>;
+    protected _staleGradients: Array<GraphicsGradient>;
+    protected _gradientsReleased: boolean;
 
     constructor()
     {
@@ -125,6 +240,15 @@ export class GraphicsGeometry extends BatchGeometry
          */
         this.textureIds = [];
 
+        /**
+         * The anti-aliasing fringe data of the vertices, 3 numbers per point: the direction
+         * to push the vertex in, and its coverage.
+         *
+         * @member {number[]}
+         * @protected
+         */
+        this.fringes = [];
+
         /**
          * The collection of drawn shapes.
          *
@@ -157,6 +281,14 @@ export class GraphicsGeometry extends BatchGeometry
          */
         this.cacheDirty = -1;
 
+        /**
+         * The dirty id of the shapes when their batches were last packed for the renderer.
+         *
+         * @member {number}
+         * @protected
+         */
+        this.packDirty = -1;
+
         /**
          * Used to detect if we cleared the graphicsData.
          *
@@ -191,6 +323,31 @@ export class GraphicsGeometry extends BatchGeometry
          */
         this.shapeIndex = 0;
 
+        /**
+         * The gradients of the batched shapes, counted in their `refCount` until the shapes are built again.
+         *
+         * @member {PIXI.GraphicsGradient[]}
+         * @protected
+         */
+        this._gradients = [];
+
+        /**
+         * The gradients of the shapes built before the geometry was invalidated. They are released once the
+         * shapes are built again, so that the textures of the gradients they still use are kept.
+         *
+         * @member {PIXI.GraphicsGradient[]}
+         * @protected
+         */
+        this._staleGradients = [];
+
+        /**
+         * Whether the gradients of the built shapes were released, they are retained again when rendered.
+         *
+         * @member {boolean}
+         * @protected
+         */
+        this._gradientsReleased = false;
+
         /**
          * Cached bounds.
          *
@@ -207,6 +364,30 @@ export class GraphicsGeometry extends BatchGeometry
          */
         this.boundsDirty = -1;
 
+        /**
+         * The outlines of the shapes and of their holes, by index of shape, computed for hit tests.
+         *
+         * @member {Array<number[][]>}
+         * @protected
+         */
+        this._outlines = [];
+
+        /**
+         * The contours of the shapes filled with fill rules, by index of their first shape, computed for hit tests.
+         *
+         * @member {Array<number[][]>}
+         * @protected
+         */
+        this._contours = [];
+
+        /**
+         * The dirty id of the shapes when their outlines and contours were computed.
+         *
+         * @member {number}
+         * @protected
+         */
+        this.outlinesDirty = -1;
+
         /**
          * Padding to add to the bounds.
          *
@@ -217,6 +398,14 @@ export class GraphicsGeometry extends BatchGeometry
 
         this.batchable = false;
 
+        /**
+         * Whether the shapes have radial gradients, they are drawn with their own shader and are never batched.
+         *
+         * @member {boolean}
+         * @readonly
+         */
+        this.radialGradients = false;
+
         this.indicesUint16 = null;
 
         this.uvsFloat32 = null;
@@ -228,6 +417,94 @@ export class GraphicsGeometry extends BatchGeometry
          * @member {number}
          */
         this.closePointEps = 1e-4;
+
+        this._antialias = false;
+        this._curveScale = 1;
+
+        /**
+         * Buffer of the anti-aliasing fringe data, created when the geometry is first anti-aliased.
+         *
+         * @member {PIXI.Buffer}
+         * @protected
+         */
+        this._fringeBuffer = null;
+
+        /**
+         * Buffer of the circles of the radial gradients of the vertices, created when the shapes have radial
+         * gradients, see {@link PIXI.GraphicsGradient#circles}.
+         *
+         * @member {PIXI.Buffer}
+         * @protected
+         */
+        this._gradientBuffer = null;
+    }
+
+    /**
+     * Whether to smooth the edges of the fills and lines with a thin fringe that fades out, one pixel wide
+     * at any scale. This gives smooth shapes without multisampling, which is costly and not available when
+     * rendering to textures.
+     *
+     * Anti-aliased geometry is drawn with its own shader and is never batched with other objects.
+     * Native lines are not anti-aliased.
+     *
+     * @member {boolean}
+     * @default false
+     */
+    public get antialias(): boolean
+    {
+        return this._antialias;
+    }
+
+    public set antialias(value: boolean)
+    {
+        value = !!value;
+
+        if (this._antialias !== value)
+        {
+            this._antialias = value;
+            this.invalidate();
+        }
+    }
+
+    /**
+     * The scale that curves and circles are tessellated at, changing it tessellates them again:
+     * curves drawn with `quadraticCurveTo`, `bezierCurveTo`, `arc` and `arcTo` keep their definition
+     * for that. A scale of 2 gives twice as many segments, for shapes displayed twice as large.
+     *
+     * @see PIXI.Graphics#scaleAwareCurves
+     * @member {number}
+     * @default 1
+     */
+    public get curveScale(): number
+    {
+        return this._curveScale;
+    }
+
+    public set curveScale(value: number)
+    {
+        if (this._curveScale === value)
+        {
+            return;
+        }
+
+        this._curveScale = value;
+
+        for (let i = 0; i < this.graphicsData.length; i++)
+        {
+            const data = this.graphicsData[i];
+
+            this.tessellateCurves(data);
+
+            for (let j = 0; j < data.holes.length; j++)
+            {
+                this.tessellateCurves(data.holes[j]);
+            }
+        }
+
+        if (this.graphicsData.length)
+        {
+            this.invalidate();
+        }
     }
 
     /**
@@ -258,11 +535,19 @@ export class GraphicsGeometry extends BatchGeometry
         this.batchDirty++;
         this.shapeIndex = 0;
 
+        for (let i = 0; i < this._gradients.length; i++)
+        {
+            this._staleGradients.push(this._gradients[i]);
+        }
+
+        this._gradients.length = 0;
+
         this.points.length = 0;
         this.colors.length = 0;
         this.uvs.length = 0;
         this.indices.length = 0;
         this.textureIds.length = 0;
+        this.fringes.length = 0;
 
         for (let i = 0; i < this.drawCalls.length; i++)
         {
@@ -283,6 +568,39 @@ export class GraphicsGeometry extends BatchGeometry
         this.batches.length = 0;
     }
 
+    /**
+     * Keeps the gradients of a shape while it is batched, and gives their textures to its styles
+     * again in case they were disposed.
+     *
+     * @protected
+     * @param {PIXI.GraphicsData} data - The shape.
+     */
+    protected retainGradients(data: GraphicsData): void
+    {
+        for (let j = 0; j < 2; j++)
+        {
+            const style = (j === 0) ? data.fillStyle : data.lineStyle;
+
+            if (style && style.visible && style.gradient)
+            {
+                style.gradient.refCount++;
+                style.texture = style.gradient.texture;
+                this._gradients.push(style.gradient);
+            }
+        }
+    }
+
+    /**
+     * Releases the gradients of the shapes, the gradients that no other shapes use are disposed. The shapes
+     * retain them again if the geometry is rendered after.
+     */
+    public releaseGradients(): void
+    {
+        this._gradientsReleased = this._gradientsReleased || this._gradients.length > 0;
+        releaseGradients(this._gradients);
+        releaseGradients(this._staleGradients);
+    }
+
     /**
      * Clears the graphics that were drawn to this Graphics object, and resets fill and line style settings.
      *
@@ -317,6 +635,7 @@ export class GraphicsGeometry extends BatchGeometry
     {
         const data = new GraphicsData(shape, fillStyle, lineStyle, matrix);
 
+        data.curveScale = this._curveScale;
         this.graphicsData.push(data);
         this.dirty++;
 
@@ -339,6 +658,8 @@ export class GraphicsGeometry extends BatchGeometry
 
         const data = new GraphicsData(shape, null, null, matrix);
 
+        data.curveScale = this._curveScale;
+
         const lastShape = this.graphicsData[this.graphicsData.length - 1];
 
         data.lineStyle = lastShape.lineStyle;
@@ -356,8 +677,13 @@ export class GraphicsGeometry extends BatchGeometry
      */
     public destroy(): void
     {
+        // the geometry lets go of the index buffer without destroying it
+        const indexBuffer = this.indexBuffer;
+
         super.destroy();
 
+        this.releaseGradients();
+
         // destroy each of the GraphicsData objects
         for (let i = 0; i < this.graphicsData.length; ++i)
         {
@@ -372,8 +698,11 @@ export class GraphicsGeometry extends BatchGeometry
         this.uvs = null;
         this.indices.length = 0;
         this.indices = null;
-        this.indexBuffer.destroy();
-        this.indexBuffer = null;
+        this.fringes.length = 0;
+        this.fringes = null;
+        this._fringeBuffer = null;
+        this._gradientBuffer = null;
+        indexBuffer.destroy();
         this.graphicsData.length = 0;
         this.graphicsData = null;
         this.drawCalls.length = 0;
@@ -381,15 +710,21 @@ export class GraphicsGeometry extends BatchGeometry
         this.batches.length = 0;
         this.batches = null;
         this._bounds = null;
+        this._outlines = null;
+        this._contours = null;
     }
 
     /**
-     * Check to see if a point is contained within this geometry.
+     * Check to see if a point is contained within this geometry: inside a filled shape, outside of its holes,
+     * or on a line, following the width, alignment, joins and caps of its style. Open paths are only hit on
+     * their line, and the gaps of dashed lines count as part of the line.
      *
      * @param {PIXI.IPointData} point - Point to check if it's contained.
+     * @param {number} [tolerance=0] - Extra distance around the shapes and lines that is considered
+     *  to be inside, in local coordinates.
      * @return {Boolean} `true` if the point is contained within geometry.
      */
-    public containsPoint(point: IPointData): boolean
+    public containsPoint(point: IPointData, tolerance = 0): boolean
     {
         const graphicsData = this.graphicsData;
 
@@ -397,32 +732,39 @@ export class GraphicsGeometry extends BatchGeometry
         {
             const data = graphicsData[i];
 
-            if (!data.fillStyle.visible)
+            if (!data.shape)
             {
                 continue;
             }
 
-            // only deal with fills..
-            if (data.shape)
+            if (data.matrix)
             {
-                if (data.matrix)
-                {
-                    data.matrix.applyInverse(point, tmpPoint);
-                }
-                else
+                data.matrix.applyInverse(point, tmpPoint);
+            }
+            else
+            {
+                tmpPoint.copyFrom(point);
+            }
+
+            if (data.fillStyle.visible)
+            {
+                if (data.fillStyle.fillRule)
                 {
-                    tmpPoint.copyFrom(point);
+                    if (!this.isFilledWithPrevious(i)
+                        && fillRuleContains(this.getFillContours(i), data.fillStyle.fillRule, point.x, point.y))
+                    {
+                        return true;
+                    }
                 }
-
-                if (data.shape.contains(tmpPoint.x, tmpPoint.y))
+                else if (data.shape.contains(tmpPoint.x, tmpPoint.y))
                 {
                     let hitHole = false;
 
                     if (data.holes)
                     {
-                        for (let i = 0; i < data.holes.length; i++)
+                        for (let j = 0; j < data.holes.length; j++)
                         {
-                            const hole = data.holes[i];
+                            const hole = data.holes[j];
 
                             if (hole.shape.contains(tmpPoint.x, tmpPoint.y))
                             {
@@ -432,15 +774,203 @@ export class GraphicsGeometry extends BatchGeometry
                         }
                     }
 
-                    if (!hitHole)
-                    {
-                        return true;
-                    }
-                }
+                    if (!hitHole)
+                    {
+                        return true;
+                    }
+                }
+
+                // the tolerance extends the fill around its outline, holes included
+                if (tolerance > 0)
+                {
+                    if (hitTestLine(this.getOutline(i), true, OUTLINE_STYLE, tmpPoint.x, tmpPoint.y, tolerance))
+                    {
+                        return true;
+                    }
+
+                    for (let j = 0; j < data.holes.length; j++)
+                    {
+                        if (hitTestLine(this.getOutline(i, j), true, OUTLINE_STYLE, tmpPoint.x, tmpPoint.y, tolerance))
+                        {
+                            return true;
+                        }
+                    }
+                }
+            }
+
+            if (this.lineContainsPoint(i, -1, tmpPoint, tolerance))
+            {
+                return true;
+            }
+
+            for (let j = 0; j < data.holes.length; j++)
+            {
+                if (this.lineContainsPoint(i, j, tmpPoint, tolerance))
+                {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Check to see if a point is on the line of a shape or hole.
+     *
+     * @protected
+     * @param {number} index - Index of the shape.
+     * @param {number} holeIndex - Index of the hole in the shape, -1 for the shape itself.
+     * @param {PIXI.IPointData} point - Point to check, in the coordinates of the shape.
+     * @param {number} tolerance - Extra distance around the line that is considered to be on it.
+     * @return {boolean} `true` if the point is on the line.
+     */
+    protected lineContainsPoint(index: number, holeIndex: number, point: IPointData, tolerance: number): boolean
+    {
+        const data = holeIndex < 0 ? this.graphicsData[index] : this.graphicsData[index].holes[holeIndex];
+        const style = data.lineStyle;
+
+        if (!style || !style.visible || (style.width <= 0 && tolerance <= 0))
+        {
+            return false;
+        }
+
+        const closed = data.type !== SHAPES.POLY || (data.shape as Polygon).closeStroke;
+
+        return hitTestLine(this.getOutline(index, holeIndex), closed, style, point.x, point.y, tolerance, data.widths);
+    }
+
+    /**
+     * Computes the outlines of the shapes filled together with a fill rule, in the coordinates of the
+     * geometry. The holes of the shapes are drawn in the direction opposite to their shape. The contours
+     * are kept until the geometry changes, and must not be modified.
+     *
+     * @param {number} index - Index of the first shape filled together.
+     * @return {Array<number[]>} The points of each outline.
+     */
+    public getFillContours(index: number): Array<Array<number>>
+    {
+        this.validateOutlines();
+
+        if (this._contours[index])
+        {
+            return this._contours[index];
+        }
+
+        const graphicsData = this.graphicsData;
+        const fillStyle = graphicsData[index].fillStyle;
+        const contours: Array<Array<number>> = [];
+
+        this._contours[index] = contours;
+
+        for (let i = index; i < graphicsData.length && graphicsData[i].fillStyle === fillStyle; i++)
+        {
+            const data = graphicsData[i];
+            const outline = this.getOutline(i).slice();
+
+            if (data.matrix)
+            {
+                this.transformPoints(outline, data.matrix);
+            }
+
+            contours.push(outline);
+
+            const area = signedArea(outline);
+
+            for (let j = 0; j < data.holes.length; j++)
+            {
+                const hole = data.holes[j];
+                const holeOutline = this.getOutline(i, j).slice();
+
+                if (hole.matrix)
+                {
+                    this.transformPoints(holeOutline, hole.matrix);
+                }
+
+                if (signedArea(holeOutline) * area > 0)
+                {
+                    const reversed: Array<number> = [];
+
+                    for (let k = holeOutline.length - 2; k >= 0; k -= 2)
+                    {
+                        reversed.push(holeOutline[k], holeOutline[k + 1]);
+                    }
+
+                    contours.push(reversed);
+                }
+                else
+                {
+                    contours.push(holeOutline);
+                }
+            }
+        }
+
+        return contours;
+    }
+
+    /**
+     * Checks if a shape is filled together with the previous one, by a fill rule.
+     *
+     * @protected
+     * @param {number} index - Index of the shape.
+     * @return {boolean} `true` if the shape shares its fill with the previous one.
+     */
+    protected isFilledWithPrevious(index: number): boolean
+    {
+        const fillStyle = this.graphicsData[index].fillStyle;
+
+        return index > 0 && !!fillStyle && !!fillStyle.fillRule && this.graphicsData[index - 1].fillStyle === fillStyle;
+    }
+
+    /**
+     * Gives the points of the outline of a shape or of one of its holes, in the coordinates of the shape.
+     * They are kept until the geometry changes.
+     *
+     * @protected
+     * @param {number} index - Index of the shape.
+     * @param {number} [holeIndex=-1] - Index of the hole in the shape, -1 for the shape itself.
+     * @return {number[]} The points of the outline.
+     */
+    protected getOutline(index: number, holeIndex = -1): Array<number>
+    {
+        this.validateOutlines();
+
+        const outlines = this._outlines[index] || (this._outlines[index] = []);
+
+        if (!outlines[holeIndex + 1])
+        {
+            const data = holeIndex < 0 ? this.graphicsData[index] : this.graphicsData[index].holes[holeIndex];
+
+            if (data.type === SHAPES.POLY)
+            {
+                outlines[holeIndex + 1] = (data.shape as Polygon).points;
+            }
+            else
+            {
+                const outline = new GraphicsData(data.shape);
+
+                outline.curveScale = data.curveScale;
+                FILL_COMMANDS[data.type].build(outline);
+                outlines[holeIndex + 1] = outline.points;
             }
         }
 
-        return false;
+        return outlines[holeIndex + 1];
+    }
+
+    /**
+     * Forgets the outlines and contours of the shapes once they changed.
+     *
+     * @protected
+     */
+    protected validateOutlines(): void
+    {
+        if (this.outlinesDirty !== this.dirty)
+        {
+            this.outlinesDirty = this.dirty;
+            this._outlines.length = 0;
+            this._contours.length = 0;
+        }
     }
 
     /**
@@ -453,16 +983,106 @@ export class GraphicsGeometry extends BatchGeometry
     {
         if (!this.graphicsData.length)
         {
+            releaseGradients(this._staleGradients);
             this.batchable = true;
 
             return;
         }
 
-        if (!this.validateBatching())
+        if (this._gradientsReleased)
+        {
+            this._gradientsReleased = false;
+            this.packDirty = -1;
+
+            for (let i = 0; i < this.shapeIndex; i++)
+            {
+                this.retainGradients(this.graphicsData[i]);
+            }
+        }
+
+        if (this.dirty !== this.cacheDirty && !this.buildBatches())
+        {
+            return;
+        }
+
+        // the shapes can be built without being packed, see getBatchesData
+        if (this.packDirty === this.cacheDirty)
+        {
+            return;
+        }
+
+        this.packDirty = this.cacheDirty;
+
+        if (this.batches.length === 0)
         {
+            // there are no visible styles in GraphicsData
+            // its possible that someone wants Graphics just for the bounds
+            this.batchable = true;
+
             return;
         }
 
+        const attrib = this.points.length / 2;
+
+        // prevent allocation when length is same as buffer
+        if (this.indicesUint16 && this.indices.length === this.indicesUint16.length)
+        {
+            this.indicesUint16.set(this.indices);
+        }
+        else
+        {
+            const need32
+                = attrib > 0xffff && allow32Indices;
+
+            this.indicesUint16 = need32 ? new Uint32Array(this.indices) : new Uint16Array(this.indices);
+        }
+
+        this.radialGradients = false;
+
+        for (let i = 0; i < this.batches.length; i++)
+        {
+            const gradient = this.batches[i].style.gradient;
+
+            if (gradient && gradient.type === GRADIENT_TYPE.RADIAL)
+            {
+                this.radialGradients = true;
+                break;
+            }
+        }
+
+        // TODO make this a const..
+        this.batchable = this.isBatchable();
+
+        if (this.batchable)
+        {
+            this.packBatches();
+        }
+        else
+        {
+            this.buildDrawCalls();
+        }
+    }
+
+    /**
+     * Builds the triangles of the shapes that are not built yet, in batches of the same style.
+     *
+     * @protected
+     * @return {boolean} Whether the shapes were built, they are not until their textures are loaded.
+     */
+    protected buildBatches(): boolean
+    {
+        if (!this.validateBatching())
+        {
+            return false;
+        }
+
+        // A new shape filled together with the previous ones needs them to be filled again
+        if (this.shapeIndex > 0 && this.shapeIndex < this.graphicsData.length
+            && this.isFilledWithPrevious(this.shapeIndex))
+        {
+            this.invalidate();
+        }
+
         this.cacheDirty = this.dirty;
 
         const uvs = this.uvs;
@@ -487,6 +1107,8 @@ export class GraphicsGeometry extends BatchGeometry
             const lineStyle = data.lineStyle;
             const command = FILL_COMMANDS[data.type];
 
+            this.retainGradients(data);
+
             // build out the shapes points..
             command.build(data);
 
@@ -501,13 +1123,20 @@ export class GraphicsGeometry extends BatchGeometry
 
                 if (!style.visible) continue;
 
+                // shapes filled together are filled with the first of them
+                if (j === 0 && this.isFilledWithPrevious(i)) continue;
+
                 const nextTexture = style.texture.baseTexture;
                 const index = this.indices.length;
                 const attribIndex = this.points.length / 2;
 
-                nextTexture.wrapMode = WRAP_MODES.REPEAT;
+                nextTexture.wrapMode = style.gradient ? WRAP_MODES.CLAMP : WRAP_MODES.REPEAT;
 
-                if (j === 0)
+                if (j === 0 && fillStyle.fillRule)
+                {
+                    triangulateFillRule(this.getFillContours(i), fillStyle.fillRule, this);
+                }
+                else if (j === 0)
                 {
                     this.processFill(data);
                 }
@@ -516,6 +1145,19 @@ export class GraphicsGeometry extends BatchGeometry
                     this.processLine(data);
                 }
 
+                if (this._antialias && (style as LineStyle).native)
+                {
+                    // native lines have no fringe, their vertices are kept as they are
+                    for (let k = this.fringes.length / 3; k < this.points.length / 2; k++)
+                    {
+                        this.fringes.push(0, 0, 1);
+                    }
+                }
+                else if (this._antialias)
+                {
+                    buildFringe(this, attribIndex, index);
+                }
+
                 const size = (this.points.length / 2) - attribIndex;
 
                 if (size === 0) continue;
@@ -534,7 +1176,15 @@ export class GraphicsGeometry extends BatchGeometry
                     currentStyle = style;
                 }
 
-                this.addUvs(this.points, uvs, style.texture, attribIndex, size, style.matrix);
+                let uvMatrix = style.matrix;
+
+                // Gradients are defined in the space of the shape, before its transform
+                if (style.gradient && data.matrix)
+                {
+                    uvMatrix = tmpMatrix.copyFrom(data.matrix).invert().prepend(style.matrix);
+                }
+
+                this.addUvs(this.points, uvs, style.texture, attribIndex, size, uvMatrix);
             }
         }
 
@@ -546,39 +1196,124 @@ export class GraphicsGeometry extends BatchGeometry
             batchPart.end(index, attrib);
         }
 
-        if (this.batches.length === 0)
-        {
-            // there are no visible styles in GraphicsData
-            // its possible that someone wants Graphics just for the bounds
-            this.batchable = true;
+        releaseGradients(this._staleGradients);
 
-            return;
+        return true;
+    }
+
+    /**
+     * Gives the triangles built for the shapes, to restore them later with {@link PIXI.GraphicsGeometry#restoreBatches}
+     * without building them again. The shapes are built first if they need to be, which needs their textures
+     * to be loaded.
+     *
+     * @return {PIXI.IGraphicsBatchesData} The triangles, sharing the arrays of the geometry.
+     */
+    public getBatchesData(): IGraphicsBatchesData
+    {
+        if (this.dirty !== this.cacheDirty && this.graphicsData.length)
+        {
+            // the indices are packed later by the renderer, which knows whether they can be 32-bit
+            if (!this.buildBatches())
+            {
+                throw new Error('[GraphicsGeometry] Cannot build the shapes before their textures are loaded.');
+            }
         }
 
-        // prevent allocation when length is same as buffer
-        if (this.indicesUint16 && this.indices.length === this.indicesUint16.length)
+        const graphicsData = this.graphicsData;
+        const batches: Array<IGraphicsBatchData> = [];
+        const bounds = this.bounds;
+        let shapeIndex = 0;
+
+        for (let i = 0; i < this.batches.length; i++)
         {
-            this.indicesUint16.set(this.indices);
+            const batch = this.batches[i];
+            const style = batch.style;
+
+            // the batches follow the order of the shapes, fills first
+            while (graphicsData[shapeIndex].fillStyle !== style && graphicsData[shapeIndex].lineStyle !== style)
+            {
+                shapeIndex++;
+            }
+
+            batches.push({
+                shapeIndex,
+                line: graphicsData[shapeIndex].fillStyle !== style,
+                start: batch.start,
+                size: batch.size,
+                attribStart: batch.attribStart,
+                attribSize: batch.attribSize,
+            });
         }
-        else
+
+        return {
+            points: this.points,
+            uvs: this.uvs,
+            indices: this.indices,
+            fringes: this.fringes,
+            batches,
+            bounds: [bounds.minX, bounds.minY, bounds.maxX, bounds.maxY],
+        };
+    }
+
+    /**
+     * Uses triangles built before for the current shapes instead of building them again, like the ones of
+     * a cache. The shapes have to be the same as when the triangles were built, and so do the
+     * `antialias` and `curveScale` of the geometry.
+     *
+     * @param {PIXI.IGraphicsBatchesData} data - The triangles, from {@link PIXI.GraphicsGeometry#getBatchesData}
+     * @return {PIXI.GraphicsGeometry} This GraphicsGeometry object. Good for chaining method calls
+     */
+    public restoreBatches(data: IGraphicsBatchesData): GraphicsGeometry
+    {
+        this.invalidate();
+
+        const graphicsData = this.graphicsData;
+        const arrays = [data.points, data.uvs, data.indices, data.fringes];
+        const targets = [this.points, this.uvs, this.indices, this.fringes];
+
+        for (let i = 0; i < arrays.length; i++)
         {
-            const need32
-                = attrib > 0xffff && allow32Indices;
+            const array = arrays[i];
+            const target = targets[i];
 
-            this.indicesUint16 = need32 ? new Uint32Array(this.indices) : new Uint16Array(this.indices);
+            for (let j = 0; j < array.length; j++)
+            {
+                target.push(array[j]);
+            }
         }
 
-        // TODO make this a const..
-        this.batchable = this.isBatchable();
+        for (let i = 0; i < data.batches.length; i++)
+        {
+            const batch = data.batches[i];
+            const shape = graphicsData[batch.shapeIndex];
+            const batchPart = BATCH_POOL.pop() || new BatchPart();
 
-        if (this.batchable)
+            batchPart.begin(batch.line ? shape.lineStyle : shape.fillStyle, batch.start, batch.attribStart);
+            batchPart.end(batch.start + batch.size, batch.attribStart + batch.attribSize);
+            this.batches.push(batchPart);
+        }
+
+        for (let i = 0; i < graphicsData.length; i++)
         {
-            this.packBatches();
+            this.retainGradients(graphicsData[i]);
         }
-        else
+
+        releaseGradients(this._staleGradients);
+
+        // the buffers are still uploaded by the next update, which skips the shapes that are built
+        this.shapeIndex = graphicsData.length;
+
+        if (data.bounds)
         {
-            this.buildDrawCalls();
+            this._bounds.clear();
+            this._bounds.minX = data.bounds[0];
+            this._bounds.minY = data.bounds[1];
+            this._bounds.maxX = data.bounds[2];
+            this._bounds.maxY = data.bounds[3];
+            this.boundsDirty = this.dirty;
         }
+
+        return this;
     }
 
     /**
@@ -609,6 +1344,14 @@ export class GraphicsGeometry extends BatchGeometry
             return false;
         }
 
+        // the circles of radial gradients are given per batch, while textures are shared by all the gradients
+        if (styleA.gradient !== styleB.gradient
+            && ((styleA.gradient && styleA.gradient.type === GRADIENT_TYPE.RADIAL)
+            || (styleB.gradient && styleB.gradient.type === GRADIENT_TYPE.RADIAL)))
+        {
+            return false;
+        }
+
         return true;
     }
 
@@ -630,8 +1373,9 @@ export class GraphicsGeometry extends BatchGeometry
             const fill = data.fillStyle;
             const line = data.lineStyle;
 
-            if (fill && !fill.texture.baseTexture.valid) return false;
-            if (line && !line.texture.baseTexture.valid) return false;
+            // the textures of gradients are drawn when they are retained
+            if (fill && !fill.gradient && !fill.texture.baseTexture.valid) return false;
+            if (line && !line.gradient && !line.texture.baseTexture.valid) return false;
         }
 
         return true;
@@ -664,12 +1408,18 @@ export class GraphicsGeometry extends BatchGeometry
 
     /**
      * Checks to see if this graphics geometry can be batched.
-     * Currently it needs to be small enough and not contain any native lines.
+     * Currently it needs to be small enough, not anti-aliased and not contain any native lines or radial gradients.
      *
      * @protected
      */
     protected isBatchable(): boolean
     {
+        // the batch renderer has no coverage or gradient attributes
+        if (this._antialias || this.radialGradients)
+        {
+            return false;
+        }
+
         // prevent heavy mesh batching
         if (this.points.length > 0xffff * 2)
         {
@@ -790,7 +1540,7 @@ export class GraphicsGeometry extends BatchGeometry
 
                     nextTexture._batchEnabled = TICK;
                     nextTexture._batchLocation = textureCount;
-                    nextTexture.wrapMode = 10497;
+                    nextTexture.wrapMode = style.gradient ? WRAP_MODES.CLAMP : WRAP_MODES.REPEAT;
 
                     currentGroup.texArray.elements[currentGroup.texArray.count++] = nextTexture;
                     textureCount++;
@@ -847,6 +1597,70 @@ export class GraphicsGeometry extends BatchGeometry
 
         this._buffer.update(glPoints);
         this._indexBuffer.update(this.indicesUint16);
+
+        if (this._antialias)
+        {
+            this._fringeBuffer = this._fringeBuffer || this.addFloatAttribute('aFringe', 3);
+            this._fringeBuffer.update(new Float32Array(this.fringes));
+        }
+
+        if (this.radialGradients)
+        {
+            this._gradientBuffer = this._gradientBuffer || this.addFloatAttribute('aGradient', 4);
+            this._gradientBuffer.update(this.packGradientCircles());
+        }
+    }
+
+    /**
+     * Adds an attribute with a buffer of its own, for the shapes that need it. The vertex arrays of the
+     * geometry are disposed, so that they are made again with the attribute.
+     *
+     * @protected
+     * @param {string} id - The name of the attribute.
+     * @param {number} size - The number of floats per vertex.
+     * @return {PIXI.Buffer} The buffer of the attribute.
+     */
+    protected addFloatAttribute(id: string, size: number): Buffer
+    {
+        const buffer = new Buffer(new Float32Array(0), false, false);
+
+        this.dispose();
+        this.addAttribute(id, buffer, size, false, TYPES.FLOAT);
+
+        return buffer;
+    }
+
+    /**
+     * Packs the circles of the radial gradients of the vertices, 4 floats per vertex that are 0 for the vertices
+     * of other styles.
+     *
+     * @protected
+     * @return {Float32Array} The circles of the vertices.
+     */
+    protected packGradientCircles(): Float32Array
+    {
+        const circles = new Float32Array(this.points.length * 2);
+        const batches = this.batches;
+
+        for (let i = 0; i < batches.length; i++)
+        {
+            const batch = batches[i];
+            const gradient = batch.style.gradient;
+
+            if (!gradient)
+            {
+                continue;
+            }
+
+            const end = (batch.attribStart + batch.attribSize) * 4;
+
+            for (let j = batch.attribStart * 4; j < end; j += 4)
+            {
+                circles.set(gradient.circles, j);
+            }
+        }
+
+        return circles;
     }
 
     /**
@@ -887,6 +1701,106 @@ export class GraphicsGeometry extends BatchGeometry
         }
     }
 
+    /**
+     * Tessellates the curves of a polygon again, at the current curve scale.
+     *
+     * @param {PIXI.GraphicsData} data
+     * @protected
+     */
+    protected tessellateCurves(data: GraphicsData): void
+    {
+        const scale = this._curveScale;
+        const curves = data.curves;
+
+        data.curveScale = scale;
+
+        if (!curves.length)
+        {
+            return;
+        }
+
+        const points = (data.shape as Polygon).points;
+        const widths = data.widths;
+        const result: Array<number> = [];
+        const resultWidths: Array<number> = [];
+        const curvePoints: Array<number> = [];
+        let index = 0;
+
+        for (let i = 0; i < curves.length; i++)
+        {
+            const curve = curves[i];
+            const params = curve.params;
+
+            for (let j = index; j < curve.start; j++)
+            {
+                result.push(points[j]);
+            }
+
+            if (widths)
+            {
+                for (let j = index; j < curve.start; j += 2)
+                {
+                    resultWidths.push(widths[j / 2]);
+                }
+            }
+
+            const start = curve.start;
+
+            index = curve.start + curve.length;
+            curve.start = result.length;
+
+            // the curves add their points after the starting point, which arcs don't use
+            curvePoints.length = 0;
+            curvePoints.push(params[0], params[1]);
+
+            switch (curve.type)
+            {
+                case CURVE_TYPE.QUADRATIC:
+                    QuadraticUtils.curveTo(params[2], params[3], params[4], params[5], curvePoints, scale);
+                    break;
+                case CURVE_TYPE.BEZIER:
+                    BezierUtils.curveTo(params[2], params[3], params[4], params[5], params[6], params[7],
+                        curvePoints, scale);
+                    break;
+                case CURVE_TYPE.ARC:
+                    ArcUtils.arc(0, 0, params[0], params[1], params[2], params[3], params[4], !!params[5],
+                        curvePoints, scale);
+                    break;
+            }
+
+            for (let j = 2; j < curvePoints.length; j++)
+            {
+                result.push(curvePoints[j]);
+            }
+
+            // the widths change along the curve again, from the point before it to its end
+            if (widths)
+            {
+                interpolateWidths(result, curve.start, result.length,
+                    widths[(start / 2) - 1], widths[(index / 2) - 1], resultWidths);
+            }
+
+            curve.length = result.length - curve.start;
+        }
+
+        for (let j = index; j < points.length; j++)
+        {
+            result.push(points[j]);
+        }
+
+        if (widths)
+        {
+            for (let j = index; j < points.length; j += 2)
+            {
+                resultWidths.push(widths[j / 2]);
+            }
+
+            data.widths = resultWidths;
+        }
+
+        (data.shape as Polygon).points = result;
+    }
+
     /**
      * Process the holes data.
      *
@@ -936,7 +1850,12 @@ export class GraphicsGeometry extends BatchGeometry
             {
                 const alignment = lineStyle.alignment;
 
-                lineWidth = lineStyle.width;
+                lineWidth = Math.max(lineStyle.width, maxWidth(data.widths));
+
+                for (let j = 0; j < data.holes.length; j++)
+                {
+                    lineWidth = Math.max(lineWidth, maxWidth(data.holes[j].widths));
+                }
 
                 if (type === SHAPES.POLY)
                 {
@@ -37,11 +37,69 @@ export enum LINE_CAP {
     SQUARE = 'square'
 }
 
+/**
+ * Types of gradients that can be used to fill shapes and lines of graphics.
+ *
+ * @see PIXI.Graphics#beginLinearGradientFill
+ * @see PIXI.Graphics#beginRadialGradientFill
+ *
+ * @name GRADIENT_TYPE
+ * @memberof PIXI
+ * @static
+ * @enum {string}
+ * @property {string} LINEAR - 'linear': colors change along the line between two points
+ * @property {string} RADIAL - 'radial': colors change between two circles
+ */
+export enum GRADIENT_TYPE {
+    LINEAR = 'linear',
+    RADIAL = 'radial'
+}
+
+/**
+ * Rules deciding which parts of overlapping and self-intersecting shapes are filled, like the fill rules
+ * of the Canvas API. The shapes drawn with the same fill are filled together, and their holes are found
+ * automatically.
+ *
+ * @see PIXI.Graphics#beginFill
+ *
+ * @name FILL_RULE
+ * @memberof PIXI
+ * @static
+ * @enum {string}
+ * @property {string} NONZERO - 'nonzero': fill where the outlines go around a point more times in one direction
+ *  than in the other
+ * @property {string} EVENODD - 'evenodd': fill where a point is inside an odd number of outlines
+ */
+export enum FILL_RULE {
+    NONZERO = 'nonzero',
+    EVENODD = 'evenodd'
+}
+
+/**
+ * Types of curves that graphics keep the definition of, to tessellate them again at another scale.
+ *
+ * @see PIXI.GraphicsData#curves
+ *
+ * @name CURVE_TYPE
+ * @memberof PIXI
+ * @static
+ * @enum {string}
+ * @property {string} QUADRATIC - 'quadratic': drawn with `quadraticCurveTo`
+ * @property {string} BEZIER - 'bezier': drawn with `bezierCurveTo`
+ * @property {string} ARC - 'arc': drawn with `arc` or `arcTo`
+ */
+export enum CURVE_TYPE {
+    QUADRATIC = 'quadratic',
+    BEZIER = 'bezier',
+    ARC = 'arc'
+}
+
 export interface IGraphicsCurvesSettings {
     adaptive: boolean;
     maxLength: number;
     minSegments: number;
     maxSegments: number;
+    scaleThreshold: number;
 
     epsilon: number;
 
@@ -62,12 +120,15 @@ export interface IGraphicsCurvesSettings {
  * @property {number} maxLength=10 - maximal length of a single segment of the curve (if adaptive = false, ignored)
  * @property {number} minSegments=8 - minimal number of segments in the curve (if adaptive = false, ignored)
  * @property {number} maxSegments=2048 - maximal number of segments in the curve (if adaptive = false, ignored)
+ * @property {number} scaleThreshold=2 - ratio between the world scale of a graphics and the scale its curves were
+ *  tessellated at, above which they are tessellated again (if `scaleAwareCurves` is not set on the graphics, ignored)
  */
 export const GRAPHICS_CURVES: IGraphicsCurvesSettings = {
     adaptive: true,
     maxLength: 10,
     minSegments: 8,
     maxSegments:  2048,
+    scaleThreshold: 2,
 
     epsilon: 0.0001,
 
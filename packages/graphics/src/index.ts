@@ -1,5 +1,6 @@
 export * from './const';
 export * from './styles/FillStyle';
+export * from './styles/GraphicsGradient';
 export * from './Graphics';
 export * from './GraphicsData';
 export * from './GraphicsGeometry';
@@ -0,0 +1,74 @@
+varying vec2 vTextureCoord;
+varying vec4 vColor;
+varying float vTextureId;
+uniform sampler2D uSamplers[%count%];
+
+#ifdef ANTIALIAS
+varying float vCoverage;
+#endif
+
+#ifdef RADIAL_GRADIENTS
+varying vec4 vGradient;
+#endif
+
+void main(void){
+    vec4 color;
+    vec2 textureCoord = vTextureCoord;
+    float alpha = 1.0;
+
+#ifdef ANTIALIAS
+    alpha *= vCoverage;
+#endif
+
+#ifdef RADIAL_GRADIENTS
+    // the texture coordinates are around the end circle, the offset in the colors is where the pixel is
+    // on the largest circle between the start and end circles, like the radial gradients of canvas
+    if (vGradient != vec4(0.0))
+    {
+        vec2 start = vGradient.xy;
+        float r0 = vGradient.z;
+        float dr = vGradient.w - r0;
+        vec2 p = vTextureCoord - start;
+        float a = dot(start, start) - (dr * dr);
+        float b = (r0 * dr) - dot(p, start);
+        float c = dot(p, p) - (r0 * r0);
+        float t = 0.0;
+
+        if (abs(a) < 1e-6)
+        {
+            t = c / (2.0 * b);
+        }
+        else
+        {
+            float root = sqrt(max(0.0, (b * b) - (a * c)));
+            float t0 = (b + root) / a;
+            float t1 = (b - root) / a;
+
+            t = max(t0, t1);
+
+            if (r0 + (t * dr) < 0.0)
+            {
+                t = min(t0, t1);
+            }
+
+            if ((b * b) - (a * c) < 0.0)
+            {
+                alpha = 0.0;
+            }
+        }
+
+        if (r0 + (t * dr) < 0.0)
+        {
+            alpha = 0.0;
+        }
+
+        textureCoord = vec2(t, 0.5);
+    }
+#endif
+
+// the textures are sampled at vTextureCoord
+#define vTextureCoord textureCoord
+    %forloop%
+
+    gl_FragColor = color * vColor * alpha;
+}
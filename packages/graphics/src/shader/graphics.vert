@@ -0,0 +1,53 @@
+precision highp float;
+attribute vec2 aVertexPosition;
+attribute vec2 aTextureCoord;
+attribute vec4 aColor;
+attribute float aTextureId;
+
+uniform mat3 projectionMatrix;
+uniform mat3 translationMatrix;
+uniform vec4 tint;
+
+varying vec2 vTextureCoord;
+varying vec4 vColor;
+varying float vTextureId;
+
+#ifdef ANTIALIAS
+attribute vec3 aFringe;
+uniform float fringeWidth;
+varying float vCoverage;
+#endif
+
+#ifdef RADIAL_GRADIENTS
+attribute vec4 aGradient;
+varying vec4 vGradient;
+#endif
+
+void main(void){
+    vec3 position = translationMatrix * vec3(aVertexPosition, 1.0);
+
+#ifdef ANTIALIAS
+    float extent = length(aFringe.xy);
+
+    // the fringe is centered on the edges of the shape, whatever the scale: the vertices of the edges
+    // are moved in by half its width in pixels, and its outer vertices are moved out by the other half
+    if (extent > 0.0)
+    {
+        vec2 normal = (translationMatrix * vec3(aFringe.xy, 0.0)).xy;
+
+        position.xy += normalize(normal) * extent * fringeWidth * 0.5;
+    }
+
+    vCoverage = aFringe.z;
+#endif
+
+#ifdef RADIAL_GRADIENTS
+    vGradient = aGradient;
+#endif
+
+    gl_Position = vec4((projectionMatrix * position).xy, 0.0, 1.0);
+
+    vTextureCoord = aTextureCoord;
+    vTextureId = aTextureId;
+    vColor = aColor * tint;
+}
@@ -1,5 +1,7 @@
 import { Texture } from '@pixi/core';
 import type { Matrix } from '@pixi/math';
+import type { GraphicsGradient } from './GraphicsGradient';
+import type { FILL_RULE } from '../const';
 
 /**
  * Fill style object for Graphics.
@@ -41,6 +43,23 @@ export class FillStyle
      */
     public matrix: Matrix = null;
 
+    /**
+     * The gradient of the fill, it provides the texture and its transform.
+     *
+     * @member {PIXI.GraphicsGradient}
+     * @default null
+     */
+    public gradient: GraphicsGradient = null;
+
+    /**
+     * The rule deciding which parts of the shapes are filled, shapes filled with a rule share their fill
+     * style and are filled together. Without a rule, each shape is filled on its own, minus its holes.
+     *
+     * @member {PIXI.FILL_RULE}
+     * @default null
+     */
+    public fillRule: FILL_RULE = null;
+
     /**
      * If the current fill is visible.
      *
@@ -67,6 +86,8 @@ export class FillStyle
         obj.alpha = this.alpha;
         obj.texture = this.texture;
         obj.matrix = this.matrix;
+        obj.gradient = this.gradient;
+        obj.fillRule = this.fillRule;
         obj.visible = this.visible;
 
         return obj;
@@ -81,6 +102,8 @@ export class FillStyle
         this.alpha = 1;
         this.texture = Texture.WHITE;
         this.matrix = null;
+        this.gradient = null;
+        this.fillRule = null;
         this.visible = false;
     }
 
@@ -91,5 +114,6 @@ export class FillStyle
     {
         this.texture = null;
         this.matrix = null;
+        this.gradient = null;
     }
 }
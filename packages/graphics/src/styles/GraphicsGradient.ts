@@ -0,0 +1,410 @@
+import { BaseTexture, Texture } from '@pixi/core';
+import { WRAP_MODES } from '@pixi/constants';
+import { Matrix } from '@pixi/math';
+import { GRADIENT_TYPE } from '../const';
+
+import type { Dict } from '@pixi/utils';
+
+/**
+ * A color of a gradient, at some offset between its start and its end.
+ *
+ * @memberof PIXI
+ * @typedef {object} IGradientColorStop
+ * @property {number} offset - Position of the color, from 0 at the start of the gradient to 1 at its end.
+ * @property {number} color - The hex color value.
+ * @property {number} [alpha=1] - The alpha of the color.
+ */
+export interface IGradientColorStop
+{
+    offset: number;
+    color: number;
+    alpha?: number;
+}
+
+/**
+ * Options of a gradient, the points and radii are in the local coordinates of the graphics shapes.
+ * Linear gradients go from (`x0`, `y0`) to (`x1`, `y1`), radial gradients go from the circle at
+ * (`x0`, `y0`) of radius `r0` to the circle at (`x1`, `y1`) of radius `r1`, like the gradients of
+ * the Canvas API.
+ *
+ * @memberof PIXI
+ * @typedef {object} IGradientOptions
+ * @property {PIXI.GRADIENT_TYPE} [type=PIXI.GRADIENT_TYPE.LINEAR] - The type of gradient.
+ * @property {number} [x0] - The x coordinate of the start, the center of the end circle by default for radial
+ *  gradients.
+ * @property {number} [y0] - The y coordinate of the start, the center of the end circle by default for radial
+ *  gradients.
+ * @property {number} [r0=0] - The radius of the start circle, for radial gradients.
+ * @property {number} x1 - The x coordinate of the end.
+ * @property {number} y1 - The y coordinate of the end.
+ * @property {number} [r1] - The radius of the end circle, for radial gradients.
+ * @property {PIXI.IGradientColorStop[]} colorStops - The colors of the gradient.
+ */
+export interface IGradientOptions
+{
+    type?: GRADIENT_TYPE;
+    x0?: number;
+    y0?: number;
+    r0?: number;
+    x1: number;
+    y1: number;
+    r1?: number;
+    colorStops: IGradientColorStop[];
+}
+
+/**
+ * Formats a color for the Canvas API.
+ *
+ * @private
+ */
+function toCanvasColor(color: number, alpha: number): string
+{
+    return `rgba(${(color >> 16) & 0xFF},${(color >> 8) & 0xFF},${color & 0xFF},${alpha})`;
+}
+
+/**
+ * A linear or radial gradient, used to fill the shapes and lines of graphics.
+ *
+ * When rendering with WebGL, the colors of the gradient are drawn once in a small texture, a ramp
+ * from the start to the end of the gradient. Linear gradients map it onto the shapes with texture
+ * coordinates computed per vertex, radial gradients find the offset in the ramp of each pixel in
+ * a shader: both stay smooth at any scale. Graphics with radial gradients are never batched.
+ * The canvas renderer uses native canvas gradients.
+ *
+ * The textures are counted: graphics geometries keep the gradients of their shapes, and dispose them
+ * once the shapes are built again without them or destroyed, see {@link PIXI.GraphicsGradient#refCount}.
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class GraphicsGradient
+{
+    /**
+     * The width of the textures that the colors of gradients are drawn to.
+     *
+     * @static
+     * @member {number}
+     * @default 256
+     */
+    public static textureSize = 256;
+
+    /**
+     * The textures of the gradients, shared by gradients with the same colors, with the count of the
+     * gradients using each of them.
+     *
+     * @static
+     * @private
+     * @member {object}
+     */
+    private static _textures: Dict<{ texture: Texture; refCount: number }> = {};
+
+    public readonly type: GRADIENT_TYPE;
+    public readonly x0: number;
+    public readonly y0: number;
+    public readonly r0: number;
+    public readonly x1: number;
+    public readonly y1: number;
+    public readonly r1: number;
+    public readonly colorStops: IGradientColorStop[];
+    public refCount: number;
+
+    private _texture: Texture;
+    private _textureKey: string;
+    private _matrix: Matrix;
+    private _circles: Array<number>;
+
+    /**
+     * @param {PIXI.IGradientOptions} options - The points and colors of the gradient.
+     */
+    constructor(options: IGradientOptions)
+    {
+        const type = options.type || GRADIENT_TYPE.LINEAR;
+
+        /**
+         * The type of the gradient.
+         *
+         * @member {PIXI.GRADIENT_TYPE}
+         * @readonly
+         */
+        this.type = type;
+
+        /**
+         * The x coordinate of the start.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.x0 = options.x0 !== undefined ? options.x0 : options.x1;
+
+        /**
+         * The y coordinate of the start.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.y0 = options.y0 !== undefined ? options.y0 : options.y1;
+
+        /**
+         * The radius of the start circle, 0 for linear gradients.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.r0 = type === GRADIENT_TYPE.RADIAL ? Math.max(0, options.r0 || 0) : 0;
+
+        /**
+         * The x coordinate of the end.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.x1 = options.x1;
+
+        /**
+         * The y coordinate of the end.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.y1 = options.y1;
+
+        /**
+         * The radius of the end circle, 0 for linear gradients.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.r1 = type === GRADIENT_TYPE.RADIAL ? Math.max(0, options.r1 || 0) : 0;
+
+        /**
+         * The colors of the gradient, sorted by offset.
+         *
+         * @member {PIXI.IGradientColorStop[]}
+         * @readonly
+         */
+        this.colorStops = options.colorStops
+            .map((stop, index) => ({
+                offset: Math.min(1, Math.max(0, stop.offset)),
+                color: stop.color,
+                alpha: stop.alpha !== undefined ? stop.alpha : 1,
+                index,
+            }))
+            .sort((a, b) => (a.offset - b.offset) || (a.index - b.index))
+            .map(({ offset, color, alpha }) => ({ offset, color, alpha }));
+
+        /**
+         * Count of the shapes of graphics geometries that are built with the gradient. The geometries
+         * dispose the gradient when none of their shapes use it anymore.
+         *
+         * @member {number}
+         */
+        this.refCount = 0;
+
+        this._texture = null;
+        this._textureKey = null;
+        this._matrix = null;
+        this._circles = null;
+    }
+
+    /**
+     * The texture the colors of the gradient are drawn to. It is created when first accessed and shared
+     * with other gradients of the same colors, until they are all disposed.
+     *
+     * @member {PIXI.Texture}
+     * @readonly
+     */
+    get texture(): Texture
+    {
+        if (!this._texture)
+        {
+            const size = GraphicsGradient.textureSize;
+            const stops = this.colorStops.map((stop) => `${stop.offset}:${stop.color}:${stop.alpha}`).join();
+            const key = `${size}/${stops}`;
+
+            if (!GraphicsGradient._textures[key])
+            {
+                GraphicsGradient._textures[key] = { texture: this._createTexture(), refCount: 0 };
+            }
+
+            GraphicsGradient._textures[key].refCount++;
+
+            this._texture = GraphicsGradient._textures[key].texture;
+            this._textureKey = key;
+        }
+
+        return this._texture;
+    }
+
+    /**
+     * The transform from the space of the texture to the local space of the shapes. The texture
+     * coordinates of radial gradients are around the center of their end circle, see
+     * {@link PIXI.GraphicsGradient#circles}.
+     *
+     * @member {PIXI.Matrix}
+     * @readonly
+     */
+    get matrix(): Matrix
+    {
+        if (!this._matrix)
+        {
+            const size = GraphicsGradient.textureSize;
+
+            if (this.type === GRADIENT_TYPE.LINEAR)
+            {
+                const dx = this.x1 - this.x0;
+                const dy = this.y1 - this.y0;
+
+                // Along the gradient, one texel row stretched across its normal
+                this._matrix = new Matrix(dx / size, dy / size, -dy, dx, this.x0 + (dy / 2), this.y0 - (dx / 2));
+            }
+            else
+            {
+                const extent = this._getExtent();
+
+                this._matrix = new Matrix(extent / size, 0, 0, extent, this.x1, this.y1);
+            }
+        }
+
+        return this._matrix;
+    }
+
+    /**
+     * The circles of a radial gradient in the space of its texture coordinates, where the end circle
+     * is centered at (0, 0): the x and y of the center of the start circle, its radius and the radius
+     * of the end circle. Shaders find the offset of the pixels in the gradient with them. Linear
+     * gradients have no circles, all of them are 0.
+     *
+     * @member {number[]}
+     * @readonly
+     */
+    get circles(): Array<number>
+    {
+        if (!this._circles)
+        {
+            if (this.type === GRADIENT_TYPE.LINEAR)
+            {
+                this._circles = [0, 0, 0, 0];
+            }
+            else
+            {
+                const extent = this._getExtent();
+
+                this._circles = [(this.x0 - this.x1) / extent, (this.y0 - this.y1) / extent,
+                    this.r0 / extent, this.r1 / extent];
+            }
+        }
+
+        return this._circles;
+    }
+
+    /**
+     * Creates the equivalent canvas gradient, in the current space of the canvas.
+     *
+     * @param {CanvasRenderingContext2D} context - The canvas context.
+     * @param {number} [tint=0xFFFFFF] - A color to multiply the colors of the gradient with.
+     * @return {CanvasGradient} The canvas gradient.
+     */
+    createCanvasGradient(context: CanvasRenderingContext2D, tint = 0xFFFFFF): CanvasGradient
+    {
+        const gradient = this.type === GRADIENT_TYPE.LINEAR
+            ? context.createLinearGradient(this.x0, this.y0, this.x1, this.y1)
+            : context.createRadialGradient(this.x0, this.y0, this.r0, this.x1, this.y1, this.r1);
+
+        this._addColorStops(gradient, tint);
+
+        return gradient;
+    }
+
+    /**
+     * Releases the texture of the gradient, which is destroyed when no other gradient uses it.
+     * The gradient can still be used, its texture is drawn again when accessed.
+     */
+    dispose(): void
+    {
+        if (!this._texture)
+        {
+            return;
+        }
+
+        const entry = GraphicsGradient._textures[this._textureKey];
+
+        entry.refCount--;
+
+        if (entry.refCount === 0)
+        {
+            entry.texture.destroy(true);
+            delete GraphicsGradient._textures[this._textureKey];
+        }
+
+        this._texture = null;
+        this._textureKey = null;
+    }
+
+    /**
+     * Creates a copy of the gradient.
+     *
+     * @return {PIXI.GraphicsGradient} The copy.
+     */
+    clone(): GraphicsGradient
+    {
+        return new GraphicsGradient(this);
+    }
+
+    /**
+     * Adds the colors of the gradient to a canvas gradient.
+     *
+     * @private
+     */
+    private _addColorStops(gradient: CanvasGradient, tint: number): void
+    {
+        const tintR = ((tint >> 16) & 0xFF) / 255;
+        const tintG = ((tint >> 8) & 0xFF) / 255;
+        const tintB = (tint & 0xFF) / 255;
+
+        for (let i = 0; i < this.colorStops.length; i++)
+        {
+            const { offset, color, alpha } = this.colorStops[i];
+            const tinted = (Math.round(((color >> 16) & 0xFF) * tintR) << 16)
+                + (Math.round(((color >> 8) & 0xFF) * tintG) << 8)
+                + Math.round((color & 0xFF) * tintB);
+
+            gradient.addColorStop(offset, toCanvasColor(tinted, alpha));
+        }
+    }
+
+    /**
+     * Computes the distance from the center of the end circle of a radial gradient that covers both
+     * circles, the unit of its texture coordinates, which keeps them small for shaders.
+     *
+     * @private
+     */
+    private _getExtent(): number
+    {
+        return Math.max(this.r1, this.r0 + Math.sqrt(
+            ((this.x0 - this.x1) * (this.x0 - this.x1)) + ((this.y0 - this.y1) * (this.y0 - this.y1))
+        )) || 1;
+    }
+
+    /**
+     * Draws the colors of the gradient to a new texture, from its start on the left to its end on the right.
+     *
+     * @private
+     */
+    private _createTexture(): Texture
+    {
+        const size = GraphicsGradient.textureSize;
+        const canvas = document.createElement('canvas');
+
+        canvas.width = size;
+        canvas.height = 1;
+
+        const context = canvas.getContext('2d');
+        const gradient = context.createLinearGradient(0, 0, size, 0);
+
+        this._addColorStops(gradient, 0xFFFFFF);
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+
+        return new Texture(new BaseTexture(canvas, { wrapMode: WRAP_MODES.CLAMP }));
+    }
+}
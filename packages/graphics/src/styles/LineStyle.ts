@@ -57,6 +57,32 @@ export class LineStyle extends FillStyle
      */
     public miterLimit = 10;
 
+    /**
+     * The dash pattern, as alternating lengths of dashes and gaps. If the number of values is odd, they are
+     * repeated to make it even, like `CanvasRenderingContext2D.setLineDash()`. Solid lines have no pattern.
+     *
+     * @member {number[]}
+     * @default []
+     */
+    public dash: number[] = [];
+
+    /**
+     * The distance into the dash pattern at which lines start.
+     *
+     * @member {number}
+     * @default 0
+     */
+    public dashOffset = 0;
+
+    /**
+     * If true, lines are drawn as round dots instead of dashes. The values of the dash pattern are then the
+     * distances between the centers of consecutive dots, twice the line width if there are none.
+     *
+     * @member {boolean}
+     * @default false
+     */
+    public dot = false;
+
     /**
      * Clones the object
      *
@@ -77,6 +103,9 @@ export class LineStyle extends FillStyle
         obj.cap = this.cap;
         obj.join = this.join;
         obj.miterLimit = this.miterLimit;
+        obj.dash = this.dash.slice();
+        obj.dashOffset = this.dashOffset;
+        obj.dot = this.dot;
 
         return obj;
     }
@@ -94,5 +123,50 @@ export class LineStyle extends FillStyle
         this.alignment = 0.5;
         this.width = 0;
         this.native = false;
+        this.dash = [];
+        this.dashOffset = 0;
+        this.dot = false;
+    }
+
+    /**
+     * Resolves the dash pattern that lines are actually drawn with. Values are alternating lengths of dashes and
+     * gaps, dots being dashes of zero length. The number of values is always even.
+     *
+     * @return {number[]} The dash pattern, empty if lines are solid.
+     */
+    public getDashPattern(): number[]
+    {
+        let dash = this.dash;
+
+        if (this.dot)
+        {
+            const spacing = dash.length ? dash : [this.width * 2];
+
+            dash = [];
+
+            for (let i = 0; i < spacing.length; i++)
+            {
+                dash.push(0, spacing[i]);
+            }
+        }
+        else if (dash.length % 2 === 1)
+        {
+            dash = dash.concat(dash);
+        }
+
+        let total = 0;
+
+        for (let i = 0; i < dash.length; i++)
+        {
+            // like the canvas, ignore invalid patterns
+            if (!(dash[i] >= 0) || !isFinite(dash[i]))
+            {
+                return [];
+            }
+
+            total += dash[i];
+        }
+
+        return total > 0 ? dash : [];
     }
 }
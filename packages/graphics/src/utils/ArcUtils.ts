@@ -94,13 +94,14 @@ export class ArcUtils
      *  counter-clockwise or clockwise. False is default, and indicates clockwise, while true
      *  indicates counter-clockwise.
      * @param {number[]} points - Collection of points to add to
+     * @param {number} [scale=1] - Scale the arc is drawn at, for the number of segments
      */
     static arc(_startX: number, _startY: number, cx: number, cy: number, radius: number,
-        startAngle: number, endAngle: number, _anticlockwise: boolean, points: Array<number>): void
+        startAngle: number, endAngle: number, _anticlockwise: boolean, points: Array<number>, scale = 1): void
     {
         const sweep = endAngle - startAngle;
         const n = GRAPHICS_CURVES._segmentsCount(
-            Math.abs(sweep) * radius,
+            Math.abs(sweep) * radius * scale,
             Math.ceil(Math.abs(sweep) / PI_2) * 40
         );
 
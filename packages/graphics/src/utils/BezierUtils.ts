@@ -79,12 +79,14 @@ export class BezierUtils
      * @param {number} toX - Destination point x
      * @param {number} toY - Destination point y
      * @param {number[]} points - Path array to push points into
+     * @param {number} [scale=1] - Scale the curve is drawn at, for the number of segments
      */
     static curveTo(
         cpX: number, cpY: number,
         cpX2: number, cpY2: number,
         toX: number, toY: number,
-        points: Array<number>): void
+        points: Array<number>,
+        scale = 1): void
     {
         const fromX = points[points.length - 2];
         const fromY = points[points.length - 1];
@@ -92,7 +94,7 @@ export class BezierUtils
         points.length -= 2;
 
         const n = GRAPHICS_CURVES._segmentsCount(
-            BezierUtils.curveLength(fromX, fromY, cpX, cpY, cpX2, cpY2, toX, toY)
+            BezierUtils.curveLength(fromX, fromY, cpX, cpY, cpX2, cpY2, toX, toY) * scale
         );
 
         let dt = 0;
@@ -60,14 +60,15 @@ export class QuadraticUtils
      * @param {number} toX - Destination point x
      * @param {number} toY - Destination point y
      * @param {number[]} points - Points to add segments to.
+     * @param {number} [scale=1] - Scale the curve is drawn at, for the number of segments.
      */
-    static curveTo(cpX: number, cpY: number, toX: number, toY: number, points: Array<number>): void
+    static curveTo(cpX: number, cpY: number, toX: number, toY: number, points: Array<number>, scale = 1): void
     {
         const fromX = points[points.length - 2];
         const fromY = points[points.length - 1];
 
         const n = GRAPHICS_CURVES._segmentsCount(
-            QuadraticUtils.curveLength(fromX, fromY, cpX, cpY, toX, toY)
+            QuadraticUtils.curveLength(fromX, fromY, cpX, cpY, toX, toY) * scale
         );
 
         let xa = 0;
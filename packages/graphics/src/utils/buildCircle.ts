@@ -48,8 +48,9 @@ export const buildCircle: IShapeBuildCommand = {
             return;
         }
 
-        let totalSegs = Math.floor(30 * Math.sqrt(circleData.radius))
-            || Math.floor(15 * Math.sqrt(width + height));
+        const scale = graphicsData.curveScale;
+        let totalSegs = Math.floor(30 * Math.sqrt(circleData.radius * scale))
+            || Math.floor(15 * Math.sqrt((width + height) * scale));
 
         totalSegs /= 2.3;
 
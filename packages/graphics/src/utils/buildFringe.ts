@@ -0,0 +1,342 @@
+import { GRAPHICS_CURVES } from '../const';
+
+import type { GraphicsGeometry } from '../GraphicsGeometry';
+
+/**
+ * The edges of the triangles of a mesh, hashed by the ids of their vertices.
+ *
+ * @ignore
+ * @private
+ */
+interface IFringeEdges
+{
+    ids: Int32Array;
+    table: Int32Array;
+    first: Int32Array;
+    second: Int32Array;
+    normals: Float64Array;
+    counts: Int32Array;
+    length: number;
+}
+
+/**
+ * Longest extrusion of a fringe vertex, relative to the fringe width, to limit spikes at sharp corners.
+ *
+ * @ignore
+ * @private
+ */
+const MAX_MITER = 2;
+
+/*
+ * Views of a number, to hash its bits
+ */
+const hashFloat = new Float64Array(1);
+const hashWords = new Uint32Array(hashFloat.buffer);
+
+/**
+ * Mixes the bits of a number into a hash.
+ *
+ * @ignore
+ * @private
+ */
+function hashNumber(hash: number, value: number): number
+{
+    // -0 and 0 are the same position
+    hashFloat[0] = value + 0;
+
+    return (((hash * 31) ^ hashWords[0]) * 31) ^ hashWords[1];
+}
+
+/**
+ * Size of a hash table with room for twice the given number of entries.
+ *
+ * @ignore
+ * @private
+ */
+function tableSize(count: number): number
+{
+    let size = 16;
+
+    while (size < count * 2)
+    {
+        size *= 2;
+    }
+
+    return size;
+}
+
+/**
+ * Gives an id to each vertex added since the given one, the index of the first of them at the same position,
+ * so that the seams between triangles are not outlined.
+ *
+ * @ignore
+ * @private
+ */
+function matchVertices(points: Array<number>, attribStart: number): Int32Array
+{
+    const count = (points.length / 2) - attribStart;
+    const ids = new Int32Array(count);
+    const table = new Int32Array(tableSize(count));
+    const mask = table.length - 1;
+
+    for (let i = 0; i < count; i++)
+    {
+        const x = points[(attribStart + i) * 2];
+        const y = points[((attribStart + i) * 2) + 1];
+        let slot = hashNumber(hashNumber(0, x), y) & mask;
+
+        // the table holds the vertices plus one, 0 is empty
+        while (table[slot] !== 0)
+        {
+            const index = attribStart + table[slot] - 1;
+
+            if (points[index * 2] === x && points[(index * 2) + 1] === y)
+            {
+                break;
+            }
+
+            slot = (slot + 1) & mask;
+        }
+
+        if (table[slot] === 0)
+        {
+            table[slot] = i + 1;
+        }
+
+        ids[i] = table[slot] - 1;
+    }
+
+    return ids;
+}
+
+/**
+ * Records an edge of a triangle, with its normal pointing away from the opposite vertex.
+ *
+ * @ignore
+ * @private
+ */
+function addEdge(edges: IFringeEdges, points: Array<number>, attribStart: number, a: number, b: number, c: number): void
+{
+    const idA = edges.ids[a - attribStart];
+    const idB = edges.ids[b - attribStart];
+    const first = Math.min(idA, idB);
+    const second = Math.max(idA, idB);
+    const table = edges.table;
+    const mask = table.length - 1;
+    let slot = ((first * 92821) ^ second) & mask;
+
+    // the table holds the edges plus one, 0 is empty
+    while (table[slot] !== 0)
+    {
+        const edge = table[slot] - 1;
+
+        if (edges.first[edge] === first && edges.second[edge] === second)
+        {
+            edges.counts[edge]++;
+
+            return;
+        }
+
+        slot = (slot + 1) & mask;
+    }
+
+    const edge = edges.length++;
+    const ax = points[a * 2];
+    const ay = points[(a * 2) + 1];
+    const dx = points[b * 2] - ax;
+    const dy = points[(b * 2) + 1] - ay;
+    const length = Math.sqrt((dx * dx) + (dy * dy));
+    let nx = dy / length;
+    let ny = -dx / length;
+
+    if ((nx * (points[c * 2] - ax)) + (ny * (points[(c * 2) + 1] - ay)) > 0)
+    {
+        nx = -nx;
+        ny = -ny;
+    }
+
+    table[slot] = edge + 1;
+    edges.first[edge] = first;
+    edges.second[edge] = second;
+    edges.normals[edge * 2] = nx;
+    edges.normals[(edge * 2) + 1] = ny;
+    edges.counts[edge] = 1;
+}
+
+/**
+ * Builds the anti-aliasing fringe of the triangles added to a geometry since the given indices:
+ * a strip along the outline of the triangles, that fades from opaque to transparent.
+ *
+ * The outline is made of the edges that belong to a single triangle, vertices are matched by position
+ * so that the seams between triangles are not outlined. The strip is centered on the outline and has
+ * no width in the geometry: the vertices of the outline store the direction in which the shader moves
+ * them in by half the width of the fringe, and its outer vertices the direction in which they are moved
+ * out by the other half, so that the fringe keeps the same width in pixels at any scale.
+ *
+ * Ignored from docs since it is not directly exposed.
+ *
+ * @ignore
+ * @private
+ * @param {PIXI.GraphicsGeometry} graphicsGeometry - Geometry where to append output
+ * @param {number} attribStart - Index of the first vertex of the triangles
+ * @param {number} indexStart - Index of the first index of the triangles
+ */
+export function buildFringe(graphicsGeometry: GraphicsGeometry, attribStart: number, indexStart: number): void
+{
+    const { points, indices, fringes } = graphicsGeometry;
+    const eps2 = GRAPHICS_CURVES.epsilon * GRAPHICS_CURVES.epsilon;
+    const count = (points.length / 2) - attribStart;
+    const edgeCount = indices.length - indexStart;
+    const edges: IFringeEdges = {
+        ids: matchVertices(points, attribStart),
+        table: new Int32Array(tableSize(edgeCount)),
+        first: new Int32Array(edgeCount),
+        second: new Int32Array(edgeCount),
+        normals: new Float64Array(edgeCount * 2),
+        counts: new Int32Array(edgeCount),
+        length: 0,
+    };
+
+    // The triangles themselves are fully covered
+    for (let i = 0; i < count; i++)
+    {
+        fringes.push(0, 0, 1);
+    }
+
+    for (let i = indexStart; i < indices.length; i += 3)
+    {
+        const a = indices[i];
+        const b = indices[i + 1];
+        const c = indices[i + 2];
+        const x0 = points[a * 2];
+        const y0 = points[(a * 2) + 1];
+        const x1 = points[b * 2];
+        const y1 = points[(b * 2) + 1];
+        const x2 = points[c * 2];
+        const y2 = points[(c * 2) + 1];
+
+        /* Skip zero area triangles */
+        if (Math.abs((x0 * (y1 - y2)) + (x1 * (y2 - y0)) + (x2 * (y0 - y1))) < eps2)
+        {
+            continue;
+        }
+
+        addEdge(edges, points, attribStart, a, b, c);
+        addEdge(edges, points, attribStart, b, c, a);
+        addEdge(edges, points, attribStart, c, a, b);
+    }
+
+    // Sum the normals of the outline edges around each vertex, the first of them is kept for
+    // vertices where they cancel out
+    const miters = new Float64Array(count * 2);
+    const firstNormals = new Float64Array(count * 2);
+    const onOutline = new Uint8Array(count);
+
+    for (let i = 0; i < edges.length; i++)
+    {
+        if (edges.counts[i] !== 1)
+        {
+            continue;
+        }
+
+        for (let j = 0; j < 2; j++)
+        {
+            const id = j === 0 ? edges.first[i] : edges.second[i];
+
+            if (!onOutline[id])
+            {
+                onOutline[id] = 1;
+                firstNormals[id * 2] = edges.normals[i * 2];
+                firstNormals[(id * 2) + 1] = edges.normals[(i * 2) + 1];
+            }
+
+            miters[id * 2] += edges.normals[i * 2];
+            miters[(id * 2) + 1] += edges.normals[(i * 2) + 1];
+        }
+    }
+
+    const minDots = new Float64Array(count);
+
+    for (let id = 0; id < count; id++)
+    {
+        if (!onOutline[id])
+        {
+            continue;
+        }
+
+        let mx = miters[id * 2];
+        let my = miters[(id * 2) + 1];
+        let length = Math.sqrt((mx * mx) + (my * my));
+
+        if (length < 1e-6)
+        {
+            mx = firstNormals[id * 2];
+            my = firstNormals[(id * 2) + 1];
+            length = 1;
+        }
+
+        miters[id * 2] = mx / length;
+        miters[(id * 2) + 1] = my / length;
+        minDots[id] = 1;
+    }
+
+    for (let i = 0; i < edges.length; i++)
+    {
+        if (edges.counts[i] !== 1)
+        {
+            continue;
+        }
+
+        for (let j = 0; j < 2; j++)
+        {
+            const id = j === 0 ? edges.first[i] : edges.second[i];
+            const dot = (miters[id * 2] * edges.normals[i * 2]) + (miters[(id * 2) + 1] * edges.normals[(i * 2) + 1]);
+
+            minDots[id] = Math.min(minDots[id], dot);
+        }
+    }
+
+    // Add an outer vertex for each vertex of the outline, pushed out along the miter of its edges
+    const outer = new Int32Array(count);
+
+    for (let id = 0; id < count; id++)
+    {
+        if (!onOutline[id])
+        {
+            continue;
+        }
+
+        const scale = 1 / Math.max(minDots[id], 1 / MAX_MITER);
+
+        miters[id * 2] *= scale;
+        miters[(id * 2) + 1] *= scale;
+        outer[id] = points.length / 2;
+        points.push(points[(attribStart + id) * 2], points[((attribStart + id) * 2) + 1]);
+        fringes.push(miters[id * 2], miters[(id * 2) + 1], 0);
+    }
+
+    // The vertices of the outline, and the ones at the same positions, are moved in along the miter
+    for (let i = 0; i < count; i++)
+    {
+        const id = edges.ids[i];
+
+        if (onOutline[id])
+        {
+            fringes[(attribStart + i) * 3] = -miters[id * 2];
+            fringes[((attribStart + i) * 3) + 1] = -miters[(id * 2) + 1];
+        }
+    }
+
+    for (let i = 0; i < edges.length; i++)
+    {
+        if (edges.counts[i] !== 1)
+        {
+            continue;
+        }
+
+        const a = edges.first[i];
+        const b = edges.second[i];
+
+        indices.push(attribStart + a, attribStart + b, outer[b], attribStart + a, outer[b], outer[a]);
+    }
+}
@@ -1,8 +1,8 @@
-import { Point, SHAPES } from '@pixi/math';
+import { Point, Polygon, SHAPES } from '@pixi/math';
+import { GraphicsData } from '../GraphicsData';
 
-import type { Polygon } from '@pixi/math';
-import type { GraphicsData } from '../GraphicsData';
 import type { GraphicsGeometry } from '../GraphicsGeometry';
+import type { LineStyle } from '../styles/LineStyle';
 import { LINE_JOIN, LINE_CAP } from '../const';
 import { GRAPHICS_CURVES } from '../const';
 
@@ -169,6 +169,19 @@ function round(
     return segCount * 2;
 }
 
+/**
+ * Gets the widths of the line at each point, if they vary along the line and match its points.
+ *
+ * @ignore
+ * @private
+ */
+function getWidths(graphicsData: GraphicsData, points: Array<number>): Array<number>
+{
+    const widths = graphicsData.widths;
+
+    return widths && widths.length * 2 === points.length ? widths : null;
+}
+
 /**
  * Builds a line to draw using the polygon method.
  *
@@ -183,6 +196,7 @@ function buildNonNativeLine(graphicsData: GraphicsData, graphicsGeometry: Graphi
 {
     const shape = graphicsData.shape as Polygon;
     let points = graphicsData.points || shape.points.slice();
+    let widths = getWidths(graphicsData, points);
     const eps = graphicsGeometry.closePointEps;
 
     if (points.length === 0)
@@ -213,12 +227,18 @@ function buildNonNativeLine(graphicsData: GraphicsData, graphicsGeometry: Graphi
     {
         // need to clone as we are going to slightly modify the shape..
         points = points.slice();
+        widths = widths && widths.slice();
 
         if (closedPath)
         {
             points.pop();
             points.pop();
             lastPoint.set(points[points.length - 2], points[points.length - 1]);
+
+            if (widths)
+            {
+                widths.pop();
+            }
         }
 
         const midPointX = (firstPoint.x + lastPoint.x) * 0.5;
@@ -226,6 +246,14 @@ function buildNonNativeLine(graphicsData: GraphicsData, graphicsGeometry: Graphi
 
         points.unshift(midPointX, midPointY);
         points.push(midPointX, midPointY);
+
+        if (widths)
+        {
+            const midWidth = (widths[0] + widths[widths.length - 1]) * 0.5;
+
+            widths.unshift(midWidth);
+            widths.push(midWidth);
+        }
     }
 
     const verts = graphicsGeometry.points;
@@ -233,9 +261,9 @@ function buildNonNativeLine(graphicsData: GraphicsData, graphicsGeometry: Graphi
     let indexCount = points.length;
     const indexStart = verts.length / 2;
 
-    // Max. inner and outer width
-    const width = style.width / 2;
-    const widthSquared = width * width;
+    // Max. inner and outer width, at the current point when the width varies along the line
+    let width = (widths ? widths[0] : style.width) / 2;
+    let widthSquared = width * width;
     const miterLimitSquared = style.miterLimit * style.miterLimit;
 
     /* Line segments of interest where (x1,y1) forms the corner. */
@@ -303,6 +331,12 @@ function buildNonNativeLine(graphicsData: GraphicsData, graphicsGeometry: Graphi
         x2 = points[(i + 1) * 2];
         y2 = points[((i + 1) * 2) + 1];
 
+        if (widths)
+        {
+            width = widths[i] / 2;
+            widthSquared = width * width;
+        }
+
         perpx = -(y0 - y1);
         perpy = x0 - x1;
 
@@ -479,6 +513,11 @@ function buildNonNativeLine(graphicsData: GraphicsData, graphicsGeometry: Graphi
     x1 = points[(length - 1) * 2];
     y1 = points[((length - 1) * 2) + 1];
 
+    if (widths)
+    {
+        width = widths[length - 1] / 2;
+    }
+
     perpx = -(y0 - y1);
     perpy = x0 - x1;
 
@@ -580,6 +619,216 @@ function buildNativeLine(graphicsData: GraphicsData, graphicsGeometry: GraphicsG
     }
 }
 
+/**
+ * Buffers vertices and indices to draw a round dot, for dashes of zero length.
+ *
+ * Ignored from docs since it is not directly exposed.
+ *
+ * @ignore
+ * @private
+ * @param {number} x - X-coord of the dot on the line
+ * @param {number} y - Y-coord of the dot on the line
+ * @param {number} nx - X-coord of the unit line normal
+ * @param {number} ny - Y-coord of the unit line normal
+ * @param {PIXI.LineStyle} style - The line style
+ * @param {PIXI.GraphicsGeometry} graphicsGeometry - Geometry where to append output
+ * @param {number} [width=style.width] - The width of the line at the dot
+ */
+function buildDot(
+    x: number,
+    y: number,
+    nx: number,
+    ny: number,
+    style: LineStyle,
+    graphicsGeometry: GraphicsGeometry,
+    width = style.width
+): void
+{
+    const verts = graphicsGeometry.points;
+    const indices = graphicsGeometry.indices;
+    const radius = width / 2;
+
+    // same center as the round caps, shifted by the alignment
+    const offset = radius * (1 - (style.alignment * 2));
+    const cx = x - (nx * offset);
+    const cy = y - (ny * offset);
+
+    const segCount = Math.max(Math.floor(30 * Math.sqrt(radius)), 8);
+    const angleInc = Math.PI * 2 / segCount;
+    const center = verts.length / 2;
+
+    verts.push(cx, cy);
+
+    for (let i = 0; i < segCount; i++)
+    {
+        const angle = i * angleInc;
+
+        verts.push(cx + (Math.sin(angle) * radius), cy + (Math.cos(angle) * radius));
+        indices.push(center, center + 1 + i, center + 1 + ((i + 1) % segCount));
+    }
+}
+
+/**
+ * Builds a dashed line, by building each dash as an open line of its own. The dash pattern carries on
+ * from one segment of the line to the next, around the corners.
+ *
+ * Ignored from docs since it is not directly exposed.
+ *
+ * @ignore
+ * @private
+ * @param {PIXI.GraphicsData} graphicsData - The graphics object containing all the necessary properties
+ * @param {PIXI.GraphicsGeometry} graphicsGeometry - Geometry where to append output
+ * @param {number[]} pattern - The resolved dash pattern of the line style
+ */
+function buildDashedLine(graphicsData: GraphicsData, graphicsGeometry: GraphicsGeometry, pattern: number[]): void
+{
+    const shape = graphicsData.shape as Polygon;
+    const style = graphicsData.lineStyle;
+    let points = graphicsData.points || shape.points;
+    let widths = getWidths(graphicsData, points);
+    const eps = graphicsGeometry.closePointEps;
+
+    if (points.length < 4)
+    {
+        return;
+    }
+
+    // closed shapes go back to their first point, with the pattern carrying on through the closing segment
+    if (shape.type !== SHAPES.POLY || shape.closeStroke)
+    {
+        const lastX = points[points.length - 2];
+        const lastY = points[points.length - 1];
+
+        if (Math.abs(points[0] - lastX) >= eps || Math.abs(points[1] - lastY) >= eps)
+        {
+            points = points.concat(points[0], points[1]);
+            widths = widths && widths.concat(widths[0]);
+        }
+    }
+
+    const dots = style.dot || style.cap === LINE_CAP.ROUND;
+    const total = pattern.reduce((sum, length) => sum + length, 0);
+    let offset = ((style.dashOffset % total) + total) % total;
+    let index = 0;
+
+    // find where in the pattern the line starts
+    while (offset > 0 && offset >= pattern[index])
+    {
+        offset -= pattern[index];
+        index = (index + 1) % pattern.length;
+    }
+
+    let remaining = pattern[index] - offset;
+    let dash: number[] = index % 2 === 0 ? [points[0], points[1]] : null;
+    let dashWidths: number[] = dash && widths ? [widths[0]] : null;
+
+    const emitDash = (nx: number, ny: number): void =>
+    {
+        const length = dash.length;
+
+        if (length === 4 && dash[0] === dash[2] && dash[1] === dash[3])
+        {
+            if (dots && !style.native)
+            {
+                buildDot(dash[0], dash[1], nx, ny, style, graphicsGeometry, dashWidths ? dashWidths[0] : style.width);
+            }
+
+            return;
+        }
+
+        const polygon = new Polygon(dash);
+
+        polygon.closeStroke = false;
+
+        const dashData = new GraphicsData(polygon, null, style);
+
+        dashData.points = dash;
+        dashData.widths = dashWidths;
+
+        if (style.native)
+        {
+            buildNativeLine(dashData, graphicsGeometry);
+        }
+        else
+        {
+            buildNonNativeLine(dashData, graphicsGeometry);
+        }
+    };
+
+    for (let i = 2; i < points.length; i += 2)
+    {
+        const x0 = points[i - 2];
+        const y0 = points[i - 1];
+        const x1 = points[i];
+        const y1 = points[i + 1];
+        const length = Math.sqrt(((x1 - x0) * (x1 - x0)) + ((y1 - y0) * (y1 - y0)));
+
+        if (length === 0)
+        {
+            continue;
+        }
+
+        const nx = -(y1 - y0) / length;
+        const ny = (x1 - x0) / length;
+        let travelled = 0;
+
+        // split the segment wherever a dash starts or ends
+        while (remaining <= length - travelled)
+        {
+            travelled += remaining;
+
+            const t = travelled / length;
+            const x = x0 + ((x1 - x0) * t);
+            const y = y0 + ((y1 - y0) * t);
+            const w = widths ? widths[(i / 2) - 1] + ((widths[i / 2] - widths[(i / 2) - 1]) * t) : 0;
+
+            if (dash)
+            {
+                dash.push(x, y);
+
+                if (dashWidths)
+                {
+                    dashWidths.push(w);
+                }
+
+                emitDash(nx, ny);
+                dash = null;
+                dashWidths = null;
+            }
+            else
+            {
+                dash = [x, y];
+                dashWidths = widths ? [w] : null;
+            }
+
+            index = (index + 1) % pattern.length;
+            remaining = pattern[index];
+        }
+
+        remaining -= length - travelled;
+
+        if (dash && (dash[dash.length - 2] !== x1 || dash[dash.length - 1] !== y1))
+        {
+            dash.push(x1, y1);
+
+            if (dashWidths)
+            {
+                dashWidths.push(widths[i / 2]);
+            }
+        }
+    }
+
+    if (dash && dash.length >= 4)
+    {
+        const length = dash.length;
+        const dx = dash[length - 2] - dash[length - 4];
+        const dy = dash[length - 1] - dash[length - 3];
+        const dist = Math.sqrt((dx * dx) + (dy * dy)) || 1;
+
+        emitDash(-dy / dist, dx / dist);
+    }
+}
+
 /**
  * Builds a line to draw
  *
@@ -592,7 +841,13 @@ function buildNativeLine(graphicsData: GraphicsData, graphicsGeometry: GraphicsG
  */
 export function buildLine(graphicsData: GraphicsData, graphicsGeometry: GraphicsGeometry): void
 {
-    if (graphicsData.lineStyle.native)
+    const pattern = graphicsData.lineStyle.getDashPattern();
+
+    if (pattern.length)
+    {
+        buildDashedLine(graphicsData, graphicsGeometry, pattern);
+    }
+    else if (graphicsData.lineStyle.native)
     {
         buildNativeLine(graphicsData, graphicsGeometry);
     }
@@ -0,0 +1,216 @@
+import { LINE_CAP, LINE_JOIN } from '../const';
+
+import type { LineStyle } from '../styles/LineStyle';
+
+/**
+ * Checks if a point is inside a convex polygon, whatever its winding.
+ *
+ * @ignore
+ * @private
+ */
+function insideConvex(x: number, y: number, polygon: Array<number>): boolean
+{
+    let sign = 0;
+
+    for (let i = 0; i < polygon.length; i += 2)
+    {
+        const ax = polygon[i];
+        const ay = polygon[i + 1];
+        const bx = polygon[(i + 2) % polygon.length];
+        const by = polygon[(i + 3) % polygon.length];
+        const cross = ((bx - ax) * (y - ay)) - ((by - ay) * (x - ax));
+
+        if (cross !== 0)
+        {
+            if (sign !== 0 && (cross > 0) !== (sign > 0))
+            {
+                return false;
+            }
+
+            sign = cross;
+        }
+    }
+
+    return sign !== 0;
+}
+
+/**
+ * Checks if a point is inside a circle.
+ *
+ * @ignore
+ * @private
+ */
+function insideCircle(x: number, y: number, cx: number, cy: number, radius: number): boolean
+{
+    return ((x - cx) * (x - cx)) + ((y - cy) * (y - cy)) <= radius * radius;
+}
+
+/**
+ * Checks if a point is on the line of a path, following the width, alignment, joins and caps of the line
+ * style like {@link PIXI.graphicsUtils.buildLine} does. The gaps of dashed lines are part of the line, so
+ * that dashed lines are as easy to hit as solid ones.
+ *
+ * Ignored from docs since it is not directly exposed.
+ *
+ * @ignore
+ * @private
+ * @param {number[]} points - The points of the path
+ * @param {boolean} closed - Whether the path is closed, closed paths have a join instead of caps
+ * @param {PIXI.LineStyle} style - The style of the line
+ * @param {number} x - The x coordinate of the point
+ * @param {number} y - The y coordinate of the point
+ * @param {number} [tolerance=0] - Distance around the line that is part of it
+ * @param {number[]} [widths=null] - The width of the line at each point, when it varies along the line
+ * @return {boolean} `true` if the point is on the line
+ */
+export function hitTestLine(points: Array<number>, closed: boolean, style: LineStyle,
+    x: number, y: number, tolerance = 0, widths: Array<number> = null): boolean
+{
+    let length = points.length / 2;
+
+    // closed paths don't need their last point when it is the first
+    if (closed && length > 2
+        && points[0] === points[(length * 2) - 2] && points[1] === points[(length * 2) - 1])
+    {
+        length--;
+    }
+
+    if (length < 2)
+    {
+        return false;
+    }
+
+    if (widths && widths.length * 2 !== points.length)
+    {
+        widths = null;
+    }
+
+    const segments = closed ? length : length - 1;
+
+    let prevUx = 0;
+    let prevUy = 0;
+    let hasPrev = false;
+
+    if (closed)
+    {
+        // the segment going into the first point, for the join of the first point
+        for (let i = length - 1; i > 0 && !hasPrev; i--)
+        {
+            const dx = points[0] - points[i * 2];
+            const dy = points[1] - points[(i * 2) + 1];
+            const dist = Math.sqrt((dx * dx) + (dy * dy));
+
+            if (dist > 0)
+            {
+                prevUx = dx / dist;
+                prevUy = dy / dist;
+                hasPrev = true;
+            }
+        }
+    }
+
+    for (let i = 0; i < segments; i++)
+    {
+        const ax = points[i * 2];
+        const ay = points[(i * 2) + 1];
+        const bx = points[((i + 1) % length) * 2];
+        const by = points[(((i + 1) % length) * 2) + 1];
+        const dx = bx - ax;
+        const dy = by - ay;
+        const dist = Math.sqrt((dx * dx) + (dy * dy));
+
+        if (dist === 0)
+        {
+            continue;
+        }
+
+        const ux = dx / dist;
+        const uy = dy / dist;
+        const px = x - ax;
+        const py = y - ay;
+        const t = (px * ux) + (py * uy);
+        const s = (px * uy) - (py * ux);
+
+        // the width changes linearly along the segment, and is constant across the caps
+        const widthA = widths ? widths[i] : style.width;
+        const widthB = widths ? widths[(i + 1) % length] : style.width;
+        const width = widthA + ((widthB - widthA) * Math.max(0, Math.min(1, t / dist)));
+
+        // Extent of the line on each side of the path, along the normal (dy, -dx) of the segment
+        const inner = ((1 - style.alignment) * width) + tolerance;
+        const outer = (style.alignment * width) + tolerance;
+        const square = style.cap === LINE_CAP.SQUARE;
+        const start = !closed && i === 0 && style.cap !== LINE_CAP.ROUND
+            ? -((square ? widthA / 2 : 0) + tolerance) : 0;
+        const end = !closed && i === segments - 1 && style.cap !== LINE_CAP.ROUND
+            ? dist + (square ? widthB / 2 : 0) + tolerance : dist;
+
+        if (t >= start && t <= end && s >= -inner && s <= outer)
+        {
+            return true;
+        }
+
+        // round caps are centered in the middle of the line
+        if (!closed && style.cap === LINE_CAP.ROUND)
+        {
+            const offsetA = (style.alignment - 0.5) * widthA;
+            const offsetB = (style.alignment - 0.5) * widthB;
+
+            if ((i === 0 && insideCircle(x, y, ax + (uy * offsetA), ay - (ux * offsetA), (widthA / 2) + tolerance))
+                || (i === segments - 1
+                    && insideCircle(x, y, bx + (uy * offsetB), by - (ux * offsetB), (widthB / 2) + tolerance)))
+            {
+                return true;
+            }
+        }
+
+        // the join at the start of the segment fills the gap on the outside of the turn
+        const cross = (prevUx * uy) - (prevUy * ux);
+        const extent = ((cross > 0 ? style.alignment : 1 - style.alignment) * widthA) + tolerance;
+
+        if (hasPrev && cross !== 0 && extent > 0)
+        {
+            const sign = cross > 0 ? 1 : -1;
+            const n0x = prevUy * sign;
+            const n0y = -prevUx * sign;
+            const n1x = uy * sign;
+            const n1y = -ux * sign;
+
+            if (style.join === LINE_JOIN.ROUND)
+            {
+                const inWedge = ((n0x * py) - (n0y * px)) * ((n1x * py) - (n1y * px)) <= 0
+                    && (px * (n0x + n1x)) + (py * (n0y + n1y)) >= 0;
+
+                if (inWedge && (px * px) + (py * py) <= extent * extent)
+                {
+                    return true;
+                }
+            }
+            else
+            {
+                const join = [ax, ay, ax + (n0x * extent), ay + (n0y * extent)];
+                const miter = 1 / (1 + (n0x * n1x) + (n0y * n1y));
+                const mx = (n0x + n1x) * miter;
+                const my = (n0y + n1y) * miter;
+
+                if (style.join === LINE_JOIN.MITER && (mx * mx) + (my * my) <= style.miterLimit * style.miterLimit)
+                {
+                    join.push(ax + (mx * extent), ay + (my * extent));
+                }
+
+                join.push(ax + (n1x * extent), ay + (n1y * extent));
+
+                if (insideConvex(x, y, join))
+                {
+                    return true;
+                }
+            }
+        }
+
+        prevUx = ux;
+        prevUy = uy;
+        hasPrev = true;
+    }
+
+    return false;
+}
@@ -18,6 +18,10 @@ import { buildRoundedRectangle } from './buildRoundedRectangle';
 export { buildRoundedRectangle };
 
 export * from './buildLine';
+export * from './buildFringe';
+export * from './interpolateWidths';
+export * from './hitTestLine';
+export * from './triangulateFillRule';
 export * from './Star';
 export * from './ArcUtils';
 export * from './BezierUtils';
@@ -0,0 +1,45 @@
+/**
+ * Adds the widths of the line at points of a path, changing along the path from the width before the points
+ * to the width at the last of them, in proportion to the distance travelled.
+ *
+ * Ignored from docs since it is not directly exposed.
+ *
+ * @ignore
+ * @private
+ * @param {number[]} points - The points of the path
+ * @param {number} start - Index of the first coordinate of the points
+ * @param {number} end - Index after the last coordinate of the points
+ * @param {number} from - Width of the line at the point before them
+ * @param {number} to - Width of the line at the last point
+ * @param {number[]} widths - Where to add the widths, one per point
+ */
+export function interpolateWidths(points: Array<number>, start: number, end: number,
+    from: number, to: number, widths: Array<number>): void
+{
+    // the distance is travelled from the point before, when there is one
+    const first = start >= 2 ? start - 2 : start;
+    let total = 0;
+
+    for (let i = first + 2; i < end; i += 2)
+    {
+        const dx = points[i] - points[i - 2];
+        const dy = points[i + 1] - points[i - 1];
+
+        total += Math.sqrt((dx * dx) + (dy * dy));
+    }
+
+    let travelled = 0;
+
+    for (let i = start; i < end; i += 2)
+    {
+        if (i > first)
+        {
+            const dx = points[i] - points[i - 2];
+            const dy = points[i + 1] - points[i - 1];
+
+            travelled += Math.sqrt((dx * dx) + (dy * dy));
+        }
+
+        widths.push(total > 0 ? from + ((to - from) * travelled / total) : to);
+    }
+}
@@ -0,0 +1,389 @@
+import { FILL_RULE } from '../const';
+
+import type { GraphicsGeometry } from '../GraphicsGeometry';
+
+/**
+ * An edge of the outlines, going down, with the direction it was drawn in.
+ *
+ * @ignore
+ * @private
+ */
+interface IFillEdge
+{
+    x0: number;
+    y0: number;
+    x1: number;
+    y1: number;
+    winding: number;
+    top: number;
+    bottom: number;
+    xa: number;
+    xb: number;
+}
+
+/**
+ * Relative precision under which coordinates are considered the same.
+ *
+ * @ignore
+ * @private
+ */
+const PRECISION = 1e-9;
+
+/**
+ * Checks if a winding number is inside according to a fill rule.
+ *
+ * @ignore
+ * @private
+ */
+function isFilled(winding: number, fillRule: FILL_RULE): boolean
+{
+    return fillRule === FILL_RULE.EVENODD ? (winding & 1) !== 0 : winding !== 0;
+}
+
+/**
+ * Computes the x coordinate of an edge at some height.
+ *
+ * @ignore
+ * @private
+ */
+function edgeX(edge: IFillEdge, y: number): number
+{
+    return edge.x0 + ((y - edge.y0) * (edge.x1 - edge.x0) / (edge.y1 - edge.y0));
+}
+
+/**
+ * Sorts values and merges those closer than the precision, keeping the first of each group.
+ *
+ * @ignore
+ * @private
+ */
+function mergeValues(values: Array<number>, epsilon: number): Array<number>
+{
+    const merged: Array<number> = [];
+
+    values.sort((a, b) => a - b);
+
+    for (let i = 0; i < values.length; i++)
+    {
+        if (!merged.length || values[i] - merged[merged.length - 1] > epsilon)
+        {
+            merged.push(values[i]);
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Finds the merged value that a value was merged into.
+ *
+ * @ignore
+ * @private
+ */
+function findValue(merged: Array<number>, value: number, epsilon: number): number
+{
+    let low = 0;
+    let high = merged.length - 1;
+
+    while (low < high)
+    {
+        const middle = (low + high + 1) >> 1;
+
+        if (merged[middle] <= value + epsilon)
+        {
+            low = middle;
+        }
+        else
+        {
+            high = middle - 1;
+        }
+    }
+
+    return low;
+}
+
+/**
+ * Signed area of a closed outline, its sign gives the direction the outline is drawn in.
+ *
+ * @ignore
+ * @private
+ * @param {number[]} points - The points of the outline
+ * @return {number} The signed area
+ */
+export function signedArea(points: Array<number>): number
+{
+    let area = 0;
+
+    for (let i = 0, j = points.length - 2; i < points.length; j = i, i += 2)
+    {
+        area += (points[j] * points[i + 1]) - (points[i] * points[j + 1]);
+    }
+
+    return area / 2;
+}
+
+/**
+ * Checks if a point is inside closed outlines according to a fill rule.
+ *
+ * @ignore
+ * @private
+ * @param {Array<number[]>} contours - The points of each outline
+ * @param {PIXI.FILL_RULE} fillRule - The rule deciding where the outlines are filled
+ * @param {number} x - The x coordinate of the point
+ * @param {number} y - The y coordinate of the point
+ * @return {boolean} `true` if the point is inside
+ */
+export function fillRuleContains(contours: Array<Array<number>>, fillRule: FILL_RULE, x: number, y: number): boolean
+{
+    let winding = 0;
+
+    for (let i = 0; i < contours.length; i++)
+    {
+        const points = contours[i];
+
+        for (let j = 0, k = points.length - 2; j < points.length; k = j, j += 2)
+        {
+            const x0 = points[k];
+            const y0 = points[k + 1];
+            const x1 = points[j];
+            const y1 = points[j + 1];
+            const side = ((x1 - x0) * (y - y0)) - ((x - x0) * (y1 - y0));
+
+            if (y0 <= y && y1 > y && side > 0)
+            {
+                winding++;
+            }
+            else if (y0 > y && y1 <= y && side < 0)
+            {
+                winding--;
+            }
+        }
+    }
+
+    return isFilled(winding, fillRule);
+}
+
+/**
+ * Triangulates closed outlines according to a fill rule, the outlines may overlap and intersect themselves.
+ *
+ * The outlines are cut in horizontal bands at each of their points and intersections, so that the edges
+ * don't cross within a band. The parts of the bands between edges where the fill rule is met are filled
+ * with trapezoids, which share their corners with the trapezoids of the bands above and below, so that
+ * the triangles meet without cracks.
+ *
+ * Ignored from docs since it is not directly exposed.
+ *
+ * @ignore
+ * @private
+ * @param {Array<number[]>} contours - The points of each outline
+ * @param {PIXI.FILL_RULE} fillRule - The rule deciding where the outlines are filled
+ * @param {PIXI.GraphicsGeometry} graphicsGeometry - Geometry where to append output
+ */
+export function triangulateFillRule(contours: Array<Array<number>>, fillRule: FILL_RULE,
+    graphicsGeometry: GraphicsGeometry): void
+{
+    const edges: Array<IFillEdge> = [];
+    let ys: Array<number> = [];
+    let extent = 0;
+
+    for (let i = 0; i < contours.length; i++)
+    {
+        const points = contours[i];
+
+        if (points.length < 6)
+        {
+            continue;
+        }
+
+        for (let j = 0, k = points.length - 2; j < points.length; k = j, j += 2)
+        {
+            const x0 = points[k];
+            const y0 = points[k + 1];
+            const x1 = points[j];
+            const y1 = points[j + 1];
+
+            ys.push(y1);
+            extent = Math.max(extent, Math.abs(x1), Math.abs(y1));
+
+            if (y0 < y1)
+            {
+                edges.push({ x0, y0, x1, y1, winding: 1, top: 0, bottom: 0, xa: 0, xb: 0 });
+            }
+            else if (y0 > y1)
+            {
+                edges.push({ x0: x1, y0: y1, x1: x0, y1: y0, winding: -1, top: 0, bottom: 0, xa: 0, xb: 0 });
+            }
+        }
+    }
+
+    if (!edges.length)
+    {
+        return;
+    }
+
+    const epsilon = Math.max(extent, 1) * PRECISION;
+
+    // Cut the bands at the intersections too
+    edges.sort((a, b) => a.y0 - b.y0);
+
+    for (let i = 0; i < edges.length; i++)
+    {
+        const a = edges[i];
+
+        for (let j = i + 1; j < edges.length && edges[j].y0 < a.y1; j++)
+        {
+            const b = edges[j];
+            const top = b.y0;
+            const bottom = Math.min(a.y1, b.y1);
+            const dTop = edgeX(a, top) - edgeX(b, top);
+            const dBottom = edgeX(a, bottom) - edgeX(b, bottom);
+
+            if ((dTop < 0 && dBottom > 0) || (dTop > 0 && dBottom < 0))
+            {
+                ys.push(top + ((bottom - top) * dTop / (dTop - dBottom)));
+            }
+        }
+    }
+
+    ys = mergeValues(ys, epsilon);
+
+    for (let i = 0; i < edges.length; i++)
+    {
+        const edge = edges[i];
+
+        edge.top = findValue(ys, edge.y0, epsilon);
+        edge.bottom = findValue(ys, edge.y1, epsilon);
+    }
+
+    // Fill each band between the edges crossing it
+    const bands: Array<Array<IFillEdge>> = [];
+    const bandEdges: Array<Array<IFillEdge>> = [];
+    let active: Array<IFillEdge> = [];
+    let next = 0;
+
+    for (let band = 0; band < ys.length - 1; band++)
+    {
+        const ya = ys[band];
+        const yb = ys[band + 1];
+
+        active = active.filter((edge) => edge.bottom > band);
+
+        while (next < edges.length && edges[next].top <= band)
+        {
+            if (edges[next].bottom > band)
+            {
+                active.push(edges[next]);
+            }
+
+            next++;
+        }
+
+        const crossing = active.map((edge) => Object.assign({}, edge, { xa: edgeX(edge, ya), xb: edgeX(edge, yb) }));
+        const filled: Array<IFillEdge> = [];
+        let winding = 0;
+        let left: IFillEdge = null;
+
+        crossing.sort((a, b) => (a.xa + a.xb) - (b.xa + b.xb));
+
+        for (let i = 0; i < crossing.length; i++)
+        {
+            const wasFilled = isFilled(winding, fillRule);
+
+            winding += crossing[i].winding;
+
+            if (!wasFilled && isFilled(winding, fillRule))
+            {
+                left = crossing[i];
+            }
+            else if (wasFilled && !isFilled(winding, fillRule))
+            {
+                filled.push(left, crossing[i]);
+            }
+        }
+
+        bands.push(filled);
+        bandEdges.push(crossing);
+    }
+
+    // The corners on each cut, shared by the bands above and below, with close intersections merged
+    const cuts: Array<Array<number>> = [];
+
+    for (let cut = 0; cut < ys.length; cut++)
+    {
+        const values: Array<number> = [];
+        const above = bandEdges[cut - 1] || [];
+        const below = bandEdges[cut] || [];
+
+        for (let i = 0; i < above.length; i++)
+        {
+            values.push(above[i].xb);
+        }
+
+        for (let i = 0; i < below.length; i++)
+        {
+            values.push(below[i].xa);
+        }
+
+        cuts.push(mergeValues(values, epsilon));
+    }
+
+    const points = graphicsGeometry.points;
+    const indices = graphicsGeometry.indices;
+
+    for (let band = 0; band < bands.length; band++)
+    {
+        const filled = bands[band];
+        const ya = ys[band];
+        const yb = ys[band + 1];
+        const topCut = cuts[band];
+        const bottomCut = cuts[band + 1];
+
+        for (let i = 0; i < filled.length; i += 2)
+        {
+            const topStart = findValue(topCut, filled[i].xa, epsilon);
+            const topEnd = findValue(topCut, filled[i + 1].xa, epsilon);
+            const bottomStart = findValue(bottomCut, filled[i].xb, epsilon);
+            const bottomEnd = findValue(bottomCut, filled[i + 1].xb, epsilon);
+
+            if (topStart === topEnd && bottomStart === bottomEnd)
+            {
+                continue;
+            }
+
+            // Zip the corners of the top and the bottom of the trapezoid into triangles
+            const top = points.length / 2;
+
+            for (let j = topStart; j <= topEnd; j++)
+            {
+                points.push(topCut[j], ya);
+            }
+
+            const bottom = points.length / 2;
+
+            for (let j = bottomStart; j <= bottomEnd; j++)
+            {
+                points.push(bottomCut[j], yb);
+            }
+
+            let j = topStart;
+            let k = bottomStart;
+
+            while (j < topEnd || k < bottomEnd)
+            {
+                const a = top + j - topStart;
+                const b = bottom + k - bottomStart;
+
+                if (k === bottomEnd || (j < topEnd && topCut[j + 1] <= bottomCut[k + 1]))
+                {
+                    indices.push(a, a + 1, b);
+                    j++;
+                }
+                else
+                {
+                    indices.push(a, b + 1, b);
+                    k++;
+                }
+            }
+        }
+    }
+}
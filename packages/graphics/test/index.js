@@ -1,9 +1,22 @@
 // const MockPointer = require('../interaction/MockPointer');
 const { Renderer, BatchRenderer, Texture } = require('@pixi/core');
-const { Graphics, GRAPHICS_CURVES, FillStyle, LineStyle, graphicsUtils } = require('../');
+const {
+    Graphics,
+    GraphicsGeometry,
+    GRAPHICS_CURVES,
+    GRADIENT_TYPE,
+    CURVE_TYPE,
+    FillStyle,
+    LineStyle,
+    GraphicsGradient,
+    graphicsUtils,
+    LINE_CAP,
+    LINE_JOIN,
+    FILL_RULE,
+} = require('../');
 const { FILL_COMMANDS, buildLine } = graphicsUtils;
-const { BLEND_MODES } = require('@pixi/constants');
-const { Point, Matrix, SHAPES, Polygon } = require('@pixi/math');
+const { BLEND_MODES, WRAP_MODES } = require('@pixi/constants');
+const { Point, Matrix, SHAPES, Polygon, Transform } = require('@pixi/math');
 const { skipHello } = require('@pixi/utils');
 
 Renderer.registerPlugin('batch', BatchRenderer);
@@ -161,6 +174,239 @@ describe('PIXI.Graphics', function ()
         });
     });
 
+    describe('gradients', function ()
+    {
+        const colorStops = [
+            { offset: 1, color: 0x0000ff },
+            { offset: 0, color: 0xff0000, alpha: 0.5 },
+        ];
+
+        it('should sort and complete color stops', function ()
+        {
+            const gradient = new GraphicsGradient({ x1: 10, y1: 0, colorStops });
+
+            expect(gradient.type).to.equal(GRADIENT_TYPE.LINEAR);
+            expect(gradient.colorStops).to.deep.equal([
+                { offset: 0, color: 0xff0000, alpha: 0.5 },
+                { offset: 1, color: 0x0000ff, alpha: 1 },
+            ]);
+        });
+
+        it('should share textures between gradients with the same colors', function ()
+        {
+            const gradient1 = new GraphicsGradient({ x0: 0, y0: 0, x1: 10, y1: 0, colorStops });
+            const gradient2 = new GraphicsGradient({ x0: 5, y0: 5, x1: 50, y1: 20, colorStops });
+            const gradient3 = new GraphicsGradient({ type: GRADIENT_TYPE.RADIAL, x1: 10, y1: 0, r1: 5, colorStops });
+            const gradient4 = new GraphicsGradient({ x1: 10, y1: 0, colorStops: colorStops.slice(1) });
+
+            expect(gradient1.texture).to.equal(gradient2.texture);
+            expect(gradient1.texture).to.equal(gradient3.texture);
+            expect(gradient1.texture).to.not.equal(gradient4.texture);
+            expect(gradient1.texture.height).to.equal(1);
+            expect(gradient1.texture.baseTexture.wrapMode).to.equal(WRAP_MODES.CLAMP);
+
+            gradient4.dispose();
+
+            const texture = gradient1.texture;
+            const baseTexture = texture.baseTexture;
+
+            gradient1.dispose();
+            gradient3.dispose();
+
+            expect(baseTexture.destroyed).to.be.false;
+
+            gradient2.dispose();
+
+            expect(baseTexture.destroyed).to.be.true;
+            expect(gradient1.texture).to.not.equal(texture);
+
+            gradient1.dispose();
+        });
+
+        it('should dispose the gradients once no shapes use them', function ()
+        {
+            const gradient = new GraphicsGradient({ x1: 100, y1: 0, colorStops });
+            const graphics1 = new Graphics();
+            const graphics2 = new Graphics();
+
+            graphics1.beginTextureFill({ gradient }).drawRect(0, 0, 100, 100);
+            graphics2.beginTextureFill({ gradient }).drawRect(0, 0, 100, 100);
+            graphics1.geometry.updateBatches();
+            graphics2.geometry.updateBatches();
+
+            const baseTexture = gradient.texture.baseTexture;
+
+            expect(gradient.refCount).to.equal(2);
+
+            graphics1.destroy();
+
+            expect(gradient.refCount).to.equal(1);
+            expect(baseTexture.destroyed).to.be.false;
+
+            graphics2.clear();
+
+            expect(baseTexture.destroyed).to.be.false;
+
+            graphics2.geometry.updateBatches();
+
+            expect(gradient.refCount).to.equal(0);
+            expect(baseTexture.destroyed).to.be.true;
+
+            graphics2.beginTextureFill({ gradient }).drawRect(0, 0, 100, 100);
+            graphics2.geometry.updateBatches();
+
+            expect(gradient.refCount).to.equal(1);
+            expect(graphics2.geometry.batches[0].style.texture).to.equal(gradient.texture);
+            expect(gradient.texture.baseTexture.destroyed).to.be.false;
+
+            graphics2.destroy();
+
+            expect(gradient.refCount).to.equal(0);
+        });
+
+        it('should keep the gradients of shapes drawn again', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.beginLinearGradientFill(0, 0, 100, 0, colorStops).drawRect(0, 0, 100, 100);
+            graphics.geometry.updateBatches();
+
+            const texture = graphics.geometry.batches[0].style.texture;
+
+            graphics.clear();
+            graphics.beginLinearGradientFill(0, 0, 100, 0, colorStops).drawRect(0, 0, 50, 50);
+            graphics.geometry.updateBatches();
+
+            expect(graphics.geometry.batches[0].style.texture).to.equal(texture);
+            expect(texture.baseTexture.destroyed).to.be.false;
+
+            graphics.geometry.dispose();
+
+            expect(graphics.geometry.batches).to.have.lengthOf(1);
+            expect(texture.baseTexture.destroyed).to.be.false;
+
+            graphics.destroy();
+
+            expect(texture.baseTexture).to.be.null;
+        });
+
+        it('should map linear gradients along their line', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.beginLinearGradientFill(0, 0, 100, 0, colorStops);
+            graphics.drawRect(0, 0, 100, 100);
+            graphics.geometry.updateBatches();
+
+            const uvs = graphics.geometry.uvs;
+
+            expect(graphics.fill.gradient).to.be.instanceof(GraphicsGradient);
+            expect(graphics.fill.texture).to.equal(graphics.fill.gradient.texture);
+            expect(uvs[0]).to.be.closeTo(0, 0.0001);
+            expect(uvs[2]).to.be.closeTo(1, 0.0001);
+            expect(uvs[4]).to.be.closeTo(0, 0.0001);
+            expect(uvs[6]).to.be.closeTo(1, 0.0001);
+            expect(graphics.geometry.batches[0].style.texture.baseTexture.wrapMode).to.equal(WRAP_MODES.CLAMP);
+
+            graphics.destroy();
+        });
+
+        it('should map gradients in the space of the shapes', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.setMatrix(new Matrix().scale(2, 2).translate(50, 0));
+            graphics.beginLinearGradientFill(0, 0, 100, 0, colorStops);
+            graphics.drawRect(0, 0, 100, 100);
+            graphics.geometry.updateBatches();
+
+            const uvs = graphics.geometry.uvs;
+
+            expect(uvs[0]).to.be.closeTo(0, 0.0001);
+            expect(uvs[2]).to.be.closeTo(1, 0.0001);
+
+            graphics.destroy();
+        });
+
+        it('should map radial gradients around their end circle', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.beginRadialGradientFill(50, 50, 0, 50, 50, 50, colorStops);
+            graphics.drawRect(0, 0, 100, 100);
+            graphics.geometry.updateBatches();
+
+            const uvs = graphics.geometry.uvs;
+
+            expect(uvs[0]).to.be.closeTo(-1, 0.0001);
+            expect(uvs[1]).to.be.closeTo(-1, 0.0001);
+            expect(uvs[6]).to.be.closeTo(1, 0.0001);
+            expect(uvs[7]).to.be.closeTo(1, 0.0001);
+            expect(graphics.fill.gradient.circles).to.eql([0, 0, 0, 1]);
+            expect(graphics.geometry.radialGradients).to.be.true;
+            expect(graphics.geometry.batchable).to.be.false;
+
+            graphics.destroy();
+        });
+
+        it('should give the circles of radial gradients to their vertices', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.beginLinearGradientFill(0, 0, 100, 0, colorStops).drawRect(0, 0, 100, 100);
+            graphics.beginRadialGradientFill(10, 0, 5, 0, 0, 20, colorStops).drawRect(0, 0, 100, 100);
+            graphics.geometry.updateBatches();
+
+            const geometry = graphics.geometry;
+            const circles = geometry._gradientBuffer.data;
+
+            expect(geometry.batches).to.have.lengthOf(2);
+            expect(geometry.batches[0].style.texture).to.equal(geometry.batches[1].style.texture);
+            expect(circles).to.have.lengthOf(geometry.points.length * 2);
+            expect(Array.from(circles.subarray(0, 4))).to.eql([0, 0, 0, 0]);
+            expect(Array.from(circles.subarray(circles.length - 4))).to.eql([10 / 20, 0, 5 / 20, 1]);
+            expect(geometry.attributes.aGradient).to.exist;
+
+            graphics.clear().beginFill(0xff0000).drawRect(0, 0, 100, 100);
+            geometry.updateBatches();
+
+            expect(geometry.radialGradients).to.be.false;
+            expect(geometry.batchable).to.be.true;
+
+            graphics.destroy();
+        });
+
+        it('should accept gradient options for lines', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle({ width: 2, gradient: { x0: 0, y0: 0, x1: 10, y1: 0, colorStops } });
+
+            expect(graphics.line.gradient).to.be.instanceof(GraphicsGradient);
+            expect(graphics.line.texture).to.equal(graphics.line.gradient.texture);
+            expect(graphics.line.color).to.equal(0xFFFFFF);
+
+            graphics.lineStyle(2, 0xff0000);
+
+            expect(graphics.line.gradient).to.be.null;
+
+            graphics.destroy();
+        });
+
+        it('should create tinted canvas gradients', function ()
+        {
+            const gradient = new GraphicsGradient({ type: GRADIENT_TYPE.RADIAL, x0: 1, y0: 2, r0: 3,
+                x1: 4, y1: 5, r1: 6, colorStops });
+            const canvasGradient = { addColorStop: sinon.spy() };
+            const context = { createRadialGradient: sinon.stub().returns(canvasGradient) };
+
+            expect(gradient.createCanvasGradient(context, 0x808080)).to.equal(canvasGradient);
+            expect(context.createRadialGradient).to.have.been.calledWith(1, 2, 3, 4, 5, 6);
+            expect(canvasGradient.addColorStop).to.have.been.calledWith(0, 'rgba(128,0,0,0.5)');
+            expect(canvasGradient.addColorStop).to.have.been.calledWith(1, 'rgba(0,0,128,1)');
+        });
+    });
+
     describe('utils', function ()
     {
         it('FILL_COMMADS should be filled', function ()
@@ -288,117 +534,792 @@ describe('PIXI.Graphics', function ()
 
             expect(graphics.currentPath.points).to.deep.equal([0, 0, 10, 0]);
         });
-    });
+    });
+
+    describe('dash', function ()
+    {
+        function buildPoints(graphics)
+        {
+            graphics.finishPoly();
+            graphics.geometry.updateBatches();
+
+            return Array.from(graphics.geometry.points);
+        }
+
+        it('should resolve the dash pattern', function ()
+        {
+            const style = new LineStyle();
+
+            expect(style.getDashPattern()).to.deep.equal([]);
+
+            style.dash = [5, 10];
+            expect(style.getDashPattern()).to.deep.equal([5, 10]);
+
+            style.dash = [5, 10, 15];
+            expect(style.getDashPattern()).to.deep.equal([5, 10, 15, 5, 10, 15]);
+
+            style.dash = [5, -1];
+            expect(style.getDashPattern()).to.deep.equal([]);
+
+            style.dash = [0, 0];
+            expect(style.getDashPattern()).to.deep.equal([]);
+
+            style.width = 4;
+            style.dot = true;
+            style.dash = [];
+            expect(style.getDashPattern()).to.deep.equal([0, 8]);
+
+            style.dash = [10, 20];
+            expect(style.getDashPattern()).to.deep.equal([0, 10, 0, 20]);
+        });
+
+        it('should copy the dash pattern', function ()
+        {
+            const dash = [5, 10];
+            const graphics = new Graphics();
+
+            graphics.lineStyle({ width: 1, dash, dashOffset: 2, dot: true });
+            dash.push(1);
+
+            const style = graphics.line.clone();
+
+            expect(style.dash).to.deep.equal([5, 10]);
+            expect(style.dash).to.not.equal(graphics.line.dash);
+            expect(style.dashOffset).to.equal(2);
+            expect(style.dot).to.be.true;
+
+            graphics.lineStyle(0);
+
+            expect(graphics.line.dash).to.deep.equal([]);
+            expect(graphics.line.dashOffset).to.equal(0);
+            expect(graphics.line.dot).to.be.false;
+        });
+
+        it('should split lines into dashes', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle({ width: 1, native: true, dash: [10, 10] })
+                .moveTo(0, 0)
+                .lineTo(50, 0);
+
+            expect(buildPoints(graphics)).to.deep.equal([0, 0, 10, 0, 20, 0, 30, 0, 40, 0, 50, 0]);
+        });
+
+        it('should carry the pattern on across segments', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle({ width: 1, native: true, dash: [10, 10] })
+                .moveTo(0, 0)
+                .lineTo(15, 0)
+                .lineTo(15, 15);
+
+            expect(buildPoints(graphics)).to.deep.equal([0, 0, 10, 0, 15, 5, 15, 15]);
+            expect(Array.from(graphics.geometry.indices)).to.deep.equal([0, 1, 2, 3]);
+        });
+
+        it('should start at the dash offset', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle({ width: 1, native: true, dash: [10, 10], dashOffset: 5 })
+                .moveTo(0, 0)
+                .lineTo(15, 0)
+                .lineTo(15, 15);
+
+            expect(buildPoints(graphics)).to.deep.equal([0, 0, 5, 0, 15, 0, 15, 10]);
+        });
+
+        it('should carry the pattern on around closed shapes', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle({ width: 1, native: true, dash: [10, 10] })
+                .drawRect(0, 0, 10, 10);
+
+            expect(buildPoints(graphics)).to.deep.equal([0, 0, 10, 0, 10, 10, 0, 10]);
+        });
+
+        it('should carry the pattern on along curves', function ()
+        {
+            const solid = new Graphics();
+            const dashed = new Graphics();
+
+            solid.lineStyle({ width: 1, native: true })
+                .arc(0, 0, 50, 0, Math.PI);
+            dashed.lineStyle({ width: 1, native: true, dash: [1000, 1] })
+                .arc(0, 0, 50, 0, Math.PI);
+
+            // a single dash longer than the curve keeps all of its points
+            expect(buildPoints(dashed)).to.deep.equal(buildPoints(solid));
+        });
+
+        it('should build dots', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle({ width: 2, dot: true, dash: [10] })
+                .moveTo(0, 0)
+                .lineTo(5, 0);
+
+            const dotSize = buildPoints(graphics).length;
+
+            graphics.clear()
+                .lineStyle({ width: 2, dot: true, dash: [10] })
+                .moveTo(0, 0)
+                .lineTo(40, 0);
+
+            const points = buildPoints(graphics);
+
+            expect(dotSize).to.be.above(0);
+            expect(points.length).to.equal(dotSize * 5);
+            expect(points[dotSize * 4]).to.equal(40);
+            expect(points[(dotSize * 4) + 1]).to.equal(0);
+        });
+
+        it('should apply caps to each dash', function ()
+        {
+            const butt = new Graphics();
+            const square = new Graphics();
+
+            butt.lineStyle({ width: 2, dash: [10, 10] })
+                .moveTo(0, 0)
+                .lineTo(30, 0);
+            square.lineStyle({ width: 2, dash: [10, 10], cap: 'square' })
+                .moveTo(0, 0)
+                .lineTo(30, 0);
+
+            const buttX = buildPoints(butt).filter((value, i) => i % 2 === 0);
+            const squareX = buildPoints(square).filter((value, i) => i % 2 === 0);
+
+            expect(Math.min(...buttX)).to.equal(0);
+            expect(Math.max(...buttX)).to.equal(30);
+            expect(Math.min(...squareX)).to.equal(-1);
+            expect(Math.max(...squareX)).to.equal(31);
+
+            // two dashes with two extra vertices per cap
+            expect(squareX.length).to.equal(buttX.length + 8);
+        });
+    });
+
+    describe('containsPoint', function ()
+    {
+        it('should return true when point inside', function ()
+        {
+            const point = new Point(1, 1);
+            const graphics = new Graphics();
+
+            graphics.beginFill(0);
+            graphics.drawRect(0, 0, 10, 10);
+
+            expect(graphics.containsPoint(point)).to.be.true;
+        });
+
+        it('should return false when point outside', function ()
+        {
+            const point = new Point(20, 20);
+            const graphics = new Graphics();
+
+            graphics.beginFill(0);
+            graphics.drawRect(0, 0, 10, 10);
+
+            expect(graphics.containsPoint(point)).to.be.false;
+        });
+
+        it('should return false when no fill', function ()
+        {
+            const point = new Point(1, 1);
+            const graphics = new Graphics();
+
+            graphics.drawRect(0, 0, 10, 10);
+
+            expect(graphics.containsPoint(point)).to.be.false;
+        });
+
+        it('should return false with hole', function ()
+        {
+            const point1 = new Point(1, 1);
+            const point2 = new Point(5, 5);
+            const graphics = new Graphics();
+
+            graphics.beginFill(0)
+                .moveTo(0, 0)
+                .lineTo(10, 0)
+                .lineTo(10, 10)
+                .lineTo(0, 10)
+                .beginHole()
+                .moveTo(2, 2)
+                .lineTo(8, 2)
+                .lineTo(8, 8)
+                .lineTo(2, 8)
+                .endHole();
+
+            expect(graphics.containsPoint(point1)).to.be.true;
+            expect(graphics.containsPoint(point2)).to.be.false;
+        });
+
+        it('should handle extra shapes in holes', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.beginFill(0)
+                .moveTo(3, 3)
+                .lineTo(5, 3)
+                .lineTo(5, 5)
+                .lineTo(3, 5)
+                .beginFill(0)
+                .moveTo(0, 0)
+                .lineTo(10, 0)
+                .lineTo(10, 10)
+                .lineTo(0, 10)
+                .beginHole()
+                .moveTo(2, 2)
+                .lineTo(8, 2)
+                .lineTo(8, 8)
+                .lineTo(2, 8)
+                .endHole()
+                .beginFill(0)
+                .moveTo(5, 5)
+                .lineTo(7, 5)
+                .lineTo(7, 7)
+                .lineTo(5, 7)
+                .endFill();
+
+            expect(graphics.containsPoint(new Point(1, 1))).to.be.true;
+            expect(graphics.containsPoint(new Point(4, 4))).to.be.true;
+            expect(graphics.containsPoint(new Point(4, 6))).to.be.false;
+            expect(graphics.containsPoint(new Point(6, 4))).to.be.false;
+            expect(graphics.containsPoint(new Point(6, 6))).to.be.true;
+        });
+
+        it('should take a matrix into account', function ()
+        {
+            const g = new Graphics();
+            const m = new Matrix();
+
+            g.beginFill(0xffffff, 1.0);
+            m.identity().translate(0, 100);
+            g.setMatrix(m.clone());
+            g.drawRect(0, 0, 10, 10);
+            m.identity().translate(200, 0);
+            g.setMatrix(m.clone());
+            g.drawRect(0, 0, 10, 10);
+            g.setMatrix(null);
+            g.drawRect(30, 40, 10, 10);
+
+            expect(g.containsPoint(new Point(5, 5))).to.be.false;
+            expect(g.containsPoint(new Point(5, 105))).to.be.true;
+            expect(g.containsPoint(new Point(205, 5))).to.be.true;
+            expect(g.containsPoint(new Point(35, 45))).to.be.true;
+        });
+
+        it('should hit open lines within their width', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle(4, 0).moveTo(0, 0).lineTo(100, 0);
+
+            expect(graphics.containsPoint(new Point(50, 1))).to.be.true;
+            expect(graphics.containsPoint(new Point(50, -1.9))).to.be.true;
+            expect(graphics.containsPoint(new Point(50, 3))).to.be.false;
+            expect(graphics.containsPoint(new Point(-1, 0))).to.be.false;
+        });
+
+        it('should hit lines of unfilled shapes but not their inside', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle(2, 0).drawCircle(0, 0, 10);
+
+            expect(graphics.containsPoint(new Point(9.5, 0))).to.be.true;
+            expect(graphics.containsPoint(new Point(0, -10.5))).to.be.true;
+            expect(graphics.containsPoint(new Point(0, 0))).to.be.false;
+            expect(graphics.containsPoint(new Point(12, 0))).to.be.false;
+        });
+
+        it('should follow the caps of open lines', function ()
+        {
+            const butt = new Graphics().lineStyle({ width: 4, cap: LINE_CAP.BUTT }).moveTo(0, 0).lineTo(100, 0);
+            const square = new Graphics().lineStyle({ width: 4, cap: LINE_CAP.SQUARE }).moveTo(0, 0).lineTo(100, 0);
+            const round = new Graphics().lineStyle({ width: 4, cap: LINE_CAP.ROUND }).moveTo(0, 0).lineTo(100, 0);
+
+            expect(butt.containsPoint(new Point(101, 0))).to.be.false;
+            expect(square.containsPoint(new Point(101.9, 1.9))).to.be.true;
+            expect(square.containsPoint(new Point(-1.9, 0))).to.be.true;
+            expect(round.containsPoint(new Point(101.2, 1.2))).to.be.true;
+            expect(round.containsPoint(new Point(101.9, 1.9))).to.be.false;
+        });
+
+        it('should follow the alignment of lines', function ()
+        {
+            const outer = new Graphics().lineStyle({ width: 4, alignment: 1 }).drawRect(0, 0, 10, 10);
+            const inner = new Graphics().lineStyle({ width: 4, alignment: 0 }).drawRect(0, 0, 10, 10);
+
+            expect(outer.containsPoint(new Point(5, -3))).to.be.true;
+            expect(outer.containsPoint(new Point(5, 1))).to.be.false;
+            expect(inner.containsPoint(new Point(5, 3))).to.be.true;
+            expect(inner.containsPoint(new Point(5, -1))).to.be.false;
+        });
+
+        it('should follow the joins of lines', function ()
+        {
+            const draw = (join) => new Graphics()
+                .lineStyle({ width: 2, join })
+                .moveTo(0, 0)
+                .lineTo(10, 0)
+                .lineTo(10, 10);
+            const miter = draw(LINE_JOIN.MITER);
+            const bevel = draw(LINE_JOIN.BEVEL);
+            const round = draw(LINE_JOIN.ROUND);
+
+            expect(miter.containsPoint(new Point(10.9, -0.9))).to.be.true;
+            expect(bevel.containsPoint(new Point(10.9, -0.9))).to.be.false;
+            expect(bevel.containsPoint(new Point(10.4, -0.4))).to.be.true;
+            expect(round.containsPoint(new Point(10.6, -0.6))).to.be.true;
+            expect(round.containsPoint(new Point(10.9, -0.9))).to.be.false;
+        });
+
+        it('should hit the gaps of dashed lines', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.lineStyle({ width: 2, dash: [5, 5] }).moveTo(0, 0).lineTo(100, 0);
+
+            expect(graphics.containsPoint(new Point(7, 0))).to.be.true;
+        });
+
+        it('should extend shapes and lines by the tolerance', function ()
+        {
+            const line = new Graphics().lineStyle(1, 0).moveTo(0, 0).lineTo(100, 0);
+            const rect = new Graphics().beginFill(0).drawRect(0, 0, 10, 10);
+
+            expect(line.containsPoint(new Point(50, 3))).to.be.false;
+            expect(line.containsPoint(new Point(50, 3), 3)).to.be.true;
+            expect(rect.containsPoint(new Point(12, 5))).to.be.false;
+            expect(rect.containsPoint(new Point(12, 5), 3)).to.be.true;
+            expect(rect.containsPoint(new Point(13, 13), 3)).to.be.false;
+
+            line.hitTolerance = 3;
+
+            expect(line.containsPoint(new Point(50, 3))).to.be.true;
+            expect(line.containsPoint(new Point(50, 4))).to.be.false;
+        });
+
+        it('should keep the outlines of the shapes until they change', function ()
+        {
+            const graphics = new Graphics()
+                .beginFill(0, 1, FILL_RULE.EVENODD)
+                .drawCircle(50, 50, 40)
+                .drawCircle(50, 50, 20)
+                .endFill();
+            const geometry = graphics.geometry;
+            const contours = geometry.getFillContours(0);
+
+            expect(graphics.containsPoint(new Point(50, 50), 1)).to.be.false;
+            expect(graphics.containsPoint(new Point(50, 25), 1)).to.be.true;
+            expect(geometry.getFillContours(0)).to.equal(contours);
+
+            graphics.beginFill(0).drawRect(0, 0, 5, 5);
+
+            expect(graphics.containsPoint(new Point(50, 50), 1)).to.be.false;
+            expect(geometry.getFillContours(0)).to.not.equal(contours);
+            expect(geometry.getFillContours(0)).to.eql(contours);
+        });
+    });
+
+    describe('fillRule', function ()
+    {
+        // Sum of the areas of the filled triangles
+        function filledArea(geometry)
+        {
+            const { points, indices } = geometry;
+            let area = 0;
+
+            geometry.updateBatches();
+
+            for (let i = 0; i < indices.length; i += 3)
+            {
+                const a = indices[i] * 2;
+                const b = indices[i + 1] * 2;
+                const c = indices[i + 2] * 2;
+
+                area += Math.abs(((points[b] - points[a]) * (points[c + 1] - points[a + 1]))
+                    - ((points[c] - points[a]) * (points[b + 1] - points[a + 1]))) / 2;
+            }
+
+            return area;
+        }
+
+        const PENTAGRAM = [50, 0, 79, 90, 2, 35, 98, 35, 21, 90];
+
+        it('should share the fill style between the shapes of a fill with a rule', function ()
+        {
+            const graphics = new Graphics();
+            const graphicsData = graphics.geometry.graphicsData;
+
+            graphics.beginFill(0xff0000, 1, FILL_RULE.EVENODD)
+                .drawRect(0, 0, 10, 10)
+                .drawRect(2, 2, 6, 6)
+                .beginFill(0xff0000, 1, FILL_RULE.EVENODD)
+                .drawRect(20, 0, 10, 10)
+                .beginFill(0xff0000)
+                .drawRect(40, 0, 10, 10)
+                .drawRect(60, 0, 10, 10);
+
+            expect(graphicsData[0].fillStyle.fillRule).to.equal(FILL_RULE.EVENODD);
+            expect(graphicsData[1].fillStyle).to.equal(graphicsData[0].fillStyle);
+            expect(graphicsData[2].fillStyle).to.not.equal(graphicsData[1].fillStyle);
+            expect(graphicsData[3].fillStyle.fillRule).to.be.null;
+            expect(graphicsData[4].fillStyle).to.not.equal(graphicsData[3].fillStyle);
+        });
+
+        it('should find holes with the even-odd rule', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.beginFill(0xff0000, 1, FILL_RULE.EVENODD)
+                .drawRect(0, 0, 10, 10)
+                .drawRect(2, 2, 6, 6)
+                .endFill();
+
+            expect(graphics.containsPoint(new Point(1, 1))).to.be.true;
+            expect(graphics.containsPoint(new Point(5, 5))).to.be.false;
+            expect(filledArea(graphics.geometry)).to.be.closeTo(64, 0.0001);
+        });
+
+        it('should find holes drawn in the opposite direction with the nonzero rule', function ()
+        {
+            const same = new Graphics()
+                .beginFill(0xff0000, 1, FILL_RULE.NONZERO)
+                .drawPolygon([0, 0, 10, 0, 10, 10, 0, 10])
+                .drawPolygon([2, 2, 8, 2, 8, 8, 2, 8])
+                .endFill();
+            const opposite = new Graphics()
+                .beginFill(0xff0000, 1, FILL_RULE.NONZERO)
+                .drawPolygon([0, 0, 10, 0, 10, 10, 0, 10])
+                .drawPolygon([2, 2, 2, 8, 8, 8, 8, 2])
+                .endFill();
+
+            expect(same.containsPoint(new Point(5, 5))).to.be.true;
+            expect(filledArea(same.geometry)).to.be.closeTo(100, 0.0001);
+            expect(opposite.containsPoint(new Point(5, 5))).to.be.false;
+            expect(filledArea(opposite.geometry)).to.be.closeTo(64, 0.0001);
+        });
+
+        it('should fill self-intersecting polygons', function ()
+        {
+            const nonzero = new Graphics().beginFill(0, 1, FILL_RULE.NONZERO).drawPolygon(PENTAGRAM).endFill();
+            const evenodd = new Graphics().beginFill(0, 1, FILL_RULE.EVENODD).drawPolygon(PENTAGRAM).endFill();
+
+            expect(nonzero.containsPoint(new Point(50, 50))).to.be.true;
+            expect(evenodd.containsPoint(new Point(50, 50))).to.be.false;
+            expect(evenodd.containsPoint(new Point(50, 10))).to.be.true;
+            expect(filledArea(nonzero.geometry)).to.be.greaterThan(filledArea(evenodd.geometry));
+        });
+
+        it('should fill overlapping shapes once with the nonzero rule', function ()
+        {
+            const graphics = new Graphics()
+                .beginFill(0, 1, FILL_RULE.NONZERO)
+                .drawRect(0, 0, 10, 10)
+                .drawRect(5, 5, 10, 10)
+                .endFill();
+
+            expect(filledArea(graphics.geometry)).to.be.closeTo(175, 0.0001);
+        });
+
+        it('should keep explicit holes', function ()
+        {
+            const graphics = new Graphics()
+                .beginFill(0, 1, FILL_RULE.NONZERO)
+                .drawRect(0, 0, 10, 10)
+                .beginHole()
+                .drawRect(2, 2, 6, 6)
+                .endHole()
+                .endFill();
+
+            expect(graphics.containsPoint(new Point(5, 5))).to.be.false;
+            expect(filledArea(graphics.geometry)).to.be.closeTo(64, 0.0001);
+        });
+
+        it('should fill again the shapes of a fill continued after an update', function ()
+        {
+            const graphics = new Graphics().beginFill(0, 1, FILL_RULE.EVENODD).drawRect(0, 0, 10, 10);
+
+            expect(filledArea(graphics.geometry)).to.be.closeTo(100, 0.0001);
+
+            graphics.drawRect(2, 2, 6, 6);
+
+            expect(filledArea(graphics.geometry)).to.be.closeTo(64, 0.0001);
+        });
+
+        it('should build triangles without cracks between them', function ()
+        {
+            const graphics = new Graphics();
+            const geometry = graphics.geometry;
+
+            geometry.antialias = true;
+            graphics.beginFill(0, 1, FILL_RULE.EVENODD)
+                .drawRect(0, 0, 10, 10)
+                .drawRect(2, 2, 6, 6)
+                .endFill();
+            geometry.updateBatches();
+
+            // the fringe only outlines the squares, not the seams between triangles
+            const onOutline = (x, y) => ((x === 0 || x === 10) && y >= 0 && y <= 10)
+                || ((y === 0 || y === 10) && x >= 0 && x <= 10)
+                || ((x === 2 || x === 8) && y >= 2 && y <= 8)
+                || ((y === 2 || y === 8) && x >= 2 && x <= 8);
+            let outer = 0;
+
+            for (let i = 0; i < geometry.fringes.length / 3; i++)
+            {
+                const moved = geometry.fringes[i * 3] !== 0 || geometry.fringes[(i * 3) + 1] !== 0;
+
+                // all the vertices of the outline are moved, the ones of the seams too
+                expect(moved).to.equal(onOutline(geometry.points[i * 2], geometry.points[(i * 2) + 1]));
+
+                if (geometry.fringes[(i * 3) + 2] === 0)
+                {
+                    outer++;
+                }
+            }
+
+            expect(outer).to.be.greaterThan(0);
+        });
+    });
+
+    describe('widths', function ()
+    {
+        // The extent of the line vertices across a horizontal line, at some x
+        function lineExtent(geometry, x)
+        {
+            const { points } = geometry;
+            let min = Infinity;
+            let max = -Infinity;
+
+            geometry.updateBatches();
+
+            for (let i = 0; i < points.length; i += 2)
+            {
+                if (Math.abs(points[i] - x) < 1e-6)
+                {
+                    min = Math.min(min, points[i + 1]);
+                    max = Math.max(max, points[i + 1]);
+                }
+            }
+
+            return [min, max];
+        }
+
+        it('should keep the width of each point of the path', function ()
+        {
+            const graphics = new Graphics()
+                .lineStyle(2)
+                .moveTo(0, 0)
+                .lineTo(10, 0, 6)
+                .lineTo(20, 0)
+                .lineTo(30, 0, 4);
+
+            graphics.finishPoly();
+
+            expect(graphics.geometry.graphicsData[0].widths).to.deep.equal([2, 6, 6, 4]);
+        });
+
+        it('should not keep widths when the width does not vary', function ()
+        {
+            const graphics = new Graphics().lineStyle(2).moveTo(0, 0).lineTo(10, 0);
+
+            graphics.finishPoly();
+
+            expect(graphics.geometry.graphicsData[0].widths).to.be.null;
+        });
+
+        it('should change the width along curves', function ()
+        {
+            const graphics = new Graphics()
+                .lineStyle(2)
+                .moveTo(0, 0, 2)
+                .quadraticCurveTo(50, 50, 100, 0, 10)
+                .lineTo(150, 0);
+
+            graphics.finishPoly();
+
+            const { shape, widths } = graphics.geometry.graphicsData[0];
+
+            expect(widths.length * 2).to.equal(shape.points.length);
+            expect(widths[0]).to.equal(2);
+            expect(widths[widths.length - 2]).to.be.closeTo(10, 1e-6);
+            expect(widths[widths.length - 1]).to.equal(10);
+
+            for (let i = 1; i < widths.length - 1; i++)
+            {
+                expect(widths[i]).to.be.at.least(widths[i - 1]);
+            }
+
+            // symmetric curve, the width is halfway at the middle
+            const middle = (widths.length - 2) / 2;
+
+            expect(shape.points[middle * 2]).to.be.closeTo(50, 1e-6);
+            expect(widths[middle]).to.be.closeTo(6, 1e-6);
+        });
+
+        it('should keep the widths when curves are tessellated again', function ()
+        {
+            const graphics = new Graphics()
+                .lineStyle(2)
+                .moveTo(0, 0, 2)
+                .bezierCurveTo(0, 50, 100, 50, 100, 0, 10)
+                .lineTo(100, 100, 4);
+
+            graphics.finishPoly();
+
+            const data = graphics.geometry.graphicsData[0];
+            const count = data.widths.length;
+
+            graphics.geometry.curveScale = 4;
+            graphics.geometry.updateBatches();
+
+            expect(data.widths.length).to.be.above(count);
+            expect(data.widths.length * 2).to.equal(data.shape.points.length);
+            expect(data.widths[0]).to.equal(2);
+            expect(data.widths[data.widths.length - 2]).to.be.closeTo(10, 1e-6);
+            expect(data.widths[data.widths.length - 1]).to.equal(4);
+        });
+
+        it('should draw polygons with a width per point', function ()
+        {
+            const widths = [2, 4, 6];
+            const graphics = new Graphics().lineStyle(1).drawPolygon([0, 0, 100, 0, 50, 50], widths);
+
+            expect(graphics.geometry.graphicsData[0].widths).to.deep.equal(widths);
+            expect(graphics.geometry.graphicsData[0].widths).to.not.equal(widths);
+        });
 
-    describe('containsPoint', function ()
-    {
-        it('should return true when point inside', function ()
+        it('should build lines that get wider and thinner', function ()
         {
-            const point = new Point(1, 1);
-            const graphics = new Graphics();
+            const graphics = new Graphics()
+                .lineStyle(2, 0, 1, 0.5)
+                .moveTo(0, 0)
+                .lineTo(100, 0, 10)
+                .lineTo(200, 0, 4);
 
-            graphics.beginFill(0);
-            graphics.drawRect(0, 0, 10, 10);
+            graphics.finishPoly();
 
-            expect(graphics.containsPoint(point)).to.be.true;
+            expect(lineExtent(graphics.geometry, 0)).to.deep.equal([-1, 1]);
+            expect(lineExtent(graphics.geometry, 200)).to.deep.equal([-2, 2]);
+
+            // the joint has the width of its point
+            const [min, max] = lineExtent(graphics.geometry, 100);
+
+            expect(min).to.be.closeTo(-5, 1e-6);
+            expect(max).to.be.closeTo(5, 1e-6);
         });
 
-        it('should return false when point outside', function ()
+        it('should follow the alignment', function ()
         {
-            const point = new Point(20, 20);
-            const graphics = new Graphics();
+            const graphics = new Graphics()
+                .lineStyle({ width: 2, alignment: 1 })
+                .moveTo(0, 0, 2)
+                .lineTo(100, 0, 10);
 
-            graphics.beginFill(0);
-            graphics.drawRect(0, 0, 10, 10);
+            graphics.finishPoly();
 
-            expect(graphics.containsPoint(point)).to.be.false;
+            const [min, max] = lineExtent(graphics.geometry, 100);
+
+            expect(max - min).to.be.closeTo(10, 1e-6);
+            expect(min === 0 || max === 0).to.be.true;
         });
 
-        it('should return false when no fill', function ()
+        it('should size round caps with the width of their point', function ()
         {
-            const point = new Point(1, 1);
-            const graphics = new Graphics();
+            const graphics = new Graphics()
+                .lineStyle({ width: 2, cap: LINE_CAP.ROUND })
+                .moveTo(0, 0, 2)
+                .lineTo(100, 0, 10);
 
-            graphics.drawRect(0, 0, 10, 10);
+            graphics.finishPoly();
+            graphics.geometry.updateBatches();
 
-            expect(graphics.containsPoint(point)).to.be.false;
+            const { points } = graphics.geometry;
+            let minX = Infinity;
+            let maxX = -Infinity;
+
+            for (let i = 0; i < points.length; i += 2)
+            {
+                minX = Math.min(minX, points[i]);
+                maxX = Math.max(maxX, points[i]);
+            }
+
+            expect(minX).to.be.closeTo(-1, 0.1);
+            expect(maxX).to.be.closeTo(105, 0.1);
         });
 
-        it('should return false with hole', function ()
+        it('should close paths with the widths of their ends', function ()
         {
-            const point1 = new Point(1, 1);
-            const point2 = new Point(5, 5);
-            const graphics = new Graphics();
+            const graphics = new Graphics()
+                .lineStyle(1)
+                .drawPolygon([0, 0, 100, 0, 100, 100, 0, 100], [2, 2, 10, 10]);
 
-            graphics.beginFill(0)
-                .moveTo(0, 0)
-                .lineTo(10, 0)
-                .lineTo(10, 10)
-                .lineTo(0, 10)
-                .beginHole()
-                .moveTo(2, 2)
-                .lineTo(8, 2)
-                .lineTo(8, 8)
-                .lineTo(2, 8)
-                .endHole();
+            graphics.geometry.updateBatches();
 
-            expect(graphics.containsPoint(point1)).to.be.true;
-            expect(graphics.containsPoint(point2)).to.be.false;
+            // the closing segment goes from 10 back to 2, through 6 at its middle
+            const { points } = graphics.geometry;
+            const middle = [];
+
+            for (let i = 0; i < points.length; i += 2)
+            {
+                if (Math.abs(points[i + 1] - 50) < 1e-6)
+                {
+                    middle.push(Math.round(points[i] * 1000) / 1000);
+                }
+            }
+
+            expect(middle).to.include.members([-3, 3]);
         });
 
-        it('should handle extra shapes in holes', function ()
+        it('should change the width of dashes along the line', function ()
         {
-            const graphics = new Graphics();
+            const graphics = new Graphics()
+                .lineStyle({ width: 2, dash: [10, 10] })
+                .moveTo(0, 0, 0)
+                .lineTo(100, 0, 20);
 
-            graphics.beginFill(0)
-                .moveTo(3, 3)
-                .lineTo(5, 3)
-                .lineTo(5, 5)
-                .lineTo(3, 5)
-                .beginFill(0)
-                .moveTo(0, 0)
-                .lineTo(10, 0)
-                .lineTo(10, 10)
-                .lineTo(0, 10)
-                .beginHole()
-                .moveTo(2, 2)
-                .lineTo(8, 2)
-                .lineTo(8, 8)
-                .lineTo(2, 8)
-                .endHole()
-                .beginFill(0)
-                .moveTo(5, 5)
-                .lineTo(7, 5)
-                .lineTo(7, 7)
-                .lineTo(5, 7)
-                .endFill();
+            graphics.finishPoly();
 
-            expect(graphics.containsPoint(new Point(1, 1))).to.be.true;
-            expect(graphics.containsPoint(new Point(4, 4))).to.be.true;
-            expect(graphics.containsPoint(new Point(4, 6))).to.be.false;
-            expect(graphics.containsPoint(new Point(6, 4))).to.be.false;
-            expect(graphics.containsPoint(new Point(6, 6))).to.be.true;
+            const [min, max] = lineExtent(graphics.geometry, 50);
+
+            expect(min).to.be.closeTo(-5, 1e-6);
+            expect(max).to.be.closeTo(5, 1e-6);
+            expect(lineExtent(graphics.geometry, 60)[1]).to.be.closeTo(6, 1e-6);
         });
 
-        it('should take a matrix into account', function ()
+        it('should hit test the width of each point', function ()
         {
-            const g = new Graphics();
-            const m = new Matrix();
+            const graphics = new Graphics()
+                .lineStyle(2)
+                .moveTo(0, 0, 2)
+                .lineTo(100, 0, 20);
+
+            expect(graphics.containsPoint(new Point(10, 3))).to.be.false;
+            expect(graphics.containsPoint(new Point(90, 8))).to.be.true;
+            expect(graphics.containsPoint(new Point(90, 10))).to.be.false;
+        });
 
-            g.beginFill(0xffffff, 1.0);
-            m.identity().translate(0, 100);
-            g.setMatrix(m.clone());
-            g.drawRect(0, 0, 10, 10);
-            m.identity().translate(200, 0);
-            g.setMatrix(m.clone());
-            g.drawRect(0, 0, 10, 10);
-            g.setMatrix(null);
-            g.drawRect(30, 40, 10, 10);
+        it('should include the widest width in the bounds', function ()
+        {
+            const graphics = new Graphics()
+                .lineStyle(2)
+                .moveTo(0, 0)
+                .lineTo(100, 0, 20)
+                .lineTo(200, 0, 2);
 
-            expect(g.containsPoint(new Point(5, 5))).to.be.false;
-            expect(g.containsPoint(new Point(5, 105))).to.be.true;
-            expect(g.containsPoint(new Point(205, 5))).to.be.true;
-            expect(g.containsPoint(new Point(35, 45))).to.be.true;
+            graphics.finishPoly();
+
+            const bounds = graphics.getLocalBounds();
+
+            expect(bounds.height).to.be.at.least(20);
         });
     });
 
@@ -796,8 +1717,364 @@ describe('PIXI.Graphics', function ()
         GRAPHICS_CURVES.maxLength = defMaxLen;
     });
 
+    describe('curveScale', function ()
+    {
+        it('should keep the definition of curves', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.beginFill(0xffffff)
+                .moveTo(0, 0)
+                .quadraticCurveTo(50, 50, 100, 0)
+                .bezierCurveTo(100, 50, 50, 100, 0, 100)
+                .arc(0, 50, 50, Math.PI / 2, Math.PI * 3 / 2)
+                .endFill();
+
+            const data = graphics.geometry.graphicsData[0];
+            const points = data.shape.points;
+
+            expect(data.curves.map((curve) => curve.type)).to.deep.equal([
+                CURVE_TYPE.QUADRATIC, CURVE_TYPE.BEZIER, CURVE_TYPE.ARC,
+            ]);
+            expect(data.curves[0].start).to.equal(2);
+            expect(data.curves[1].start).to.equal(data.curves[0].start + data.curves[0].length);
+            expect(data.curves[1].params).to.deep.equal([100, 0, 100, 50, 50, 100, 0, 100]);
+            expect(data.curves[2].params).to.deep.equal([0, 50, 50, Math.PI / 2, Math.PI * 3 / 2, 0]);
+            expect(data.curves[2].start + data.curves[2].length).to.equal(points.length);
+        });
+
+        it('should tessellate curves again at another scale', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.beginFill(0xffffff)
+                .moveTo(-10, 0)
+                .lineTo(0, 0)
+                .bezierCurveTo(100, 0, 100, 100, 0, 100)
+                .lineTo(-10, 100)
+                .endFill();
+
+            const data = graphics.geometry.graphicsData[0];
+            const points = data.shape.points.slice();
+
+            graphics.geometry.curveScale = 10;
+
+            const scaledPoints = data.shape.points;
+
+            expect(data.curveScale).to.equal(10);
+            expect(scaledPoints.length).to.be.above(points.length * 5);
+            expect(scaledPoints.slice(0, 4)).to.deep.equal(points.slice(0, 4));
+            expect(scaledPoints.slice(-4)).to.deep.equal(points.slice(-4));
+            expect(data.curves[0].start + data.curves[0].length).to.equal(scaledPoints.length - 2);
+
+            graphics.geometry.curveScale = 1;
+
+            expect(data.shape.points).to.deep.equal(points);
+        });
+
+        it('should tessellate circles and holes at the curve scale', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.beginFill(0xffffff)
+                .drawCircle(0, 0, 100)
+                .beginHole()
+                .arc(0, 0, 50, 0, Math.PI * 2)
+                .endHole()
+                .endFill();
+            graphics.geometry.updateBatches();
+
+            const data = graphics.geometry.graphicsData[0];
+            const circleLength = data.points.length;
+            const holeLength = data.holes[0].shape.points.length;
+
+            graphics.geometry.curveScale = 4;
+            graphics.geometry.updateBatches();
+
+            expect(data.points.length).to.be.above(circleLength * 1.5);
+            expect(data.holes[0].shape.points.length).to.be.above(holeLength * 3);
+        });
+
+        it('should follow the world scale when scale aware', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.drawCircle(0, 0, 10);
+            graphics.scale.set(3);
+            graphics.transform.updateTransform(Transform.IDENTITY);
+            graphics.updateCurveScale();
+
+            expect(graphics.geometry.curveScale).to.equal(1);
+
+            graphics.scaleAwareCurves = true;
+            graphics.updateCurveScale();
+
+            expect(graphics.geometry.curveScale).to.equal(3);
+
+            graphics.scale.set(5);
+            graphics.transform.updateTransform(Transform.IDENTITY);
+            graphics.updateCurveScale();
+
+            expect(graphics.geometry.curveScale).to.equal(3);
+
+            graphics.scale.set(1);
+            graphics.transform.updateTransform(Transform.IDENTITY);
+            graphics.updateCurveScale();
+
+            expect(graphics.geometry.curveScale).to.equal(1);
+        });
+
+        it('should not follow the world scale of graphics sharing their geometry', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.drawCircle(0, 0, 10);
+
+            const copy = new Graphics(graphics.geometry);
+
+            graphics.scaleAwareCurves = true;
+            copy.scaleAwareCurves = true;
+            graphics.scale.set(3);
+            graphics.transform.updateTransform(Transform.IDENTITY);
+            copy.transform.updateTransform(Transform.IDENTITY);
+            graphics.updateCurveScale();
+            copy.updateCurveScale();
+
+            expect(graphics.geometry.curveScale).to.equal(1);
+
+            copy.destroy();
+            graphics.updateCurveScale();
+
+            expect(graphics.geometry.curveScale).to.equal(3);
+
+            graphics.destroy();
+        });
+    });
+
     describe('geometry', function ()
     {
+        it('should destroy the geometry and its index buffer', function ()
+        {
+            const geometry = new GraphicsGeometry();
+            const indexBuffer = geometry.indexBuffer;
+            const spy = sinon.spy(indexBuffer, 'destroy');
+
+            geometry.destroy();
+
+            expect(spy).to.have.been.calledOnce;
+            expect(geometry.indexBuffer).to.be.null;
+            expect(geometry.points).to.be.null;
+        });
+
+        it('should not build anti-aliasing fringes by default', function ()
+        {
+            const graphics = new Graphics();
+
+            graphics.beginFill(0xffffff).drawRect(0, 0, 10, 10);
+            graphics.geometry.updateBatches();
+
+            expect(graphics.geometry.antialias).to.be.false;
+            expect(graphics.geometry.fringes.length).to.equal(0);
+            expect(graphics.geometry.indices.length).to.equal(6);
+            expect(graphics.geometry.batchable).to.be.true;
+            expect(graphics.geometry.attributes.aFringe).to.be.undefined;
+        });
+
+        it('should build anti-aliasing fringes along the outline of fills', function ()
+        {
+            const graphics = new Graphics();
+            const geometry = graphics.geometry;
+
+            geometry.antialias = true;
+            graphics.beginFill(0xffffff).drawRect(0, 0, 10, 10);
+            geometry.updateBatches();
+
+            // 4 vertices of the rectangle and 4 outer vertices, 2 triangles per side
+            expect(geometry.points.length).to.equal(16);
+            expect(geometry.fringes.length).to.equal(24);
+            expect(geometry.uvs.length).to.equal(16);
+            expect(geometry.indices.length).to.equal(6 + 24);
+            expect(geometry.batchable).to.be.false;
+
+            expect(geometry.attributes.aFringe).to.exist;
+
+            // the fringe is centered on the outline, its vertices are moved in diagonally from the corners
+            for (let i = 0; i < 4; i++)
+            {
+                const x = geometry.points[i * 2];
+                const y = geometry.points[(i * 2) + 1];
+                const fringe = geometry.fringes.slice(i * 3, (i * 3) + 3);
+
+                expect(fringe[0]).to.be.closeTo(x === 0 ? 1 : -1, 0.0001);
+                expect(fringe[1]).to.be.closeTo(y === 0 ? 1 : -1, 0.0001);
+                expect(fringe[2]).to.equal(1);
+            }
+
+            for (let i = 4; i < 8; i++)
+            {
+                const x = geometry.points[i * 2];
+                const y = geometry.points[(i * 2) + 1];
+                const fringe = geometry.fringes.slice(i * 3, (i * 3) + 3);
+
+                // pushed out diagonally from the corners
+                expect(fringe[0]).to.be.closeTo(x === 0 ? -1 : 1, 0.0001);
+                expect(fringe[1]).to.be.closeTo(y === 0 ? -1 : 1, 0.0001);
+                expect(fringe[2]).to.equal(0);
+            }
+        });
+
+        it('should build anti-aliasing fringes around holes and lines', function ()
+        {
+            const graphics = new Graphics();
+            const geometry = graphics.geometry;
+
+            geometry.antialias = true;
+            graphics.beginFill(0xffffff)
+                .drawRect(0, 0, 10, 10)
+                .beginHole()
+                .drawRect(2, 2, 6, 6)
+                .endHole()
+                .endFill()
+                .lineStyle(2, 0xffffff)
+                .moveTo(20, 0)
+                .lineTo(30, 0)
+                .finishPoly();
+            geometry.updateBatches();
+
+            const fringes = geometry.fringes;
+            const outer = [];
+
+            for (let i = 0; i < fringes.length / 3; i++)
+            {
+                if (fringes[(i * 3) + 2] === 0)
+                {
+                    outer.push({
+                        x: geometry.points[i * 2],
+                        y: geometry.points[(i * 2) + 1],
+                        nx: fringes[i * 3],
+                        ny: fringes[(i * 3) + 1],
+                    });
+                }
+            }
+
+            // 4 outer corners, 4 corners of the hole and 4 corners of the line
+            expect(outer.length).to.equal(12);
+
+            const holeCorner = outer.find((vertex) => vertex.x === 2 && vertex.y === 2);
+
+            // pushed into the hole
+            expect(holeCorner.nx).to.be.closeTo(1, 0.0001);
+            expect(holeCorner.ny).to.be.closeTo(1, 0.0001);
+
+            const lineCorner = outer.find((vertex) => vertex.x === 30 && vertex.y === 1);
+
+            expect(lineCorner.nx).to.be.closeTo(1, 0.0001);
+            expect(lineCorner.ny).to.be.closeTo(1, 0.0001);
+        });
+
+        it('should rebuild the geometry when anti-aliasing changes', function ()
+        {
+            const graphics = new Graphics();
+            const geometry = graphics.geometry;
+
+            graphics.beginFill(0xffffff).drawRect(0, 0, 10, 10);
+            geometry.updateBatches();
+            geometry.antialias = true;
+
+            expect(geometry.points.length).to.equal(0);
+
+            geometry.updateBatches();
+
+            expect(geometry.fringes.length).to.equal(24);
+
+            geometry.antialias = false;
+            geometry.updateBatches();
+
+            expect(geometry.fringes.length).to.equal(0);
+            expect(geometry.points.length).to.equal(8);
+        });
+
+        it('should keep a fringe entry for each vertex of native lines', function ()
+        {
+            const graphics = new Graphics();
+            const geometry = graphics.geometry;
+
+            geometry.antialias = true;
+            graphics.lineStyle({ width: 1, color: 0xffffff, native: true })
+                .moveTo(0, 0)
+                .lineTo(10, 10)
+                .lineStyle(0)
+                .beginFill(0xffffff)
+                .drawRect(20, 0, 10, 10)
+                .endFill();
+            geometry.updateBatches();
+
+            const fringes = geometry.fringes;
+
+            expect(fringes.length / 3).to.equal(geometry.points.length / 2);
+            expect(fringes.slice(0, 6)).to.eql([0, 0, 1, 0, 0, 1]);
+
+            // the fringe of the rectangle starts after the vertices of the line
+            const corner = geometry.points.indexOf(20) / 2;
+
+            expect(fringes[(corner * 3) + 2]).to.equal(1);
+        });
+
+        it('should give the batches built for the shapes with the shapes of their styles', function ()
+        {
+            const graphics = new Graphics()
+                .beginFill(0xff0000)
+                .drawRect(0, 0, 10, 10)
+                .lineStyle(2, 0x00ff00)
+                .beginFill(0x0000ff)
+                .drawCircle(20, 20, 5);
+            const data = graphics.geometry.getBatchesData();
+
+            expect(data.points).to.equal(graphics.geometry.points);
+            expect(data.batches.map((batch) => [batch.shapeIndex, batch.line])).to.deep.equal([
+                [0, false],
+                [1, false],
+                [1, true],
+            ]);
+            expect(data.batches[0].size).to.equal(6);
+            expect(data.batches[0].attribSize).to.equal(4);
+            expect(data.bounds).to.deep.equal([0, 0, 26, 26]);
+        });
+
+        it('should restore batches without building the shapes again', function ()
+        {
+            const graphics = new Graphics()
+                .beginFill(0xff0000)
+                .drawRect(0, 0, 10, 10)
+                .lineStyle(2, 0x00ff00)
+                .drawPolygon([20, 0, 30, 10, 20, 10]);
+            const data = graphics.geometry.getBatchesData();
+            const copy = new Graphics();
+            const geometry = copy.geometry;
+
+            for (let i = 0; i < graphics.geometry.graphicsData.length; i++)
+            {
+                const { shape, fillStyle, lineStyle } = graphics.geometry.graphicsData[i];
+
+                geometry.drawShape(shape.clone(), fillStyle.clone(), lineStyle.clone());
+            }
+
+            const processFill = sinon.spy(geometry, 'processFill');
+            const processLine = sinon.spy(geometry, 'processLine');
+
+            geometry.restoreBatches(data);
+            geometry.updateBatches();
+
+            expect(processFill).to.not.have.been.called;
+            expect(processLine).to.not.have.been.called;
+            expect(geometry.points).to.deep.equal(graphics.geometry.points);
+            expect(geometry.indices).to.deep.equal(graphics.geometry.indices);
+            expect(geometry.batches.length).to.equal(data.batches.length);
+            expect(geometry.batches[1].style).to.equal(geometry.graphicsData[1].lineStyle);
+            expect(geometry.batchable).to.be.true;
+            expect(copy.getLocalBounds()).to.deep.equal(graphics.getLocalBounds());
+        });
+
         it('validateBatching should return false if any of textures is invalid', function ()
         {
             const graphics = new Graphics();
@@ -1,3 +1,4 @@
+import { Layer } from '@pixi/display';
 import { Point } from '@pixi/math';
 
 import type { InteractionEvent, InteractionCallback } from './InteractionEvent';
@@ -105,9 +106,19 @@ export class TreeSearch
         {
             const children = (displayObject as Container).children;
 
-            for (let i = children.length - 1; i >= 0; i--)
+            // layers render their members before their children, so they are hit tested after them
+            const members = displayObject instanceof Layer ? displayObject.getActiveMembers() : null;
+            const membersCount = members ? members.length : 0;
+
+            for (let i = children.length + membersCount - 1; i >= 0; i--)
             {
-                const child = children[i];
+                const child = i < membersCount ? members[i] : children[i - membersCount];
+
+                // objects on a layer are hit tested during the layer's turn, not their parent's
+                if (i >= membersCount && child.parentLayer)
+                {
+                    continue;
+                }
 
                 // time to get recursive.. if this function will return if something is hit..
                 const childHit = this.recursiveFindHit(interactionEvent, child, func, hitTest, interactiveParent);
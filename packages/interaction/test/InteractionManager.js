@@ -1,5 +1,5 @@
 const MockPointer = require('./MockPointer');
-const { Container } = require('@pixi/display');
+const { Container, Layer } = require('@pixi/display');
 const { Ticker } = require('@pixi/ticker');
 const { Graphics } = require('@pixi/graphics');
 const { Point, Rectangle } = require('@pixi/math');
@@ -47,6 +47,27 @@ describe('PIXI.InteractionManager', function ()
             expect(eventSpy).to.have.been.calledOnce;
         });
 
+        it('should call mousedown handler on lines', function ()
+        {
+            const stage = new Container();
+            const graphics = new Graphics();
+            const eventSpy = sinon.spy();
+            const pointer = this.pointer = new MockPointer(stage);
+
+            stage.addChild(graphics);
+            graphics.lineStyle(4, 0xFFFFFF);
+            graphics.moveTo(0, 10);
+            graphics.lineTo(50, 10);
+            graphics.interactive = true;
+            graphics.hitTolerance = 2;
+            graphics.on('mousedown', eventSpy);
+
+            pointer.mousedown(25, 7);
+            pointer.mousedown(25, 30);
+
+            expect(eventSpy).to.have.been.calledOnce;
+        });
+
         it('should call mouseup handler', function ()
         {
             const stage = new Container();
@@ -1465,6 +1486,73 @@ describe('PIXI.InteractionManager', function ()
         });
     });
 
+    describe('layers', function ()
+    {
+        function getScene()
+        {
+            const stage = new Container();
+            const layer = new Layer();
+            const world = new Container();
+            const behindChild = new Graphics();
+            const frontChild = new Graphics();
+            const behindChildCallback = sinon.spy(function behindSpy() { /* no op*/ });
+            const frontChildCallback = sinon.spy(function frontSpy() { /* no op*/ });
+
+            behindChild.beginFill(0xFF);
+            behindChild.drawRect(0, 0, 50, 50);
+            behindChild.interactive = true;
+            behindChild.on('click', behindChildCallback);
+
+            frontChild.beginFill(0x00FF);
+            frontChild.drawRect(0, 0, 50, 50);
+            frontChild.interactive = true;
+            frontChild.on('click', frontChildCallback);
+
+            world.addChild(behindChild, frontChild);
+            stage.addChild(world, layer);
+
+            return { stage, layer, world, behindChild, frontChild, behindChildCallback, frontChildCallback };
+        }
+
+        it('should hit test members of a layer in front first', function ()
+        {
+            const scene = getScene();
+            const pointer = this.pointer = new MockPointer(scene.stage);
+
+            scene.behindChild.parentLayer = scene.layer;
+            pointer.click(10, 10);
+
+            expect(scene.behindChildCallback).to.have.been.calledOnce;
+            expect(scene.frontChildCallback).to.not.have.been.called;
+        });
+
+        it('should hit test members of a layer behind last', function ()
+        {
+            const scene = getScene();
+            const pointer = this.pointer = new MockPointer(scene.stage);
+
+            scene.stage.addChildAt(scene.layer, 0);
+            scene.frontChild.parentLayer = scene.layer;
+            pointer.click(10, 10);
+
+            expect(scene.behindChildCallback).to.have.been.calledOnce;
+            expect(scene.frontChildCallback).to.not.have.been.called;
+        });
+
+        it('should not hit test members of hidden parents', function ()
+        {
+            const scene = getScene();
+            const pointer = this.pointer = new MockPointer(scene.stage);
+
+            scene.frontChild.parentLayer = scene.layer;
+            scene.world.visible = false;
+            pointer.click(10, 10);
+
+            expect(scene.behindChildCallback).to.not.have.been.called;
+            expect(scene.frontChildCallback).to.not.have.been.called;
+        });
+    });
+
     describe('masks', function ()
     {
         it('should trigger interaction callback when no mask present', function ()
@@ -187,6 +187,26 @@ export class Rectangle
         return false;
     }
 
+    /**
+     * Checks whether this Rectangle overlaps with another one. Rectangles that only touch at their
+     * edges, or that have no area, do not intersect.
+     *
+     * @param {PIXI.Rectangle} other - The Rectangle to test against
+     * @return {boolean} Whether the two Rectangles intersect
+     */
+    intersects(other: Rectangle): boolean
+    {
+        if (this.width <= 0 || this.height <= 0 || other.width <= 0 || other.height <= 0)
+        {
+            return false;
+        }
+
+        return other.x < this.x + this.width
+            && other.x + other.width > this.x
+            && other.y < this.y + this.height
+            && other.y + other.height > this.y;
+    }
+
     /**
      * Pads the rectangle making it grow in all directions.
      * If paddingY is omitted, both paddingX and paddingY will be set to paddingX.
@@ -77,6 +77,20 @@ describe('PIXI.Rectangle', function ()
         expect(rect2.contains(21, 21)).to.be.false;
     });
 
+    it('should check if rectangles intersect', function ()
+    {
+        const rect1 = new Rectangle(10, 10, 10, 10);
+
+        expect(rect1.intersects(new Rectangle(15, 15, 10, 10))).to.be.true;
+        expect(rect1.intersects(new Rectangle(0, 0, 30, 30))).to.be.true;
+        expect(rect1.intersects(new Rectangle(12, 12, 2, 2))).to.be.true;
+        expect(rect1.intersects(new Rectangle(20, 10, 10, 10))).to.be.false;
+        expect(rect1.intersects(new Rectangle(10, 0, 10, 10))).to.be.false;
+        expect(rect1.intersects(new Rectangle(30, 30, 10, 10))).to.be.false;
+        expect(rect1.intersects(new Rectangle(15, 15, 0, 10))).to.be.false;
+        expect(new Rectangle(10, 10, 0, 0).intersects(rect1)).to.be.false;
+    });
+
     it('should enlarge rectangle', function ()
     {
         const rect1 = new Rectangle(10, 10, 10, 10);
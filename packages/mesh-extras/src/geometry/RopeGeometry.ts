@@ -21,6 +21,7 @@ export class RopeGeometry extends MeshGeometry
     public points: IPoint[];
     public readonly textureScale: number;
     _width: number;
+    private _tangents: number[];
 
     /**
      * @param {number} [width=200] - The width (i.e., thickness) of the rope.
@@ -59,6 +60,13 @@ export class RopeGeometry extends MeshGeometry
          */
         this.textureScale = textureScale;
 
+        /**
+         * The tangents at the points, reused when the vertices are updated.
+         * @member {number[]}
+         * @private
+         */
+        this._tangents = [];
+
         this.build();
     }
 
@@ -175,8 +183,7 @@ export class RopeGeometry extends MeshGeometry
             return;
         }
 
-        let lastPoint = points[0];
-        let nextPoint;
+        const tangents = RopeGeometry.computeTangents(points, this._tangents);
         let perpX = 0;
         let perpY = 0;
 
@@ -187,44 +194,52 @@ export class RopeGeometry extends MeshGeometry
         {
             const point = points[i];
             const index = i * 4;
-
-            if (i < points.length - 1)
-            {
-                nextPoint = points[i + 1];
-            }
-            else
-            {
-                nextPoint = point;
-            }
-
-            perpY = -(nextPoint.x - lastPoint.x);
-            perpX = nextPoint.y - lastPoint.y;
-
-            let ratio = (1 - (i / (total - 1))) * 10;
-
-            if (ratio > 1)
-            {
-                ratio = 1;
-            }
-
-            const perpLength = Math.sqrt((perpX * perpX) + (perpY * perpY));
             const num = this.textureScale > 0 ? this.textureScale * this._width / 2 : this._width / 2;
 
-            perpX /= perpLength;
-            perpY /= perpLength;
-
-            perpX *= num;
-            perpY *= num;
+            // the rope goes across the tangent
+            perpX = tangents[(i * 2) + 1] * num;
+            perpY = -tangents[i * 2] * num;
 
             vertices[index] = point.x + perpX;
             vertices[index + 1] = point.y + perpY;
             vertices[index + 2] = point.x - perpX;
             vertices[index + 3] = point.y - perpY;
+        }
+
+        this.buffers[0].update();
+    }
+
+    /**
+     * Computes the directions of a path at its points, from the previous point to the next one.
+     * These are the tangents the vertices of ropes are placed across.
+     *
+     * @static
+     * @param {PIXI.IPoint[]} points - The points of the path
+     * @param {number[]} [out] - Array to put the tangents in, otherwise a new one is created
+     * @return {number[]} The x and y of the unit tangent at each point, 0 where the neighbours are at the same place.
+     */
+    public static computeTangents(points: IPoint[], out: number[] = []): number[]
+    {
+        const total = points.length;
+        let lastPoint = points[0];
+
+        out.length = total * 2;
+
+        for (let i = 0; i < total; i++)
+        {
+            const point = points[i];
+            const nextPoint = i < total - 1 ? points[i + 1] : point;
+            const dx = nextPoint.x - lastPoint.x;
+            const dy = nextPoint.y - lastPoint.y;
+            const length = Math.sqrt((dx * dx) + (dy * dy));
+
+            out[i * 2] = length > 0 ? dx / length : 0;
+            out[(i * 2) + 1] = length > 0 ? dy / length : 0;
 
             lastPoint = point;
         }
 
-        this.buffers[0].update();
+        return out;
     }
 
     public update(): void
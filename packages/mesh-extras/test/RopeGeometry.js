@@ -0,0 +1,27 @@
+const { RopeGeometry } = require('../');
+const { Point } = require('@pixi/math');
+
+describe('PIXI.RopeGeometry', function ()
+{
+    it('should compute the tangents from the previous point to the next one', function ()
+    {
+        const points = [new Point(0, 0), new Point(10, 0), new Point(10, 10), new Point(10, 10)];
+        const tangents = RopeGeometry.computeTangents(points);
+
+        expect(tangents).to.have.lengthOf(8);
+        expect(tangents.slice(0, 2)).to.eql([1, 0]);
+        expect(tangents[2]).to.be.closeTo(Math.SQRT1_2, 0.0001);
+        expect(tangents[3]).to.be.closeTo(Math.SQRT1_2, 0.0001);
+        expect(tangents.slice(4, 6)).to.eql([0, 1]);
+        expect(tangents.slice(6, 8)).to.eql([0, 0]);
+    });
+
+    it('should place the vertices across the tangents', function ()
+    {
+        const geometry = new RopeGeometry(20, [new Point(0, 0), new Point(100, 0), new Point(100, 100)]);
+        const vertices = geometry.buffers[0].data;
+
+        expect(Array.from(vertices.slice(0, 4))).to.eql([0, -10, 0, 10]);
+        expect(Array.from(vertices.slice(8, 12))).to.eql([110, 100, 90, 100]);
+    });
+});
@@ -1,2 +1,3 @@
 require('./SimplePlane');
 require('./NineSlicePlane');
+require('./RopeGeometry');
@@ -245,6 +245,17 @@ export class ParticleContainer extends Container
             return;
         }
 
+        // objects on a layer are rendered during the layer's turn, not their parent's
+        if (this.parentLayer && this.parentLayer._renderingMember !== this && !this.isMask)
+        {
+            return;
+        }
+
+        if (this.cullable && this.isCulled(renderer.renderTexture.sourceFrame, renderer.projection.transform))
+        {
+            return;
+        }
+
         if (!this.baseTexture)
         {
             this.baseTexture = (this.children[0] as any)._texture.baseTexture;
@@ -0,0 +1,17 @@
+declare namespace GlobalMixins
+{
+    interface DisplayObject
+    {
+        toJSON?(): import('@pixi/serialization').ISerializedDisplayObject;
+    }
+
+    interface IGraphicsGeometryResource {
+        graphicsGeometry: import('@pixi/graphics').GraphicsGeometry;
+    }
+
+    // eslint-disable-next-line @typescript-eslint/no-empty-interface
+    interface ILoaderResource extends Partial<IGraphicsGeometryResource>
+    {
+
+    }
+}
@@ -0,0 +1,272 @@
+import { Graphics, GraphicsGeometry } from '@pixi/graphics';
+import { serializeGeometry, deserializeGeometry } from './serializers/graphicsSerializer';
+
+import type { IGraphicsBatchData } from '@pixi/graphics';
+
+/**
+ * The first bytes of cache data.
+ *
+ * @private
+ */
+const MAGIC = 'PIXG';
+
+/**
+ * Byte size of the magic and of the header that follows it.
+ *
+ * @private
+ */
+const HEADER_SIZE = 4 + (8 * 4);
+
+/**
+ * Number of integers stored for each batch.
+ *
+ * @private
+ */
+const BATCH_SIZE = 6;
+
+/**
+ * Stores built {@link PIXI.GraphicsGeometry} in a compact binary form, so that large geometry can be restored
+ * without triangulating its shapes again. The triangles are stored along with the shapes and styles, so
+ * restored geometry can still be hit tested, drawn into and serialized.
+ *
+ * Textures of the styles are referenced by their id in the texture cache, like in {@link PIXI.SceneSerializer}.
+ * The numbers are stored in the byte order of the platform, which is little-endian on all the platforms
+ * browsers run on.
+ *
+ * Cache files can be loaded with the {@link PIXI.GraphicsGeometryLoader} middleware.
+ *
+ * _Note: Only available with **@pixi/serialization**._
+ *
+ * @example
+ * const buffer = GraphicsGeometryCache.toArrayBuffer(dashboard);
+ *
+ * // later on, or in another page
+ * const copy = new Graphics(GraphicsGeometryCache.fromArrayBuffer(buffer));
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class GraphicsGeometryCache
+{
+    /**
+     * Version of the format written by {@link PIXI.GraphicsGeometryCache.toArrayBuffer}.
+     *
+     * @static
+     * @readonly
+     * @member {number}
+     */
+    public static readonly VERSION = 2;
+
+    /**
+     * Extension of the cache files, which are loaded as binary data by the {@link PIXI.GraphicsGeometryLoader}.
+     *
+     * @static
+     * @member {string}
+     * @default 'pixigeom'
+     */
+    public static EXTENSION = 'pixigeom';
+
+    /**
+     * Checks whether binary data is a geometry cache.
+     *
+     * @static
+     * @param {ArrayBuffer} buffer - The data
+     * @return {boolean} `true` if the data starts like a geometry cache.
+     */
+    public static test(buffer: ArrayBuffer): boolean
+    {
+        if (!(buffer instanceof ArrayBuffer) || buffer.byteLength < HEADER_SIZE)
+        {
+            return false;
+        }
+
+        const bytes = new Uint8Array(buffer, 0, MAGIC.length);
+
+        for (let i = 0; i < MAGIC.length; i++)
+        {
+            if (bytes[i] !== MAGIC.charCodeAt(i))
+            {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Stores a geometry along with its triangles, which are built first if they need to be.
+     *
+     * @static
+     * @param {PIXI.Graphics|PIXI.GraphicsGeometry} source - The geometry, or Graphics to store the geometry of
+     *  along with their current path
+     * @return {ArrayBuffer} The binary data.
+     */
+    public static toArrayBuffer(source: Graphics | GraphicsGeometry): ArrayBuffer
+    {
+        let geometry = source as GraphicsGeometry;
+
+        if (source instanceof Graphics)
+        {
+            source.finishPoly();
+            geometry = source.geometry;
+        }
+
+        const data = geometry.getBatchesData();
+        const json = new TextEncoder().encode(JSON.stringify(Object.assign(serializeGeometry(geometry), {
+            curveScale: geometry.curveScale,
+            bounds: data.bounds,
+        })));
+        const { points, uvs, fringes, indices, batches } = data;
+        let use32 = false;
+
+        for (let i = 0; i < indices.length; i++)
+        {
+            if (indices[i] > 0xffff)
+            {
+                use32 = true;
+                break;
+            }
+        }
+
+        const floatsSize = (points.length + uvs.length + fringes.length) * 4;
+        const batchesSize = batches.length * BATCH_SIZE * 4;
+        const indicesSize = indices.length * (use32 ? 4 : 2);
+        // the text is stored in UTF-8 after the indices, which are only aligned to 2 bytes
+        const buffer = new ArrayBuffer(HEADER_SIZE + floatsSize + batchesSize + indicesSize + json.length);
+        const bytes = new Uint8Array(buffer, 0, MAGIC.length);
+
+        for (let i = 0; i < MAGIC.length; i++)
+        {
+            bytes[i] = MAGIC.charCodeAt(i);
+        }
+
+        new Uint32Array(buffer, MAGIC.length, 8).set([
+            GraphicsGeometryCache.VERSION,
+            use32 ? 1 : 0,
+            points.length,
+            uvs.length,
+            fringes.length,
+            batches.length,
+            indices.length,
+            json.length,
+        ]);
+
+        let offset = HEADER_SIZE;
+
+        new Float32Array(buffer, offset, points.length).set(points);
+        offset += points.length * 4;
+        new Float32Array(buffer, offset, uvs.length).set(uvs);
+        offset += uvs.length * 4;
+        new Float32Array(buffer, offset, fringes.length).set(fringes);
+        offset += fringes.length * 4;
+
+        const batchesArray = new Uint32Array(buffer, offset, batches.length * BATCH_SIZE);
+
+        for (let i = 0; i < batches.length; i++)
+        {
+            const batch = batches[i];
+
+            batchesArray.set([
+                batch.shapeIndex,
+                batch.line ? 1 : 0,
+                batch.start,
+                batch.size,
+                batch.attribStart,
+                batch.attribSize,
+            ], i * BATCH_SIZE);
+        }
+
+        offset += batchesSize;
+
+        if (use32)
+        {
+            new Uint32Array(buffer, offset, indices.length).set(indices);
+        }
+        else
+        {
+            new Uint16Array(buffer, offset, indices.length).set(indices);
+        }
+
+        offset += indicesSize;
+
+        new Uint8Array(buffer, offset, json.length).set(json);
+
+        return buffer;
+    }
+
+    /**
+     * Restores a geometry stored by {@link PIXI.GraphicsGeometryCache.toArrayBuffer}, without building its
+     * triangles again.
+     *
+     * @static
+     * @param {ArrayBuffer} buffer - The binary data
+     * @param {PIXI.GraphicsGeometry} [geometry] - Empty geometry to restore into, new geometry is created if not given
+     * @return {PIXI.GraphicsGeometry} The geometry.
+     */
+    public static fromArrayBuffer(buffer: ArrayBuffer, geometry: GraphicsGeometry = new GraphicsGeometry()): GraphicsGeometry
+    {
+        if (!GraphicsGeometryCache.test(buffer))
+        {
+            throw new Error('[GraphicsGeometryCache] The data is not a geometry cache.');
+        }
+
+        const header = new Uint32Array(buffer, MAGIC.length, 8);
+        const version = header[0];
+        const use32 = header[1] === 1;
+        const pointsLength = header[2];
+        const uvsLength = header[3];
+        const fringesLength = header[4];
+        const batchCount = header[5];
+        const indicesLength = header[6];
+        const jsonLength = header[7];
+
+        if (version !== GraphicsGeometryCache.VERSION)
+        {
+            throw new Error(`[GraphicsGeometryCache] Unsupported version ${version}.`);
+        }
+
+        let offset = HEADER_SIZE;
+
+        const points = new Float32Array(buffer, offset, pointsLength);
+
+        offset += pointsLength * 4;
+
+        const uvs = new Float32Array(buffer, offset, uvsLength);
+
+        offset += uvsLength * 4;
+
+        const fringes = new Float32Array(buffer, offset, fringesLength);
+
+        offset += fringesLength * 4;
+
+        const batchesArray = new Uint32Array(buffer, offset, batchCount * BATCH_SIZE);
+        const batches: Array<IGraphicsBatchData> = [];
+
+        for (let i = 0; i < batchesArray.length; i += BATCH_SIZE)
+        {
+            batches.push({
+                shapeIndex: batchesArray[i],
+                line: batchesArray[i + 1] === 1,
+                start: batchesArray[i + 2],
+                size: batchesArray[i + 3],
+                attribStart: batchesArray[i + 4],
+                attribSize: batchesArray[i + 5],
+            });
+        }
+
+        offset += batchesArray.byteLength;
+
+        const indices = use32
+            ? new Uint32Array(buffer, offset, indicesLength)
+            : new Uint16Array(buffer, offset, indicesLength);
+
+        offset += indices.byteLength;
+
+        const data = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, offset, jsonLength)));
+
+        geometry.curveScale = data.curveScale;
+        deserializeGeometry(data, geometry);
+
+        return geometry.restoreBatches({ points, uvs, fringes, indices, batches, bounds: data.bounds });
+    }
+}
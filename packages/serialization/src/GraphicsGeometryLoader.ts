@@ -0,0 +1,65 @@
+import { LoaderResource } from '@pixi/loaders';
+import { GraphicsGeometryCache } from './GraphicsGeometryCache';
+
+import type { ILoaderResource } from '@pixi/loaders';
+
+/**
+ * {@link PIXI.Loader Loader} middleware for loading geometry caches, see {@link PIXI.GraphicsGeometryCache}.
+ * Files with the {@link PIXI.GraphicsGeometryCache.EXTENSION extension} of caches are loaded as binary data,
+ * and the restored geometry is stored in the `graphicsGeometry` property of their resource.
+ *
+ * @example
+ * import { Loader } from '@pixi/loaders';
+ * import { Graphics } from '@pixi/graphics';
+ * import { GraphicsGeometryLoader } from '@pixi/serialization';
+ *
+ * Loader.registerPlugin(GraphicsGeometryLoader);
+ *
+ * loader.add('dashboard', 'dashboard.pixigeom');
+ * loader.load((loader, resources) => {
+ *     stage.addChild(new Graphics(resources.dashboard.graphicsGeometry));
+ * });
+ *
+ * _Note: Only available with **@pixi/serialization**._
+ *
+ * @class
+ * @memberof PIXI
+ * @implements PIXI.ILoaderPlugin
+ */
+export class GraphicsGeometryLoader
+{
+    /**
+     * Called when the plugin is installed.
+     *
+     * @see PIXI.Loader.registerPlugin
+     */
+    public static add(): void
+    {
+        LoaderResource.setExtensionXhrType(GraphicsGeometryCache.EXTENSION, LoaderResource.XHR_RESPONSE_TYPE.BUFFER);
+    }
+
+    /**
+     * Called after a resource is loaded.
+     * @see PIXI.Loader.loaderMiddleware
+     * @param {PIXI.LoaderResource} resource
+     * @param {function} next
+     */
+    static use(resource: ILoaderResource, next: (...args: any[]) => void): void
+    {
+        if (GraphicsGeometryCache.test(resource.data))
+        {
+            try
+            {
+                resource.graphicsGeometry = GraphicsGeometryCache.fromArrayBuffer(resource.data);
+            }
+            catch (error)
+            {
+                next(error);
+
+                return;
+            }
+        }
+
+        next();
+    }
+}
@@ -0,0 +1,246 @@
+import { serializeRectangle, deserializeRectangle } from './utils';
+
+import type { Container, DisplayObject } from '@pixi/display';
+import type { IPointData } from '@pixi/math';
+import type { Dict } from '@pixi/utils';
+
+/**
+ * Plain data describing a display object and its subtree, as produced by
+ * {@link PIXI.SceneSerializer.toJSON}.
+ *
+ * @memberof PIXI
+ * @typedef {object} ISerializedDisplayObject
+ * @property {string} type - The name the display object's class was registered with.
+ * @property {string} [name] - The instance name of the object.
+ * @property {PIXI.IPointData} position - The position of the object.
+ * @property {PIXI.IPointData} scale - The scale of the object.
+ * @property {PIXI.IPointData} pivot - The pivot of the object.
+ * @property {PIXI.IPointData} skew - The skew of the object.
+ * @property {number} rotation - The rotation of the object, in radians.
+ * @property {number} alpha - The opacity of the object.
+ * @property {boolean} visible - The visibility of the object.
+ * @property {boolean} renderable - Whether the object can be rendered.
+ * @property {boolean} cullable - Whether the object is culled when out of frame.
+ * @property {number[]} cullArea - The culling area of the object, as `[x, y, width, height]`, or `null`.
+ * @property {number} zIndex - The zIndex of the object.
+ * @property {boolean} sortableChildren - Whether the children are sorted by zIndex.
+ * @property {PIXI.ISerializedDisplayObject[]} children - The serialized children.
+ */
+export interface ISerializedDisplayObject
+{
+    type: string;
+    name?: string;
+    position: IPointData;
+    scale: IPointData;
+    pivot: IPointData;
+    skew: IPointData;
+    rotation: number;
+    alpha: number;
+    visible: boolean;
+    renderable: boolean;
+    cullable: boolean;
+    cullArea: number[];
+    zIndex: number;
+    sortableChildren: boolean;
+    children: ISerializedDisplayObject[];
+    [key: string]: any;
+}
+
+/**
+ * Converts the class-specific state of a display object from and to plain data. The properties shared by
+ * all display objects (transform, alpha, visibility, children, etc.) are handled by the {@link PIXI.SceneSerializer}
+ * itself, so serializers only have to deal with what their class adds.
+ *
+ * @memberof PIXI
+ * @typedef {object} IDisplayObjectSerializer
+ * @property {Function} serialize - Returns the class-specific properties of a display object. They are merged
+ *  into its serialized data, so they must not use the names of the common properties.
+ * @property {Function} deserialize - Creates a new display object from its serialized data. The common
+ *  properties are applied afterwards.
+ */
+export interface IDisplayObjectSerializer<T extends Container = Container>
+{
+    serialize(displayObject: T): Dict<any>;
+    deserialize(data: ISerializedDisplayObject): T;
+}
+
+interface ISerializerEntry
+{
+    type: string;
+    ctor: new (...args: any[]) => Container;
+    serializer: IDisplayObjectSerializer<any>;
+}
+
+/**
+ * Serializes trees of display objects to plain data that can be stored as JSON, and rebuilds them from it.
+ *
+ * Textures are referenced by their id in the texture cache, so they must be loaded (or loadable by their id)
+ * before a tree is rebuilt.
+ *
+ * ```js
+ * import { SceneSerializer } from '@pixi/serialization';
+ *
+ * const json = JSON.stringify(SceneSerializer.toJSON(level));
+ * const copy = SceneSerializer.fromJSON(JSON.parse(json));
+ * ```
+ *
+ * Custom display objects can be supported by registering a serializer for their class. Every class must be
+ * registered, subclasses included, as the serializer of a parent class would lose the state they add.
+ *
+ * ```js
+ * SceneSerializer.register('HealthBar', HealthBar, {
+ *     serialize: (bar) => ({ value: bar.value }),
+ *     deserialize: (data) => new HealthBar(data.value),
+ * });
+ * ```
+ *
+ * _Note: Only available with **@pixi/serialization**._
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class SceneSerializer
+{
+    /**
+     * Collection of the registered serializers, by type name.
+     *
+     * @static
+     * @private
+     * @member {object}
+     */
+    private static readonly _serializers: Dict<ISerializerEntry> = {};
+
+    /**
+     * Registers a serializer for a class of display objects.
+     *
+     * @static
+     * @param {string} type - The name to identify the class with in serialized data.
+     * @param {Function} ctor - The class of display objects.
+     * @param {PIXI.IDisplayObjectSerializer} serializer - The serializer for the class.
+     */
+    static register<T extends Container>(type: string, ctor: new (...args: any[]) => T,
+        serializer: IDisplayObjectSerializer<T>): void
+    {
+        SceneSerializer._serializers[type] = { type, ctor, serializer };
+    }
+
+    /**
+     * Removes a previously registered serializer.
+     *
+     * @static
+     * @param {string} type - The name the serializer was registered with.
+     */
+    static unregister(type: string): void
+    {
+        delete SceneSerializer._serializers[type];
+    }
+
+    /**
+     * Serializes a display object, along with its whole subtree.
+     *
+     * @static
+     * @param {PIXI.DisplayObject} displayObject - The display object to serialize.
+     * @return {PIXI.ISerializedDisplayObject} The serialized data.
+     */
+    static toJSON(displayObject: DisplayObject): ISerializedDisplayObject
+    {
+        const entry = SceneSerializer._resolve(displayObject);
+
+        if (!entry)
+        {
+            throw new Error(`[SceneSerializer] No serializer registered for "${displayObject.constructor.name}".`);
+        }
+
+        const container = displayObject as Container;
+        const data: ISerializedDisplayObject = {
+            type: entry.type,
+            position: { x: container.position.x, y: container.position.y },
+            scale: { x: container.scale.x, y: container.scale.y },
+            pivot: { x: container.pivot.x, y: container.pivot.y },
+            skew: { x: container.skew.x, y: container.skew.y },
+            rotation: container.rotation,
+            alpha: container.alpha,
+            visible: container.visible,
+            renderable: container.renderable,
+            cullable: container.cullable,
+            cullArea: serializeRectangle(container.cullArea),
+            zIndex: container.zIndex,
+            sortableChildren: container.sortableChildren,
+            children: container.children.map((child) => SceneSerializer.toJSON(child)),
+        };
+
+        if (container.name !== undefined && container.name !== null)
+        {
+            data.name = container.name;
+        }
+
+        return Object.assign(data, entry.serializer.serialize(container));
+    }
+
+    /**
+     * Rebuilds a display object, along with its whole subtree, from serialized data.
+     *
+     * @static
+     * @param {PIXI.ISerializedDisplayObject} data - The serialized data.
+     * @return {PIXI.Container} The new display object.
+     */
+    static fromJSON<T extends Container = Container>(data: ISerializedDisplayObject): T
+    {
+        const entry = SceneSerializer._serializers[data.type];
+
+        if (!entry)
+        {
+            throw new Error(`[SceneSerializer] No serializer registered for type "${data.type}".`);
+        }
+
+        const container = entry.serializer.deserialize(data) as T;
+
+        container.position.copyFrom(data.position);
+        container.scale.copyFrom(data.scale);
+        container.pivot.copyFrom(data.pivot);
+        container.skew.copyFrom(data.skew);
+        container.rotation = data.rotation;
+        container.alpha = data.alpha;
+        container.visible = data.visible;
+        container.renderable = data.renderable;
+        container.cullable = !!data.cullable;
+        container.cullArea = deserializeRectangle(data.cullArea);
+        container.zIndex = data.zIndex;
+        container.sortableChildren = data.sortableChildren;
+
+        if (data.name !== undefined)
+        {
+            container.name = data.name;
+        }
+
+        for (let i = 0; i < data.children.length; i++)
+        {
+            container.addChild(SceneSerializer.fromJSON(data.children[i]));
+        }
+
+        return container;
+    }
+
+    /**
+     * Finds the serializer registered for the class of a display object.
+     *
+     * @static
+     * @private
+     * @param {PIXI.DisplayObject} displayObject - The display object.
+     * @return {object} The registered entry, if any.
+     */
+    private static _resolve(displayObject: DisplayObject): ISerializerEntry
+    {
+        const serializers = SceneSerializer._serializers;
+
+        for (const type in serializers)
+        {
+            if (serializers[type].ctor === displayObject.constructor)
+            {
+                return serializers[type];
+            }
+        }
+
+        return null;
+    }
+}
@@ -0,0 +1,38 @@
+import { DisplayObject, Container } from '@pixi/display';
+import { Sprite } from '@pixi/sprite';
+import { Graphics } from '@pixi/graphics';
+import { Text } from '@pixi/text';
+import { BitmapText } from '@pixi/text-bitmap';
+import { SceneSerializer } from './SceneSerializer';
+import { containerSerializer } from './serializers/containerSerializer';
+import { spriteSerializer } from './serializers/spriteSerializer';
+import { graphicsSerializer } from './serializers/graphicsSerializer';
+import { textSerializer } from './serializers/textSerializer';
+import { bitmapTextSerializer } from './serializers/bitmapTextSerializer';
+
+import type { ISerializedDisplayObject } from './SceneSerializer';
+
+SceneSerializer.register('Container', Container, containerSerializer);
+SceneSerializer.register('Sprite', Sprite, spriteSerializer);
+SceneSerializer.register('Graphics', Graphics, graphicsSerializer);
+SceneSerializer.register('Text', Text, textSerializer);
+SceneSerializer.register('BitmapText', BitmapText, bitmapTextSerializer);
+
+/**
+ * Serializes the display object and its subtree, this is called by `JSON.stringify`.
+ *
+ * _Note: Only available with **@pixi/serialization**._
+ *
+ * @method toJSON
+ * @memberof PIXI.DisplayObject#
+ * @return {PIXI.ISerializedDisplayObject} The serialized data.
+ * @see PIXI.SceneSerializer.toJSON
+ */
+DisplayObject.prototype.toJSON = function toJSON(): ISerializedDisplayObject
+{
+    return SceneSerializer.toJSON(this);
+};
+
+export * from './SceneSerializer';
+export * from './GraphicsGeometryCache';
+export * from './GraphicsGeometryLoader';
@@ -0,0 +1,80 @@
+import { BitmapText } from '@pixi/text-bitmap';
+import { serializeImages, deserializeImages } from '../utils';
+
+import type { IDisplayObjectSerializer, ISerializedDisplayObject } from '../SceneSerializer';
+
+/**
+ * Serializer for {@link PIXI.BitmapText}. Fonts are referenced by name, so they must be
+ * installed before the text is rebuilt, and the textures of images by cache id.
+ *
+ * @private
+ */
+export const bitmapTextSerializer: IDisplayObjectSerializer<BitmapText> = {
+    serialize(text: BitmapText): Record<string, any>
+    {
+        return {
+            text: text.text,
+            fontName: text.fontName,
+            fontSize: text.fontSize,
+            align: text.align,
+            direction: text.direction,
+            tint: text.tint,
+            maxWidth: text.maxWidth,
+            maxLines: text.maxLines,
+            overflow: text.overflow,
+            fitMode: text.fitMode,
+            fitWidth: text.fitWidth,
+            fitHeight: text.fitHeight,
+            minFontSize: text.minFontSize,
+            maxFontSize: text.maxFontSize,
+            letterSpacing: text.letterSpacing,
+            smoothing: text.smoothing,
+            stroke: text.stroke,
+            strokeThickness: text.strokeThickness,
+            dropShadow: text.dropShadow,
+            dropShadowAlpha: text.dropShadowAlpha,
+            dropShadowAngle: text.dropShadowAngle,
+            dropShadowBlur: text.dropShadowBlur,
+            dropShadowColor: text.dropShadowColor,
+            dropShadowDistance: text.dropShadowDistance,
+            images: serializeImages(text.images),
+            anchor: { x: text.anchor.x, y: text.anchor.y },
+            roundPixels: text.roundPixels,
+        };
+    },
+
+    deserialize(data: ISerializedDisplayObject): BitmapText
+    {
+        const text = new BitmapText(data.text, {
+            fontName: data.fontName,
+            fontSize: data.fontSize,
+            align: data.align,
+            direction: data.direction,
+            tint: data.tint,
+            maxWidth: data.maxWidth,
+            maxLines: data.maxLines,
+            overflow: data.overflow,
+            fitMode: data.fitMode,
+            fitWidth: data.fitWidth,
+            fitHeight: data.fitHeight,
+            minFontSize: data.minFontSize,
+            maxFontSize: data.maxFontSize,
+            letterSpacing: data.letterSpacing,
+            smoothing: data.smoothing,
+            stroke: data.stroke,
+            strokeThickness: data.strokeThickness,
+            dropShadow: data.dropShadow,
+            dropShadowAlpha: data.dropShadowAlpha,
+            dropShadowAngle: data.dropShadowAngle,
+            dropShadowBlur: data.dropShadowBlur,
+            dropShadowColor: data.dropShadowColor,
+            dropShadowDistance: data.dropShadowDistance,
+        });
+
+        text.images = deserializeImages(data.images);
+        text.anchor.copyFrom(data.anchor);
+        text.roundPixels = data.roundPixels;
+
+        return text;
+    },
+};
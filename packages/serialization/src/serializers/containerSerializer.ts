@@ -0,0 +1,20 @@
+import { Container } from '@pixi/display';
+
+import type { IDisplayObjectSerializer } from '../SceneSerializer';
+
+/**
+ * Serializer for {@link PIXI.Container}, everything it has is handled by {@link PIXI.SceneSerializer}.
+ *
+ * @private
+ */
+export const containerSerializer: IDisplayObjectSerializer<Container> = {
+    serialize(): Record<string, any>
+    {
+        return {};
+    },
+
+    deserialize(): Container
+    {
+        return new Container();
+    },
+};
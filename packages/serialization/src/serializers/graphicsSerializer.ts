@@ -0,0 +1,355 @@
+import { Graphics, FillStyle, GraphicsGradient, LineStyle } from '@pixi/graphics';
+import { Circle, Ellipse, Polygon, Rectangle, RoundedRectangle, SHAPES } from '@pixi/math';
+import { serializeTexture, deserializeTexture, serializeMatrix, deserializeMatrix } from '../utils';
+
+import type { GraphicsData, GraphicsGeometry, IGradientOptions } from '@pixi/graphics';
+import type { IShape } from '@pixi/math';
+import type { IDisplayObjectSerializer, ISerializedDisplayObject } from '../SceneSerializer';
+
+/**
+ * Shape classes by their type.
+ *
+ * @private
+ */
+const SHAPE_TYPES: Record<SHAPES, new () => IShape> = {
+    [SHAPES.POLY]: Polygon,
+    [SHAPES.RECT]: Rectangle,
+    [SHAPES.CIRC]: Circle,
+    [SHAPES.ELIP]: Ellipse,
+    [SHAPES.RREC]: RoundedRectangle,
+};
+
+/**
+ * Converts a gradient to the options it can be created from.
+ *
+ * @private
+ * @param {PIXI.GraphicsGradient} gradient - The gradient
+ * @return {PIXI.IGradientOptions} The plain data, or `null` if there is no gradient
+ */
+function serializeGradient(gradient: GraphicsGradient): IGradientOptions
+{
+    if (!gradient)
+    {
+        return null;
+    }
+
+    const { type, x0, y0, r0, x1, y1, r1 } = gradient;
+    const colorStops = gradient.colorStops.map(({ offset, color, alpha }) => ({ offset, color, alpha }));
+
+    return { type, x0, y0, r0, x1, y1, r1, colorStops };
+}
+
+/**
+ * Copies the fields of an object, converting textures, matrices and gradients to plain data.
+ *
+ * @private
+ * @param {object} source - The shape or style
+ * @return {object} The plain data
+ */
+function serializeFields(source: Record<string, any>): Record<string, any>
+{
+    const data: Record<string, any> = {};
+    const keys = Object.keys(source);
+
+    for (let i = 0; i < keys.length; i++)
+    {
+        const key = keys[i];
+        const value = source[key];
+
+        if (key === 'texture')
+        {
+            // The texture of a gradient is not cached by id, it is drawn again from the gradient
+            data[key] = source.gradient ? null : serializeTexture(value);
+        }
+        else if (key === 'gradient')
+        {
+            data[key] = serializeGradient(value);
+        }
+        else if (key === 'matrix')
+        {
+            data[key] = serializeMatrix(value);
+        }
+        else if (Array.isArray(value))
+        {
+            data[key] = value.slice();
+        }
+        else
+        {
+            data[key] = value;
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Copies plain data produced by `serializeFields` back into an object.
+ *
+ * @private
+ * @param {object} target - The shape or style
+ * @param {object} data - The plain data
+ * @return {object} The target
+ */
+function deserializeFields<T>(target: T, data: Record<string, any>): T
+{
+    const keys = Object.keys(data);
+
+    for (let i = 0; i < keys.length; i++)
+    {
+        const key = keys[i];
+        const value = data[key];
+
+        if (key === 'texture')
+        {
+            (target as any)[key] = deserializeTexture(value);
+        }
+        else if (key === 'gradient')
+        {
+            (target as any)[key] = value ? new GraphicsGradient(value) : null;
+        }
+        else if (key === 'matrix')
+        {
+            (target as any)[key] = deserializeMatrix(value);
+        }
+        else if (Array.isArray(value))
+        {
+            (target as any)[key] = value.slice();
+        }
+        else
+        {
+            (target as any)[key] = value;
+        }
+    }
+
+    if ((target as any).gradient)
+    {
+        (target as any).texture = (target as any).gradient.texture;
+    }
+
+    return target;
+}
+
+/**
+ * Serializes a single shape of a graphics geometry, along with its holes.
+ *
+ * @private
+ * @param {PIXI.GraphicsData} data - The shape data
+ * @param {number} index - The index of the shape
+ * @param {PIXI.GraphicsData[]} graphicsData - All the shapes of the geometry
+ * @return {object} The plain data
+ */
+function serializeGraphicsData(data: GraphicsData, index: number, graphicsData: GraphicsData[]): Record<string, any>
+{
+    return {
+        shape: serializeFields(data.shape),
+        fillStyle: serializeFields(data.fillStyle),
+        // Shapes filled together with a fill rule share their fill style
+        sharedFill: index > 0 && !!data.fillStyle.fillRule && graphicsData[index - 1].fillStyle === data.fillStyle,
+        lineStyle: serializeFields(data.lineStyle),
+        matrix: serializeMatrix(data.matrix),
+        curves: data.curves.map(serializeFields),
+        curveScale: data.curveScale,
+        widths: data.widths && data.widths.slice(),
+        holes: data.holes.map((hole) => ({
+            shape: serializeFields(hole.shape),
+            matrix: serializeMatrix(hole.matrix),
+            curves: hole.curves.map(serializeFields),
+            curveScale: hole.curveScale,
+            widths: hole.widths && hole.widths.slice(),
+        })),
+    };
+}
+
+/**
+ * Restores the curves of a shape, so that it can be tessellated again, and the widths of its line.
+ *
+ * @private
+ * @param {PIXI.GraphicsData} target - The shape data
+ * @param {object} data - The plain data
+ */
+function deserializeCurves(target: GraphicsData, data: Record<string, any>): void
+{
+    if (data.curves)
+    {
+        target.curves = data.curves.map((curve: Record<string, any>) => deserializeFields({}, curve));
+        target.curveScale = data.curveScale;
+    }
+
+    if (data.widths)
+    {
+        target.widths = data.widths.slice();
+    }
+}
+
+/**
+ * Creates a shape from its plain data.
+ *
+ * @private
+ * @param {object} data - The plain data
+ * @return {PIXI.IShape} The shape
+ */
+function deserializeShape(data: Record<string, any>): IShape
+{
+    const ShapeClass = SHAPE_TYPES[data.type as SHAPES];
+
+    if (!ShapeClass)
+    {
+        throw new Error(`[SceneSerializer] Unknown shape type "${data.type}".`);
+    }
+
+    return deserializeFields(new ShapeClass(), data);
+}
+
+/**
+ * Serializes the shapes and styles of a graphics geometry.
+ *
+ * @private
+ * @param {PIXI.GraphicsGeometry} geometry - The geometry
+ * @return {object} The plain data
+ */
+export function serializeGeometry(geometry: GraphicsGeometry): Record<string, any>
+{
+    return {
+        antialias: geometry.antialias,
+        graphicsData: geometry.graphicsData.map(serializeGraphicsData),
+    };
+}
+
+/**
+ * Draws the shapes serialized by `serializeGeometry` into a graphics geometry.
+ *
+ * @private
+ * @param {object} data - The plain data
+ * @param {PIXI.GraphicsGeometry} geometry - The geometry to draw into
+ * @return {PIXI.GraphicsGeometry} The geometry
+ */
+export function deserializeGeometry(data: Record<string, any>, geometry: GraphicsGeometry): GraphicsGeometry
+{
+    const graphicsData = data.graphicsData as Record<string, any>[];
+
+    for (let i = 0; i < graphicsData.length; i++)
+    {
+        const item = graphicsData[i];
+        const fillStyle = item.sharedFill && i > 0
+            ? geometry.graphicsData[geometry.graphicsData.length - 1].fillStyle
+            : deserializeFields(new FillStyle(), item.fillStyle);
+
+        geometry.drawShape(
+            deserializeShape(item.shape),
+            fillStyle,
+            deserializeFields(new LineStyle(), item.lineStyle),
+            deserializeMatrix(item.matrix)
+        );
+        deserializeCurves(geometry.graphicsData[geometry.graphicsData.length - 1], item);
+
+        for (let j = 0; j < item.holes.length; j++)
+        {
+            const hole = item.holes[j];
+
+            geometry.drawHole(deserializeShape(hole.shape), deserializeMatrix(hole.matrix));
+
+            const holes = geometry.graphicsData[geometry.graphicsData.length - 1].holes;
+
+            deserializeCurves(holes[holes.length - 1], hole);
+        }
+    }
+
+    geometry.antialias = !!data.antialias;
+
+    return geometry;
+}
+
+/**
+ * Serializes the path a graphics is drawing, without finishing it, along with the styles and matrix
+ * it is going to be drawn with.
+ *
+ * @private
+ * @param {PIXI.Graphics} graphics - The graphics
+ * @return {object} The plain data, or `null` if there is no path being drawn
+ */
+function serializeCurrentPath(graphics: Graphics): Record<string, any>
+{
+    const state = graphics as any;
+    const path = state.currentPath as Polygon;
+
+    if (!path || path.points.length <= 2)
+    {
+        return null;
+    }
+
+    return {
+        shape: serializeFields(path),
+        curves: state.currentCurves.map(serializeFields),
+        widths: state.currentWidths && state.currentWidths.slice(),
+        fillStyle: serializeFields(graphics.fill),
+        // Shapes filled together with a fill rule share their fill style
+        sharedFill: !!state._fillRuleStyle,
+        lineStyle: serializeFields(graphics.line),
+        matrix: serializeMatrix(state._matrix),
+        hole: state._holeMode,
+    };
+}
+
+/**
+ * Restores the path serialized by `serializeCurrentPath`, so that the graphics goes on drawing it.
+ *
+ * @private
+ * @param {PIXI.Graphics} graphics - The graphics, with its shapes already drawn
+ * @param {object} data - The plain data
+ */
+function deserializeCurrentPath(graphics: Graphics, data: Record<string, any>): void
+{
+    const state = graphics as any;
+    const graphicsData = graphics.geometry.graphicsData;
+
+    deserializeFields(graphics.fill, data.fillStyle);
+    deserializeFields(graphics.line, data.lineStyle);
+    graphics.setMatrix(deserializeMatrix(data.matrix));
+
+    if (data.hole)
+    {
+        graphics.beginHole();
+    }
+
+    if (data.sharedFill && graphicsData.length)
+    {
+        state._fillRuleStyle = graphicsData[graphicsData.length - 1].fillStyle;
+    }
+
+    state.currentPath = deserializeShape(data.shape);
+    state.currentCurves = data.curves.map((curve: Record<string, any>) => deserializeFields({}, curve));
+    state.currentWidths = data.widths && data.widths.slice();
+}
+
+/**
+ * Serializer for {@link PIXI.Graphics}, stores the shapes and styles of its geometry, and the path it is
+ * drawing, which is left open.
+ *
+ * @private
+ */
+export const graphicsSerializer: IDisplayObjectSerializer<Graphics> = {
+    serialize(graphics: Graphics): Record<string, any>
+    {
+        return Object.assign({
+            tint: graphics.tint,
+            blendMode: graphics.blendMode,
+            currentPath: serializeCurrentPath(graphics),
+        }, serializeGeometry(graphics.geometry));
+    },
+
+    deserialize(data: ISerializedDisplayObject): Graphics
+    {
+        const graphics = new Graphics();
+
+        deserializeGeometry(data, graphics.geometry);
+        graphics.tint = data.tint;
+        graphics.blendMode = data.blendMode;
+
+        if (data.currentPath)
+        {
+            deserializeCurrentPath(graphics, data.currentPath);
+        }
+
+        return graphics;
+    },
+};
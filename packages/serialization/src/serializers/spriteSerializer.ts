@@ -0,0 +1,32 @@
+import { Sprite } from '@pixi/sprite';
+import { serializeTexture, deserializeTexture } from '../utils';
+
+import type { IDisplayObjectSerializer, ISerializedDisplayObject } from '../SceneSerializer';
+
+/**
+ * Serializer for {@link PIXI.Sprite}.
+ *
+ * @private
+ */
+export const spriteSerializer: IDisplayObjectSerializer<Sprite> = {
+    serialize(sprite: Sprite): Record<string, any>
+    {
+        return {
+            texture: serializeTexture(sprite.texture),
+            anchor: { x: sprite.anchor.x, y: sprite.anchor.y },
+            tint: sprite.tint,
+            blendMode: sprite.blendMode,
+        };
+    },
+
+    deserialize(data: ISerializedDisplayObject): Sprite
+    {
+        const sprite = new Sprite(deserializeTexture(data.texture));
+
+        sprite.anchor.copyFrom(data.anchor);
+        sprite.tint = data.tint;
+        sprite.blendMode = data.blendMode;
+
+        return sprite;
+    },
+};
@@ -0,0 +1,81 @@
+import { Text } from '@pixi/text';
+import { serializeImages, deserializeImages } from '../utils';
+
+import type { TextStyle } from '@pixi/text';
+import type { IDisplayObjectSerializer, ISerializedDisplayObject } from '../SceneSerializer';
+
+/**
+ * Converts a text style to the options it can be recreated with.
+ *
+ * @private
+ * @param {PIXI.TextStyle} style - The style
+ * @return {object} The style options
+ */
+function serializeTextStyle(style: TextStyle): Record<string, any>
+{
+    const data: Record<string, any> = {};
+    const keys = Object.keys(style);
+
+    for (let i = 0; i < keys.length; i++)
+    {
+        const key = keys[i];
+
+        // Style properties are stored in fields named after their accessors, prefixed with an underscore
+        if (key[0] === '_')
+        {
+            const value = (style as any)[key];
+
+            data[key.substr(1)] = Array.isArray(value) ? value.slice() : value;
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Serializer for {@link PIXI.Text}. The textures of images are referenced by cache id.
+ *
+ * @private
+ */
+export const textSerializer: IDisplayObjectSerializer<Text> = {
+    serialize(text: Text): Record<string, any>
+    {
+        return {
+            text: text.text,
+            style: serializeTextStyle(text.style as TextStyle),
+            // The resolution follows the renderer unless it was set
+            resolution: text._autoResolution ? null : text.resolution,
+            anchor: { x: text.anchor.x, y: text.anchor.y },
+            fitMode: text.fitMode,
+            fitWidth: text.fitWidth,
+            fitHeight: text.fitHeight,
+            minFontSize: text.minFontSize,
+            maxFontSize: text.maxFontSize,
+            images: serializeImages(text.images),
+            tint: text.tint,
+            blendMode: text.blendMode,
+        };
+    },
+
+    deserialize(data: ISerializedDisplayObject): Text
+    {
+        const text = new Text(data.text, data.style);
+
+        if (typeof data.resolution === 'number')
+        {
+            text.resolution = data.resolution;
+        }
+
+        text.anchor.copyFrom(data.anchor);
+        text.fitMode = data.fitMode;
+        text.fitWidth = data.fitWidth;
+        text.fitHeight = data.fitHeight;
+        text.minFontSize = data.minFontSize;
+        text.maxFontSize = data.maxFontSize;
+        text.images = deserializeImages(data.images);
+        text.tint = data.tint;
+        text.blendMode = data.blendMode;
+
+        return text;
+    },
+};
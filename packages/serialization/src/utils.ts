@@ -0,0 +1,166 @@
+import { Texture } from '@pixi/core';
+import { Matrix, Rectangle } from '@pixi/math';
+
+/**
+ * Id used in serialized data for {@link PIXI.Texture.WHITE}.
+ *
+ * @private
+ */
+const WHITE_ID = 'Texture.WHITE';
+
+/**
+ * Converts a texture to a reference by its id in the texture cache.
+ *
+ * @private
+ * @param {PIXI.Texture} texture - The texture
+ * @return {string} The cache id, or `null` for empty textures
+ */
+export function serializeTexture(texture: Texture): string
+{
+    if (!texture || texture === Texture.EMPTY)
+    {
+        return null;
+    }
+
+    if (texture === Texture.WHITE)
+    {
+        return WHITE_ID;
+    }
+
+    if (!texture.textureCacheIds.length)
+    {
+        throw new Error('[SceneSerializer] Cannot serialize a texture that is not in the texture cache.');
+    }
+
+    return texture.textureCacheIds[0];
+}
+
+/**
+ * Resolves a texture referenced by `serializeTexture`.
+ *
+ * @private
+ * @param {string} id - The cache id
+ * @return {PIXI.Texture} The texture
+ */
+export function deserializeTexture(id: string): Texture
+{
+    if (id === null || id === undefined)
+    {
+        return Texture.EMPTY;
+    }
+
+    if (id === WHITE_ID)
+    {
+        return Texture.WHITE;
+    }
+
+    return Texture.from(id);
+}
+
+/**
+ * Converts the images of a text to references to their textures by cache id.
+ *
+ * @private
+ * @param {Object<string, PIXI.Texture>} images - The textures of the images, by their id
+ * @return {Object<string, string>} The cache ids of the textures, by the ids of the images
+ */
+export function serializeImages(images: Record<string, Texture>): Record<string, string>
+{
+    const data: Record<string, string> = {};
+    const ids = Object.keys(images);
+
+    for (let i = 0; i < ids.length; i++)
+    {
+        data[ids[i]] = serializeTexture(images[ids[i]]);
+    }
+
+    return data;
+}
+
+/**
+ * Resolves the images referenced by `serializeImages`.
+ *
+ * @private
+ * @param {Object<string, string>} data - The cache ids of the textures, by the ids of the images
+ * @return {Object<string, PIXI.Texture>} The textures of the images, by their id
+ */
+export function deserializeImages(data: Record<string, string>): Record<string, Texture>
+{
+    const images: Record<string, Texture> = {};
+    const ids = Object.keys(data || {});
+
+    for (let i = 0; i < ids.length; i++)
+    {
+        images[ids[i]] = deserializeTexture(data[ids[i]]);
+    }
+
+    return images;
+}
+
+/**
+ * Converts a matrix to an array of `[a, b, c, d, tx, ty]`.
+ *
+ * @private
+ * @param {PIXI.Matrix} matrix - The matrix
+ * @return {number[]} The components, or `null` if there is no matrix
+ */
+export function serializeMatrix(matrix: Matrix): number[]
+{
+    if (!matrix)
+    {
+        return null;
+    }
+
+    return [matrix.a, matrix.b, matrix.c, matrix.d, matrix.tx, matrix.ty];
+}
+
+/**
+ * Creates a matrix from the output of `serializeMatrix`.
+ *
+ * @private
+ * @param {number[]} data - The components
+ * @return {PIXI.Matrix} The matrix, or `null`
+ */
+export function deserializeMatrix(data: number[]): Matrix
+{
+    if (!data)
+    {
+        return null;
+    }
+
+    return new Matrix(data[0], data[1], data[2], data[3], data[4], data[5]);
+}
+
+/**
+ * Converts a rectangle to an array of `[x, y, width, height]`.
+ *
+ * @private
+ * @param {PIXI.Rectangle} rect - The rectangle
+ * @return {number[]} The components, or `null` if there is no rectangle
+ */
+export function serializeRectangle(rect: Rectangle): number[]
+{
+    if (!rect)
+    {
+        return null;
+    }
+
+    return [rect.x, rect.y, rect.width, rect.height];
+}
+
+/**
+ * Creates a rectangle from the output of `serializeRectangle`.
+ *
+ * @private
+ * @param {number[]} data - The components
+ * @return {PIXI.Rectangle} The rectangle, or `null`
+ */
+export function deserializeRectangle(data: number[]): Rectangle
+{
+    if (!data)
+    {
+        return null;
+    }
+
+    return new Rectangle(data[0], data[1], data[2], data[3]);
+}
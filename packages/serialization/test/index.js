@@ -0,0 +1,602 @@
+const { SceneSerializer, GraphicsGeometryCache, GraphicsGeometryLoader } = require('../');
+const { Container } = require('@pixi/display');
+const { Sprite } = require('@pixi/sprite');
+const { Graphics, GraphicsGeometry, FILL_RULE } = require('@pixi/graphics');
+const { Text } = require('@pixi/text');
+const { BitmapFont, BitmapText } = require('@pixi/text-bitmap');
+const { Texture, BaseTexture } = require('@pixi/core');
+const { Matrix, Rectangle, SHAPES } = require('@pixi/math');
+const { BLEND_MODES } = require('@pixi/constants');
+const { expect } = require('chai');
+
+function roundTrip(displayObject)
+{
+    return SceneSerializer.fromJSON(JSON.parse(JSON.stringify(displayObject)));
+}
+
+describe('PIXI.SceneSerializer', function ()
+{
+    it('should serialize with JSON.stringify', function ()
+    {
+        const container = new Container();
+        const data = JSON.parse(JSON.stringify(container));
+
+        expect(data.type).to.equal('Container');
+        expect(data.children).to.be.empty;
+    });
+
+    it('should round-trip container properties and children', function ()
+    {
+        const parent = new Container();
+        const child = new Container();
+
+        parent.position.set(10, 20);
+        parent.scale.set(2, 3);
+        parent.pivot.set(4, 5);
+        parent.skew.set(0.1, 0.2);
+        parent.rotation = 0.5;
+        parent.alpha = 0.75;
+        parent.visible = false;
+        parent.renderable = false;
+        parent.cullable = true;
+        parent.cullArea = new Rectangle(1, 2, 3, 4);
+        parent.zIndex = 7;
+        parent.sortableChildren = true;
+        child.zIndex = 3;
+        parent.addChild(child);
+
+        const copy = roundTrip(parent);
+
+        expect(copy).to.be.instanceof(Container);
+        expect(copy.x).to.equal(10);
+        expect(copy.y).to.equal(20);
+        expect(copy.scale.x).to.equal(2);
+        expect(copy.scale.y).to.equal(3);
+        expect(copy.pivot.x).to.equal(4);
+        expect(copy.pivot.y).to.equal(5);
+        expect(copy.skew.x).to.equal(0.1);
+        expect(copy.skew.y).to.equal(0.2);
+        expect(copy.rotation).to.equal(0.5);
+        expect(copy.alpha).to.equal(0.75);
+        expect(copy.visible).to.be.false;
+        expect(copy.renderable).to.be.false;
+        expect(copy.cullable).to.be.true;
+        expect(copy.cullArea).to.deep.include({ x: 1, y: 2, width: 3, height: 4 });
+        expect(copy.zIndex).to.equal(7);
+        expect(copy.sortableChildren).to.be.true;
+        expect(copy.children.length).to.equal(1);
+        expect(copy.children[0].zIndex).to.equal(3);
+        expect(copy.children[0].parent).to.equal(copy);
+    });
+
+    it('should round-trip sprites with textures by cache id', function ()
+    {
+        const texture = new Texture(new BaseTexture());
+
+        Texture.addToCache(texture, 'serialization-test');
+
+        const sprite = new Sprite(texture);
+        const white = new Sprite(Texture.WHITE);
+
+        sprite.anchor.set(0.5, 1);
+        sprite.tint = 0xff0000;
+        sprite.blendMode = BLEND_MODES.ADD;
+        sprite.addChild(white);
+
+        const copy = roundTrip(sprite);
+
+        expect(copy).to.be.instanceof(Sprite);
+        expect(copy.texture).to.equal(texture);
+        expect(copy.anchor.x).to.equal(0.5);
+        expect(copy.anchor.y).to.equal(1);
+        expect(copy.tint).to.equal(0xff0000);
+        expect(copy.blendMode).to.equal(BLEND_MODES.ADD);
+        expect(copy.children[0].texture).to.equal(Texture.WHITE);
+
+        Texture.removeFromCache('serialization-test');
+        texture.destroy(true);
+    });
+
+    it('should throw for textures that are not cached', function ()
+    {
+        const texture = new Texture(new BaseTexture());
+        const sprite = new Sprite(texture);
+
+        expect(() => SceneSerializer.toJSON(sprite)).to.throw();
+
+        texture.destroy(true);
+    });
+
+    it('should round-trip graphics geometry', function ()
+    {
+        const graphics = new Graphics();
+
+        graphics.lineStyle({ width: 4, color: 0x00ff00, alignment: 0 })
+            .beginFill(0xff0000, 0.5)
+            .drawRect(0, 0, 100, 50)
+            .beginHole()
+            .drawCircle(50, 25, 10)
+            .endHole()
+            .endFill()
+            .setMatrix(new Matrix().translate(5, 5))
+            .moveTo(0, 0)
+            .lineTo(10, 10)
+            .lineTo(20, 0);
+
+        graphics.tint = 0x0000ff;
+        graphics.geometry.antialias = true;
+
+        const copy = roundTrip(graphics);
+        const data = copy.geometry.graphicsData;
+
+        // the path being drawn is restored open
+        copy.finishPoly();
+
+        expect(copy).to.be.instanceof(Graphics);
+        expect(copy.tint).to.equal(0x0000ff);
+        expect(copy.geometry.antialias).to.be.true;
+        expect(data.length).to.equal(2);
+        expect(data[0].shape.type).to.equal(SHAPES.RECT);
+        expect(data[0].shape).to.deep.include({ x: 0, y: 0, width: 100, height: 50 });
+        expect(data[0].fillStyle.color).to.equal(0xff0000);
+        expect(data[0].fillStyle.alpha).to.equal(0.5);
+        expect(data[0].fillStyle.texture).to.equal(Texture.WHITE);
+        expect(data[0].lineStyle.width).to.equal(4);
+        expect(data[0].lineStyle.color).to.equal(0x00ff00);
+        expect(data[0].lineStyle.alignment).to.equal(0);
+        expect(data[0].holes.length).to.equal(1);
+        expect(data[0].holes[0].shape.type).to.equal(SHAPES.CIRC);
+        expect(data[0].holes[0].shape.radius).to.equal(10);
+        expect(data[1].shape.type).to.equal(SHAPES.POLY);
+        expect(data[1].shape.points).to.deep.equal([0, 0, 10, 10, 20, 0]);
+        expect(data[1].matrix.tx).to.equal(5);
+        expect(copy.getLocalBounds()).to.deep.equal(graphics.getLocalBounds());
+    });
+
+    it('should round-trip the curves of graphics', function ()
+    {
+        const graphics = new Graphics()
+            .beginFill(0xffffff)
+            .moveTo(0, 0)
+            .bezierCurveTo(100, 0, 100, 100, 0, 100)
+            .closePath()
+            .endFill();
+
+        const copy = roundTrip(graphics);
+        const data = copy.geometry.graphicsData[0];
+
+        expect(data.curves).to.deep.equal(graphics.geometry.graphicsData[0].curves);
+        expect(data.curveScale).to.equal(1);
+
+        copy.geometry.curveScale = 2;
+
+        expect(data.shape.points.length).to.be.above(graphics.geometry.graphicsData[0].shape.points.length);
+    });
+
+    it('should round-trip gradient fills', function ()
+    {
+        const graphics = new Graphics()
+            .beginLinearGradientFill(0, 0, 100, 0, [{ offset: 0, color: 0xff0000 }, { offset: 1, color: 0x0000ff }])
+            .drawRect(0, 0, 100, 50);
+
+        const copy = roundTrip(graphics);
+        const fillStyle = copy.geometry.graphicsData[0].fillStyle;
+        const original = graphics.geometry.graphicsData[0].fillStyle;
+
+        expect(fillStyle.gradient).to.not.equal(original.gradient);
+        expect(fillStyle.gradient).to.deep.include({ x0: 0, y0: 0, x1: 100, y1: 0 });
+        expect(fillStyle.gradient.colorStops).to.deep.equal(original.gradient.colorStops);
+        expect(fillStyle.texture).to.equal(original.texture);
+        expect(fillStyle.matrix.a).to.be.closeTo(original.matrix.a, 0.0001);
+    });
+
+    it('should round-trip fills shared with a fill rule', function ()
+    {
+        const graphics = new Graphics()
+            .beginFill(0xff0000, 1, FILL_RULE.EVENODD)
+            .drawRect(0, 0, 30, 30)
+            .drawRect(10, 10, 10, 10)
+            .beginFill(0xff0000, 1, FILL_RULE.EVENODD)
+            .drawRect(40, 0, 10, 10);
+
+        const data = roundTrip(graphics).geometry.graphicsData;
+
+        expect(data[0].fillStyle.fillRule).to.equal(FILL_RULE.EVENODD);
+        expect(data[1].fillStyle).to.equal(data[0].fillStyle);
+        expect(data[2].fillStyle).to.not.equal(data[1].fillStyle);
+        expect(data[2].fillStyle.fillRule).to.equal(FILL_RULE.EVENODD);
+    });
+
+    it('should round-trip the widths of lines', function ()
+    {
+        const graphics = new Graphics()
+            .lineStyle(2)
+            .moveTo(0, 0, 1)
+            .lineTo(10, 0, 5)
+            .beginHole()
+            .drawPolygon([2, 2, 4, 2, 4, 4], [1, 2, 3])
+            .endHole();
+
+        const data = roundTrip(graphics).geometry.graphicsData;
+
+        expect(data[0].widths).to.deep.equal([1, 5]);
+        expect(data[0].holes[0].widths).to.deep.equal([1, 2, 3]);
+    });
+
+    it('should round-trip the path being drawn without finishing it', function ()
+    {
+        const graphics = new Graphics()
+            .beginFill(0x00ff00)
+            .drawRect(0, 0, 5, 5)
+            .lineStyle(2, 0xff0000)
+            .moveTo(0, 0, 1)
+            .lineTo(10, 0, 3)
+            .quadraticCurveTo(10, 10, 0, 10);
+        const points = graphics.currentPath.points.slice();
+
+        const copy = roundTrip(graphics);
+
+        expect(graphics.geometry.graphicsData).to.have.length(1);
+        expect(graphics.currentPath.points).to.deep.equal(points);
+        expect(copy.geometry.graphicsData).to.have.length(1);
+        expect(copy.currentPath.points).to.deep.equal(points);
+        expect(copy.currentPath.closeStroke).to.be.false;
+
+        graphics.lineTo(0, 20).finishPoly();
+        copy.lineTo(0, 20).finishPoly();
+
+        const data = graphics.geometry.graphicsData[1];
+        const copyData = copy.geometry.graphicsData[1];
+
+        expect(copyData.shape.points).to.deep.equal(data.shape.points);
+        expect(copyData.curves).to.have.length(1);
+        expect(copyData.widths).to.deep.equal(data.widths);
+        expect(copyData.lineStyle.width).to.equal(2);
+        expect(copyData.lineStyle.color).to.equal(0xff0000);
+        expect(copyData.fillStyle.color).to.equal(0x00ff00);
+    });
+
+    it('should round-trip text with its style', function ()
+    {
+        const text = new Text('hello', { fontSize: 32, fill: ['red', 'blue'], wordWrap: true });
+
+        text.anchor.set(0.5);
+
+        const copy = roundTrip(text);
+
+        expect(copy).to.be.instanceof(Text);
+        expect(copy.text).to.equal('hello');
+        expect(copy.anchor.x).to.equal(0.5);
+        expect(copy.style.fontSize).to.equal(32);
+        expect(copy.style.fill).to.deep.equal(['red', 'blue']);
+        expect(copy.style.wordWrap).to.be.true;
+
+        text.destroy(true);
+        copy.destroy(true);
+    });
+
+    it('should round-trip the images of text', function ()
+    {
+        const texture = new Texture(new BaseTexture());
+
+        Texture.addToCache(texture, 'serialization-coin');
+
+        const text = new Text('Buy for 10 <img id="coin"/>');
+
+        text.images = { coin: texture };
+
+        const copy = roundTrip(text);
+
+        expect(copy.images.coin).to.equal(texture);
+
+        text.destroy(true);
+        copy.destroy(true);
+        Texture.removeFromCache('serialization-coin');
+    });
+
+    it('should round-trip the font size fit of text', function ()
+    {
+        const text = new Text('hello');
+
+        text.fitMode = 'contain';
+        text.fitWidth = 200;
+        text.fitHeight = 80;
+        text.minFontSize = 12;
+        text.maxFontSize = 64;
+
+        const copy = roundTrip(text);
+
+        expect(copy.fitMode).to.equal('contain');
+        expect(copy.fitWidth).to.equal(200);
+        expect(copy.fitHeight).to.equal(80);
+        expect(copy.minFontSize).to.equal(12);
+        expect(copy.maxFontSize).to.equal(64);
+
+        text.destroy(true);
+        copy.destroy(true);
+    });
+
+    it('should only round-trip the resolution of text when it was set', function ()
+    {
+        const text = new Text('hello');
+        const fixed = new Text('hello');
+
+        fixed.resolution = 3;
+
+        const data = JSON.parse(JSON.stringify(text));
+        const copy = roundTrip(text);
+        const fixedCopy = roundTrip(fixed);
+
+        expect(data.resolution).to.be.null;
+        expect(copy._autoResolution).to.be.true;
+        expect(fixedCopy._autoResolution).to.be.false;
+        expect(fixedCopy.resolution).to.equal(3);
+
+        text.destroy(true);
+        fixed.destroy(true);
+        copy.destroy(true);
+        fixedCopy.destroy(true);
+    });
+
+    it('should round-trip bitmap text with its style and images', function ()
+    {
+        BitmapFont.from('serializationFont', {}, { chars: [['a', 'z'], ' '] });
+
+        const texture = new Texture(new BaseTexture());
+
+        Texture.addToCache(texture, 'serialization-coin');
+
+        const text = new BitmapText('hello world', {
+            fontName: 'serializationFont',
+            direction: 'rtl',
+            maxWidth: 100,
+            maxLines: 2,
+            overflow: 'ellipsis',
+            fitMode: 'contain',
+            fitWidth: 200,
+            fitHeight: 80,
+            minFontSize: 12,
+            maxFontSize: 64,
+            smoothing: 2,
+            stroke: 0xff0000,
+            strokeThickness: 3,
+            dropShadow: true,
+            dropShadowAlpha: 0.5,
+            dropShadowAngle: 1,
+            dropShadowBlur: 4,
+            dropShadowColor: 0x00ff00,
+            dropShadowDistance: 6,
+        });
+
+        text.images = { coin: texture };
+
+        const copy = roundTrip(text);
+
+        expect(copy).to.be.instanceof(BitmapText);
+        expect(copy.images.coin).to.equal(texture);
+
+        for (const key of ['text', 'fontName', 'direction', 'maxWidth', 'maxLines', 'overflow', 'fitMode',
+            'fitWidth', 'fitHeight', 'minFontSize', 'maxFontSize', 'smoothing', 'stroke', 'strokeThickness',
+            'dropShadow', 'dropShadowAlpha', 'dropShadowAngle', 'dropShadowBlur', 'dropShadowColor',
+            'dropShadowDistance'])
+        {
+            expect(copy[key], key).to.equal(text[key]);
+        }
+
+        text.destroy();
+        copy.destroy();
+        Texture.removeFromCache('serialization-coin');
+        BitmapFont.uninstall('serializationFont');
+    });
+
+    it('should use registered serializers for custom classes', function ()
+    {
+        class HealthBar extends Container
+        {
+            constructor(value)
+            {
+                super();
+                this.value = value;
+            }
+        }
+
+        SceneSerializer.register('HealthBar', HealthBar, {
+            serialize: (bar) => ({ value: bar.value }),
+            deserialize: (data) => new HealthBar(data.value),
+        });
+
+        const bar = new HealthBar(42);
+
+        bar.x = 100;
+
+        const copy = roundTrip(bar);
+
+        SceneSerializer.unregister('HealthBar');
+
+        expect(copy).to.be.instanceof(HealthBar);
+        expect(copy.value).to.equal(42);
+        expect(copy.x).to.equal(100);
+    });
+
+    it('should throw for subclasses without a registered serializer', function ()
+    {
+        class CustomSprite extends Sprite {}
+
+        const sprite = new CustomSprite(Texture.WHITE);
+
+        expect(() => SceneSerializer.toJSON(sprite))
+            .to.throw('[SceneSerializer] No serializer registered for "CustomSprite".');
+
+        SceneSerializer.register('CustomSprite', CustomSprite, {
+            serialize: () => ({}),
+            deserialize: () => new CustomSprite(Texture.WHITE),
+        });
+
+        const data = SceneSerializer.toJSON(sprite);
+
+        SceneSerializer.unregister('CustomSprite');
+
+        expect(data.type).to.equal('CustomSprite');
+    });
+
+    it('should throw for unknown types', function ()
+    {
+        expect(() => SceneSerializer.fromJSON({ type: 'Unknown' })).to.throw();
+    });
+});
+
+describe('PIXI.GraphicsGeometryCache', function ()
+{
+    function createGraphics()
+    {
+        return new Graphics()
+            .beginFill(0xff0000, 0.5)
+            .drawRect(0, 0, 100, 100)
+            .beginHole()
+            .drawCircle(50, 50, 20)
+            .endHole()
+            .lineStyle(4, 0x00ff00)
+            .beginFill(0x0000ff, 1, FILL_RULE.EVENODD)
+            .moveTo(200, 0)
+            .bezierCurveTo(250, 50, 300, 50, 300, 0)
+            .closePath()
+            .moveTo(220, 5)
+            .lineTo(240, 5)
+            .lineTo(230, 15)
+            .closePath();
+    }
+
+    it('should restore the triangles, shapes and bounds of geometry', function ()
+    {
+        const graphics = createGraphics();
+        const buffer = GraphicsGeometryCache.toArrayBuffer(graphics.geometry);
+        const geometry = GraphicsGeometryCache.fromArrayBuffer(buffer);
+        const original = graphics.geometry;
+
+        expect(GraphicsGeometryCache.test(buffer)).to.be.true;
+        expect(geometry.points).to.deep.equal(Array.from(new Float32Array(original.points)));
+        expect(geometry.uvs).to.deep.equal(Array.from(new Float32Array(original.uvs)));
+        expect(geometry.indices).to.deep.equal(original.indices);
+        expect(geometry.graphicsData.length).to.equal(2);
+        expect(geometry.graphicsData[0].holes.length).to.equal(1);
+        expect(geometry.graphicsData[1].fillStyle.fillRule).to.equal(FILL_RULE.EVENODD);
+        expect(geometry.bounds.minX).to.equal(original.bounds.minX);
+        expect(geometry.bounds.maxY).to.equal(original.bounds.maxY);
+        expect(geometry.containsPoint({ x: 10, y: 10 })).to.be.true;
+        expect(geometry.containsPoint({ x: 50, y: 50 })).to.be.false;
+        expect(geometry.batches.map((batch) => batch.style)).to.deep.equal([
+            geometry.graphicsData[0].fillStyle,
+            geometry.graphicsData[1].fillStyle,
+            geometry.graphicsData[1].lineStyle,
+        ]);
+    });
+
+    it('should not triangulate the shapes again', function ()
+    {
+        const buffer = GraphicsGeometryCache.toArrayBuffer(createGraphics().geometry);
+        const geometry = new GraphicsGeometry();
+        const processFill = sinon.spy(geometry, 'processFill');
+        const processLine = sinon.spy(geometry, 'processLine');
+
+        GraphicsGeometryCache.fromArrayBuffer(buffer, geometry).updateBatches();
+
+        expect(processFill).to.not.have.been.called;
+        expect(processLine).to.not.have.been.called;
+        expect(geometry.indicesUint16.length).to.equal(geometry.indices.length);
+    });
+
+    it('should keep anti-aliasing fringes and 32-bit indices', function ()
+    {
+        const graphics = new Graphics().lineStyle(1, 0xffffff);
+
+        graphics.geometry.antialias = true;
+        graphics.moveTo(0, 0);
+
+        for (let i = 1; i < 20000; i++)
+        {
+            graphics.lineTo(i, i % 2);
+        }
+
+        const original = graphics.geometry;
+        const geometry = GraphicsGeometryCache.fromArrayBuffer(GraphicsGeometryCache.toArrayBuffer(graphics));
+
+        expect(original.points.length / 2).to.be.above(0xffff);
+        expect(geometry.antialias).to.be.true;
+        expect(geometry.fringes).to.deep.equal(Array.from(new Float32Array(original.fringes)));
+        expect(geometry.indices).to.deep.equal(original.indices);
+    });
+
+    it('should pack the indices of built geometry without building it again', function ()
+    {
+        const graphics = createGraphics();
+        const geometry = graphics.geometry;
+
+        GraphicsGeometryCache.toArrayBuffer(graphics);
+
+        const processFill = sinon.spy(geometry, 'processFill');
+
+        expect(geometry.indicesUint16).to.be.null;
+
+        geometry.updateBatches(true);
+
+        expect(processFill).to.not.have.been.called;
+        expect(geometry.indicesUint16.length).to.equal(geometry.indices.length);
+    });
+
+    it('should store the text of the shapes and styles in UTF-8', function ()
+    {
+        const texture = new Texture(Texture.WHITE.baseTexture);
+
+        Texture.addToCache(texture, 'caf\u00e9 \ud83d\ude00');
+
+        const graphics = new Graphics().beginTextureFill({ texture }).drawRect(0, 0, 5, 5);
+        const buffer = GraphicsGeometryCache.toArrayBuffer(graphics);
+        const jsonLength = new Uint32Array(buffer, 4, 8)[7];
+        const text = new TextDecoder().decode(new Uint8Array(buffer, buffer.byteLength - jsonLength));
+        const geometry = GraphicsGeometryCache.fromArrayBuffer(buffer);
+
+        expect(text).to.contain('caf\u00e9 \ud83d\ude00');
+        expect(JSON.parse(text).curveScale).to.equal(1);
+        expect(geometry.graphicsData[0].fillStyle.texture).to.equal(texture);
+
+        Texture.removeFromCache('caf\u00e9 \ud83d\ude00');
+    });
+
+    it('should throw for other data', function ()
+    {
+        const buffer = GraphicsGeometryCache.toArrayBuffer(createGraphics().geometry);
+
+        new Uint32Array(buffer, 4, 1)[0] = 99;
+
+        expect(GraphicsGeometryCache.test(new ArrayBuffer(64))).to.be.false;
+        expect(() => GraphicsGeometryCache.fromArrayBuffer(new ArrayBuffer(64))).to.throw();
+        expect(() => GraphicsGeometryCache.fromArrayBuffer(buffer)).to.throw('version 99');
+    });
+});
+
+describe('PIXI.GraphicsGeometryLoader', function ()
+{
+    it('should restore geometry caches', function ()
+    {
+        const buffer = GraphicsGeometryCache.toArrayBuffer(new Graphics().beginFill(0).drawRect(0, 0, 5, 5).geometry);
+        const resource = { data: buffer };
+        const next = sinon.spy();
+
+        GraphicsGeometryLoader.use(resource, next);
+
+        expect(next).to.have.been.calledOnceWithExactly();
+        expect(resource.graphicsGeometry).to.be.instanceof(GraphicsGeometry);
+        expect(resource.graphicsGeometry.graphicsData.length).to.equal(1);
+    });
+
+    it('should ignore other resources', function ()
+    {
+        const resource = { data: 'text' };
+        const next = sinon.spy();
+
+        GraphicsGeometryLoader.use(resource, next);
+
+        expect(next).to.have.been.calledOnce;
+        expect(resource.graphicsGeometry).to.be.undefined;
+    });
+});
@@ -0,0 +1,28 @@
+declare namespace GlobalMixins
+{
+    // eslint-disable-next-line @typescript-eslint/no-empty-interface
+    interface Graphics extends Partial<import('@pixi/svg').IGraphicsSVG>
+    {
+
+    }
+
+    interface ISVGResource {
+        svgGraphics: import('@pixi/display').Container;
+    }
+
+    // eslint-disable-next-line @typescript-eslint/no-empty-interface
+    interface ILoaderResource extends Partial<ISVGResource>
+    {
+
+    }
+
+    interface ISVGResourceMetadata {
+        svgGraphics: boolean;
+    }
+
+    // eslint-disable-next-line @typescript-eslint/no-empty-interface
+    interface IResourceMetadata extends Partial<ISVGResourceMetadata>
+    {
+
+    }
+}
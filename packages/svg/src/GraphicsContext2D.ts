@@ -0,0 +1,695 @@
+import { Graphics, LINE_CAP, LINE_JOIN } from '@pixi/graphics';
+import { Matrix } from '@pixi/math';
+import { GraphicsPath2D } from './GraphicsPath2D';
+import { parseColor } from './utils';
+
+import type { FILL_RULE } from '@pixi/graphics';
+import type { SVGFillRule } from './drawSVGPath';
+import type { ISVGColor } from './utils';
+
+/**
+ * The drawing state of a {@link PIXI.GraphicsContext2D}, which is kept by `save` and brought back by `restore`.
+ *
+ * @private
+ */
+interface IContext2DState
+{
+    matrix: Matrix;
+    fillStyle: string | number;
+    fill: ISVGColor;
+    strokeStyle: string | number;
+    stroke: ISVGColor;
+    lineWidth: number;
+    lineCap: LINE_CAP;
+    lineJoin: LINE_JOIN;
+    miterLimit: number;
+    lineDash: number[];
+    lineDashOffset: number;
+    globalAlpha: number;
+}
+
+/**
+ * Parses a fill or stroke style, which is a CSS color or a hex number.
+ *
+ * @private
+ * @return {object} The color and its alpha, or `null` if the style is not supported
+ */
+function parseStyle(value: string | number): ISVGColor
+{
+    if (typeof value === 'number')
+    {
+        return { color: value, alpha: 1 };
+    }
+
+    return typeof value === 'string' ? parseColor(value) : null;
+}
+
+/**
+ * Draws into Graphics with the API of the
+ * [2D context]{@link https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D} of canvases,
+ * so that code written for canvases can draw Graphics: the state is saved and restored, the transform
+ * is built with `translate`, `rotate` and `scale`, and paths are filled and stroked with CSS colors.
+ *
+ * The transform is given to the shapes with {@link PIXI.Graphics#setMatrix}, so that curves and arcs keep
+ * following the resolution of the Graphics. Canvases can't erase Graphics, so `clearRect` is not supported.
+ *
+ * _Note: Only available with **@pixi/svg**._
+ *
+ * @example
+ * const context = new PIXI.GraphicsContext2D();
+ *
+ * context.fillStyle = 'rgba(255, 0, 0, 0.5)';
+ * context.translate(100, 100);
+ * context.rotate(Math.PI / 4);
+ * context.fillRect(-25, -25, 50, 50);
+ *
+ * stage.addChild(context.graphics);
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class GraphicsContext2D
+{
+    /**
+     * The Graphics the context draws into.
+     *
+     * @member {PIXI.Graphics}
+     * @readonly
+     */
+    public readonly graphics: Graphics;
+
+    /** The current drawing state. */
+    protected _state: IContext2DState;
+
+    /** The drawing states kept by `save`. */
+    protected _stack: IContext2DState[];
+
+    /** The current path. */
+    protected _path: GraphicsPath2D;
+
+    /** The transform of the points of the current path. */
+    protected _pathMatrix: Matrix;
+
+    /**
+     * @param {PIXI.Graphics} [graphics] - The Graphics to draw into, new Graphics are created if not given
+     */
+    constructor(graphics: Graphics = new Graphics())
+    {
+        this.graphics = graphics;
+        this._state = {
+            matrix: new Matrix(),
+            fillStyle: '#000000',
+            fill: { color: 0, alpha: 1 },
+            strokeStyle: '#000000',
+            stroke: { color: 0, alpha: 1 },
+            lineWidth: 1,
+            lineCap: LINE_CAP.BUTT,
+            lineJoin: LINE_JOIN.MITER,
+            miterLimit: 10,
+            lineDash: [],
+            lineDashOffset: 0,
+            globalAlpha: 1,
+        };
+        this._stack = [];
+        this._path = new GraphicsPath2D();
+        this._pathMatrix = new Matrix();
+    }
+
+    /**
+     * The color shapes are filled with, as a CSS color or a hex number. Unsupported colors are ignored.
+     *
+     * @member {string|number}
+     * @default '#000000'
+     */
+    get fillStyle(): string | number
+    {
+        return this._state.fillStyle;
+    }
+
+    set fillStyle(value: string | number)
+    {
+        const fill = parseStyle(value);
+
+        if (fill)
+        {
+            this._state.fillStyle = value;
+            this._state.fill = fill;
+        }
+    }
+
+    /**
+     * The color lines are stroked with, as a CSS color or a hex number. Unsupported colors are ignored.
+     *
+     * @member {string|number}
+     * @default '#000000'
+     */
+    get strokeStyle(): string | number
+    {
+        return this._state.strokeStyle;
+    }
+
+    set strokeStyle(value: string | number)
+    {
+        const stroke = parseStyle(value);
+
+        if (stroke)
+        {
+            this._state.strokeStyle = value;
+            this._state.stroke = stroke;
+        }
+    }
+
+    /**
+     * The width of lines, values that are not positive are ignored.
+     *
+     * @member {number}
+     * @default 1
+     */
+    get lineWidth(): number
+    {
+        return this._state.lineWidth;
+    }
+
+    set lineWidth(value: number)
+    {
+        if (value > 0 && isFinite(value))
+        {
+            this._state.lineWidth = value;
+        }
+    }
+
+    /**
+     * The shape of the ends of lines.
+     *
+     * @member {PIXI.LINE_CAP}
+     * @default PIXI.LINE_CAP.BUTT
+     */
+    get lineCap(): LINE_CAP
+    {
+        return this._state.lineCap;
+    }
+
+    set lineCap(value: LINE_CAP)
+    {
+        this._state.lineCap = value;
+    }
+
+    /**
+     * The shape of the corners of lines.
+     *
+     * @member {PIXI.LINE_JOIN}
+     * @default PIXI.LINE_JOIN.MITER
+     */
+    get lineJoin(): LINE_JOIN
+    {
+        return this._state.lineJoin;
+    }
+
+    set lineJoin(value: LINE_JOIN)
+    {
+        this._state.lineJoin = value;
+    }
+
+    /**
+     * The miter limit ratio of lines, values that are not positive are ignored.
+     *
+     * @member {number}
+     * @default 10
+     */
+    get miterLimit(): number
+    {
+        return this._state.miterLimit;
+    }
+
+    set miterLimit(value: number)
+    {
+        if (value > 0 && isFinite(value))
+        {
+            this._state.miterLimit = value;
+        }
+    }
+
+    /**
+     * The distance into the dash pattern at which lines start.
+     *
+     * @member {number}
+     * @default 0
+     */
+    get lineDashOffset(): number
+    {
+        return this._state.lineDashOffset;
+    }
+
+    set lineDashOffset(value: number)
+    {
+        if (isFinite(value))
+        {
+            this._state.lineDashOffset = value;
+        }
+    }
+
+    /**
+     * The alpha shapes and lines are drawn with, on top of the alpha of their colors.
+     * Values outside of 0 to 1 are ignored.
+     *
+     * @member {number}
+     * @default 1
+     */
+    get globalAlpha(): number
+    {
+        return this._state.globalAlpha;
+    }
+
+    set globalAlpha(value: number)
+    {
+        if (value >= 0 && value <= 1)
+        {
+            this._state.globalAlpha = value;
+        }
+    }
+
+    /**
+     * Sets the dash pattern of lines, lists with an odd number of lengths are repeated to make it even.
+     * Lists with negative or invalid lengths are ignored.
+     *
+     * @param {number[]} segments - Alternating lengths of dashes and gaps, lines are solid if empty
+     */
+    public setLineDash(segments: number[]): void
+    {
+        for (let i = 0; i < segments.length; i++)
+        {
+            if (!(segments[i] >= 0) || !isFinite(segments[i]))
+            {
+                return;
+            }
+        }
+
+        this._state.lineDash = segments.length % 2 === 1 ? segments.concat(segments) : segments.slice();
+    }
+
+    /**
+     * Gives the dash pattern of lines.
+     *
+     * @return {number[]} Alternating lengths of dashes and gaps.
+     */
+    public getLineDash(): number[]
+    {
+        return this._state.lineDash.slice();
+    }
+
+    /**
+     * Pushes the drawing state, which is the transform and the styles, onto a stack.
+     */
+    public save(): void
+    {
+        this._stack.push(Object.assign({}, this._state, {
+            matrix: this._state.matrix.clone(),
+        }));
+    }
+
+    /**
+     * Brings back the last drawing state pushed by `save`, if any.
+     */
+    public restore(): void
+    {
+        if (this._stack.length > 0)
+        {
+            this._state = this._stack.pop();
+        }
+    }
+
+    /**
+     * Moves the coordinates of the following drawings.
+     *
+     * @param {number} x - How much to move along the x axis
+     * @param {number} y - How much to move along the y axis
+     */
+    public translate(x: number, y: number): void
+    {
+        this.transform(1, 0, 0, 1, x, y);
+    }
+
+    /**
+     * Rotates the coordinates of the following drawings.
+     *
+     * @param {number} angle - The rotation, in radians, clockwise
+     */
+    public rotate(angle: number): void
+    {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        this.transform(cos, sin, -sin, cos, 0, 0);
+    }
+
+    /**
+     * Scales the coordinates of the following drawings.
+     *
+     * @param {number} x - The scale along the x axis
+     * @param {number} y - The scale along the y axis
+     */
+    public scale(x: number, y: number): void
+    {
+        this.transform(x, 0, 0, y, 0, 0);
+    }
+
+    /**
+     * Multiplies the transform by a matrix, which applies to the coordinates before the current transform.
+     *
+     * @param {number} a - Horizontal scaling
+     * @param {number} b - Vertical skewing
+     * @param {number} c - Horizontal skewing
+     * @param {number} d - Vertical scaling
+     * @param {number} e - Horizontal translation
+     * @param {number} f - Vertical translation
+     */
+    public transform(a: number, b: number, c: number, d: number, e: number, f: number): void
+    {
+        this._state.matrix.append(new Matrix(a, b, c, d, e, f));
+    }
+
+    /**
+     * Replaces the transform.
+     *
+     * @param {number|PIXI.Matrix} a - Horizontal scaling, or the whole transform
+     * @param {number} [b] - Vertical skewing
+     * @param {number} [c] - Horizontal skewing
+     * @param {number} [d] - Vertical scaling
+     * @param {number} [e] - Horizontal translation
+     * @param {number} [f] - Vertical translation
+     */
+    public setTransform(a: number | Matrix, b?: number, c?: number, d?: number, e?: number, f?: number): void
+    {
+        if (typeof a === 'number')
+        {
+            this._state.matrix.set(a, b, c, d, e, f);
+        }
+        else
+        {
+            this._state.matrix.copyFrom(a);
+        }
+    }
+
+    /**
+     * Replaces the transform by the identity.
+     */
+    public resetTransform(): void
+    {
+        this._state.matrix.identity();
+    }
+
+    /**
+     * Gives a copy of the transform.
+     *
+     * @return {PIXI.Matrix} The transform.
+     */
+    public getTransform(): Matrix
+    {
+        return this._state.matrix.clone();
+    }
+
+    /**
+     * Empties the current path.
+     */
+    public beginPath(): void
+    {
+        this._path.clear();
+    }
+
+    /**
+     * Closes the current subpath, and starts a new subpath at its first point.
+     */
+    public closePath(): void
+    {
+        this._path.closePath();
+    }
+
+    /**
+     * Starts a new subpath at the given point.
+     *
+     * @param {number} x - The x-coordinate of the point
+     * @param {number} y - The y-coordinate of the point
+     */
+    public moveTo(x: number, y: number): void
+    {
+        if (this.syncPath())
+        {
+            this._path.moveTo(x, y);
+        }
+    }
+
+    /**
+     * Adds a straight line to the given point.
+     *
+     * @param {number} x - The x-coordinate of the point
+     * @param {number} y - The y-coordinate of the point
+     */
+    public lineTo(x: number, y: number): void
+    {
+        if (this.syncPath())
+        {
+            this._path.lineTo(x, y);
+        }
+    }
+
+    /**
+     * Adds a quadratic curve.
+     *
+     * @param {number} cpX - Control point x
+     * @param {number} cpY - Control point y
+     * @param {number} toX - Destination point x
+     * @param {number} toY - Destination point y
+     */
+    public quadraticCurveTo(cpX: number, cpY: number, toX: number, toY: number): void
+    {
+        if (this.syncPath())
+        {
+            this._path.quadraticCurveTo(cpX, cpY, toX, toY);
+        }
+    }
+
+    /**
+     * Adds a bezier (cubic) curve.
+     *
+     * @param {number} cpX - Control point x
+     * @param {number} cpY - Control point y
+     * @param {number} cpX2 - Second Control point x
+     * @param {number} cpY2 - Second Control point y
+     * @param {number} toX - Destination point x
+     * @param {number} toY - Destination point y
+     */
+    public bezierCurveTo(cpX: number, cpY: number, cpX2: number, cpY2: number, toX: number, toY: number): void
+    {
+        if (this.syncPath())
+        {
+            this._path.bezierCurveTo(cpX, cpY, cpX2, cpY2, toX, toY);
+        }
+    }
+
+    /**
+     * Adds a circular arc, with a straight line from the current point to its start.
+     *
+     * @param {number} cx - The x-coordinate of the center of the circle
+     * @param {number} cy - The y-coordinate of the center of the circle
+     * @param {number} radius - The radius of the circle
+     * @param {number} startAngle - The starting angle, in radians
+     * @param {number} endAngle - The ending angle, in radians
+     * @param {boolean} [anticlockwise=false] - Whether the arc goes counter-clockwise
+     */
+    public arc(cx: number, cy: number, radius: number, startAngle: number, endAngle: number,
+        anticlockwise = false): void
+    {
+        if (this.syncPath())
+        {
+            this._path.arc(cx, cy, radius, startAngle, endAngle, anticlockwise);
+        }
+    }
+
+    /**
+     * Adds an arc joining the current point to the line from the first to the second point.
+     *
+     * @param {number} x1 - The x-coordinate of the first point
+     * @param {number} y1 - The y-coordinate of the first point
+     * @param {number} x2 - The x-coordinate of the second point
+     * @param {number} y2 - The y-coordinate of the second point
+     * @param {number} radius - The radius of the arc
+     */
+    public arcTo(x1: number, y1: number, x2: number, y2: number, radius: number): void
+    {
+        if (this.syncPath())
+        {
+            this._path.arcTo(x1, y1, x2, y2, radius);
+        }
+    }
+
+    /**
+     * Adds an elliptical arc, with a straight line from the current point to its start.
+     *
+     * @param {number} x - The x-coordinate of the center of the ellipse
+     * @param {number} y - The y-coordinate of the center of the ellipse
+     * @param {number} radiusX - The radius of the ellipse along its x axis
+     * @param {number} radiusY - The radius of the ellipse along its y axis
+     * @param {number} rotation - The rotation of the ellipse, in radians
+     * @param {number} startAngle - The angle the arc starts at on the ellipse before its rotation, in radians
+     * @param {number} endAngle - The angle the arc ends at on the ellipse before its rotation, in radians
+     * @param {boolean} [anticlockwise=false] - Whether the arc goes counter-clockwise
+     */
+    public ellipse(x: number, y: number, radiusX: number, radiusY: number, rotation: number,
+        startAngle: number, endAngle: number, anticlockwise = false): void
+    {
+        if (this.syncPath())
+        {
+            this._path.ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, anticlockwise);
+        }
+    }
+
+    /**
+     * Adds a closed rectangular subpath.
+     *
+     * @param {number} x - The X coord of the top-left of the rectangle
+     * @param {number} y - The Y coord of the top-left of the rectangle
+     * @param {number} width - The width of the rectangle
+     * @param {number} height - The height of the rectangle
+     */
+    public rect(x: number, y: number, width: number, height: number): void
+    {
+        if (this.syncPath())
+        {
+            this._path.rect(x, y, width, height);
+        }
+    }
+
+    /**
+     * Fills the current path, or the given path with the current transform, with the fill style.
+     *
+     * @param {PIXI.GraphicsPath2D|PIXI.SVGFillRule} [path] - The path to fill instead of the current path,
+     *  or the fill rule
+     * @param {PIXI.SVGFillRule} [fillRule='nonzero'] - The rule deciding which parts of the path are filled
+     */
+    public fill(path?: GraphicsPath2D | SVGFillRule, fillRule: SVGFillRule = 'nonzero'): void
+    {
+        const { fill, globalAlpha } = this._state;
+
+        if (typeof path === 'string')
+        {
+            fillRule = path;
+        }
+
+        this.graphics
+            .lineStyle()
+            .beginFill(fill.color, fill.alpha * globalAlpha, fillRule as FILL_RULE);
+
+        if (path instanceof GraphicsPath2D)
+        {
+            this.drawPath(path, this._state.matrix);
+        }
+        else
+        {
+            this.drawPath(this._path, this._pathMatrix);
+        }
+
+        this.graphics.endFill();
+    }
+
+    /**
+     * Strokes the current path, or the given path with the current transform, with the stroke style.
+     *
+     * @param {PIXI.GraphicsPath2D} [path] - The path to stroke instead of the current path
+     */
+    public stroke(path?: GraphicsPath2D): void
+    {
+        const { stroke, globalAlpha } = this._state;
+
+        this.graphics
+            .endFill()
+            .lineStyle({
+                width: this._state.lineWidth,
+                color: stroke.color,
+                alpha: stroke.alpha * globalAlpha,
+                cap: this._state.lineCap,
+                join: this._state.lineJoin,
+                miterLimit: this._state.miterLimit,
+                dash: this._state.lineDash.slice(),
+                dashOffset: this._state.lineDashOffset,
+            });
+        this.drawPath(path || this._path, path ? this._state.matrix : this._pathMatrix);
+        this.graphics.lineStyle();
+    }
+
+    /**
+     * Fills a rectangle with the fill style, without changing the current path.
+     *
+     * @param {number} x - The X coord of the top-left of the rectangle
+     * @param {number} y - The Y coord of the top-left of the rectangle
+     * @param {number} width - The width of the rectangle
+     * @param {number} height - The height of the rectangle
+     */
+    public fillRect(x: number, y: number, width: number, height: number): void
+    {
+        this.fill(new GraphicsPath2D().rect(x, y, width, height));
+    }
+
+    /**
+     * Strokes a rectangle with the stroke style, without changing the current path.
+     *
+     * @param {number} x - The X coord of the top-left of the rectangle
+     * @param {number} y - The Y coord of the top-left of the rectangle
+     * @param {number} width - The width of the rectangle
+     * @param {number} height - The height of the rectangle
+     */
+    public strokeRect(x: number, y: number, width: number, height: number): void
+    {
+        this.stroke(new GraphicsPath2D().rect(x, y, width, height));
+    }
+
+    /**
+     * Moves the current path into the space of the current transform, for points to be added to it.
+     * Like in canvases, the points that were added before keep the transform they were added with.
+     *
+     * @protected
+     * @return {boolean} Whether points can be added, which needs the transform to be invertible
+     */
+    protected syncPath(): boolean
+    {
+        const matrix = this._state.matrix;
+        const pathMatrix = this._pathMatrix;
+
+        if ((matrix.a * matrix.d) - (matrix.b * matrix.c) === 0)
+        {
+            return false;
+        }
+
+        if (matrix.a !== pathMatrix.a || matrix.b !== pathMatrix.b || matrix.c !== pathMatrix.c
+            || matrix.d !== pathMatrix.d || matrix.tx !== pathMatrix.tx || matrix.ty !== pathMatrix.ty)
+        {
+            if (!this._path.empty)
+            {
+                this._path.transform(matrix.clone().invert().append(pathMatrix));
+            }
+
+            pathMatrix.copyFrom(matrix);
+        }
+
+        return true;
+    }
+
+    /**
+     * Draws a path into the Graphics with their current fill and line style.
+     *
+     * @protected
+     * @param {PIXI.GraphicsPath2D} path - The path to draw
+     * @param {PIXI.Matrix} matrix - The transform of the points of the path
+     */
+    protected drawPath(path: GraphicsPath2D, matrix: Matrix): void
+    {
+        const graphics = this.graphics;
+        const identity = matrix.a === 1 && matrix.b === 0 && matrix.c === 0 && matrix.d === 1
+            && matrix.tx === 0 && matrix.ty === 0;
+
+        graphics.finishPoly();
+        graphics.setMatrix(identity ? null : matrix.clone());
+        path.draw(graphics);
+        graphics.finishPoly();
+        graphics.setMatrix(null);
+    }
+}
@@ -0,0 +1,628 @@
+import { graphicsUtils } from '@pixi/graphics';
+import { PI_2 } from '@pixi/math';
+import { readSVGPath } from './drawSVGPath';
+
+import type { Graphics } from '@pixi/graphics';
+import type { Matrix } from '@pixi/math';
+
+/**
+ * A command of a {@link PIXI.GraphicsPath2D}.
+ *
+ * @memberof PIXI
+ * @typedef {object} IPath2DCommand
+ * @property {string} type - `M` for moves, `L` for lines, `Q` and `C` for quadratic and bezier curves,
+ *  `A` for arcs and `Z` to close the subpath
+ * @property {number[]} args - The arguments of the matching Graphics method, flags of arcs are 0 or 1
+ */
+export interface IPath2DCommand
+{
+    type: string;
+    args: number[];
+}
+
+/**
+ * Gives the angles of a circular arc the way {@link PIXI.Graphics#arc} reads them.
+ *
+ * @private
+ * @return {number} The signed angle from the start to the end of the arc
+ */
+function getSweep(startAngle: number, endAngle: number, anticlockwise: boolean): number
+{
+    if (!anticlockwise && endAngle <= startAngle)
+    {
+        endAngle += PI_2;
+    }
+    else if (anticlockwise && startAngle <= endAngle)
+    {
+        startAngle += PI_2;
+    }
+
+    return endAngle - startAngle;
+}
+
+/**
+ * Adds a line to the start of a curve, unless it is so short that it would only give artifacts.
+ * It is the same distance {@link PIXI.Graphics#arc} ignores, for the arcs turned into bezier curves.
+ *
+ * @private
+ */
+function addLineToCurve(commands: IPath2DCommand[], x: number, y: number): void
+{
+    const last = commands.length > 0 ? commands[commands.length - 1] : null;
+    const eps = 1e-4;
+
+    if (last && last.type !== 'Z')
+    {
+        const args = last.args;
+        let lastX = args[args.length - 2];
+        let lastY = args[args.length - 1];
+
+        if (last.type === 'A')
+        {
+            lastX = args[0] + (Math.cos(args[4]) * args[2]);
+            lastY = args[1] + (Math.sin(args[4]) * args[2]);
+        }
+
+        if (Math.abs(lastX - x) < eps && Math.abs(lastY - y) < eps)
+        {
+            return;
+        }
+    }
+
+    commands.push({ type: 'L', args: [x, y] });
+}
+
+/**
+ * Adds the bezier curves of an elliptical arc, a quarter turn at most each, starting from its start point.
+ *
+ * @private
+ */
+function addEllipticalArc(commands: IPath2DCommand[], cx: number, cy: number, rx: number, ry: number,
+    rotation: number, startAngle: number, sweep: number): void
+{
+    const cos = Math.cos(rotation);
+    const sin = Math.sin(rotation);
+    const segments = Math.ceil(Math.abs(sweep) / (Math.PI / 2));
+    const delta = sweep / segments;
+    const t = 4 / 3 * Math.tan(delta / 4);
+    const mapX = (ux: number, uy: number): number => cx + (cos * rx * ux) - (sin * ry * uy);
+    const mapY = (ux: number, uy: number): number => cy + (sin * rx * ux) + (cos * ry * uy);
+
+    for (let i = 0; i < segments; i++)
+    {
+        const a1 = startAngle + (i * delta);
+        const a2 = a1 + delta;
+        const cos1 = Math.cos(a1);
+        const sin1 = Math.sin(a1);
+        const cos2 = Math.cos(a2);
+        const sin2 = Math.sin(a2);
+        const c1x = cos1 - (t * sin1);
+        const c1y = sin1 + (t * cos1);
+        const c2x = cos2 + (t * sin2);
+        const c2y = sin2 - (t * cos2);
+
+        commands.push({ type: 'C', args: [
+            mapX(c1x, c1y), mapY(c1x, c1y),
+            mapX(c2x, c2y), mapY(c2x, c2y),
+            mapX(cos2, sin2), mapY(cos2, sin2),
+        ] });
+    }
+}
+
+/**
+ * A path that can be built once and drawn into Graphics any number of times, with the methods of
+ * the [Path2D]{@link https://developer.mozilla.org/en-US/docs/Web/API/Path2D} objects of the canvas API.
+ * It is filled and stroked by {@link PIXI.GraphicsContext2D}, or drawn into Graphics with
+ * {@link PIXI.GraphicsPath2D#draw}.
+ *
+ * Arcs stay arcs as long as they are not skewed or stretched, so that they keep following the
+ * resolution of the Graphics curves.
+ *
+ * _Note: Only available with **@pixi/svg**._
+ *
+ * @example
+ * const heart = new PIXI.GraphicsPath2D('M 10,30 A 20,20 0,0,1 50,30 A 20,20 0,0,1 90,30 Q 90,60 50,90 Q 10,60 10,30 z');
+ * const frame = new PIXI.GraphicsPath2D();
+ *
+ * frame.rect(0, 0, 100, 100);
+ * frame.addPath(heart);
+ *
+ * @class
+ * @memberof PIXI
+ */
+export class GraphicsPath2D
+{
+    /**
+     * The commands of the path, with the points of all of them in the same space.
+     *
+     * @member {PIXI.IPath2DCommand[]}
+     * @readonly
+     */
+    public readonly commands: IPath2DCommand[];
+
+    /** Whether the path has a current point. */
+    protected _hasPoint: boolean;
+
+    /** The current point. */
+    protected _x: number;
+    protected _y: number;
+
+    /** The first point of the current subpath. */
+    protected _startX: number;
+    protected _startY: number;
+
+    /**
+     * @param {PIXI.GraphicsPath2D|string} [path] - A path to copy, or path data in the
+     *  [SVG path data]{@link https://www.w3.org/TR/SVG11/paths.html#PathData} syntax
+     */
+    constructor(path?: GraphicsPath2D | string)
+    {
+        this.commands = [];
+        this._hasPoint = false;
+        this._x = 0;
+        this._y = 0;
+        this._startX = 0;
+        this._startY = 0;
+
+        if (typeof path === 'string')
+        {
+            readSVGPath(path, this);
+        }
+        else if (path)
+        {
+            this.addPath(path);
+        }
+    }
+
+    /**
+     * Whether the path has no commands.
+     *
+     * @member {boolean}
+     * @readonly
+     */
+    get empty(): boolean
+    {
+        return this.commands.length === 0;
+    }
+
+    /**
+     * Adds the subpaths of another path.
+     *
+     * @param {PIXI.GraphicsPath2D} path - The path to add
+     * @param {PIXI.Matrix} [transform] - Transform of the added subpaths
+     * @return {PIXI.GraphicsPath2D} Returns self.
+     */
+    public addPath(path: GraphicsPath2D, transform?: Matrix): this
+    {
+        const start = this.commands.length;
+        const commands = path.commands;
+        const length = commands.length;
+        const point = [path._x, path._y, path._startX, path._startY];
+
+        for (let i = 0; i < length; i++)
+        {
+            this.commands.push({ type: commands[i].type, args: commands[i].args.slice() });
+        }
+
+        if (transform)
+        {
+            this.transformCommands(transform, start);
+            this.transformPoints(transform, point);
+        }
+
+        this._hasPoint = path._hasPoint;
+        this._x = point[0];
+        this._y = point[1];
+        this._startX = point[2];
+        this._startY = point[3];
+
+        return this;
+    }
+
+    /**
+     * Starts a new subpath at the given point.
+     *
+     * @param {number} x - The x-coordinate of the point
+     * @param {number} y - The y-coordinate of the point
+     * @return {PIXI.GraphicsPath2D} Returns self.
+     */
+    public moveTo(x: number, y: number): this
+    {
+        const last = this.commands[this.commands.length - 1];
+
+        // a subpath with only a move has nothing to draw, the move is replaced
+        if (last && last.type === 'M')
+        {
+            last.args[0] = x;
+            last.args[1] = y;
+        }
+        else
+        {
+            this.commands.push({ type: 'M', args: [x, y] });
+        }
+
+        this._hasPoint = true;
+        this._x = this._startX = x;
+        this._y = this._startY = y;
+
+        return this;
+    }
+
+    /**
+     * Adds a straight line to the given point, or starts a subpath there if there is no current point.
+     *
+     * @param {number} x - The x-coordinate of the point
+     * @param {number} y - The y-coordinate of the point
+     * @return {PIXI.GraphicsPath2D} Returns self.
+     */
+    public lineTo(x: number, y: number): this
+    {
+        if (!this._hasPoint)
+        {
+            return this.moveTo(x, y);
+        }
+
+        this.commands.push({ type: 'L', args: [x, y] });
+        this._x = x;
+        this._y = y;
+
+        return this;
+    }
+
+    /**
+     * Adds a quadratic curve.
+     *
+     * @param {number} cpX - Control point x
+     * @param {number} cpY - Control point y
+     * @param {number} toX - Destination point x
+     * @param {number} toY - Destination point y
+     * @return {PIXI.GraphicsPath2D} Returns self.
+     */
+    public quadraticCurveTo(cpX: number, cpY: number, toX: number, toY: number): this
+    {
+        if (!this._hasPoint)
+        {
+            this.moveTo(cpX, cpY);
+        }
+
+        this.commands.push({ type: 'Q', args: [cpX, cpY, toX, toY] });
+        this._x = toX;
+        this._y = toY;
+
+        return this;
+    }
+
+    /**
+     * Adds a bezier (cubic) curve.
+     *
+     * @param {number} cpX - Control point x
+     * @param {number} cpY - Control point y
+     * @param {number} cpX2 - Second Control point x
+     * @param {number} cpY2 - Second Control point y
+     * @param {number} toX - Destination point x
+     * @param {number} toY - Destination point y
+     * @return {PIXI.GraphicsPath2D} Returns self.
+     */
+    public bezierCurveTo(cpX: number, cpY: number, cpX2: number, cpY2: number, toX: number, toY: number): this
+    {
+        if (!this._hasPoint)
+        {
+            this.moveTo(cpX, cpY);
+        }
+
+        this.commands.push({ type: 'C', args: [cpX, cpY, cpX2, cpY2, toX, toY] });
+        this._x = toX;
+        this._y = toY;
+
+        return this;
+    }
+
+    /**
+     * Adds a circular arc, with a straight line from the current point to its start.
+     *
+     * @param {number} cx - The x-coordinate of the center of the circle
+     * @param {number} cy - The y-coordinate of the center of the circle
+     * @param {number} radius - The radius of the circle
+     * @param {number} startAngle - The starting angle, in radians
+     * @param {number} endAngle - The ending angle, in radians
+     * @param {boolean} [anticlockwise=false] - Whether the arc goes counter-clockwise
+     * @return {PIXI.GraphicsPath2D} Returns self.
+     */
+    public arc(cx: number, cy: number, radius: number, startAngle: number, endAngle: number,
+        anticlockwise = false): this
+    {
+        return this.ellipse(cx, cy, radius, radius, 0, startAngle, endAngle, anticlockwise);
+    }
+
+    /**
+     * Adds an arc joining the current point to the line from the first to the second point,
+     * with a straight line to the start of the arc.
+     *
+     * @param {number} x1 - The x-coordinate of the first point
+     * @param {number} y1 - The y-coordinate of the first point
+     * @param {number} x2 - The x-coordinate of the second point
+     * @param {number} y2 - The y-coordinate of the second point
+     * @param {number} radius - The radius of the arc
+     * @return {PIXI.GraphicsPath2D} Returns self.
+     */
+    public arcTo(x1: number, y1: number, x2: number, y2: number, radius: number): this
+    {
+        if (radius < 0)
+        {
+            throw new Error('[GraphicsPath2D] The radius must not be negative');
+        }
+
+        if (!this._hasPoint)
+        {
+            this.moveTo(x1, y1);
+        }
+
+        const points = [this._x, this._y];
+        const result = graphicsUtils.ArcUtils.curveTo(x1, y1, x2, y2, radius, points);
+
+        if (result)
+        {
+            const { cx, cy, startAngle, endAngle, anticlockwise } = result;
+
+            return this.arc(cx, cy, result.radius, startAngle, endAngle, anticlockwise);
+        }
+
+        if (points.length > 2)
+        {
+            this.lineTo(x1, y1);
+        }
+
+        return this;
+    }
+
+    /**
+     * Adds an elliptical arc, with a straight line from the current point to its start.
+     *
+     * @param {number} x - The x-coordinate of the center of the ellipse
+     * @param {number} y - The y-coordinate of the center of the ellipse
+     * @param {number} radiusX - The radius of the ellipse along its x axis
+     * @param {number} radiusY - The radius of the ellipse along its y axis
+     * @param {number} rotation - The rotation of the ellipse, in radians
+     * @param {number} startAngle - The angle the arc starts at on the ellipse before its rotation, in radians
+     * @param {number} endAngle - The angle the arc ends at on the ellipse before its rotation, in radians
+     * @param {boolean} [anticlockwise=false] - Whether the arc goes counter-clockwise
+     * @return {PIXI.GraphicsPath2D} Returns self.
+     */
+    public ellipse(x: number, y: number, radiusX: number, radiusY: number, rotation: number,
+        startAngle: number, endAngle: number, anticlockwise = false): this
+    {
+        if (radiusX < 0 || radiusY < 0)
+        {
+            throw new Error('[GraphicsPath2D] The radius must not be negative');
+        }
+
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        const sweep = startAngle === endAngle ? 0 : getSweep(startAngle, endAngle, anticlockwise);
+        const endX = x + (cos * radiusX * Math.cos(startAngle + sweep)) - (sin * radiusY * Math.sin(startAngle + sweep));
+        const endY = y + (sin * radiusX * Math.cos(startAngle + sweep)) + (cos * radiusY * Math.sin(startAngle + sweep));
+        const startX = x + (cos * radiusX * Math.cos(startAngle)) - (sin * radiusY * Math.sin(startAngle));
+        const startY = y + (sin * radiusX * Math.cos(startAngle)) + (cos * radiusY * Math.sin(startAngle));
+
+        // Like Graphics, the line to the start of the arc is drawn by the arc itself
+        if (!this._hasPoint)
+        {
+            this.moveTo(startX, startY);
+        }
+
+        if (sweep === 0)
+        {
+            return this.lineTo(startX, startY);
+        }
+
+        if (radiusX === radiusY)
+        {
+            this.commands.push({ type: 'A', args: [
+                x, y, radiusX, startAngle + rotation, endAngle + rotation, anticlockwise ? 1 : 0,
+            ] });
+        }
+        else
+        {
+            addLineToCurve(this.commands, startX, startY);
+            addEllipticalArc(this.commands, x, y, radiusX, radiusY, rotation, startAngle, sweep);
+        }
+
+        this._x = endX;
+        this._y = endY;
+
+        return this;
+    }
+
+    /**
+     * Adds a closed rectangular subpath, and starts a new subpath at its top left corner.
+     *
+     * @param {number} x - The X coord of the top-left of the rectangle
+     * @param {number} y - The Y coord of the top-left of the rectangle
+     * @param {number} width - The width of the rectangle
+     * @param {number} height - The height of the rectangle
+     * @return {PIXI.GraphicsPath2D} Returns self.
+     */
+    public rect(x: number, y: number, width: number, height: number): this
+    {
+        return this.moveTo(x, y)
+            .lineTo(x + width, y)
+            .lineTo(x + width, y + height)
+            .lineTo(x, y + height)
+            .closePath();
+    }
+
+    /**
+     * Closes the current subpath, and starts a new subpath at its first point.
+     *
+     * @return {PIXI.GraphicsPath2D} Returns self.
+     */
+    public closePath(): this
+    {
+        if (!this._hasPoint)
+        {
+            return this;
+        }
+
+        this.commands.push({ type: 'Z', args: [] });
+
+        return this.moveTo(this._startX, this._startY);
+    }
+
+    /**
+     * Transforms the points of the path. Arcs that are skewed or stretched are turned into bezier curves.
+     *
+     * @param {PIXI.Matrix} matrix - The transform
+     * @return {PIXI.GraphicsPath2D} Returns self.
+     */
+    public transform(matrix: Matrix): this
+    {
+        const point = [this._x, this._y, this._startX, this._startY];
+
+        this.transformCommands(matrix, 0);
+        this.transformPoints(matrix, point);
+
+        this._x = point[0];
+        this._y = point[1];
+        this._startX = point[2];
+        this._startY = point[3];
+
+        return this;
+    }
+
+    /**
+     * Draws the path into Graphics, with its current fill and line style.
+     *
+     * @param {PIXI.Graphics} graphics - The Graphics to draw into
+     * @return {PIXI.Graphics} The Graphics.
+     */
+    public draw(graphics: Graphics): Graphics
+    {
+        const commands = this.commands;
+
+        for (let i = 0; i < commands.length; i++)
+        {
+            const args = commands[i].args;
+
+            switch (commands[i].type)
+            {
+                case 'M':
+                    graphics.moveTo(args[0], args[1]);
+                    break;
+                case 'L':
+                    graphics.lineTo(args[0], args[1]);
+                    break;
+                case 'Q':
+                    graphics.quadraticCurveTo(args[0], args[1], args[2], args[3]);
+                    break;
+                case 'C':
+                    graphics.bezierCurveTo(args[0], args[1], args[2], args[3], args[4], args[5]);
+                    break;
+                case 'A':
+                    graphics.arc(args[0], args[1], args[2], args[3], args[4], !!args[5]);
+                    break;
+                case 'Z':
+                    graphics.closePath();
+                    break;
+            }
+        }
+
+        return graphics;
+    }
+
+    /**
+     * Removes all the subpaths.
+     *
+     * @return {PIXI.GraphicsPath2D} Returns self.
+     */
+    public clear(): this
+    {
+        this.commands.length = 0;
+        this._hasPoint = false;
+
+        return this;
+    }
+
+    /**
+     * Transforms the commands from the given one on.
+     *
+     * @protected
+     * @param {PIXI.Matrix} matrix - The transform
+     * @param {number} start - Index of the first command to transform
+     */
+    protected transformCommands(matrix: Matrix, start: number): void
+    {
+        const { a, b, c, d, tx, ty } = matrix;
+        const scale = Math.sqrt((a * a) + (b * b));
+        const determinant = (a * d) - (b * c);
+        const eps = 1e-9 * scale * scale;
+        const similar = Math.abs((a * c) + (b * d)) < eps && Math.abs((c * c) + (d * d) - (scale * scale)) < eps;
+        const commands = this.commands.splice(start, this.commands.length - start);
+
+        for (let i = 0; i < commands.length; i++)
+        {
+            const { type, args } = commands[i];
+
+            if (type !== 'A')
+            {
+                this.transformPoints(matrix, args);
+                this.commands.push(commands[i]);
+
+                continue;
+            }
+
+            const [cx, cy, radius, startAngle, endAngle, anticlockwise] = args;
+            const sweep = getSweep(startAngle, endAngle, !!anticlockwise);
+
+            if (similar)
+            {
+                // Mirroring transforms reverse the direction of the arc
+                const direction = determinant < 0 ? -1 : 1;
+                const angle = Math.atan2((b * Math.cos(startAngle)) + (d * Math.sin(startAngle)),
+                    (a * Math.cos(startAngle)) + (c * Math.sin(startAngle)));
+
+                args[0] = (a * cx) + (c * cy) + tx;
+                args[1] = (b * cx) + (d * cy) + ty;
+                args[2] = radius * scale;
+                args[3] = angle;
+                args[4] = angle + (sweep * direction);
+                args[5] = sweep * direction < 0 ? 1 : 0;
+                this.commands.push(commands[i]);
+
+                continue;
+            }
+
+            const startX = cx + (Math.cos(startAngle) * radius);
+            const startY = cy + (Math.sin(startAngle) * radius);
+
+            addLineToCurve(this.commands, (a * startX) + (c * startY) + tx, (b * startX) + (d * startY) + ty);
+
+            const first = this.commands.length;
+
+            addEllipticalArc(this.commands, cx, cy, radius, radius, 0, startAngle, sweep);
+
+            for (let j = first; j < this.commands.length; j++)
+            {
+                this.transformPoints(matrix, this.commands[j].args);
+            }
+        }
+    }
+
+    /**
+     * Transforms a flat list of points in place.
+     *
+     * @protected
+     * @param {PIXI.Matrix} matrix - The transform
+     * @param {number[]} points - The points
+     */
+    protected transformPoints(matrix: Matrix, points: number[]): void
+    {
+        for (let i = 0; i < points.length; i += 2)
+        {
+            const x = points[i];
+            const y = points[i + 1];
+
+            points[i] = (matrix.a * x) + (matrix.c * y) + matrix.tx;
+            points[i + 1] = (matrix.b * x) + (matrix.d * y) + matrix.ty;
+        }
+    }
+}
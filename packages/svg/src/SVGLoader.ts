@@ -0,0 +1,75 @@
+import { LoaderResource } from '@pixi/loaders';
+import { parseSVG } from './parseSVG';
+
+import type { ILoaderResource } from '@pixi/loaders';
+
+/**
+ * {@link PIXI.Loader Loader} middleware for loading SVG documents as display objects,
+ * see {@link PIXI.parseSVG}.
+ *
+ * SVG files are loaded as images by default, to be used as textures. Resources are converted
+ * to display objects only when asked for with the `svgGraphics` metadata option, the result is
+ * then stored in their `svgGraphics` property.
+ *
+ * @example
+ * import { Loader } from '@pixi/loaders';
+ * import { SVGLoader } from '@pixi/svg';
+ *
+ * Loader.registerPlugin(SVGLoader);
+ *
+ * loader.add('logo', 'logo.svg', { metadata: { svgGraphics: true } });
+ * loader.load((loader, resources) => {
+ *     stage.addChild(resources.logo.svgGraphics);
+ * });
+ *
+ * _Note: Only available with **@pixi/svg**._
+ *
+ * @class
+ * @memberof PIXI
+ * @implements PIXI.ILoaderPlugin
+ */
+export class SVGLoader
+{
+    /**
+     * Called before a resource is loaded, makes it load as text when it should be converted.
+     * @see PIXI.Loader.loaderMiddleware
+     * @param {PIXI.LoaderResource} resource
+     * @param {function} next
+     */
+    static pre(resource: ILoaderResource, next: (...args: any[]) => void): void
+    {
+        if (resource.metadata.svgGraphics)
+        {
+            resource.loadType = LoaderResource.LOAD_TYPE.XHR;
+            // The values of the response types are strings, even though their typings are numeric
+            resource.xhrType = LoaderResource.XHR_RESPONSE_TYPE.TEXT as unknown as string;
+        }
+
+        next();
+    }
+
+    /**
+     * Called after a resource is loaded.
+     * @see PIXI.Loader.loaderMiddleware
+     * @param {PIXI.LoaderResource} resource
+     * @param {function} next
+     */
+    static use(resource: ILoaderResource, next: (...args: any[]) => void): void
+    {
+        if (resource.metadata.svgGraphics && typeof resource.data === 'string')
+        {
+            try
+            {
+                resource.svgGraphics = parseSVG(resource.data);
+            }
+            catch (error)
+            {
+                next(error);
+
+                return;
+            }
+        }
+
+        next();
+    }
+}
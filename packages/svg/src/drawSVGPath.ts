@@ -0,0 +1,498 @@
+import type { FILL_RULE, Graphics, GraphicsData } from '@pixi/graphics';
+
+/**
+ * The rules SVG uses to decide which parts of a path are inside of it.
+ *
+ * @memberof PIXI
+ * @typedef {string} SVGFillRule
+ * @property {string} nonzero - A point is inside if the subpaths around it do not cancel out their directions.
+ * @property {string} evenodd - A point is inside if it is surrounded by an odd number of subpaths.
+ */
+export type SVGFillRule = 'nonzero' | 'evenodd';
+
+/**
+ * Number of arguments taken by each path command.
+ *
+ * @private
+ */
+const ARGUMENT_COUNT: { [command: string]: number } = {
+    M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0,
+};
+
+/**
+ * The path methods path data is drawn with, shared by Graphics and {@link PIXI.GraphicsPath2D}.
+ *
+ * @private
+ */
+export interface ISVGPathTarget
+{
+    moveTo(x: number, y: number): unknown;
+    lineTo(x: number, y: number): unknown;
+    quadraticCurveTo(cpX: number, cpY: number, toX: number, toY: number): unknown;
+    bezierCurveTo(cpX: number, cpY: number, cpX2: number, cpY2: number, toX: number, toY: number): unknown;
+    arc(cx: number, cy: number, radius: number, startAngle: number, endAngle: number, anticlockwise?: boolean): unknown;
+    closePath(): unknown;
+}
+
+/**
+ * Reads the numbers and commands of path data, following the SVG path grammar.
+ *
+ * @private
+ */
+class PathReader
+{
+    public readonly data: string;
+    public index: number;
+
+    constructor(data: string)
+    {
+        this.data = data;
+        this.index = 0;
+    }
+
+    /** Skips whitespace and commas. */
+    skipSeparators(): void
+    {
+        const data = this.data;
+
+        while (this.index < data.length && (/[\s,]/).test(data[this.index]))
+        {
+            this.index++;
+        }
+    }
+
+    /** Whether all of the data has been read. */
+    get done(): boolean
+    {
+        this.skipSeparators();
+
+        return this.index >= this.data.length;
+    }
+
+    /** Whether the next token is a number. */
+    get hasNumber(): boolean
+    {
+        this.skipSeparators();
+
+        return (/[\d.+-]/).test(this.data.charAt(this.index));
+    }
+
+    /** Reads a command letter, or returns `null` if the next token is not a command. */
+    readCommand(): string
+    {
+        this.skipSeparators();
+
+        const char = this.data.charAt(this.index);
+
+        if (ARGUMENT_COUNT[char.toUpperCase()] === undefined)
+        {
+            return null;
+        }
+
+        this.index++;
+
+        return char;
+    }
+
+    /**
+     * Reads a number, or returns `NaN` if the next token is not a number. Numbers need no separator
+     * when they can't be mistaken for one, like in `1.5.5` or `10-20`.
+     */
+    readNumber(): number
+    {
+        this.skipSeparators();
+
+        const data = this.data;
+        const start = this.index;
+        let i = start;
+
+        if (data[i] === '+' || data[i] === '-')
+        {
+            i++;
+        }
+
+        const digitsStart = i;
+
+        while (i < data.length && data[i] >= '0' && data[i] <= '9')
+        {
+            i++;
+        }
+
+        if (data[i] === '.')
+        {
+            i++;
+
+            while (i < data.length && data[i] >= '0' && data[i] <= '9')
+            {
+                i++;
+            }
+        }
+
+        if (i === digitsStart || (i === digitsStart + 1 && data[digitsStart] === '.'))
+        {
+            return NaN;
+        }
+
+        if (data[i] === 'e' || data[i] === 'E')
+        {
+            let j = i + 1;
+
+            if (data[j] === '+' || data[j] === '-')
+            {
+                j++;
+            }
+
+            if (data[j] >= '0' && data[j] <= '9')
+            {
+                while (j < data.length && data[j] >= '0' && data[j] <= '9')
+                {
+                    j++;
+                }
+
+                i = j;
+            }
+        }
+
+        this.index = i;
+
+        return parseFloat(data.substring(start, i));
+    }
+
+    /** Reads an arc flag, which is a single `0` or `1` that may be followed directly by the next number. */
+    readFlag(): number
+    {
+        this.skipSeparators();
+
+        const char = this.data.charAt(this.index);
+
+        if (char !== '0' && char !== '1')
+        {
+            return NaN;
+        }
+
+        this.index++;
+
+        return char === '1' ? 1 : 0;
+    }
+}
+
+/**
+ * Draws an elliptical arc given in SVG endpoint parameterization, see the
+ * [implementation notes]{@link https://www.w3.org/TR/SVG11/implnote.html#ArcImplementationNotes}
+ * of the SVG specification. Circular arcs use {@link PIXI.Graphics#arc}, elliptical ones are
+ * approximated with cubic curves of a quarter turn at most.
+ *
+ * @private
+ */
+function drawEllipticalArc(graphics: ISVGPathTarget, x1: number, y1: number, rx: number, ry: number,
+    rotation: number, largeArc: number, sweep: number, x2: number, y2: number): void
+{
+    if (x1 === x2 && y1 === y2)
+    {
+        return;
+    }
+
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+
+    if (!rx || !ry)
+    {
+        graphics.lineTo(x2, y2);
+
+        return;
+    }
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = (cos * dx) + (sin * dy);
+    const y1p = (-sin * dx) + (cos * dy);
+
+    // Scale up radii that are too small to reach the end point
+    const lambda = ((x1p * x1p) / (rx * rx)) + ((y1p * y1p) / (ry * ry));
+
+    if (lambda > 1)
+    {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const rxSq = rx * rx;
+    const rySq = ry * ry;
+    const numerator = (rxSq * rySq) - (rxSq * y1p * y1p) - (rySq * x1p * x1p);
+    const denominator = (rxSq * y1p * y1p) + (rySq * x1p * x1p);
+    const coef = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = coef * rx * y1p / ry;
+    const cyp = -coef * ry * x1p / rx;
+    const cx = (cos * cxp) - (sin * cyp) + ((x1 + x2) / 2);
+    const cy = (sin * cxp) + (cos * cyp) + ((y1 + y2) / 2);
+    const startAngle = Math.atan2((y1p - cyp) / ry, (x1p - cxp) / rx);
+    let sweepAngle = Math.atan2((-y1p - cyp) / ry, (-x1p - cxp) / rx) - startAngle;
+
+    if (!sweep && sweepAngle > 0)
+    {
+        sweepAngle -= Math.PI * 2;
+    }
+    else if (sweep && sweepAngle < 0)
+    {
+        sweepAngle += Math.PI * 2;
+    }
+
+    if (rx === ry)
+    {
+        graphics.arc(cx, cy, rx, startAngle + phi, startAngle + phi + sweepAngle, !sweep);
+
+        return;
+    }
+
+    const segments = Math.ceil(Math.abs(sweepAngle) / (Math.PI / 2));
+    const delta = sweepAngle / segments;
+    const t = 4 / 3 * Math.tan(delta / 4);
+    const mapX = (ux: number, uy: number): number => cx + (cos * rx * ux) - (sin * ry * uy);
+    const mapY = (ux: number, uy: number): number => cy + (sin * rx * ux) + (cos * ry * uy);
+
+    for (let i = 0; i < segments; i++)
+    {
+        const a1 = startAngle + (i * delta);
+        const a2 = a1 + delta;
+        const cos1 = Math.cos(a1);
+        const sin1 = Math.sin(a1);
+        const cos2 = Math.cos(a2);
+        const sin2 = Math.sin(a2);
+        const c1x = cos1 - (t * sin1);
+        const c1y = sin1 + (t * cos1);
+        const c2x = cos2 + (t * sin2);
+        const c2y = sin2 - (t * cos2);
+
+        graphics.bezierCurveTo(
+            mapX(c1x, c1y), mapY(c1x, c1y),
+            mapX(c2x, c2y), mapY(c2x, c2y),
+            mapX(cos2, sin2), mapY(cos2, sin2)
+        );
+    }
+}
+
+/**
+ * Makes the subpaths drawn by a single path share their fill style with the fill rule of the path,
+ * so that they are filled together and the fill rule decides which of them are holes.
+ *
+ * @private
+ * @param {PIXI.GraphicsData[]} graphicsData - All the shapes of the geometry.
+ * @param {number} start - Index of the first shape of the path.
+ * @param {PIXI.SVGFillRule} fillRule - The fill rule of the path.
+ */
+function applyFillRule(graphicsData: GraphicsData[], start: number, fillRule: SVGFillRule): void
+{
+    if (start >= graphicsData.length || !graphicsData[start].fillStyle.visible)
+    {
+        return;
+    }
+
+    const fillStyle = graphicsData[start].fillStyle.clone();
+
+    fillStyle.fillRule = fillRule as FILL_RULE;
+
+    for (let i = start; i < graphicsData.length; i++)
+    {
+        graphicsData[i].fillStyle = fillStyle;
+    }
+}
+
+/**
+ * Draws a path given in the [SVG path data]{@link https://www.w3.org/TR/SVG11/paths.html#PathData}
+ * syntax, with the current fill and line style. All commands are supported, in both their absolute and
+ * relative forms. Like in browsers, the path is drawn up to the first error in the data.
+ *
+ * The subpaths are filled together with the fill rule, so that the inside of the letter "O" is left unfilled.
+ *
+ * _Note: Only available with **@pixi/svg**._
+ *
+ * @example
+ * graphics
+ *     .beginFill(0xff0000)
+ *     .drawSVGPath('M 10 10 h 80 v 80 h -80 Z M 30 30 v 40 h 40 v -40 Z', 'evenodd');
+ *
+ * @instance
+ * @method PIXI.Graphics#drawSVGPath
+ * @param {string} data - The path data, as in the `d` attribute of a `<path>` element.
+ * @param {PIXI.SVGFillRule} [fillRule='nonzero'] - The rule deciding which parts of the path are filled.
+ * @return {PIXI.Graphics} This Graphics object. Good for chaining method calls
+ */
+export function drawSVGPath(this: Graphics, data: string, fillRule: SVGFillRule = 'nonzero'): Graphics
+{
+    this.finishPoly();
+
+    const first = this.geometry.graphicsData.length;
+
+    readSVGPath(data, this);
+
+    this.finishPoly();
+    applyFillRule(this.geometry.graphicsData, first, fillRule);
+
+    return this;
+}
+
+/**
+ * Reads path data given in the [SVG path data]{@link https://www.w3.org/TR/SVG11/paths.html#PathData}
+ * syntax and draws it with the path methods of the target, up to the first error in the data.
+ *
+ * @private
+ * @param {string} data - The path data, as in the `d` attribute of a `<path>` element.
+ * @param {object} target - What to draw the path with.
+ */
+export function readSVGPath(data: string, target: ISVGPathTarget): void
+{
+    const reader = new PathReader(data);
+    const args: number[] = [];
+    let x = 0;
+    let y = 0;
+    let startX = 0;
+    let startY = 0;
+    let controlX = 0;
+    let controlY = 0;
+    let command: string = null;
+    let previous: string = null;
+
+    while (!reader.done)
+    {
+        let next = reader.readCommand();
+
+        if (!next)
+        {
+            // Repeated arguments implicitly repeat the previous command, except for moves that become lines
+            if (!command || command === 'Z' || command === 'z' || !reader.hasNumber)
+            {
+                break;
+            }
+
+            next = command;
+
+            if (command === 'M' || command === 'm')
+            {
+                next = command === 'M' ? 'L' : 'l';
+            }
+        }
+        else if (!command && next !== 'M' && next !== 'm')
+        {
+            break;
+        }
+
+        command = next;
+
+        const type = command.toUpperCase();
+        const relative = command !== type;
+        const argumentCount = ARGUMENT_COUNT[type];
+
+        args.length = 0;
+
+        for (let i = 0; i < argumentCount; i++)
+        {
+            args.push(type === 'A' && (i === 3 || i === 4) ? reader.readFlag() : reader.readNumber());
+        }
+
+        if (args.some(isNaN))
+        {
+            break;
+        }
+
+        if (relative)
+        {
+            for (let i = 0; i < argumentCount; i++)
+            {
+                if (type === 'H')
+                {
+                    args[i] += x;
+                }
+                else if (type === 'V')
+                {
+                    args[i] += y;
+                }
+                else if (type === 'A')
+                {
+                    // only the end point is relative, at the 6th and 7th arguments
+                    if (i >= 5)
+                    {
+                        args[i] += (i - 5) % 2 === 0 ? x : y;
+                    }
+                }
+                else
+                {
+                    args[i] += i % 2 === 0 ? x : y;
+                }
+            }
+        }
+
+        // Control points of smooth curves are the reflection of the previous ones, if any
+        const reflectX = (x * 2) - controlX;
+        const reflectY = (y * 2) - controlY;
+
+        switch (type)
+        {
+            case 'M':
+                x = startX = args[0];
+                y = startY = args[1];
+                target.moveTo(x, y);
+                break;
+            case 'L':
+                x = args[0];
+                y = args[1];
+                target.lineTo(x, y);
+                break;
+            case 'H':
+                x = args[0];
+                target.lineTo(x, y);
+                break;
+            case 'V':
+                y = args[0];
+                target.lineTo(x, y);
+                break;
+            case 'C':
+                controlX = args[2];
+                controlY = args[3];
+                x = args[4];
+                y = args[5];
+                target.bezierCurveTo(args[0], args[1], controlX, controlY, x, y);
+                break;
+            case 'S':
+                controlX = args[0];
+                controlY = args[1];
+                target.bezierCurveTo(
+                    previous === 'C' || previous === 'S' ? reflectX : x,
+                    previous === 'C' || previous === 'S' ? reflectY : y,
+                    controlX, controlY, args[2], args[3]
+                );
+                x = args[2];
+                y = args[3];
+                break;
+            case 'Q':
+                controlX = args[0];
+                controlY = args[1];
+                x = args[2];
+                y = args[3];
+                target.quadraticCurveTo(controlX, controlY, x, y);
+                break;
+            case 'T':
+                controlX = previous === 'Q' || previous === 'T' ? reflectX : x;
+                controlY = previous === 'Q' || previous === 'T' ? reflectY : y;
+                x = args[0];
+                y = args[1];
+                target.quadraticCurveTo(controlX, controlY, x, y);
+                break;
+            case 'A':
+                drawEllipticalArc(target, x, y, args[0], args[1], args[2], args[3], args[4], args[5], args[6]);
+                x = args[5];
+                y = args[6];
+                break;
+            case 'Z':
+                target.closePath();
+                x = startX;
+                y = startY;
+                target.moveTo(x, y);
+                break;
+        }
+
+        previous = type;
+    }
+}
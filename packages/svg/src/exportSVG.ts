@@ -0,0 +1,634 @@
+import { BaseImageResource, Texture } from '@pixi/core';
+import { Graphics, GraphicsData, GraphicsGeometry, graphicsUtils, GRADIENT_TYPE, LINE_CAP } from '@pixi/graphics';
+import { Matrix, Point, Polygon, SHAPES } from '@pixi/math';
+import { hex2string } from '@pixi/utils';
+
+import type { Container, DisplayObject } from '@pixi/display';
+import type { FillStyle, GraphicsGradient, LineStyle } from '@pixi/graphics';
+import type { Circle, Ellipse, IShape, Rectangle, RoundedRectangle } from '@pixi/math';
+import type { Dict } from '@pixi/utils';
+
+/**
+ * State shared while exporting a tree of display objects.
+ *
+ * @private
+ */
+interface IExportContext
+{
+    defs: string[];
+    patterns: Dict<string>;
+    images: Dict<string>;
+}
+
+/**
+ * Formats a number for SVG markup, without needless decimals.
+ *
+ * @private
+ */
+function formatNumber(value: number): string
+{
+    return String(Math.round(value * 10000) / 10000);
+}
+
+/**
+ * Escapes a value for use in an XML attribute.
+ *
+ * @private
+ */
+function escapeAttribute(value: string): string
+{
+    return value
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Formats attributes, skipping the ones with a `null` or `undefined` value.
+ *
+ * @private
+ */
+function formatAttributes(attributes: Dict<string | number>): string
+{
+    let result = '';
+
+    for (const name in attributes)
+    {
+        const value = attributes[name];
+
+        if (value !== null && value !== undefined)
+        {
+            result += ` ${name}="${typeof value === 'number' ? formatNumber(value) : escapeAttribute(value)}"`;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Formats a matrix as the value of a `transform` attribute, or `null` for the identity.
+ *
+ * @private
+ */
+function formatMatrix(matrix: Matrix): string
+{
+    if (!matrix)
+    {
+        return null;
+    }
+
+    const values = [matrix.a, matrix.b, matrix.c, matrix.d, matrix.tx, matrix.ty];
+
+    if (values.join() === '1,0,0,1,0,0')
+    {
+        return null;
+    }
+
+    return `matrix(${values.map(formatNumber).join(' ')})`;
+}
+
+/**
+ * Multiplies a color by a tint.
+ *
+ * @private
+ */
+function tintColor(color: number, tint: number): number
+{
+    if (tint === 0xFFFFFF)
+    {
+        return color;
+    }
+
+    const r = ((color >> 16) & 0xFF) * ((tint >> 16) & 0xFF) / 255;
+    const g = ((color >> 8) & 0xFF) * ((tint >> 8) & 0xFF) / 255;
+    const b = (color & 0xFF) * (tint & 0xFF) / 255;
+
+    return (Math.round(r) << 16) + (Math.round(g) << 8) + Math.round(b);
+}
+
+/**
+ * Converts the frame of a texture to a data URI.
+ *
+ * @private
+ * @return {string} The data URI, or `null` if the texture has no image source that can be read.
+ */
+function getTextureDataURI(texture: Texture, context: IExportContext): string
+{
+    const frame = texture.frame;
+    const key = `${texture.baseTexture.uid}:${frame.x},${frame.y},${frame.width},${frame.height}`;
+
+    if (context.images[key] !== undefined)
+    {
+        return context.images[key];
+    }
+
+    const resource = texture.baseTexture.resource;
+    let uri: string = null;
+
+    if (resource instanceof BaseImageResource && frame.width > 0 && frame.height > 0)
+    {
+        const canvas = document.createElement('canvas');
+
+        canvas.width = frame.width;
+        canvas.height = frame.height;
+
+        try
+        {
+            canvas.getContext('2d').drawImage(resource.source as CanvasImageSource,
+                frame.x, frame.y, frame.width, frame.height, 0, 0, frame.width, frame.height);
+            uri = canvas.toDataURL('image/png');
+        }
+        catch (e)
+        {
+            // Images from other origins can't be read back, link to them instead
+            uri = (resource.source as HTMLImageElement).src || null;
+        }
+    }
+
+    context.images[key] = uri;
+
+    return uri;
+}
+
+/**
+ * Paints a fill or stroke with a texture, by defining a pattern.
+ *
+ * @private
+ * @return {string} The paint referencing the pattern, or `null` if the texture can't be exported.
+ */
+function getPatternPaint(style: FillStyle, shapeMatrix: Matrix, context: IExportContext): string
+{
+    const texture = style.texture;
+    const uri = getTextureDataURI(texture, context);
+
+    if (!uri)
+    {
+        return null;
+    }
+
+    // The style matrix maps geometry space to texture space, the pattern transform maps
+    // texture space to the space of the shape, before its own matrix
+    const transform = style.matrix ? style.matrix.clone().invert() : new Matrix();
+
+    if (shapeMatrix)
+    {
+        transform.prepend(shapeMatrix.clone().invert());
+    }
+
+    const patternTransform = formatMatrix(transform);
+    const key = `${uri}|${patternTransform}`;
+
+    if (!context.patterns[key])
+    {
+        const id = `pattern${context.defs.length + 1}`;
+        const size = { width: texture.frame.width, height: texture.frame.height };
+
+        context.patterns[key] = id;
+        context.defs.push(`<pattern${formatAttributes(Object.assign({
+            id,
+            patternUnits: 'userSpaceOnUse',
+            patternTransform,
+        }, size))}><image${formatAttributes(Object.assign({ 'xlink:href': uri }, size))}/></pattern>`);
+    }
+
+    return `url(#${context.patterns[key]})`;
+}
+
+/**
+ * Paints a fill or stroke with a gradient, by defining a `<linearGradient>` or `<radialGradient>`.
+ * Gradients are in the space of the shape, which is the user space of its element.
+ *
+ * @private
+ * @return {string} The paint referencing the gradient.
+ */
+function getGradientPaint(gradient: GraphicsGradient, tint: number, context: IExportContext): string
+{
+    const linear = gradient.type === GRADIENT_TYPE.LINEAR;
+    const stops = gradient.colorStops.map((stop) => `<stop${formatAttributes({
+        offset: stop.offset,
+        'stop-color': hex2string(tintColor(stop.color, tint)),
+        'stop-opacity': stop.alpha !== 1 ? stop.alpha : null,
+    })}/>`).join('');
+    const attributes: Dict<string | number> = linear
+        ? { x1: gradient.x0, y1: gradient.y0, x2: gradient.x1, y2: gradient.y1 }
+        : { cx: gradient.x1, cy: gradient.y1, r: gradient.r1, fx: gradient.x0, fy: gradient.y0, fr: gradient.r0 || null };
+    const markup = `${formatAttributes(Object.assign({ gradientUnits: 'userSpaceOnUse' }, attributes))}>${stops}`;
+    const tag = linear ? 'linearGradient' : 'radialGradient';
+    const key = `${tag}|${markup}`;
+
+    if (!context.patterns[key])
+    {
+        const id = `gradient${context.defs.length + 1}`;
+
+        context.patterns[key] = id;
+        context.defs.push(`<${tag} id="${id}"${markup}</${tag}>`);
+    }
+
+    return `url(#${context.patterns[key]})`;
+}
+
+/**
+ * Computes the paint of a fill or stroke.
+ *
+ * @private
+ */
+function getPaint(style: FillStyle, shapeMatrix: Matrix, tint: number, context: IExportContext): string
+{
+    if (style.gradient)
+    {
+        return getGradientPaint(style.gradient, tint, context);
+    }
+
+    if (style.texture && style.texture !== Texture.WHITE)
+    {
+        const pattern = getPatternPaint(style, shapeMatrix, context);
+
+        if (pattern)
+        {
+            return pattern;
+        }
+    }
+
+    return hex2string(tintColor(style.color, tint));
+}
+
+/**
+ * Whether the line of a shape or of one of its holes has a width that varies along it, which a stroke can't draw.
+ *
+ * @private
+ */
+function hasVariableWidth(data: GraphicsData): boolean
+{
+    const lineStyle = data.lineStyle;
+
+    return !!lineStyle && lineStyle.visible && !lineStyle.native
+        && (!!data.widths || data.holes.some((hole) => !!hole.widths));
+}
+
+/**
+ * Computes the presentation attributes of a shape from its fill and line style.
+ *
+ * @private
+ */
+function getStyleAttributes(data: GraphicsData, tint: number, context: IExportContext): Dict<string | number>
+{
+    const fillStyle = data.fillStyle;
+    const lineStyle: LineStyle = data.lineStyle;
+    const attributes: Dict<string | number> = { fill: 'none' };
+
+    // Shapes filled with a rule are filled together by another element
+    if (fillStyle && fillStyle.visible && !fillStyle.fillRule)
+    {
+        attributes.fill = getPaint(fillStyle, data.matrix, tint, context);
+        attributes['fill-opacity'] = fillStyle.alpha !== 1 ? fillStyle.alpha : null;
+        attributes['fill-rule'] = data.holes.length ? 'evenodd' : null;
+    }
+
+    if (lineStyle && lineStyle.visible && lineStyle.width > 0 && !hasVariableWidth(data))
+    {
+        const dash = lineStyle.getDashPattern();
+
+        attributes.stroke = getPaint(lineStyle, data.matrix, tint, context);
+        attributes['stroke-opacity'] = lineStyle.alpha !== 1 ? lineStyle.alpha : null;
+        attributes['stroke-width'] = lineStyle.native ? 1 : lineStyle.width;
+        attributes['stroke-linecap'] = lineStyle.dot ? LINE_CAP.ROUND : lineStyle.cap;
+        attributes['stroke-linejoin'] = lineStyle.join;
+        attributes['stroke-miterlimit'] = lineStyle.miterLimit;
+        attributes['stroke-dasharray'] = dash.length ? dash.map(formatNumber).join(' ') : null;
+        attributes['stroke-dashoffset'] = dash.length && lineStyle.dashOffset ? lineStyle.dashOffset : null;
+        attributes['vector-effect'] = lineStyle.native ? 'non-scaling-stroke' : null;
+    }
+
+    return attributes;
+}
+
+/**
+ * Converts a shape to path data.
+ *
+ * @private
+ */
+function getPathData(shape: IShape, closed: boolean): string
+{
+    const n = formatNumber;
+
+    switch (shape.type)
+    {
+        case SHAPES.RECT:
+        {
+            const { x, y, width, height } = shape as Rectangle;
+
+            return `M${n(x)} ${n(y)}H${n(x + width)}V${n(y + height)}H${n(x)}Z`;
+        }
+        case SHAPES.CIRC:
+        case SHAPES.ELIP:
+        {
+            const { x, y } = shape as Circle;
+            const rx = shape.type === SHAPES.CIRC ? (shape as Circle).radius : (shape as Ellipse).width;
+            const ry = shape.type === SHAPES.CIRC ? rx : (shape as Ellipse).height;
+            const arc = `A${n(rx)} ${n(ry)} 0 1 0`;
+
+            return `M${n(x - rx)} ${n(y)}${arc} ${n(x + rx)} ${n(y)}${arc} ${n(x - rx)} ${n(y)}Z`;
+        }
+        case SHAPES.RREC:
+        {
+            const { x, y, width, height } = shape as RoundedRectangle;
+            const r = Math.max(0, Math.min((shape as RoundedRectangle).radius, width / 2, height / 2));
+            const arc = `A${n(r)} ${n(r)} 0 0 1`;
+
+            return `M${n(x + r)} ${n(y)}H${n(x + width - r)}${arc} ${n(x + width)} ${n(y + r)}`
+                + `V${n(y + height - r)}${arc} ${n(x + width - r)} ${n(y + height)}`
+                + `H${n(x + r)}${arc} ${n(x)} ${n(y + height - r)}`
+                + `V${n(y + r)}${arc} ${n(x + r)} ${n(y)}Z`;
+        }
+        default:
+        {
+            const points = (shape as Polygon).points;
+            let d = '';
+
+            for (let i = 0; i < points.length; i += 2)
+            {
+                d += `${i === 0 ? 'M' : 'L'}${n(points[i])} ${n(points[i + 1])}`;
+            }
+
+            return closed ? `${d}Z` : d;
+        }
+    }
+}
+
+/**
+ * Converts the lines of a shape and its holes to a path filling their outline, for lines whose width varies
+ * along them: the lines are built into triangles like for WebGL, and the triangles all go the same way so
+ * that they add up where they overlap.
+ *
+ * @private
+ */
+function exportVariableLine(data: GraphicsData, tint: number, context: IExportContext): string
+{
+    const lineStyle = data.lineStyle;
+    const geometry = new GraphicsGeometry();
+    const { points, indices } = geometry;
+    const shapes = [data].concat(data.holes);
+    const n = formatNumber;
+    let d = '';
+
+    for (let i = 0; i < shapes.length; i++)
+    {
+        const shape = shapes[i].shape as Polygon;
+
+        if (!shape.points)
+        {
+            continue;
+        }
+
+        const lineData = new GraphicsData(shape, null, lineStyle);
+
+        lineData.points = shape.points;
+        lineData.widths = shapes[i].widths;
+        graphicsUtils.buildLine(lineData, geometry);
+    }
+
+    for (let i = 0; i < indices.length; i += 3)
+    {
+        const a = indices[i] * 2;
+        let b = indices[i + 1] * 2;
+        let c = indices[i + 2] * 2;
+        const area = ((points[b] - points[a]) * (points[c + 1] - points[a + 1]))
+            - ((points[c] - points[a]) * (points[b + 1] - points[a + 1]));
+
+        if (area < 0)
+        {
+            [b, c] = [c, b];
+        }
+
+        d += `M${n(points[a])} ${n(points[a + 1])}L${n(points[b])} ${n(points[b + 1])}`
+            + `L${n(points[c])} ${n(points[c + 1])}Z`;
+    }
+
+    geometry.destroy();
+
+    if (!d)
+    {
+        return '';
+    }
+
+    return `<path${formatAttributes({
+        d,
+        transform: formatMatrix(data.matrix),
+        fill: getPaint(lineStyle, data.matrix, tint, context),
+        'fill-opacity': lineStyle.alpha !== 1 ? lineStyle.alpha : null,
+    })}/>`;
+}
+
+/**
+ * Converts a shape of a graphics geometry to an SVG element. Shapes with holes become paths,
+ * the holes being drawn in the coordinate space of the shape. Lines whose width varies become
+ * a second path, that fills their outline.
+ *
+ * @private
+ */
+function exportGraphicsData(data: GraphicsData, tint: number, context: IExportContext): string
+{
+    const attributes = getStyleAttributes(data, tint, context);
+    const line = hasVariableWidth(data) ? exportVariableLine(data, tint, context) : '';
+
+    if (attributes.fill === 'none' && !attributes.stroke)
+    {
+        return line;
+    }
+
+    const shape = data.shape;
+    const transform = formatMatrix(data.matrix);
+    let tag = 'path';
+    let geometry: Dict<string | number>;
+
+    if (data.holes.length)
+    {
+        geometry = {
+            d: getPathData(shape, true) + data.holes.map((hole) => getPathData(hole.shape, true)).join(''),
+        };
+    }
+    else if (shape.type === SHAPES.RECT)
+    {
+        const { x, y, width, height } = shape as Rectangle;
+
+        tag = 'rect';
+        geometry = { x, y, width, height };
+    }
+    else if (shape.type === SHAPES.RREC)
+    {
+        const { x, y, width, height, radius } = shape as RoundedRectangle;
+        const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+
+        tag = 'rect';
+        geometry = { x, y, width, height, rx: r || null };
+    }
+    else if (shape.type === SHAPES.CIRC)
+    {
+        const { x, y, radius } = shape as Circle;
+
+        tag = 'circle';
+        geometry = { cx: x, cy: y, r: radius };
+    }
+    else if (shape.type === SHAPES.ELIP)
+    {
+        const { x, y, width, height } = shape as Ellipse;
+
+        tag = 'ellipse';
+        geometry = { cx: x, cy: y, rx: width, ry: height };
+    }
+    else
+    {
+        geometry = { d: getPathData(shape, (shape as Polygon).closeStroke) };
+    }
+
+    return `<${tag}${formatAttributes(Object.assign(geometry, { transform }, attributes))}/>${line}`;
+}
+
+/**
+ * Converts the shapes of a graphics geometry filled together with a fill rule to a single path, which only
+ * fills them. The path is drawn in the coordinate space of the first shape, where its fill is defined.
+ *
+ * @private
+ */
+function exportFillRule(graphics: Graphics, index: number, context: IExportContext): string
+{
+    const data = graphics.geometry.graphicsData[index];
+    const fillStyle = data.fillStyle;
+    const contours = graphics.geometry.getFillContours(index);
+    const point = new Point();
+    let d = '';
+
+    for (let i = 0; i < contours.length; i++)
+    {
+        const points = contours[i];
+
+        if (data.matrix)
+        {
+            for (let j = 0; j < points.length; j += 2)
+            {
+                data.matrix.applyInverse(point.set(points[j], points[j + 1]), point);
+                points[j] = point.x;
+                points[j + 1] = point.y;
+            }
+        }
+
+        d += getPathData(new Polygon(points), true);
+    }
+
+    return `<path${formatAttributes({
+        d,
+        transform: formatMatrix(data.matrix),
+        fill: getPaint(fillStyle, data.matrix, graphics.tint, context),
+        'fill-opacity': fillStyle.alpha !== 1 ? fillStyle.alpha : null,
+        'fill-rule': fillStyle.fillRule,
+    })}/>`;
+}
+
+/**
+ * Converts a display object and its children to SVG elements.
+ *
+ * @private
+ */
+function exportDisplayObject(displayObject: DisplayObject, transform: Matrix, context: IExportContext): string
+{
+    if (!displayObject.visible || !displayObject.renderable)
+    {
+        return '';
+    }
+
+    let content = '';
+
+    if (displayObject instanceof Graphics)
+    {
+        const graphicsData = displayObject.geometry.graphicsData;
+
+        displayObject.finishPoly();
+
+        for (let i = 0; i < graphicsData.length; i++)
+        {
+            const fillStyle = graphicsData[i].fillStyle;
+
+            if (fillStyle.visible && fillStyle.fillRule && (i === 0 || graphicsData[i - 1].fillStyle !== fillStyle))
+            {
+                content += exportFillRule(displayObject, i, context);
+            }
+
+            content += exportGraphicsData(graphicsData[i], displayObject.tint, context);
+        }
+    }
+
+    const children = (displayObject as Container).children || [];
+
+    for (let i = 0; i < children.length; i++)
+    {
+        children[i].transform.updateLocalTransform();
+        content += exportDisplayObject(children[i], children[i].localTransform, context);
+    }
+
+    if (!content)
+    {
+        return '';
+    }
+
+    return `<g${formatAttributes({
+        id: displayObject.name || null,
+        transform: formatMatrix(transform),
+        opacity: displayObject.alpha !== 1 ? displayObject.alpha : null,
+    })}>${content}</g>`;
+}
+
+/**
+ * Exports a display object and its children as an SVG document. The shapes of the graphics in the
+ * tree become SVG elements with their fill, stroke and transform, and containers become groups named
+ * after them. Gradient fills become SVG gradients, and texture fills become patterns embedding the texture
+ * as a data URI.
+ *
+ * The document covers the local bounds of the display object, in its own coordinate space. Other
+ * display objects, such as sprites and text, are skipped, along with masks and filters.
+ *
+ * ```js
+ * import { exportSVG } from '@pixi/svg';
+ *
+ * const blob = new Blob([exportSVG(diagram)], { type: 'image/svg+xml' });
+ * ```
+ *
+ * _Note: Only available with **@pixi/svg**._
+ *
+ * @memberof PIXI
+ * @function exportSVG
+ * @param {PIXI.DisplayObject} displayObject - The root of the tree to export.
+ * @return {string} The markup of the SVG document.
+ */
+export function exportSVG(displayObject: DisplayObject): string
+{
+    const context: IExportContext = { defs: [], patterns: {}, images: {} };
+    const content = exportDisplayObject(displayObject, null, context);
+    const bounds = displayObject.getLocalBounds();
+    const width = Math.max(0, bounds.width);
+    const height = Math.max(0, bounds.height);
+    const defs = context.defs.length ? `<defs>${context.defs.join('')}</defs>` : '';
+
+    return `<svg${formatAttributes({
+        xmlns: 'http://www.w3.org/2000/svg',
+        'xmlns:xlink': 'http://www.w3.org/1999/xlink',
+        width,
+        height,
+        viewBox: [bounds.x, bounds.y, width, height].map(formatNumber).join(' '),
+    })}>${defs}${content}</svg>`;
+}
+
+/**
+ * Exports the graphics, along with its children, as an SVG document.
+ *
+ * _Note: Only available with **@pixi/svg**._
+ *
+ * @instance
+ * @method PIXI.Graphics#toSVG
+ * @return {string} The markup of the SVG document.
+ * @see PIXI.exportSVG
+ */
+export function toSVG(this: Graphics): string
+{
+    return exportSVG(this);
+}
@@ -0,0 +1,21 @@
+import { Graphics } from '@pixi/graphics';
+import { drawSVGPath } from './drawSVGPath';
+import { toSVG } from './exportSVG';
+
+export * from './exportSVG';
+export * from './GraphicsContext2D';
+export * from './GraphicsPath2D';
+export * from './parseSVG';
+export * from './SVGLoader';
+export type { SVGFillRule } from './drawSVGPath';
+
+export interface IGraphicsSVG {
+    drawSVGPath: typeof drawSVGPath;
+    toSVG: typeof toSVG;
+}
+
+// Assign SVG methods to Graphics
+Object.defineProperties(Graphics.prototype, {
+    drawSVGPath: { value: drawSVGPath },
+    toSVG: { value: toSVG },
+});
@@ -0,0 +1,404 @@
+import { Container } from '@pixi/display';
+import { Graphics, LINE_CAP, LINE_JOIN } from '@pixi/graphics';
+import { Matrix } from '@pixi/math';
+import { drawSVGPath } from './drawSVGPath';
+import { parseColor, parseNumbers, parseStyle, parseTransform } from './utils';
+
+import type { DisplayObject } from '@pixi/display';
+import type { Dict } from '@pixi/utils';
+import type { SVGFillRule } from './drawSVGPath';
+
+/**
+ * The inherited style properties supported on elements, with their initial values.
+ *
+ * @private
+ */
+const INITIAL_STYLE: Dict<string> = {
+    color: 'black',
+    fill: 'black',
+    'fill-opacity': '1',
+    'fill-rule': 'nonzero',
+    stroke: 'none',
+    'stroke-width': '1',
+    'stroke-opacity': '1',
+    'stroke-linecap': 'butt',
+    'stroke-linejoin': 'miter',
+    'stroke-miterlimit': '4',
+    'stroke-dasharray': 'none',
+    'stroke-dashoffset': '0',
+};
+
+/**
+ * Elements that group other elements.
+ *
+ * @private
+ */
+const CONTAINER_ELEMENTS = ['svg', 'g', 'a'];
+
+/**
+ * Elements that draw a shape.
+ *
+ * @private
+ */
+const SHAPE_ELEMENTS = ['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon'];
+
+/**
+ * Reads a length attribute, as a number of user units.
+ *
+ * @private
+ */
+function getLength(element: Element, name: string, defaultValue = 0): number
+{
+    const value = parseFloat(element.getAttribute(name));
+
+    return isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Computes the style of an element from the style of its parent, its presentation attributes
+ * and its `style` attribute, in increasing priority.
+ *
+ * @private
+ */
+function computeStyle(element: Element, parentStyle: Dict<string>): Dict<string>
+{
+    const style: Dict<string> = {};
+    const declarations = parseStyle(element.getAttribute('style'));
+
+    for (const name in INITIAL_STYLE)
+    {
+        let value = declarations[name];
+
+        if (value === undefined && element.hasAttribute(name))
+        {
+            value = element.getAttribute(name);
+        }
+
+        style[name] = value === undefined || value === 'inherit' ? parentStyle[name] : value;
+    }
+
+    // These are not inherited, except for visibility
+    const ownProperties = ['opacity', 'display', 'visibility'];
+
+    for (let i = 0; i < ownProperties.length; i++)
+    {
+        const name = ownProperties[i];
+        const value = declarations[name] !== undefined ? declarations[name] : element.getAttribute(name);
+
+        if (value !== null && value !== 'inherit')
+        {
+            style[name] = value;
+        }
+    }
+
+    if (style.visibility === undefined)
+    {
+        style.visibility = parentStyle.visibility;
+    }
+
+    return style;
+}
+
+/**
+ * Sets the fill and line style of a graphics from the style of its element.
+ *
+ * @private
+ */
+function applyStyle(graphics: Graphics, style: Dict<string>, fill: boolean): void
+{
+    const fillColor = fill ? parseColor(style.fill, style.color) : null;
+    const strokeColor = parseColor(style.stroke, style.color);
+    const strokeWidth = parseFloat(style['stroke-width']);
+
+    if (fillColor)
+    {
+        graphics.beginFill(fillColor.color, fillColor.alpha * parseFloat(style['fill-opacity']));
+    }
+
+    if (strokeColor && strokeWidth > 0)
+    {
+        const dash = style['stroke-dasharray'] === 'none' ? [] : parseNumbers(style['stroke-dasharray']);
+
+        graphics.lineStyle({
+            width: strokeWidth,
+            color: strokeColor.color,
+            alpha: strokeColor.alpha * parseFloat(style['stroke-opacity']),
+            cap: style['stroke-linecap'] as LINE_CAP,
+            join: style['stroke-linejoin'] === LINE_JOIN.ROUND || style['stroke-linejoin'] === LINE_JOIN.BEVEL
+                ? style['stroke-linejoin'] as LINE_JOIN : LINE_JOIN.MITER,
+            miterLimit: parseFloat(style['stroke-miterlimit']),
+            dash: dash.some(isNaN) ? [] : dash,
+            dashOffset: parseFloat(style['stroke-dashoffset']) || 0,
+        });
+    }
+}
+
+/**
+ * Draws a rectangle with rounded corners of different horizontal and vertical radii.
+ *
+ * @private
+ */
+function drawEllipticalRoundedRect(graphics: Graphics, x: number, y: number, width: number, height: number,
+    rx: number, ry: number): void
+{
+    drawSVGPath.call(graphics, `M${x + rx},${y}H${x + width - rx}A${rx},${ry},0,0,1,${x + width},${y + ry}`
+        + `V${y + height - ry}A${rx},${ry},0,0,1,${x + width - rx},${y + height}`
+        + `H${x + rx}A${rx},${ry},0,0,1,${x},${y + height - ry}`
+        + `V${y + ry}A${rx},${ry},0,0,1,${x + rx},${y}Z`);
+}
+
+/**
+ * Draws a shape element.
+ *
+ * @private
+ */
+function drawShape(element: Element, style: Dict<string>): Graphics
+{
+    const graphics = new Graphics();
+    const name = element.localName;
+
+    applyStyle(graphics, style, name !== 'line');
+
+    switch (name)
+    {
+        case 'path':
+            drawSVGPath.call(graphics, element.getAttribute('d') || '', style['fill-rule'] as SVGFillRule);
+            break;
+        case 'rect':
+        {
+            const width = getLength(element, 'width');
+            const height = getLength(element, 'height');
+            let rx = getLength(element, 'rx', -1);
+            let ry = getLength(element, 'ry', -1);
+
+            if (width <= 0 || height <= 0)
+            {
+                break;
+            }
+
+            rx = Math.min(rx < 0 ? Math.max(ry, 0) : rx, width / 2);
+            ry = Math.min(ry < 0 ? rx : ry, height / 2);
+
+            if (rx > 0 && ry > 0 && rx !== ry)
+            {
+                drawEllipticalRoundedRect(graphics, getLength(element, 'x'), getLength(element, 'y'),
+                    width, height, rx, ry);
+            }
+            else if (rx > 0 && ry > 0)
+            {
+                graphics.drawRoundedRect(getLength(element, 'x'), getLength(element, 'y'), width, height, rx);
+            }
+            else
+            {
+                graphics.drawRect(getLength(element, 'x'), getLength(element, 'y'), width, height);
+            }
+            break;
+        }
+        case 'circle':
+            if (getLength(element, 'r') > 0)
+            {
+                graphics.drawCircle(getLength(element, 'cx'), getLength(element, 'cy'), getLength(element, 'r'));
+            }
+            break;
+        case 'ellipse':
+            if (getLength(element, 'rx') > 0 && getLength(element, 'ry') > 0)
+            {
+                graphics.drawEllipse(getLength(element, 'cx'), getLength(element, 'cy'),
+                    getLength(element, 'rx'), getLength(element, 'ry'));
+            }
+            break;
+        case 'line':
+            graphics
+                .moveTo(getLength(element, 'x1'), getLength(element, 'y1'))
+                .lineTo(getLength(element, 'x2'), getLength(element, 'y2'));
+            break;
+        case 'polyline':
+        case 'polygon':
+        {
+            const points = parseNumbers(element.getAttribute('points'));
+
+            // An odd number of coordinates is an error, the last one is ignored
+            points.length -= points.length % 2;
+
+            if (points.length < 4 || points.some(isNaN))
+            {
+                break;
+            }
+
+            if (name === 'polygon')
+            {
+                graphics.drawPolygon(points);
+            }
+            else
+            {
+                graphics.moveTo(points[0], points[1]);
+
+                for (let i = 2; i < points.length; i += 2)
+                {
+                    graphics.lineTo(points[i], points[i + 1]);
+                }
+            }
+            break;
+        }
+    }
+
+    graphics.finishPoly();
+
+    return graphics;
+}
+
+/**
+ * Computes the transform that maps the `viewBox` of an `<svg>` element to its viewport,
+ * following its `preserveAspectRatio`.
+ *
+ * @private
+ */
+function getViewBoxTransform(element: Element): Matrix
+{
+    const viewBox = parseNumbers(element.getAttribute('viewBox'));
+    const x = getLength(element, 'x');
+    const y = getLength(element, 'y');
+
+    if (viewBox.length !== 4 || viewBox.some(isNaN) || viewBox[2] <= 0 || viewBox[3] <= 0)
+    {
+        return new Matrix(1, 0, 0, 1, x, y);
+    }
+
+    const width = getLength(element, 'width', viewBox[2]);
+    const height = getLength(element, 'height', viewBox[3]);
+    const aspect = (element.getAttribute('preserveAspectRatio') || 'xMidYMid meet').trim().split(/\s+/);
+    let scaleX = width / viewBox[2];
+    let scaleY = height / viewBox[3];
+    let offsetX = 0;
+    let offsetY = 0;
+
+    if (aspect[0] !== 'none')
+    {
+        scaleX = scaleY = aspect[1] === 'slice' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+
+        const freeX = width - (viewBox[2] * scaleX);
+        const freeY = height - (viewBox[3] * scaleY);
+
+        if (aspect[0].indexOf('xMid') === 0)
+        {
+            offsetX = freeX / 2;
+        }
+        else if (aspect[0].indexOf('xMax') === 0)
+        {
+            offsetX = freeX;
+        }
+
+        if (aspect[0].indexOf('YMid') !== -1)
+        {
+            offsetY = freeY / 2;
+        }
+        else if (aspect[0].indexOf('YMax') !== -1)
+        {
+            offsetY = freeY;
+        }
+    }
+
+    return new Matrix()
+        .translate(-viewBox[0], -viewBox[1])
+        .scale(scaleX, scaleY)
+        .translate(x + offsetX, y + offsetY);
+}
+
+/**
+ * Converts an element and its descendants to display objects.
+ *
+ * @private
+ */
+function parseElement(element: Element, parentStyle: Dict<string>): DisplayObject
+{
+    const name = element.localName;
+    const style = computeStyle(element, parentStyle);
+    let displayObject: Container;
+
+    if (style.display === 'none')
+    {
+        return null;
+    }
+
+    if (CONTAINER_ELEMENTS.indexOf(name) !== -1)
+    {
+        displayObject = new Container();
+
+        for (let i = 0; i < element.children.length; i++)
+        {
+            const child = parseElement(element.children[i], style);
+
+            if (child)
+            {
+                displayObject.addChild(child);
+            }
+        }
+    }
+    else if (SHAPE_ELEMENTS.indexOf(name) !== -1)
+    {
+        displayObject = drawShape(element, style);
+        displayObject.visible = style.visibility !== 'hidden' && style.visibility !== 'collapse';
+    }
+    else
+    {
+        return null;
+    }
+
+    const transform = name === 'svg' ? getViewBoxTransform(element) : parseTransform(element.getAttribute('transform'));
+
+    if (transform)
+    {
+        displayObject.transform.setFromMatrix(transform);
+    }
+
+    if (style.opacity !== undefined && !isNaN(parseFloat(style.opacity)))
+    {
+        displayObject.alpha = Math.min(1, Math.max(0, parseFloat(style.opacity)));
+    }
+
+    if (element.hasAttribute('id'))
+    {
+        displayObject.name = element.getAttribute('id');
+    }
+
+    return displayObject;
+}
+
+/**
+ * Converts an SVG document to a tree of display objects: groups become containers and shapes become graphics,
+ * with their fills, strokes, transforms and opacity.
+ *
+ * Supported elements are `<svg>`, `<g>`, `<a>`, `<path>`, `<rect>`, `<circle>`, `<ellipse>`, `<line>`,
+ * `<polyline>` and `<polygon>`, other elements such as text, images, gradients and references are skipped.
+ * Elements are named after their `id`, so that they can be found with
+ * [getChildByName]{@link PIXI.Container#getChildByName}.
+ *
+ * ```js
+ * import { parseSVG } from '@pixi/svg';
+ *
+ * const icon = parseSVG('<svg viewBox="0 0 10 10"><circle cx="5" cy="5" r="4" fill="red"/></svg>');
+ * ```
+ *
+ * _Note: Only available with **@pixi/svg**._
+ *
+ * @memberof PIXI
+ * @function parseSVG
+ * @param {string|Document|SVGElement} svg - The source of the document, the document or its root element.
+ * @return {PIXI.Container} The root container, matching the `<svg>` element.
+ */
+export function parseSVG(svg: string | Document | Element): Container
+{
+    if (typeof svg === 'string')
+    {
+        svg = new DOMParser().parseFromString(svg, 'image/svg+xml');
+    }
+
+    const root = (svg as Document).documentElement || svg as Element;
+
+    if (!root || root.localName !== 'svg')
+    {
+        throw new Error('[parseSVG] The document has no <svg> root element.');
+    }
+
+    return parseElement(root, INITIAL_STYLE) as Container;
+}
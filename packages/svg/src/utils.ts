@@ -0,0 +1,177 @@
+import { Matrix } from '@pixi/math';
+import { string2hex } from '@pixi/utils';
+
+import type { Dict } from '@pixi/utils';
+
+/**
+ * A color parsed from SVG.
+ *
+ * @private
+ */
+export interface ISVGColor
+{
+    color: number;
+    alpha: number;
+}
+
+/**
+ * Parses an SVG paint or color value: hex notations, `rgb()`, `rgba()` and CSS color names.
+ *
+ * @private
+ * @param {string} value - The value of the property
+ * @param {string} [currentColor] - The value of the `color` property, used by `currentColor`
+ * @return {object} The color and its alpha, or `null` for `none` and unsupported values
+ */
+export function parseColor(value: string, currentColor?: string): ISVGColor
+{
+    if (!value)
+    {
+        return null;
+    }
+
+    value = value.trim().toLowerCase();
+
+    if (value === 'none')
+    {
+        return null;
+    }
+
+    if (value === 'currentcolor')
+    {
+        return currentColor && currentColor.toLowerCase() !== 'currentcolor' ? parseColor(currentColor) : null;
+    }
+
+    if (value === 'transparent')
+    {
+        return { color: 0, alpha: 0 };
+    }
+
+    const rgb = (/^rgba?\(([^)]*)\)$/).exec(value);
+
+    if (rgb)
+    {
+        const channels = rgb[1].split(/[\s,/]+/).filter((channel) => channel !== '').map((channel, index) =>
+        {
+            const number = parseFloat(channel);
+            const percent = channel[channel.length - 1] === '%';
+
+            if (index === 3)
+            {
+                return percent ? number / 100 : number;
+            }
+
+            return Math.round(Math.min(255, Math.max(0, percent ? number * 2.55 : number)));
+        });
+
+        if (channels.length < 3 || channels.some(isNaN))
+        {
+            return null;
+        }
+
+        return {
+            color: (channels[0] << 16) + (channels[1] << 8) + channels[2],
+            alpha: channels.length > 3 ? Math.min(1, Math.max(0, channels[3])) : 1,
+        };
+    }
+
+    // Expand the short #rgb notation
+    if ((/^#[\da-f]{3}$/).test(value))
+    {
+        value = `#${value[1]}${value[1]}${value[2]}${value[2]}${value[3]}${value[3]}`;
+    }
+
+    if (value[0] === '#' && !(/^#[\da-f]{6}$/).test(value))
+    {
+        return null;
+    }
+
+    const color = string2hex(value);
+
+    return isNaN(color) ? null : { color, alpha: 1 };
+}
+
+/**
+ * Parses the numbers of a list, like the arguments of a transform or the `points` of a polygon.
+ *
+ * @private
+ * @param {string} value - The list
+ * @return {number[]} The numbers
+ */
+export function parseNumbers(value: string): number[]
+{
+    return (value || '').split(/[\s,]+/).filter((item) => item !== '').map(parseFloat);
+}
+
+/**
+ * Parses the value of a `transform` attribute into a matrix.
+ *
+ * @private
+ * @param {string} value - The transform list
+ * @return {PIXI.Matrix} The transform, or `null` if there is none
+ */
+export function parseTransform(value: string): Matrix
+{
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let result: Matrix = null;
+    let match: RegExpExecArray;
+
+    while ((match = pattern.exec(value || '')))
+    {
+        const args = parseNumbers(match[2]);
+        let matrix: Matrix;
+
+        switch (match[1])
+        {
+            case 'matrix':
+                matrix = new Matrix(args[0], args[1], args[2], args[3], args[4], args[5]);
+                break;
+            case 'translate':
+                matrix = new Matrix(1, 0, 0, 1, args[0], args[1] || 0);
+                break;
+            case 'scale':
+                matrix = new Matrix(args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0);
+                break;
+            case 'rotate':
+                matrix = new Matrix()
+                    .translate(-(args[1] || 0), -(args[2] || 0))
+                    .rotate(args[0] * Math.PI / 180)
+                    .translate(args[1] || 0, args[2] || 0);
+                break;
+            case 'skewX':
+                matrix = new Matrix(1, 0, Math.tan(args[0] * Math.PI / 180), 1, 0, 0);
+                break;
+            case 'skewY':
+                matrix = new Matrix(1, Math.tan(args[0] * Math.PI / 180), 0, 1, 0, 0);
+                break;
+        }
+
+        result = result ? result.append(matrix) : matrix;
+    }
+
+    return result;
+}
+
+/**
+ * Parses the declarations of a `style` attribute.
+ *
+ * @private
+ * @param {string} value - The declarations
+ * @return {object} The values by property name
+ */
+export function parseStyle(value: string): Dict<string>
+{
+    const style: Dict<string> = {};
+    const declarations = (value || '').split(';');
+
+    for (let i = 0; i < declarations.length; i++)
+    {
+        const separator = declarations[i].indexOf(':');
+
+        if (separator !== -1)
+        {
+            style[declarations[i].substring(0, separator).trim()] = declarations[i].substring(separator + 1).trim();
+        }
+    }
+
+    return style;
+}
@@ -0,0 +1,760 @@
+const { parseSVG, exportSVG, SVGLoader, GraphicsPath2D, GraphicsContext2D } = require('../');
+const { Graphics } = require('@pixi/graphics');
+const { Container } = require('@pixi/display');
+const { Texture } = require('@pixi/core');
+const { LoaderResource } = require('@pixi/loaders');
+const { Matrix, Point, SHAPES } = require('@pixi/math');
+const { expect } = require('chai');
+
+function drawPath(d)
+{
+    return new Graphics().beginFill(0xffffff).drawSVGPath(d).geometry.graphicsData;
+}
+
+function expectPoints(actual, expected)
+{
+    expect(actual.length).to.equal(expected.length);
+
+    for (let i = 0; i < expected.length; i++)
+    {
+        expect(actual[i]).to.be.closeTo(expected[i], 0.0001);
+    }
+}
+
+describe('PIXI.Graphics#drawSVGPath', function ()
+{
+    it('should draw absolute lines and close the path', function ()
+    {
+        const data = drawPath('M 10 10 L 20 10 H 30 V 20 Z');
+
+        expect(data).to.have.lengthOf(1);
+        expect(data[0].shape.points).to.eql([10, 10, 20, 10, 30, 10, 30, 20]);
+        expect(data[0].shape.closeStroke).to.be.true;
+    });
+
+    it('should draw relative commands from the current point', function ()
+    {
+        const absolute = drawPath('M 10 10 L 20 10 H 30 V 20 C 30 30 20 30 20 20 Q 15 15 10 20 z');
+        const relative = drawPath('m 10 10 l 10 0 h 10 v 10 c 0 10 -10 10 -10 0 q -5 -5 -10 0 z');
+
+        expectPoints(relative[0].shape.points, absolute[0].shape.points);
+    });
+
+    it('should parse compact numbers and implicit commands', function ()
+    {
+        const data = drawPath('M0,0 10-10.5.5 1e1,2E+1-.5');
+
+        expect(data[0].shape.points).to.eql([0, 0, 10, -10.5, 0.5, 10, 20, -0.5]);
+    });
+
+    it('should reflect control points of smooth curves', function ()
+    {
+        const smoothCubic = drawPath('M0 0 C 0 10 10 10 10 0 S 20 -10 20 0');
+        const cubic = drawPath('M0 0 C 0 10 10 10 10 0 C 10 -10 20 -10 20 0');
+        const smoothQuadratic = drawPath('M0 0 Q 5 10 10 0 T 20 0');
+        const quadratic = drawPath('M0 0 Q 5 10 10 0 Q 15 -10 20 0');
+
+        expectPoints(smoothCubic[0].shape.points, cubic[0].shape.points);
+        expectPoints(smoothQuadratic[0].shape.points, quadratic[0].shape.points);
+    });
+
+    it('should draw circular arcs', function ()
+    {
+        const points = drawPath('M 0 0 A 10 10 0 0 1 20 0')[0].shape.points;
+
+        expect(points[points.length - 2]).to.be.closeTo(20, 0.0001);
+        expect(points[points.length - 1]).to.be.closeTo(0, 0.0001);
+
+        for (let i = 0; i < points.length; i += 2)
+        {
+            expect(Math.hypot(points[i] - 10, points[i + 1])).to.be.closeTo(10, 0.0001);
+            expect(points[i + 1]).to.be.at.most(0.0001);
+        }
+    });
+
+    it('should draw elliptical arcs', function ()
+    {
+        const points = drawPath('M 0 0 A 20 10 0 1 0 40 0')[0].shape.points;
+        let maxY = 0;
+
+        expect(points[points.length - 2]).to.be.closeTo(40, 0.0001);
+        expect(points[points.length - 1]).to.be.closeTo(0, 0.0001);
+
+        for (let i = 0; i < points.length; i += 2)
+        {
+            const x = (points[i] - 20) / 20;
+            const y = points[i + 1] / 10;
+
+            expect((x * x) + (y * y)).to.be.closeTo(1, 0.01);
+            maxY = Math.max(maxY, points[i + 1]);
+        }
+
+        expect(maxY).to.be.closeTo(10, 0.01);
+    });
+
+    it('should scale up arc radii that are too small', function ()
+    {
+        const points = drawPath('M 0 0 A 1 1 0 0 1 20 0')[0].shape.points;
+
+        for (let i = 0; i < points.length; i += 2)
+        {
+            expect(Math.hypot(points[i] - 10, points[i + 1])).to.be.closeTo(10, 0.0001);
+        }
+    });
+
+    it('should draw relative arcs from the current point', function ()
+    {
+        const absolute = drawPath('M 30 50 L 40 50 A 10 5 0 0 1 60 60')[0].shape.points;
+        const relative = drawPath('M 30 50 l 10 0 a 10 5 0 0 1 20 10')[0].shape.points;
+
+        expectPoints(relative, absolute);
+        expect(relative[relative.length - 2]).to.be.closeTo(60, 0.0001);
+        expect(relative[relative.length - 1]).to.be.closeTo(60, 0.0001);
+    });
+
+    it('should draw the path up to the first error', function ()
+    {
+        const data = drawPath('M 0 0 L 10 0 L 10 x 20');
+
+        expect(data[0].shape.points).to.eql([0, 0, 10, 0]);
+        expect(drawPath('L 10 10 20 20')).to.be.empty;
+    });
+
+    it('should start a new subpath after closing a path', function ()
+    {
+        const data = drawPath('M 0 0 H 10 V 10 Z L -10 0 V -10 Z');
+
+        expect(data).to.have.lengthOf(2);
+        expect(data[1].shape.points).to.eql([0, 0, -10, 0, -10, -10]);
+    });
+
+    it('should fill subpaths together with the evenodd rule', function ()
+    {
+        const graphics = new Graphics()
+            .beginFill(0xffffff)
+            .drawSVGPath('M 0 0 H 30 V 30 H 0 Z M 10 10 H 20 V 20 H 10 Z', 'evenodd');
+        const data = graphics.geometry.graphicsData;
+
+        expect(data).to.have.lengthOf(2);
+        expect(data[0].fillStyle.fillRule).to.equal('evenodd');
+        expect(data[1].fillStyle).to.equal(data[0].fillStyle);
+        expect(data[1].shape.points).to.eql([10, 10, 20, 10, 20, 20, 10, 20]);
+        expect(graphics.containsPoint(new Point(5, 5))).to.be.true;
+        expect(graphics.containsPoint(new Point(15, 15))).to.be.false;
+    });
+
+    it('should fill subpaths together with the nonzero rule', function ()
+    {
+        const sameDirection = new Graphics()
+            .beginFill(0xffffff)
+            .drawSVGPath('M 0 0 H 30 V 30 H 0 Z M 10 10 H 20 V 20 H 10 Z');
+        const oppositeDirection = new Graphics()
+            .beginFill(0xffffff)
+            .drawSVGPath('M 0 0 H 30 V 30 H 0 Z M 10 10 V 20 H 20 V 10 Z');
+
+        expect(sameDirection.geometry.graphicsData[0].fillStyle.fillRule).to.equal('nonzero');
+        expect(sameDirection.containsPoint(new Point(15, 15))).to.be.true;
+        expect(oppositeDirection.containsPoint(new Point(5, 5))).to.be.true;
+        expect(oppositeDirection.containsPoint(new Point(15, 15))).to.be.false;
+    });
+
+    it('should keep islands inside of holes filled', function ()
+    {
+        const graphics = new Graphics()
+            .beginFill(0xffffff)
+            .drawSVGPath('M 0 0 H 50 V 50 H 0 Z M 10 10 H 40 V 40 H 10 Z M 20 20 H 30 V 30 H 20 Z', 'evenodd');
+
+        expect(graphics.containsPoint(new Point(5, 5))).to.be.true;
+        expect(graphics.containsPoint(new Point(15, 15))).to.be.false;
+        expect(graphics.containsPoint(new Point(25, 25))).to.be.true;
+    });
+
+    it('should fill self-intersecting paths with the fill rule', function ()
+    {
+        const star = 'M 50 0 L 79 90 L 2 35 L 98 35 L 21 90 Z';
+        const nonzero = new Graphics().beginFill(0xffffff).drawSVGPath(star);
+        const evenodd = new Graphics().beginFill(0xffffff).drawSVGPath(star, 'evenodd');
+
+        expect(nonzero.containsPoint(new Point(50, 50))).to.be.true;
+        expect(evenodd.containsPoint(new Point(50, 50))).to.be.false;
+    });
+
+    it('should not share the fill with shapes drawn before or after the path', function ()
+    {
+        const graphics = new Graphics()
+            .beginFill(0xffffff)
+            .drawRect(0, 0, 10, 10)
+            .drawSVGPath('M 0 0 H 30 V 30 H 0 Z')
+            .drawRect(0, 0, 10, 10);
+        const data = graphics.geometry.graphicsData;
+
+        expect(data).to.have.lengthOf(3);
+        expect(data[0].fillStyle.fillRule).to.be.null;
+        expect(data[1].fillStyle.fillRule).to.equal('nonzero');
+        expect(data[2].fillStyle.fillRule).to.be.null;
+    });
+});
+
+describe('PIXI.parseSVG', function ()
+{
+    it('should convert groups and shapes to display objects', function ()
+    {
+        const root = parseSVG(`<svg xmlns="http://www.w3.org/2000/svg">
+            <g id="group" transform="translate(10, 20) scale(2)" opacity="0.5">
+                <rect id="rect" x="1" y="2" width="3" height="4" fill="#f00"/>
+                <circle cx="5" cy="5" r="5" fill="none" stroke="rgb(0, 128, 255)" stroke-width="2"/>
+                <title>Ignored</title>
+            </g>
+            <path d="M 0 0 H 10 V 10 Z" style="fill: blue; fill-opacity: 0.5"/>
+        </svg>`);
+
+        expect(root).to.be.instanceof(Container);
+        expect(root.children).to.have.lengthOf(2);
+
+        const group = root.children.find((child) => child.name === 'group');
+
+        expect(group.position.x).to.equal(10);
+        expect(group.position.y).to.equal(20);
+        expect(group.scale.x).to.be.closeTo(2, 0.0001);
+        expect(group.alpha).to.equal(0.5);
+        expect(group.children).to.have.lengthOf(2);
+
+        const rect = group.children.find((child) => child.name === 'rect');
+
+        expect(rect).to.be.instanceof(Graphics);
+        expect(rect.geometry.graphicsData[0].shape.type).to.equal(SHAPES.RECT);
+        expect(rect.geometry.graphicsData[0].fillStyle.color).to.equal(0xff0000);
+
+        const circle = group.children[1].geometry.graphicsData[0];
+
+        expect(circle.shape.type).to.equal(SHAPES.CIRC);
+        expect(circle.fillStyle.visible).to.be.false;
+        expect(circle.lineStyle.color).to.equal(0x0080ff);
+        expect(circle.lineStyle.width).to.equal(2);
+
+        const path = root.children[1].geometry.graphicsData[0];
+
+        expect(path.fillStyle.color).to.equal(0x0000ff);
+        expect(path.fillStyle.alpha).to.equal(0.5);
+    });
+
+    it('should inherit styles from groups', function ()
+    {
+        const root = parseSVG(`<svg xmlns="http://www.w3.org/2000/svg">
+            <g fill="#123456" stroke="black" stroke-dasharray="4 2" fill-rule="evenodd">
+                <path d="M 0 0 H 30 V 30 H 0 Z M 10 10 H 20 V 20 H 10 Z"/>
+                <rect width="10" height="10" fill="inherit" stroke="none"/>
+            </g>
+        </svg>`);
+        const group = root.children[0];
+        const path = group.children[0].geometry.graphicsData;
+        const rect = group.children[1].geometry.graphicsData;
+
+        expect(path).to.have.lengthOf(2);
+        expect(path[0].fillStyle.fillRule).to.equal('evenodd');
+        expect(path[1].fillStyle).to.equal(path[0].fillStyle);
+        expect(path[0].fillStyle.color).to.equal(0x123456);
+        expect(path[0].lineStyle.dash).to.eql([4, 2]);
+        expect(rect[0].fillStyle.color).to.equal(0x123456);
+        expect(rect[0].lineStyle.visible).to.be.false;
+    });
+
+    it('should map the view box to the viewport', function ()
+    {
+        const root = parseSVG('<svg xmlns="http://www.w3.org/2000/svg" viewBox="10 10 20 10" width="100" height="100"/>');
+
+        expect(root.scale.x).to.be.closeTo(5, 0.0001);
+        expect(root.scale.y).to.be.closeTo(5, 0.0001);
+        expect(root.position.x).to.be.closeTo(-50, 0.0001);
+        expect(root.position.y).to.be.closeTo(-25, 0.0001);
+    });
+
+    it('should skip elements that are not displayed', function ()
+    {
+        const root = parseSVG(`<svg xmlns="http://www.w3.org/2000/svg">
+            <rect width="10" height="10" display="none"/>
+            <g style="visibility: hidden"><circle r="1"/></g>
+        </svg>`);
+
+        expect(root.children).to.have.lengthOf(1);
+        expect(root.children[0].children[0].visible).to.be.false;
+    });
+
+    it('should throw for documents that are not SVG', function ()
+    {
+        expect(() => parseSVG('<html/>')).to.throw();
+    });
+});
+
+describe('PIXI.SVGLoader', function ()
+{
+    it('should only load resources as text when asked to', function ()
+    {
+        const next = sinon.spy();
+        const image = { metadata: {}, loadType: LoaderResource.LOAD_TYPE.IMAGE };
+        const graphics = { metadata: { svgGraphics: true }, loadType: LoaderResource.LOAD_TYPE.IMAGE };
+
+        SVGLoader.pre(image, next);
+        SVGLoader.pre(graphics, next);
+
+        expect(next).to.have.been.calledTwice;
+        expect(image.loadType).to.equal(LoaderResource.LOAD_TYPE.IMAGE);
+        expect(graphics.loadType).to.equal(LoaderResource.LOAD_TYPE.XHR);
+        expect(graphics.xhrType).to.equal(LoaderResource.XHR_RESPONSE_TYPE.TEXT);
+    });
+
+    it('should convert loaded documents to display objects', function ()
+    {
+        const next = sinon.spy();
+        const resource = {
+            metadata: { svgGraphics: true },
+            data: '<svg xmlns="http://www.w3.org/2000/svg"><rect width="1" height="1"/></svg>',
+        };
+
+        SVGLoader.use(resource, next);
+
+        expect(next).to.have.been.calledOnce;
+        expect(resource.svgGraphics).to.be.instanceof(Container);
+        expect(resource.svgGraphics.children).to.have.lengthOf(1);
+    });
+});
+
+describe('PIXI.exportSVG', function ()
+{
+    it('should export shapes with their styles', function ()
+    {
+        const graphics = new Graphics()
+            .beginFill(0xff0000, 0.5)
+            .drawRect(0, 0, 10, 20)
+            .endFill()
+            .lineStyle({ width: 2, color: 0x00ff00, cap: 'round', join: 'bevel', dash: [4, 2] })
+            .drawCircle(5, 5, 5)
+            .drawEllipse(5, 5, 4, 3)
+            .drawRoundedRect(0, 0, 10, 10, 2)
+            .moveTo(0, 0)
+            .lineTo(10, 10);
+        const svg = graphics.toSVG();
+
+        expect(svg).to.match(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+        expect(svg).to.contain('<rect x="0" y="0" width="10" height="20" fill="#ff0000" fill-opacity="0.5"/>');
+        expect(svg).to.contain('<circle cx="5" cy="5" r="5" fill="none" stroke="#00ff00" stroke-width="2" '
+            + 'stroke-linecap="round" stroke-linejoin="bevel" stroke-miterlimit="10" stroke-dasharray="4 2"/>');
+        expect(svg).to.contain('<ellipse cx="5" cy="5" rx="4" ry="3"');
+        expect(svg).to.contain('<rect x="0" y="0" width="10" height="10" rx="2"');
+        expect(svg).to.contain('<path d="M0 0L10 10" fill="none" stroke="#00ff00"');
+    });
+
+    it('should export holes as even-odd paths', function ()
+    {
+        const graphics = new Graphics()
+            .beginFill(0xffffff)
+            .drawRect(0, 0, 30, 30)
+            .beginHole()
+            .drawCircle(15, 15, 5)
+            .endHole();
+        const svg = graphics.toSVG();
+
+        expect(svg).to.contain('<path d="M0 0H30V30H0ZM10 15A5 5 0 1 0 20 15A5 5 0 1 0 10 15Z" fill="#ffffff" '
+            + 'fill-rule="evenodd"/>');
+    });
+
+    it('should export shapes filled with a rule as a single path', function ()
+    {
+        const graphics = new Graphics()
+            .lineStyle(1, 0)
+            .beginFill(0xffffff, 1, 'evenodd')
+            .drawRect(0, 0, 30, 30)
+            .drawRect(10, 10, 10, 10)
+            .endFill();
+        const svg = graphics.toSVG();
+
+        expect(svg).to.contain('<path d="M0 0L30 0L30 30L0 30ZM10 10L20 10L20 20L10 20Z" fill="#ffffff" '
+            + 'fill-rule="evenodd"/>');
+        expect(svg).to.contain('<rect x="0" y="0" width="30" height="30" fill="none" stroke="#000000"');
+        expect(svg).to.contain('<rect x="10" y="10" width="10" height="10" fill="none" stroke="#000000"');
+    });
+
+    it('should export lines whose width varies as filled outlines', function ()
+    {
+        const graphics = new Graphics()
+            .lineStyle(2, 0x00ff00, 0.5)
+            .moveTo(0, 0, 2)
+            .lineTo(10, 0, 6);
+        const svg = graphics.toSVG();
+        const path = svg.match(/<path d="([^"]*)"([^>]*)\/>/);
+
+        expect(svg).to.not.contain('stroke');
+        expect(path[2]).to.equal(' fill="#00ff00" fill-opacity="0.5"');
+
+        const points = path[1].match(/-?[\d.]+ -?[\d.]+/g);
+
+        expect(points).to.include('0 -1');
+        expect(points).to.include('0 1');
+        expect(points).to.include('10 -3');
+        expect(points).to.include('10 3');
+    });
+
+    it('should export the fill of polygons with lines whose width varies apart from their lines', function ()
+    {
+        const graphics = new Graphics()
+            .lineStyle(1, 0)
+            .beginFill(0xffffff)
+            .drawPolygon([0, 0, 10, 0, 10, 10], [1, 2, 3])
+            .endFill();
+        const svg = graphics.toSVG();
+        const paths = svg.match(/<path [^>]*\/>/g);
+
+        expect(paths).to.have.length(2);
+        expect(paths[0]).to.equal('<path d="M0 0L10 0L10 10Z" fill="#ffffff"/>');
+        expect(paths[1]).to.contain('fill="#000000"');
+        expect(svg).to.not.contain('stroke');
+    });
+
+    it('should export transforms, tints and children', function ()
+    {
+        const root = new Container();
+        const graphics = new Graphics().beginFill(0xffffff).drawRect(0, 0, 10, 10);
+
+        graphics.name = 'box';
+        graphics.position.set(10, 20);
+        graphics.alpha = 0.5;
+        graphics.tint = 0xff8000;
+        root.addChild(graphics, new Container());
+
+        const svg = exportSVG(root);
+
+        expect(svg).to.contain('viewBox="10 20 10 10"');
+        expect(svg).to.contain('<g id="box" transform="matrix(1 0 0 1 10 20)" opacity="0.5">'
+            + '<rect x="0" y="0" width="10" height="10" fill="#ff8000"/></g>');
+
+        const copy = parseSVG(svg).children[0].children[0];
+
+        expect(copy.name).to.equal('box');
+        expect(copy.position.x).to.equal(10);
+        expect(copy.alpha).to.equal(0.5);
+        expect(copy.children[0].geometry.graphicsData[0].fillStyle.color).to.equal(0xff8000);
+    });
+
+    it('should export texture fills as patterns', function ()
+    {
+        const canvas = document.createElement('canvas');
+
+        canvas.width = canvas.height = 4;
+
+        const toDataURL = sinon.stub(HTMLCanvasElement.prototype, 'toDataURL').returns('data:image/png;base64,AAAA');
+        const graphics = new Graphics()
+            .beginTextureFill({ texture: Texture.from(canvas), matrix: new Matrix().translate(2, 0) })
+            .drawRect(0, 0, 8, 8)
+            .drawRect(8, 0, 8, 8);
+        const svg = graphics.toSVG();
+
+        toDataURL.restore();
+
+        expect(svg).to.contain('<defs><pattern id="pattern1" patternUnits="userSpaceOnUse" '
+            + 'patternTransform="matrix(1 0 0 1 2 0)" width="4" height="4">'
+            + '<image xlink:href="data:image/png;base64,AAAA" width="4" height="4"/></pattern></defs>');
+        expect(svg.match(/fill="url\(#pattern1\)"/g)).to.have.lengthOf(2);
+    });
+
+    it('should export gradient fills as gradients', function ()
+    {
+        const colorStops = [{ offset: 0, color: 0xffffff }, { offset: 1, color: 0x000000, alpha: 0.5 }];
+        const svg = new Graphics()
+            .beginLinearGradientFill(0, 0, 10, 0, colorStops)
+            .drawRect(0, 0, 10, 10)
+            .beginRadialGradientFill(5, 5, 0, 5, 5, 5, colorStops)
+            .drawCircle(5, 5, 5)
+            .toSVG();
+
+        expect(svg).to.contain('<linearGradient id="gradient1" gradientUnits="userSpaceOnUse" '
+            + 'x1="0" y1="0" x2="10" y2="0"><stop offset="0" stop-color="#ffffff"/>'
+            + '<stop offset="1" stop-color="#000000" stop-opacity="0.5"/></linearGradient>');
+        expect(svg).to.contain('<radialGradient id="gradient2" gradientUnits="userSpaceOnUse" '
+            + 'cx="5" cy="5" r="5" fx="5" fy="5">');
+        expect(svg).to.contain('<rect x="0" y="0" width="10" height="10" fill="url(#gradient1)"/>');
+        expect(svg).to.contain('<circle cx="5" cy="5" r="5" fill="url(#gradient2)"/>');
+    });
+});
+
+describe('PIXI.GraphicsPath2D', function ()
+{
+    function types(path)
+    {
+        return path.commands.map((command) => command.type);
+    }
+
+    function drawPoints(path)
+    {
+        const graphics = new Graphics().beginFill(0xffffff);
+
+        path.draw(graphics);
+        graphics.finishPoly();
+
+        return graphics.geometry.graphicsData[0].shape.points;
+    }
+
+    it('should start a new subpath at the first point when closing a subpath', function ()
+    {
+        const path = new GraphicsPath2D()
+            .moveTo(0, 0)
+            .lineTo(10, 0)
+            .lineTo(10, 10)
+            .closePath();
+
+        expect(types(path)).to.eql(['M', 'L', 'L', 'Z', 'M']);
+        expect(path.commands[4].args).to.eql([0, 0]);
+    });
+
+    it('should start a subpath when drawing without a current point', function ()
+    {
+        const path = new GraphicsPath2D()
+            .lineTo(5, 5)
+            .lineTo(10, 5)
+            .moveTo(0, 0)
+            .moveTo(1, 1);
+
+        expect(types(path)).to.eql(['M', 'L', 'M']);
+        expect(path.commands[0].args).to.eql([5, 5]);
+        expect(path.commands[2].args).to.eql([1, 1]);
+    });
+
+    it('should read SVG path data', function ()
+    {
+        const path = new GraphicsPath2D('M 10 10 h 10 v 10 Z');
+
+        expect(types(path)).to.eql(['M', 'L', 'L', 'Z', 'M']);
+        expect(drawPoints(path)).to.eql([10, 10, 20, 10, 20, 20]);
+    });
+
+    it('should draw the same points as Graphics', function ()
+    {
+        const path = new GraphicsPath2D()
+            .moveTo(0, 0)
+            .quadraticCurveTo(10, 20, 20, 0)
+            .arc(20, 20, 20, -Math.PI / 2, 0);
+        const graphics = new Graphics()
+            .beginFill(0xffffff)
+            .moveTo(0, 0)
+            .quadraticCurveTo(10, 20, 20, 0)
+            .arc(20, 20, 20, -Math.PI / 2, 0);
+
+        graphics.finishPoly();
+
+        expectPoints(drawPoints(path), graphics.geometry.graphicsData[0].shape.points);
+    });
+
+    it('should keep arcs that are rotated and scaled uniformly', function ()
+    {
+        const path = new GraphicsPath2D().arc(0, 0, 10, 0, Math.PI / 2);
+
+        path.transform(new Matrix().scale(2, 2).rotate(Math.PI / 2).translate(5, 0));
+
+        expect(types(path)).to.eql(['M', 'A']);
+        expect(path.commands[1].args[0]).to.be.closeTo(5, 0.0001);
+        expect(path.commands[1].args[1]).to.be.closeTo(0, 0.0001);
+        expect(path.commands[1].args[2]).to.be.closeTo(20, 0.0001);
+        expect(path.commands[1].args[3]).to.be.closeTo(Math.PI / 2, 0.0001);
+        expect(path.commands[1].args[4]).to.be.closeTo(Math.PI, 0.0001);
+    });
+
+    it('should reverse arcs that are mirrored', function ()
+    {
+        const path = new GraphicsPath2D().arc(0, 0, 10, 0, Math.PI / 2);
+        const points = drawPoints(path);
+        const mirrored = drawPoints(path.transform(new Matrix(1, 0, 0, -1, 0, 0)));
+
+        expect(path.commands[1].args[5]).to.equal(1);
+        expectPoints(mirrored, points.map((value, i) => (i % 2 ? -value : value)));
+    });
+
+    it('should turn stretched arcs into bezier curves', function ()
+    {
+        const path = new GraphicsPath2D().arc(0, 0, 10, 0, Math.PI);
+
+        path.transform(new Matrix(2, 0, 0, 1, 0, 0));
+
+        const last = path.commands[path.commands.length - 1];
+
+        expect(types(path)).to.eql(['M', 'C', 'C']);
+        expect(path.commands[0].args).to.eql([20, 0]);
+        expect(last.args[4]).to.be.closeTo(-20, 0.0001);
+        expect(last.args[5]).to.be.closeTo(0, 0.0001);
+    });
+
+    it('should draw elliptical arcs with bezier curves', function ()
+    {
+        const path = new GraphicsPath2D().moveTo(0, 0).ellipse(0, 0, 20, 10, Math.PI / 2, 0, Math.PI / 2);
+        const last = path.commands[path.commands.length - 1];
+
+        expect(types(path)).to.eql(['M', 'L', 'C']);
+        expectPoints(path.commands[1].args, [0, 20]);
+        expect(last.args[4]).to.be.closeTo(-10, 0.0001);
+        expect(last.args[5]).to.be.closeTo(0, 0.0001);
+    });
+
+    it('should add transformed paths', function ()
+    {
+        const square = new GraphicsPath2D().rect(0, 0, 10, 10);
+        const path = new GraphicsPath2D().addPath(square, new Matrix().translate(5, 5)).lineTo(0, 0);
+
+        expect(path.commands[0].args).to.eql([5, 5]);
+        expect(path.commands[5].args).to.eql([5, 5]);
+        expect(square.commands[0].args).to.eql([0, 0]);
+        expect(types(path)).to.eql(['M', 'L', 'L', 'L', 'Z', 'M', 'L']);
+    });
+
+    it('should throw for negative radii', function ()
+    {
+        const path = new GraphicsPath2D().moveTo(0, 0);
+
+        expect(() => path.arcTo(10, 0, 10, 10, -1)).to.throw();
+        expect(() => path.ellipse(0, 0, 10, -1, 0, 0, 1)).to.throw();
+    });
+});
+
+describe('PIXI.GraphicsContext2D', function ()
+{
+    it('should fill the current path with the fill style', function ()
+    {
+        const context = new GraphicsContext2D();
+
+        context.fillStyle = 'rgba(255, 0, 0, 0.5)';
+        context.globalAlpha = 0.5;
+        context.rect(0, 0, 10, 10);
+        context.fill();
+
+        const data = context.graphics.geometry.graphicsData;
+
+        expect(data).to.have.lengthOf(1);
+        expect(data[0].shape.points).to.eql([0, 0, 10, 0, 10, 10, 0, 10]);
+        expect(data[0].fillStyle.color).to.equal(0xff0000);
+        expect(data[0].fillStyle.alpha).to.equal(0.25);
+        expect(data[0].fillStyle.fillRule).to.equal('nonzero');
+        expect(data[0].lineStyle.visible).to.be.false;
+        expect(data[0].matrix).to.be.null;
+    });
+
+    it('should ignore unsupported styles', function ()
+    {
+        const context = new GraphicsContext2D();
+
+        context.fillStyle = 'not a color';
+        context.strokeStyle = 0x00ff00;
+        context.lineWidth = -1;
+
+        expect(context.fillStyle).to.equal('#000000');
+        expect(context.strokeStyle).to.equal(0x00ff00);
+        expect(context.lineWidth).to.equal(1);
+    });
+
+    it('should give the transform to the shapes', function ()
+    {
+        const context = new GraphicsContext2D();
+
+        context.translate(10, 20);
+        context.scale(2, 2);
+        context.fillRect(0, 0, 5, 5);
+
+        const data = context.graphics.geometry.graphicsData[0];
+
+        expect(data.shape.points).to.eql([0, 0, 5, 0, 5, 5, 0, 5]);
+        expect(data.matrix.a).to.equal(2);
+        expect(data.matrix.d).to.equal(2);
+        expect(data.matrix.tx).to.equal(10);
+        expect(data.matrix.ty).to.equal(20);
+    });
+
+    it('should save and restore the drawing state', function ()
+    {
+        const context = new GraphicsContext2D();
+
+        context.save();
+        context.fillStyle = 'red';
+        context.lineWidth = 5;
+        context.rotate(1);
+        context.restore();
+        context.restore();
+
+        expect(context.fillStyle).to.equal('#000000');
+        expect(context.lineWidth).to.equal(1);
+        expect(context.getTransform().a).to.equal(1);
+        expect(context.getTransform().b).to.equal(0);
+    });
+
+    it('should stroke with the line styles', function ()
+    {
+        const context = new GraphicsContext2D();
+
+        context.strokeStyle = '#0000ff';
+        context.lineWidth = 4;
+        context.lineCap = 'round';
+        context.setLineDash([5]);
+        context.moveTo(0, 0);
+        context.lineTo(10, 0);
+        context.stroke();
+
+        const data = context.graphics.geometry.graphicsData[0];
+
+        expect(context.getLineDash()).to.eql([5, 5]);
+        expect(data.fillStyle.visible).to.be.false;
+        expect(data.lineStyle.color).to.equal(0x0000ff);
+        expect(data.lineStyle.width).to.equal(4);
+        expect(data.lineStyle.cap).to.equal('round');
+        expect(data.lineStyle.dash).to.eql([5, 5]);
+        expect(data.shape.closeStroke).to.be.false;
+    });
+
+    it('should keep the points of the path where they were added when the transform changes', function ()
+    {
+        const context = new GraphicsContext2D();
+
+        context.moveTo(0, 0);
+        context.lineTo(10, 0);
+        context.translate(100, 0);
+        context.lineTo(0, 10);
+        context.fill();
+
+        const data = context.graphics.geometry.graphicsData[0];
+        const points = [];
+
+        for (let i = 0; i < data.shape.points.length; i += 2)
+        {
+            const point = data.matrix.apply(new Point(data.shape.points[i], data.shape.points[i + 1]));
+
+            points.push(point.x, point.y);
+        }
+
+        expectPoints(points, [0, 0, 10, 0, 100, 10]);
+    });
+
+    it('should fill paths with the current transform and the fill rule', function ()
+    {
+        const context = new GraphicsContext2D();
+        const path = new GraphicsPath2D('M 0 0 h 30 v 30 h -30 Z M 10 10 h 10 v 10 h -10 Z');
+
+        context.rect(0, 0, 1, 1);
+        context.translate(5, 5);
+        context.fill(path, 'evenodd');
+        context.fill('evenodd');
+
+        const data = context.graphics.geometry.graphicsData;
+
+        expect(data).to.have.lengthOf(3);
+        expect(data[0].fillStyle).to.equal(data[1].fillStyle);
+        expect(data[0].fillStyle.fillRule).to.equal('evenodd');
+        expect(data[0].matrix.tx).to.equal(5);
+        expect(data[2].matrix).to.be.null;
+    });
+
+    it('should ignore paths while the transform is not invertible', function ()
+    {
+        const context = new GraphicsContext2D();
+
+        context.scale(0, 1);
+        context.rect(0, 0, 10, 10);
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.fill();
+
+        expect(context.graphics.geometry.graphicsData).to.have.lengthOf(0);
+    });
+});
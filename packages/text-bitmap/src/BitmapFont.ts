@@ -1,13 +1,15 @@
+import { ALPHA_MODES } from '@pixi/constants';
 import { getResolutionOfUrl } from '@pixi/utils';
 import { Rectangle } from '@pixi/math';
-import { Texture, BaseTexture } from '@pixi/core';
-import { TextStyle, TextMetrics } from '@pixi/text';
+import { Texture } from '@pixi/core';
+import { TextMetrics, TextStyle } from '@pixi/text';
 import { autoDetectFormat } from './formats';
 import { BitmapFontData } from './BitmapFontData';
-import { resolveCharacters, drawGlyph } from './utils';
+import { resolveCharacters, GlyphAtlas } from './utils';
 
 import type { Dict } from '@pixi/utils';
 import type { ITextStyle } from '@pixi/text';
+import type { IBitmapFontJSONData } from './formats/JSONFormat';
 
 export interface IBitmapFontCharacter
 {
@@ -26,6 +28,7 @@ export interface IBitmapFontOptions
     padding?: number;
     textureWidth?: number;
     textureHeight?: number;
+    dynamic?: boolean;
 }
 
 /**
@@ -85,6 +88,7 @@ export class BitmapFont
      * @property {number} textureHeight=512
      * @property {number} padding=4
      * @property {string|string[]|string[][]} chars = PIXI.BitmapFont.ALPHANUMERIC
+     * @property {boolean} dynamic=false
      */
     public static readonly defaultOptions: IBitmapFontOptions = {
         resolution: 1,
@@ -92,6 +96,7 @@ export class BitmapFont
         textureHeight: 512,
         padding: 4,
         chars: BitmapFont.ALPHANUMERIC,
+        dynamic: false,
     };
 
     /**
@@ -107,6 +112,9 @@ export class BitmapFont
     public readonly lineHeight: number;
     public readonly chars: Dict<IBitmapFontCharacter>;
     public readonly pageTextures: Dict<Texture>;
+    public readonly distanceFieldRange: number;
+    public readonly distanceFieldType: string;
+    private _atlas: GlyphAtlas;
 
     /**
      * @param {PIXI.BitmapFontData} data
@@ -117,6 +125,7 @@ export class BitmapFont
         const [info] = data.info;
         const [common] = data.common;
         const [page] = data.page;
+        const [distanceField] = data.distanceField || [];
         const res = getResolutionOfUrl(page.file);
         const pageTextures: Dict<Texture> = {};
 
@@ -161,6 +170,32 @@ export class BitmapFont
          */
         this.pageTextures = pageTextures;
 
+        /**
+         * The range of the distance field, in pixels of the page textures, or 0 for fonts without
+         * a distance field.
+         *
+         * @member {number}
+         * @readonly
+         */
+        this.distanceFieldRange = distanceField ? distanceField.distanceRange : 0;
+
+        /**
+         * The kind of distance field of the glyphs, like `'sdf'` or `'msdf'`, or `'none'` for fonts without
+         * a distance field. Text with distance field fonts stays sharp when scaled, see {@link PIXI.BitmapText}.
+         *
+         * @member {string}
+         * @readonly
+         */
+        this.distanceFieldType = distanceField ? distanceField.fieldType.toLowerCase() : 'none';
+
+        /**
+         * The pages the glyphs of dynamic fonts are added to.
+         *
+         * @member {object}
+         * @private
+         */
+        this._atlas = null;
+
         // Convert the input Texture, Textures or object
         // into a page Texture lookup by "id"
         for (let i = 0; i < data.page.length; i++)
@@ -169,6 +204,13 @@ export class BitmapFont
 
             pageTextures[id] = textures instanceof Array
                 ? textures[i] : textures[file];
+
+            // the distances are read from the color channels, which must not be premultiplied by alpha
+            if (distanceField)
+            {
+                pageTextures[id].baseTexture.alphaMode = ALPHA_MODES.PMA;
+                pageTextures[id].baseTexture.update();
+            }
         }
 
         // parse letters
@@ -221,6 +263,95 @@ export class BitmapFont
         }
     }
 
+    /**
+     * Whether the glyphs are generated as they are needed, see {@link PIXI.BitmapFont.from}.
+     *
+     * @member {boolean}
+     * @readonly
+     */
+    public get dynamic(): boolean
+    {
+        return this._atlas !== null;
+    }
+
+    /**
+     * Generates the glyphs of the characters of a text that dynamic fonts don't have yet, and measures the
+     * kerning of the pairs of characters of the text. Other fonts are left as they are.
+     *
+     * The glyphs are keyed by code point, the characters outside of the Basic Multilingual Plane are kept whole.
+     *
+     * @param {string} text - The text
+     * @return {boolean} `true` if glyphs were added.
+     */
+    public addChars(text: string): boolean
+    {
+        const atlas = this._atlas;
+
+        if (!atlas)
+        {
+            return false;
+        }
+
+        const chars = this.chars;
+        const updated: Texture[] = [];
+
+        for (let i = 0; i < text.length; i++)
+        {
+            const id = TextMetrics.getCodePoint(text, i);
+            const char = id > 0xFFFF ? text.substr(i++, 2) : text.charAt(i);
+
+            if (chars[id] || char === '\n' || char === '\r')
+            {
+                continue;
+            }
+
+            const { page, x, y, width, height, xadvance } = atlas.addGlyph(char);
+            const pageTexture = atlas.textures[page];
+
+            this.pageTextures[page] = pageTexture;
+
+            chars[id] = {
+                xOffset: 0,
+                yOffset: 0,
+                xAdvance: xadvance,
+                kerning: {},
+                texture: new Texture(pageTexture.baseTexture, new Rectangle(x, y, width, height)),
+                page,
+            };
+
+            if (updated.indexOf(pageTexture) === -1)
+            {
+                updated.push(pageTexture);
+            }
+        }
+
+        for (let i = 0; i < updated.length; i++)
+        {
+            updated[i].baseTexture.update();
+        }
+
+        // kerning is measured once for each pair, including the pairs without kerning
+        let prevId = -1;
+        let prevChar = '';
+
+        for (let i = 0; i < text.length; i++)
+        {
+            const id = TextMetrics.getCodePoint(text, i);
+            const char = id > 0xFFFF ? text.substr(i++, 2) : text.charAt(i);
+            const second = chars[id];
+
+            if (second && chars[prevId] && second.kerning[prevId] === undefined)
+            {
+                second.kerning[prevId] = atlas.measureKerning(prevChar, char);
+            }
+
+            prevId = id;
+            prevChar = char;
+        }
+
+        return updated.length > 0;
+    }
+
     /**
      * Remove references to created glyph textures.
      */
@@ -238,6 +369,8 @@ export class BitmapFont
             this.pageTextures[id] = null;
         }
 
+        this._atlas = null;
+
         // Set readonly null.
         (this as any).chars = null;
         (this as any).pageTextures = null;
@@ -247,15 +380,15 @@ export class BitmapFont
      * Register a new bitmap font.
      *
      * @static
-     * @param {XMLDocument|string|PIXI.BitmapFontData} data - The
-     *        characters map that could be provided as xml or raw string.
+     * @param {XMLDocument|string|PIXI.IBitmapFontJSONData|PIXI.BitmapFontData} data - The
+     *        characters map that could be provided as xml, raw string or parsed json.
      * @param {Object.<string, PIXI.Texture>|PIXI.Texture|PIXI.Texture[]}
      *        textures - List of textures for each page.
      * @return {PIXI.BitmapFont} Result font object with font, size, lineHeight
      *         and char fields.
      */
     public static install(
-        data: string|XMLDocument|BitmapFontData,
+        data: string|XMLDocument|IBitmapFontJSONData|BitmapFontData,
         textures: Texture|Texture[]|Dict<Texture>
     ): BitmapFont
     {
@@ -341,6 +474,9 @@ export class BitmapFont
      * @param {number} [options.textureWidth=512] - Optional width of atlas, smaller values to reduce memory.
      * @param {number} [options.textureHeight=512] - Optional height of atlas, smaller values to reduce memory.
      * @param {number} [options.padding=4] - Padding between glyphs on texture atlas.
+     * @param {boolean} [options.dynamic=false] - Generate the glyphs missing from `chars` the first time
+     *      a BitmapText shows them, so any text can be shown. The kerning is measured for the pairs of
+     *      characters met, and pages are added to the atlas as it fills up.
      * @return {PIXI.BitmapFont} Font generated by style options.
      * @static
      * @example
@@ -352,6 +488,11 @@ export class BitmapFont
      * });
      *
      * const title = new PIXI.BitmapText("This is the title", { fontName: "TitleFont" });
+     *
+     * // glyphs are added as they are needed, for large character sets
+     * PIXI.BitmapFont.from("ChatFont", { fontFamily: "sans-serif", fontSize: 16 }, { chars: " ", dynamic: true });
+     *
+     * const message = new PIXI.BitmapText("你好, world", { fontName: "ChatFont" });
      */
     public static from(name: string, textStyle?: TextStyle | Partial<ITextStyle>, options?: IBitmapFontOptions): BitmapFont
     {
@@ -365,12 +506,13 @@ export class BitmapFont
             padding,
             resolution,
             textureWidth,
-            textureHeight } = Object.assign(
+            textureHeight,
+            dynamic } = Object.assign(
             {}, BitmapFont.defaultOptions, options);
 
         const charsList = resolveCharacters(chars);
         const style = textStyle instanceof TextStyle ? textStyle : new TextStyle(textStyle);
-        const lineWidth = textureWidth;
+        const atlas = new GlyphAtlas(style, resolution, padding, textureWidth, textureHeight);
         const fontData = new BitmapFontData();
 
         fontData.info[0] = {
@@ -381,131 +523,47 @@ export class BitmapFont
             lineHeight: style.fontSize as number,
         };
 
-        let positionX = 0;
-        let positionY = 0;
-
-        let canvas: HTMLCanvasElement;
-        let context: CanvasRenderingContext2D;
-        let baseTexture: BaseTexture;
-        let maxCharHeight = 0;
-        const baseTextures: BaseTexture[] = [];
-        const textures: Texture[] = [];
-
         for (let i = 0; i < charsList.length; i++)
         {
-            if (!canvas)
-            {
-                canvas = document.createElement('canvas');
-                canvas.width = textureWidth;
-                canvas.height = textureHeight;
-
-                context = canvas.getContext('2d');
-                baseTexture = new BaseTexture(canvas, { resolution });
-
-                baseTextures.push(baseTexture);
-                textures.push(new Texture(baseTexture));
-
-                fontData.page.push({
-                    id: textures.length - 1,
-                    file: '',
-                });
-            }
-
-            // Measure glyph dimensions
-            const metrics = TextMetrics.measureText(charsList[i], style, false, canvas);
-            const width = metrics.width;
-            const height = Math.ceil(metrics.height);
-
-            // This is ugly - but italics are given more space so they don't overlap
-            const textureGlyphWidth = Math.ceil((style.fontStyle === 'italic' ? 2 : 1) * width);
-
-            // Can't fit char anymore: next canvas please!
-            if (positionY >= textureHeight - (height * resolution))
-            {
-                if (positionY === 0)
-                {
-                    // We don't want user debugging an infinite loop (or do we? :)
-                    throw new Error(`[BitmapFont] textureHeight ${textureHeight}px is `
-                        + `too small for ${style.fontSize}px fonts`);
-                }
-
-                --i;
-
-                // Create new atlas once current has filled up
-                canvas = null;
-                context = null;
-                baseTexture = null;
-                positionY = 0;
-                positionX = 0;
-                maxCharHeight = 0;
-
-                continue;
-            }
-
-            maxCharHeight = Math.max(height + metrics.fontProperties.descent, maxCharHeight);
-
-            // Wrap line once full row has been rendered
-            if ((textureGlyphWidth * resolution) + positionX >= lineWidth)
-            {
-                --i;
-                positionY += maxCharHeight * resolution;
-                positionY = Math.ceil(positionY);
-                positionX = 0;
-                maxCharHeight = 0;
-
-                continue;
-            }
+            fontData.char.push(atlas.addGlyph(charsList[i]));
+        }
 
-            drawGlyph(canvas, context, metrics, positionX, positionY, resolution, style);
-
-            // Unique (numeric) ID mapping to this glyph
-            const id = metrics.text.charCodeAt(0);
-
-            // Create a texture holding just the glyph
-            fontData.char.push({
-                id,
-                page: textures.length - 1,
-                x: positionX / resolution,
-                y: positionY / resolution,
-                width: textureGlyphWidth,
-                height,
-                xoffset: 0,
-                yoffset: 0,
-                xadvance: Math.ceil(width
-                        - (style.dropShadow ? style.dropShadowDistance : 0)
-                        - (style.stroke ? style.strokeThickness : 0)),
+        for (let i = 0; i < atlas.textures.length; i++)
+        {
+            fontData.page.push({
+                id: i,
+                file: '',
             });
-
-            positionX += (textureGlyphWidth + (2 * padding)) * resolution;
-            positionX = Math.ceil(positionX);
         }
 
         // Brute-force kerning info, this can be expensive b/c it's an O(n²),
-        // but we're using measureText which is native and fast.
-        for (let i = 0, len = charsList.length; i < len; i++)
+        // dynamic fonts only measure the pairs they meet
+        for (let i = 0, len = dynamic ? 0 : charsList.length; i < len; i++)
         {
             const first = charsList[i];
 
             for (let j = 0; j < len; j++)
             {
                 const second = charsList[j];
-                const c1 = context.measureText(first).width;
-                const c2 = context.measureText(second).width;
-                const total = context.measureText(first + second).width;
-                const amount = total - (c1 + c2);
+                const amount = atlas.measureKerning(first, second);
 
                 if (amount)
                 {
                     fontData.kerning.push({
-                        first: first.charCodeAt(0),
-                        second: second.charCodeAt(0),
+                        first: TextMetrics.getCodePoint(first, 0),
+                        second: TextMetrics.getCodePoint(second, 0),
                         amount,
                     });
                 }
             }
         }
 
-        const font = new BitmapFont(fontData, textures);
+        const font = new BitmapFont(fontData, atlas.textures);
+
+        if (dynamic)
+        {
+            font._atlas = atlas;
+        }
 
         // Make it easier to replace a font
         if (BitmapFont.available[name] !== undefined)
@@ -527,4 +585,5 @@ export class BitmapFont
  * @property {number} [padding=4] - the padding between glyphs in the atlas
  * @property {number} [textureWidth=512] - the width of the texture atlas
  * @property {number} [textureHeight=512] - the height of the texture atlas
+ * @property {boolean} [dynamic=false] - whether glyphs are generated as they are needed
  */
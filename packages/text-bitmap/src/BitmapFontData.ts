@@ -13,6 +13,7 @@ export class BitmapFontData
     public page: IBitmapFontDataPage[];
     public char: IBitmapFontDataChar[];
     public kerning: IBitmapFontDataKerning[];
+    public distanceField: IBitmapFontDataDistanceField[];
 
     constructor()
     {
@@ -45,6 +46,12 @@ export class BitmapFontData
          * @readOnly
          */
         this.kerning = [];
+
+        /**
+         * @member {PIXI.IBitmapFontDataDistanceField[]}
+         * @readOnly
+         */
+        this.distanceField = [];
     }
 }
 
@@ -80,6 +87,11 @@ export interface IBitmapFontDataKerning {
     amount: number;
 }
 
+export interface IBitmapFontDataDistanceField {
+    fieldType: string;
+    distanceRange: number;
+}
+
 /**
  * @memberof PIXI
  * @typedef {object} IBitmapFontDataInfo
@@ -121,3 +133,10 @@ export interface IBitmapFontDataKerning {
  * @property {number} second
  * @property {number} amount
  */
+
+/**
+ * @memberof PIXI
+ * @typedef {object} IBitmapFontDataDistanceField
+ * @property {string} fieldType
+ * @property {number} distanceRange
+ */
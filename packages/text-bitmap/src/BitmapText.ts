@@ -6,10 +6,13 @@ import { BitmapFont } from './BitmapFont';
 
 import type { Rectangle } from '@pixi/math';
 import { Texture } from '@pixi/core';
-import type { IBitmapTextStyle } from './BitmapTextStyle';
-import type { TextStyleAlign } from '@pixi/text';
+import { DistanceFieldMaterial } from './DistanceFieldMaterial';
+import type { IBitmapTextLineMetrics, IBitmapTextStyle } from './BitmapTextStyle';
+import type { TextFitMode, TextStyleAlign, TextStyleDirection, TextStyleOverflow } from '@pixi/text';
+import { parseImageTags, TextMetrics } from '@pixi/text';
 import { Container } from '@pixi/display';
 import type { IDestroyOptions } from '@pixi/display';
+import type { Renderer } from '@pixi/core';
 
 interface PageMeshData {
     index: number;
@@ -26,13 +29,49 @@ interface CharRenderData {
     texture: Texture;
     line: number;
     charCode: number;
+    index: number;
     position: Point;
     prevSpaces: number;
+    width: number;
+    height: number;
+    xOffset: number;
+    xAdvance: number;
+}
+
+interface ITextLayout {
+    chars: CharRenderData[];
+    lineWidths: number[];
+    lineSpaces: number[];
+    lineCount: number;
+    maxLineWidth: number;
+    maxLineHeight: number;
+    direction: TextStyleDirection;
 }
 
 const pageMeshDataPool: PageMeshData[] = [];
 const charRenderDataPool: CharRenderData[] = [];
 
+/**
+ * Creates the render data of a character, when the pool is empty.
+ *
+ * @private
+ */
+function createCharRenderData(): CharRenderData
+{
+    return {
+        texture: Texture.EMPTY,
+        line: 0,
+        charCode: 0,
+        index: 0,
+        prevSpaces: 0,
+        position: new Point(),
+        width: 0,
+        height: 0,
+        xOffset: 0,
+        xAdvance: 0,
+    };
+}
+
 /**
  * A BitmapText object will create a line or multiple lines of text using bitmap font.
  *
@@ -49,6 +88,15 @@ const charRenderDataPool: CharRenderData[] = [];
  *
  * A BitmapText can only be created when the font is loaded.
  *
+ * Textures are placed inline with the text by tags like `<img id="coin"/>`, see {@link PIXI.BitmapText#images}.
+ * They are as high as the line height of the font, or scaled by a `scale` attribute, and are wrapped and
+ * aligned like characters. They are tinted like the text.
+ *
+ * Fonts with a signed distance field, like the ones generated by msdf-bmfont, stay sharp at any scale so
+ * one font file serves all sizes. Their glyphs can have an outline and a shadow, see {@link PIXI.BitmapText#stroke}
+ * and {@link PIXI.BitmapText#dropShadow}, which are drawn by the {@link PIXI.DistanceFieldRenderer} plugin
+ * and batched like other meshes.
+ *
  * ```js
  * // in this case the font is in a file called 'desyrel.fnt'
  * let bitmapText = new PIXI.BitmapText("text using a fancy font!", {font: "35px Desyrel", align: "right"});
@@ -62,24 +110,60 @@ export class BitmapText extends Container
 {
     public static styleDefaults: Partial<IBitmapTextStyle> = {
         align: 'left',
+        direction: 'ltr',
         tint: 0xFFFFFF,
         maxWidth: 0,
+        maxLines: 0,
+        overflow: 'clip',
+        fitMode: 'none',
+        fitWidth: 0,
+        fitHeight: 0,
+        minFontSize: 1,
+        maxFontSize: 0,
         letterSpacing: 0,
+        smoothing: 1,
+        stroke: 0,
+        strokeThickness: 0,
+        dropShadow: false,
+        dropShadowAlpha: 1,
+        dropShadowAngle: Math.PI / 6,
+        dropShadowBlur: 0,
+        dropShadowColor: 0,
+        dropShadowDistance: 5,
     };
     public dirty: boolean;
     protected _textWidth: number;
     protected _textHeight: number;
     protected _text: string;
     protected _maxWidth: number;
+    protected _maxLines: number;
+    protected _overflow: TextStyleOverflow;
+    protected _fitMode: TextFitMode;
+    protected _fitWidth: number;
+    protected _fitHeight: number;
+    protected _minFontSize: number;
+    protected _maxFontSize: number;
+    protected _fitFontSize: number;
     protected _maxLineHeight: number;
     protected _letterSpacing: number;
     protected _anchor: ObservablePoint;
     protected _fontName: string;
     protected _fontSize: number;
     protected _align: TextStyleAlign;
+    protected _direction: TextStyleDirection;
     protected _activePagesMeshData: PageMeshData[];
     protected _tint = 0xFFFFFF;
     protected _roundPixels: boolean;
+    protected _images: Record<string, Texture>;
+    protected _smoothing: number;
+    protected _stroke: number;
+    protected _strokeThickness: number;
+    protected _dropShadow: boolean;
+    protected _dropShadowAlpha: number;
+    protected _dropShadowAngle: number;
+    protected _dropShadowBlur: number;
+    protected _dropShadowColor: number;
+    protected _dropShadowDistance: number;
     private _textureCache: Record<number, Texture>;
 
     /**
@@ -90,17 +174,61 @@ export class BitmapText extends Container
      *.     this will default to the BitmapFont size.
      * @param {string} [style.align='left'] - Alignment for multiline text ('left', 'center', 'right' or 'justify'),
      *      does not affect single line text.
+     * @param {string} [style.direction='ltr'] - The base direction of the text ('ltr', 'rtl' or 'auto' to take
+     *      the direction of its first strong character).
      * @param {number} [style.tint=0xFFFFFF] - The tint color.
      * @param {number} [style.letterSpacing=0] - The amount of spacing between letters.
      * @param {number} [style.maxWidth=0] - The max width of the text before line wrapping.
+     * @param {number} [style.maxLines=0] - The maximum number of lines, the following ones are cut off.
+     *      Unlimited if set to 0.
+     * @param {string} [style.overflow='clip'] - How lines are cut off ('clip' or 'ellipsis'), with 'ellipsis'
+     *      the last line ends with "…" when lines are cut off, and so do the words wider than maxWidth.
+     * @param {string} [style.fitMode='none'] - Fits the font size in fitWidth and fitHeight ('none', 'width',
+     *      'height' or 'contain' for both).
+     * @param {number} [style.fitWidth=0] - The width the text fits in.
+     * @param {number} [style.fitHeight=0] - The height the text fits in.
+     * @param {number} [style.minFontSize=1] - The smallest fitted font size.
+     * @param {number} [style.maxFontSize=0] - The largest fitted font size, the font size if 0.
+     * @param {number} [style.smoothing=1] - The width of the antialiased edges of distance field fonts, in pixels
+     *      of the screen.
+     * @param {number} [style.stroke=0x000000] - The color of the outline of distance field fonts.
+     * @param {number} [style.strokeThickness=0] - The thickness of the outline of distance field fonts.
+     * @param {boolean} [style.dropShadow=false] - Set a drop shadow for distance field fonts.
+     * @param {number} [style.dropShadowAlpha=1] - The opacity of the drop shadow.
+     * @param {number} [style.dropShadowAngle=Math.PI/6] - The angle of the drop shadow, in radians.
+     * @param {number} [style.dropShadowBlur=0] - The blur of the drop shadow.
+     * @param {number} [style.dropShadowColor=0x000000] - The color of the drop shadow.
+     * @param {number} [style.dropShadowDistance=5] - The distance of the drop shadow.
      */
     constructor(text: string, style: Partial<IBitmapTextStyle> = {})
     {
         super();
 
         // Apply the defaults
-        const { align, tint, maxWidth, letterSpacing, fontName, fontSize } = Object.assign(
-            {}, BitmapText.styleDefaults, style);
+        const {
+            align,
+            direction,
+            tint,
+            maxWidth,
+            maxLines,
+            overflow,
+            fitMode,
+            fitWidth,
+            fitHeight,
+            minFontSize,
+            maxFontSize,
+            letterSpacing,
+            fontName,
+            fontSize,
+            smoothing,
+            stroke,
+            strokeThickness,
+            dropShadow,
+            dropShadowAlpha,
+            dropShadowAngle,
+            dropShadowBlur,
+            dropShadowColor,
+            dropShadowDistance } = Object.assign({}, BitmapText.styleDefaults, style);
 
         if (!BitmapFont.available[fontName])
         {
@@ -139,6 +267,14 @@ export class BitmapText extends Container
          */
         this._align = align;
 
+        /**
+         * Private tracker for the current text direction.
+         *
+         * @member {string}
+         * @private
+         */
+        this._direction = direction;
+
         /**
          * Private tracker for the current tint.
          *
@@ -181,6 +317,70 @@ export class BitmapText extends Container
          */
         this._maxWidth = maxWidth;
 
+        /**
+         * Private tracker for the maximum number of lines.
+         *
+         * @member {number}
+         * @private
+         */
+        this._maxLines = maxLines;
+
+        /**
+         * Private tracker for how lines are cut off.
+         *
+         * @member {string}
+         * @private
+         */
+        this._overflow = overflow;
+
+        /**
+         * Private tracker for the fit of the font size.
+         *
+         * @member {string}
+         * @private
+         */
+        this._fitMode = fitMode;
+
+        /**
+         * Private tracker for the width to fit the text in.
+         *
+         * @member {number}
+         * @private
+         */
+        this._fitWidth = fitWidth;
+
+        /**
+         * Private tracker for the height to fit the text in.
+         *
+         * @member {number}
+         * @private
+         */
+        this._fitHeight = fitHeight;
+
+        /**
+         * Private tracker for the smallest fitted font size.
+         *
+         * @member {number}
+         * @private
+         */
+        this._minFontSize = minFontSize;
+
+        /**
+         * Private tracker for the largest fitted font size.
+         *
+         * @member {number}
+         * @private
+         */
+        this._maxFontSize = maxFontSize;
+
+        /**
+         * The fitted font size, 0 until it is measured.
+         *
+         * @member {number}
+         * @private
+         */
+        this._fitFontSize = 0;
+
         /**
          * The max line height. This is useful when trying to use the total height of the Text,
          * ie: when trying to vertically align. (Internally used)
@@ -226,131 +426,110 @@ export class BitmapText extends Container
          * @private
          */
         this._textureCache = {};
-    }
-
-    /**
-     * Renders text and updates it when needed. This should only be called
-     * if the BitmapFont is regenerated.
-     */
-    public updateText(): void
-    {
-        const data = BitmapFont.available[this._fontName];
-        const scale = this._fontSize / data.size;
-        const pos = new Point();
-        const chars: CharRenderData[] = [];
-        const lineWidths = [];
-        const lineSpaces = [];
-        const text = this._text.replace(/(?:\r\n|\r)/g, '\n') || ' ';
-        const textLength = text.length;
-        const maxWidth = this._maxWidth * data.size / this._fontSize;
-
-        let prevCharCode = null;
-        let lastLineWidth = 0;
-        let maxLineWidth = 0;
-        let line = 0;
-        let lastBreakPos = -1;
-        let lastBreakWidth = 0;
-        let spacesRemoved = 0;
-        let maxLineHeight = 0;
-        let spaceCount = 0;
-
-        for (let i = 0; i < textLength; i++)
-        {
-            const charCode = text.charCodeAt(i);
-            const char = text.charAt(i);
-
-            if ((/(?:\s)/).test(char))
-            {
-                lastBreakPos = i;
-                lastBreakWidth = lastLineWidth;
-                spaceCount++;
-            }
-
-            if (char === '\r' || char === '\n')
-            {
-                lineWidths.push(lastLineWidth);
-                lineSpaces.push(-1);
-                maxLineWidth = Math.max(maxLineWidth, lastLineWidth);
-                ++line;
-                ++spacesRemoved;
-
-                pos.x = 0;
-                pos.y += data.lineHeight;
-                prevCharCode = null;
-                spaceCount = 0;
-                continue;
-            }
 
-            const charData = data.chars[charCode];
+        /**
+         * Private tracker for the textures of the images.
+         *
+         * @member {Object<string, PIXI.Texture>}
+         * @private
+         */
+        this._images = {};
 
-            if (!charData)
-            {
-                continue;
-            }
+        /**
+         * Private tracker for the smoothing of distance field fonts.
+         *
+         * @member {number}
+         * @private
+         */
+        this._smoothing = smoothing;
 
-            if (prevCharCode && charData.kerning[prevCharCode])
-            {
-                pos.x += charData.kerning[prevCharCode];
-            }
+        /**
+         * Private tracker for the outline color.
+         *
+         * @member {number}
+         * @private
+         */
+        this._stroke = stroke;
 
-            const charRenderData = charRenderDataPool.pop() || {
-                texture: Texture.EMPTY,
-                line: 0,
-                charCode: 0,
-                prevSpaces: 0,
-                position: new Point(),
-            };
+        /**
+         * Private tracker for the outline thickness.
+         *
+         * @member {number}
+         * @private
+         */
+        this._strokeThickness = strokeThickness;
 
-            charRenderData.texture = charData.texture;
-            charRenderData.line = line;
-            charRenderData.charCode = charCode;
-            charRenderData.position.x = pos.x + charData.xOffset + (this._letterSpacing / 2);
-            charRenderData.position.y = pos.y + charData.yOffset;
-            charRenderData.prevSpaces = spaceCount;
+        /**
+         * Private tracker for the drop shadow.
+         *
+         * @member {boolean}
+         * @private
+         */
+        this._dropShadow = dropShadow;
 
-            chars.push(charRenderData);
+        /**
+         * Private tracker for the drop shadow opacity.
+         *
+         * @member {number}
+         * @private
+         */
+        this._dropShadowAlpha = dropShadowAlpha;
 
-            pos.x += charData.xAdvance + this._letterSpacing;
-            lastLineWidth = pos.x;
-            maxLineHeight = Math.max(maxLineHeight, (charData.yOffset + charData.texture.height));
-            prevCharCode = charCode;
+        /**
+         * Private tracker for the drop shadow angle.
+         *
+         * @member {number}
+         * @private
+         */
+        this._dropShadowAngle = dropShadowAngle;
 
-            if (lastBreakPos !== -1 && maxWidth > 0 && pos.x > maxWidth)
-            {
-                ++spacesRemoved;
-                removeItems(chars, 1 + lastBreakPos - spacesRemoved, 1 + i - lastBreakPos);
-                i = lastBreakPos;
-                lastBreakPos = -1;
+        /**
+         * Private tracker for the drop shadow blur.
+         *
+         * @member {number}
+         * @private
+         */
+        this._dropShadowBlur = dropShadowBlur;
 
-                lineWidths.push(lastBreakWidth);
-                lineSpaces.push(chars.length > 0 ? chars[chars.length - 1].prevSpaces : 0);
-                maxLineWidth = Math.max(maxLineWidth, lastBreakWidth);
-                line++;
+        /**
+         * Private tracker for the drop shadow color.
+         *
+         * @member {number}
+         * @private
+         */
+        this._dropShadowColor = dropShadowColor;
 
-                pos.x = 0;
-                pos.y += data.lineHeight;
-                prevCharCode = null;
-                spaceCount = 0;
-            }
-        }
+        /**
+         * Private tracker for the drop shadow distance.
+         *
+         * @member {number}
+         * @private
+         */
+        this._dropShadowDistance = dropShadowDistance;
+    }
 
-        const lastChar = text.charAt(text.length - 1);
+    /**
+     * Renders text and updates it when needed. This should only be called
+     * if the BitmapFont is regenerated.
+     */
+    public updateText(): void
+    {
+        const data = BitmapFont.available[this._fontName];
 
-        if (lastChar !== '\r' && lastChar !== '\n')
+        // the fitted font size is kept until the text or the style change
+        if (this._fitMode !== 'none' && !this._fitFontSize)
         {
-            if ((/(?:\s)/).test(lastChar))
-            {
-                lastLineWidth = lastBreakWidth;
-            }
-
-            lineWidths.push(lastLineWidth);
-            maxLineWidth = Math.max(maxLineWidth, lastLineWidth);
-            lineSpaces.push(-1);
+            this._fitFontSize = this.measureFitFontSize();
         }
 
+        const fontSize = this._fitFontSize || this._fontSize;
+        const scale = fontSize / data.size;
+        const { chars, lineWidths, lineSpaces, lineCount, maxLineWidth, maxLineHeight, direction }
+            = this.layoutText(fontSize);
+
         const lineAlignOffsets = [];
 
-        for (let i = 0; i <= line; i++)
+        for (let i = 0; i < lineCount; i++)
         {
             let alignOffset = 0;
 
@@ -362,9 +541,13 @@ export class BitmapText extends Container
             {
                 alignOffset = (maxLineWidth - lineWidths[i]) / 2;
             }
-            else if (this._align === 'justify')
+            else if (this._align === 'justify' && lineSpaces[i] >= 0)
+            {
+                alignOffset = (maxLineWidth - lineWidths[i]) / lineSpaces[i];
+            }
+            else if (this._align === 'justify' && direction === 'rtl')
             {
-                alignOffset = lineSpaces[i] < 0 ? 0 : (maxLineWidth - lineWidths[i]) / lineSpaces[i];
+                alignOffset = maxLineWidth - lineWidths[i];
             }
 
             lineAlignOffsets.push(alignOffset);
@@ -383,6 +566,17 @@ export class BitmapText extends Container
             pageMeshDataPool.push(activePagesMeshData[i]);
         }
 
+        // the pages of distance field fonts use their own material, unlike the images placed in the text
+        const fieldPages: Record<number, boolean> = {};
+
+        if (data.distanceFieldType !== 'none')
+        {
+            for (const id in data.pageTextures)
+            {
+                fieldPages[data.pageTextures[id].baseTexture.uid] = true;
+            }
+        }
+
         for (let i = 0; i < lenChars; i++)
         {
             const texture = chars[i].texture;
@@ -419,6 +613,15 @@ export class BitmapText extends Container
                 pageMeshData.uvsCount = 0;
                 pageMeshData.total = 0;
 
+                const distanceField = !!fieldPages[baseTextureUid];
+
+                if (distanceField !== pageMeshData.mesh.material instanceof DistanceFieldMaterial)
+                {
+                    pageMeshData.mesh.material = distanceField
+                        ? new DistanceFieldMaterial(Texture.EMPTY)
+                        : new MeshMaterial(Texture.EMPTY);
+                }
+
                 // TODO need to get page texture here somehow..
                 const { _textureCache } = this;
 
@@ -491,7 +694,8 @@ export class BitmapText extends Container
         for (let i = 0; i < lenChars; i++)
         {
             const char = chars[i];
-            let offset = char.position.x + (lineAlignOffsets[char.line] * (this._align === 'justify' ? char.prevSpaces : 1));
+            const justified = this._align === 'justify' && lineSpaces[char.line] >= 0;
+            let offset = char.position.x + (lineAlignOffsets[char.line] * (justified ? char.prevSpaces : 1));
 
             if (this._roundPixels)
             {
@@ -504,7 +708,6 @@ export class BitmapText extends Container
 
             const pageMesh = pagesMeshData[texture.baseTexture.uid];
 
-            const textureFrame = texture.frame;
             const textureUvs = texture._uvs;
 
             const index = pageMesh.index++;
@@ -519,14 +722,14 @@ export class BitmapText extends Container
             pageMesh.vertices[(index * 8) + 0] = xPos;
             pageMesh.vertices[(index * 8) + 1] = yPos;
 
-            pageMesh.vertices[(index * 8) + 2] = xPos + (textureFrame.width * scale);
+            pageMesh.vertices[(index * 8) + 2] = xPos + (char.width * scale);
             pageMesh.vertices[(index * 8) + 3] = yPos;
 
-            pageMesh.vertices[(index * 8) + 4] = xPos + (textureFrame.width * scale);
-            pageMesh.vertices[(index * 8) + 5] = yPos + (textureFrame.height * scale);
+            pageMesh.vertices[(index * 8) + 4] = xPos + (char.width * scale);
+            pageMesh.vertices[(index * 8) + 5] = yPos + (char.height * scale);
 
             pageMesh.vertices[(index * 8) + 6] = xPos;
-            pageMesh.vertices[(index * 8) + 7] = yPos + (textureFrame.height * scale);
+            pageMesh.vertices[(index * 8) + 7] = yPos + (char.height * scale);
 
             pageMesh.uvs[(index * 8) + 0] = textureUvs.x0;
             pageMesh.uvs[(index * 8) + 1] = textureUvs.y0;
@@ -542,7 +745,7 @@ export class BitmapText extends Container
         }
 
         this._textWidth = maxLineWidth * scale;
-        this._textHeight = (pos.y + data.lineHeight) * scale;
+        this._textHeight = lineCount * data.lineHeight * scale;
 
         for (const i in pagesMeshData)
         {
@@ -594,35 +797,504 @@ export class BitmapText extends Container
     }
 
     /**
-     * Updates the transform of this object
+     * Lays out the characters of the text with a font size, without building its meshes: breaks the lines,
+     * cuts them off with an ellipsis and orders the right-to-left runs. The characters are taken from the pool,
+     * and must be given back to it once used.
      *
-     * @private
+     * @protected
+     * @param {number} fontSize - The font size
+     * @return {object} The characters, positioned in the units of the font, and the metrics of the lines
      */
-    updateTransform(): void
+    protected layoutText(fontSize: number): ITextLayout
     {
-        this.validate();
-        this.containerUpdateTransform();
-    }
+        const data = BitmapFont.available[this._fontName];
+        const pos = new Point();
+        const chars: CharRenderData[] = [];
+        const lineWidths = [];
+        const lineSpaces = [];
+        const parsed = parseImageTags(this._text.replace(/(?:\r\n|\r)/g, '\n') || ' ', this._images);
+        const direction = TextMetrics.getBidiDirection(parsed.text, this._direction);
+        const levels = TextMetrics.getBidiLevels(parsed.text, direction);
+        const text = TextMetrics.mirrorBidiText(parsed.text, levels);
+        const images = parsed.images;
+        const textLength = text.length;
+        const maxWidth = this._maxWidth * data.size / fontSize;
 
-    /**
-     * Validates text before calling parent's getLocalBounds
-     *
-     * @return {PIXI.Rectangle} The rectangular bounding area
-     */
-    public getLocalBounds(): Rectangle
-    {
-        this.validate();
+        // dynamic fonts generate the glyphs they don't have yet
+        data.addChars(this._overflow === 'ellipsis' ? text + TextMetrics.ELLIPSIS : text);
 
-        return super.getLocalBounds();
-    }
+        let prevCharCode = null;
+        let lastLineWidth = 0;
+        let maxLineWidth = 0;
+        let line = 0;
+        let lastBreakPos = -1;
+        let lastBreakWidth = 0;
+        let maxLineHeight = 0;
+        let spaceCount = 0;
+        let truncated = false;
 
-    /**
-     * Updates text when needed
-     *
-     * @private
-     */
-    protected validate(): void
-    {
+        for (let i = 0; i < textLength; i++)
+        {
+            const charCode = TextMetrics.getCodePoint(text, i);
+            const char = text.charAt(i);
+
+            // the second half of a surrogate pair is drawn with the first one
+            if (TextMetrics.isLowSurrogate(text, i))
+            {
+                continue;
+            }
+
+            if ((/(?:\s)/).test(char))
+            {
+                lastBreakPos = i;
+                lastBreakWidth = lastLineWidth;
+                spaceCount++;
+            }
+
+            if (char === '\r' || char === '\n')
+            {
+                lineWidths.push(lastLineWidth);
+                lineSpaces.push(-1);
+                maxLineWidth = Math.max(maxLineWidth, lastLineWidth);
+
+                // the lines after maxLines are cut off, unless only an empty line is left
+                if (this._maxLines > 0 && line + 1 >= this._maxLines && i < textLength - 1)
+                {
+                    truncated = true;
+                    break;
+                }
+
+                ++line;
+
+                pos.x = 0;
+                pos.y += data.lineHeight;
+                prevCharCode = null;
+                spaceCount = 0;
+                continue;
+            }
+
+            const image = images[i];
+            const charData = image ? null : data.chars[charCode];
+
+            if (!charData && !image)
+            {
+                continue;
+            }
+
+            if (prevCharCode && charData && charData.kerning[prevCharCode])
+            {
+                pos.x += charData.kerning[prevCharCode];
+            }
+
+            const charRenderData = charRenderDataPool.pop() || createCharRenderData();
+            let xAdvance: number;
+
+            if (image)
+            {
+                // images are as high as the lines, and centered on them
+                const frame = image.texture.frame;
+                const height = data.lineHeight * image.scale;
+
+                if (!image.texture.valid)
+                {
+                    image.texture.off('update', this.onImageUpdate, this);
+                    image.texture.once('update', this.onImageUpdate, this);
+                }
+
+                xAdvance = frame.height > 0 ? height * frame.width / frame.height : 0;
+
+                charRenderData.texture = image.texture;
+                charRenderData.xOffset = this._letterSpacing / 2;
+                charRenderData.position.y = pos.y + ((data.lineHeight - height) / 2);
+                charRenderData.width = xAdvance;
+                charRenderData.height = height;
+            }
+            else
+            {
+                xAdvance = charData.xAdvance;
+
+                charRenderData.texture = charData.texture;
+                charRenderData.xOffset = charData.xOffset + (this._letterSpacing / 2);
+                charRenderData.position.y = pos.y + charData.yOffset;
+                charRenderData.width = charData.texture.frame.width;
+                charRenderData.height = charData.texture.frame.height;
+            }
+
+            charRenderData.position.x = pos.x + charRenderData.xOffset;
+            charRenderData.line = line;
+            charRenderData.charCode = charCode;
+            charRenderData.index = i;
+            charRenderData.prevSpaces = spaceCount;
+            charRenderData.xAdvance = xAdvance;
+
+            chars.push(charRenderData);
+
+            pos.x += xAdvance + this._letterSpacing;
+            lastLineWidth = pos.x;
+            maxLineHeight = Math.max(maxLineHeight, charRenderData.position.y - pos.y + charRenderData.height);
+            prevCharCode = image ? null : charCode;
+
+            if (lastBreakPos !== -1 && maxWidth > 0 && pos.x > maxWidth)
+            {
+                let breakIndex = chars.length;
+
+                // the characters are found by index, surrogate pairs and missing glyphs have no entries of their own
+                while (breakIndex > 0 && chars[breakIndex - 1].index >= lastBreakPos)
+                {
+                    breakIndex--;
+                }
+
+                removeItems(chars, breakIndex, chars.length - breakIndex);
+                i = lastBreakPos;
+                lastBreakPos = -1;
+
+                lineWidths.push(lastBreakWidth);
+                lineSpaces.push(chars.length > 0 ? chars[chars.length - 1].prevSpaces : 0);
+                maxLineWidth = Math.max(maxLineWidth, lastBreakWidth);
+
+                if (this._maxLines > 0 && line + 1 >= this._maxLines)
+                {
+                    truncated = true;
+                    break;
+                }
+
+                line++;
+
+                pos.x = 0;
+                pos.y += data.lineHeight;
+                prevCharCode = null;
+                spaceCount = 0;
+            }
+        }
+
+        const lastChar = text.charAt(text.length - 1);
+
+        if (!truncated && lastChar !== '\r' && lastChar !== '\n')
+        {
+            if ((/(?:\s)/).test(lastChar))
+            {
+                lastLineWidth = lastBreakWidth;
+            }
+
+            lineWidths.push(lastLineWidth);
+            maxLineWidth = Math.max(maxLineWidth, lastLineWidth);
+            lineSpaces.push(-1);
+        }
+
+        // the last line when lines are cut off, and the words wider than maxWidth, end with an ellipsis
+        if (this._overflow === 'ellipsis')
+        {
+            const ellipsis = TextMetrics.ELLIPSIS.split('').every((char) => data.chars[char.charCodeAt(0)])
+                ? TextMetrics.ELLIPSIS
+                : '...';
+            let ellipsisWidth = 0;
+
+            for (let i = 0; i < ellipsis.length; i++)
+            {
+                const charData = data.chars[ellipsis.charCodeAt(i)];
+
+                ellipsisWidth += charData ? charData.xAdvance + this._letterSpacing : 0;
+            }
+
+            // from the last line, so the characters of the previous ones keep their index
+            let lineEnd = chars.length;
+
+            for (let l = line; l >= 0; l--)
+            {
+                let lineStart = lineEnd;
+
+                while (lineStart > 0 && chars[lineStart - 1].line === l)
+                {
+                    lineStart--;
+                }
+
+                if ((truncated && l === line) || (maxWidth > 0 && lineWidths[l] > maxWidth))
+                {
+                    const right = maxWidth > 0 ? maxWidth - ellipsisWidth : Infinity;
+                    let end = lineEnd;
+                    let x = 0;
+
+                    // remove the trailing spaces and the characters that leave no room for the ellipsis
+                    while (end > lineStart)
+                    {
+                        const last = chars[end - 1];
+
+                        x = last.position.x - last.xOffset + last.xAdvance + this._letterSpacing;
+
+                        if (x <= right && !(/(?:\s)/).test(text.charAt(last.index)))
+                        {
+                            break;
+                        }
+
+                        charRenderDataPool.push(last);
+                        end--;
+                        x = 0;
+                    }
+
+                    chars.splice(end, lineEnd - end);
+
+                    let prevCharCode = end > lineStart && !images[chars[end - 1].index] ? chars[end - 1].charCode : null;
+
+                    for (let i = 0; i < ellipsis.length; i++)
+                    {
+                        const charCode = ellipsis.charCodeAt(i);
+                        const charData = data.chars[charCode];
+
+                        if (!charData)
+                        {
+                            continue;
+                        }
+
+                        if (prevCharCode && charData.kerning[prevCharCode])
+                        {
+                            x += charData.kerning[prevCharCode];
+                        }
+
+                        const charRenderData = charRenderDataPool.pop() || createCharRenderData();
+
+                        charRenderData.texture = charData.texture;
+                        charRenderData.line = l;
+                        charRenderData.charCode = charCode;
+                        charRenderData.index = -1;
+                        charRenderData.prevSpaces = 0;
+                        charRenderData.xOffset = charData.xOffset + (this._letterSpacing / 2);
+                        charRenderData.xAdvance = charData.xAdvance;
+                        charRenderData.position.x = x + charRenderData.xOffset;
+                        charRenderData.position.y = (l * data.lineHeight) + charData.yOffset;
+                        charRenderData.width = charData.texture.frame.width;
+                        charRenderData.height = charData.texture.frame.height;
+
+                        chars.splice(end++, 0, charRenderData);
+
+                        x += charData.xAdvance + this._letterSpacing;
+                        maxLineHeight = Math.max(maxLineHeight, charData.yOffset + charRenderData.height);
+                        prevCharCode = charCode;
+                    }
+
+                    // the lines ending with an ellipsis are not justified
+                    lineWidths[l] = x;
+                    lineSpaces[l] = -1;
+                }
+
+                lineEnd = lineStart;
+            }
+
+            maxLineWidth = 0;
+
+            for (let i = 0; i < lineWidths.length; i++)
+            {
+                maxLineWidth = Math.max(maxLineWidth, lineWidths[i]);
+            }
+        }
+
+        // the lines with right-to-left runs are laid out again from the left, in the order they are displayed
+        const baseLevel = direction === 'rtl' ? 1 : 0;
+        let lineStart = 0;
+
+        while (lineStart < chars.length)
+        {
+            const lineChars = [];
+            const lineLevels = [];
+            let reversed = false;
+
+            for (let i = lineStart; i < chars.length && chars[i].line === chars[lineStart].line; i++)
+            {
+                // the ellipsis ends the line, at the base level
+                const level = chars[i].index < 0 ? baseLevel : levels[chars[i].index];
+
+                lineChars.push(chars[i]);
+                lineLevels.push(level);
+                reversed = reversed || level > 0;
+            }
+
+            lineStart += lineChars.length;
+
+            if (!reversed)
+            {
+                continue;
+            }
+
+            const order = TextMetrics.getVisualOrder(lineLevels);
+            let x = 0;
+            let prevCharCode = null;
+            let prevSpaces = 0;
+
+            for (let i = 0; i < order.length; i++)
+            {
+                const char = lineChars[order[i]];
+                const charData = images[char.index] ? null : data.chars[char.charCode];
+
+                if (prevCharCode && charData && charData.kerning[prevCharCode])
+                {
+                    x += charData.kerning[prevCharCode];
+                }
+
+                if ((/(?:\s)/).test(text.charAt(char.index)))
+                {
+                    prevSpaces++;
+                }
+
+                char.position.x = x + char.xOffset;
+                char.prevSpaces = prevSpaces;
+
+                x += char.xAdvance + this._letterSpacing;
+                prevCharCode = charData ? char.charCode : null;
+            }
+        }
+
+        return {
+            chars,
+            lineWidths,
+            lineSpaces,
+            lineCount: line + 1,
+            maxLineWidth,
+            maxLineHeight,
+            direction,
+        };
+    }
+
+    /**
+     * Updates the text when the texture of one of its images is loaded.
+     *
+     * @private
+     */
+    private onImageUpdate(): void
+    {
+        this._fitFontSize = 0;
+        this.dirty = true;
+    }
+
+    /**
+     * Finds the largest font size, in whole pixels, with which the text fits, see {@link PIXI.BitmapText#fitMode}.
+     * The text is laid out with each tried size, without building the meshes.
+     *
+     * @protected
+     * @return {number} The font size.
+     */
+    protected measureFitFontSize(): number
+    {
+        const data = BitmapFont.available[this._fontName];
+        const fitWidth = this._fitMode === 'height' ? 0 : this._fitWidth;
+        const fitHeight = this._fitMode === 'width' ? 0 : this._fitHeight;
+        const fits = (fontSize: number): boolean =>
+        {
+            const { chars, lineCount, maxLineWidth } = this.layoutText(fontSize);
+            const scale = fontSize / data.size;
+
+            for (let i = 0; i < chars.length; i++)
+            {
+                charRenderDataPool.push(chars[i]);
+            }
+
+            return (!fitWidth || maxLineWidth * scale <= fitWidth)
+                && (!fitHeight || lineCount * data.lineHeight * scale <= fitHeight);
+        };
+
+        let low = Math.max(1, Math.ceil(this._minFontSize));
+        let high = Math.max(low, Math.floor(this._maxFontSize || this._fontSize));
+
+        if (fits(high))
+        {
+            return high;
+        }
+
+        // the text does not fit with the high size, and fits with the low one unless it is the minimum
+        while (high - low > 1)
+        {
+            const fontSize = Math.floor((low + high) / 2);
+
+            if (fits(fontSize))
+            {
+                low = fontSize;
+            }
+            else
+            {
+                high = fontSize;
+            }
+        }
+
+        return low;
+    }
+
+    /**
+     * Updates the materials of distance field fonts to the scale of the text on the screen.
+     *
+     * @protected
+     * @param {PIXI.Renderer} renderer - The renderer
+     */
+    protected _render(renderer: Renderer): void
+    {
+        const data = BitmapFont.available[this._fontName];
+
+        if (data.distanceFieldType === 'none')
+        {
+            return;
+        }
+
+        const { a, b, c, d } = this.worldTransform;
+        const target = renderer.renderTexture.current;
+        const resolution = target ? target.baseTexture.resolution : renderer.resolution;
+        const screenScale = Math.sqrt(Math.abs((a * d) - (b * c))) * resolution;
+        const fontScale = (this._fitFontSize || this._fontSize) / data.size;
+        const shadowX = Math.cos(this._dropShadowAngle) * this._dropShadowDistance / fontScale;
+        const shadowY = Math.sin(this._dropShadowAngle) * this._dropShadowDistance / fontScale;
+
+        for (let i = 0; i < this._activePagesMeshData.length; i++)
+        {
+            const material = this._activePagesMeshData[i].mesh.material;
+
+            if (!(material instanceof DistanceFieldMaterial))
+            {
+                continue;
+            }
+
+            const baseTexture = material.texture.baseTexture;
+
+            material.pixelRange = data.distanceFieldRange / baseTexture.resolution * fontScale * screenScale;
+            material.smoothing = this._smoothing;
+            material.strokeWidth = this._strokeThickness / 2 * screenScale;
+            material.strokeColor = this._stroke;
+            material.strokeAlpha = this._strokeThickness > 0 ? 1 : 0;
+            material.shadowColor = this._dropShadowColor;
+            material.shadowAlpha = this._dropShadow ? this._dropShadowAlpha : 0;
+            material.shadowSoftness = this._dropShadow ? this._dropShadowBlur * screenScale : 0;
+            material.shadowOffset.set(
+                this._dropShadow ? shadowX / baseTexture.width : 0,
+                this._dropShadow ? shadowY / baseTexture.height : 0
+            );
+        }
+    }
+
+    /**
+     * Updates the transform of this object
+     *
+     * @private
+     */
+    updateTransform(): void
+    {
+        this.validate();
+        this.containerUpdateTransform();
+    }
+
+    /**
+     * Validates text before calling parent's getLocalBounds
+     *
+     * @return {PIXI.Rectangle} The rectangular bounding area
+     */
+    public getLocalBounds(): Rectangle
+    {
+        this.validate();
+
+        return super.getLocalBounds();
+    }
+
+    /**
+     * Updates text when needed
+     *
+     * @private
+     */
+    protected validate(): void
+    {
         if (this.dirty)
         {
             this.updateText();
@@ -673,6 +1345,181 @@ export class BitmapText extends Container
         }
     }
 
+    /**
+     * The base direction of the text: 'ltr', 'rtl' or 'auto' to take the direction of its first strong character.
+     * Runs of the other direction are reordered, and the lines of right-to-left text that are not justified
+     * are aligned to the right when the align is 'justify'.
+     *
+     * @member {string}
+     * @default 'ltr'
+     */
+    public get direction(): TextStyleDirection
+    {
+        return this._direction;
+    }
+
+    public set direction(value: TextStyleDirection)
+    {
+        if (this._direction !== value)
+        {
+            this._direction = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The maximum number of lines, the following ones are cut off. Unlimited if set to 0.
+     *
+     * @member {number}
+     * @default 0
+     */
+    public get maxLines(): number
+    {
+        return this._maxLines;
+    }
+
+    public set maxLines(value: number)
+    {
+        if (this._maxLines !== value)
+        {
+            this._maxLines = value;
+            this._fitFontSize = 0;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * How lines are cut off: 'clip' or 'ellipsis'. With 'ellipsis', the last line ends with "…" when lines are
+     * cut off after {@link PIXI.BitmapText#maxLines}, and so do the words wider than {@link PIXI.BitmapText#maxWidth}.
+     * Fonts without the "…" glyph use three periods.
+     *
+     * @member {string}
+     * @default 'clip'
+     */
+    public get overflow(): TextStyleOverflow
+    {
+        return this._overflow;
+    }
+
+    public set overflow(value: TextStyleOverflow)
+    {
+        if (this._overflow !== value)
+        {
+            this._overflow = value;
+            this._fitFontSize = 0;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Fits the font size of the text in {@link PIXI.BitmapText#fitWidth} and {@link PIXI.BitmapText#fitHeight}:
+     * 'none', 'width', 'height' or 'contain' for both. The largest font size with which the text fits,
+     * wrapped at {@link PIXI.BitmapText#maxWidth}, is used between {@link PIXI.BitmapText#minFontSize} and
+     * {@link PIXI.BitmapText#maxFontSize}. It is measured again when the text or its layout change.
+     *
+     * @member {string}
+     * @default 'none'
+     */
+    public get fitMode(): TextFitMode
+    {
+        return this._fitMode;
+    }
+
+    public set fitMode(value: TextFitMode)
+    {
+        if (this._fitMode !== value)
+        {
+            this._fitMode = value;
+            this._fitFontSize = 0;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The width the text fits in, see {@link PIXI.BitmapText#fitMode}.
+     *
+     * @member {number}
+     * @default 0
+     */
+    public get fitWidth(): number
+    {
+        return this._fitWidth;
+    }
+
+    public set fitWidth(value: number)
+    {
+        if (this._fitWidth !== value)
+        {
+            this._fitWidth = value;
+            this._fitFontSize = 0;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The height the text fits in, see {@link PIXI.BitmapText#fitMode}.
+     *
+     * @member {number}
+     * @default 0
+     */
+    public get fitHeight(): number
+    {
+        return this._fitHeight;
+    }
+
+    public set fitHeight(value: number)
+    {
+        if (this._fitHeight !== value)
+        {
+            this._fitHeight = value;
+            this._fitFontSize = 0;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The smallest font size when fitting the text, it is used even if the text does not fit with it.
+     *
+     * @member {number}
+     * @default 1
+     */
+    public get minFontSize(): number
+    {
+        return this._minFontSize;
+    }
+
+    public set minFontSize(value: number)
+    {
+        if (this._minFontSize !== value)
+        {
+            this._minFontSize = value;
+            this._fitFontSize = 0;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The largest font size when fitting the text. If 0, {@link PIXI.BitmapText#fontSize} is the largest,
+     * so the text only shrinks.
+     *
+     * @member {number}
+     * @default 0
+     */
+    public get maxFontSize(): number
+    {
+        return this._maxFontSize;
+    }
+
+    public set maxFontSize(value: number)
+    {
+        if (this._maxFontSize !== value)
+        {
+            this._maxFontSize = value;
+            this._fitFontSize = 0;
+            this.dirty = true;
+        }
+    }
+
     /**
      * The name of the BitmapFont.
      *
@@ -693,6 +1540,7 @@ export class BitmapText extends Container
         if (this._fontName !== value)
         {
             this._fontName = value;
+            this._fitFontSize = 0;
             this.dirty = true;
         }
     }
@@ -712,6 +1560,7 @@ export class BitmapText extends Container
         if (this._fontSize !== value)
         {
             this._fontSize = value;
+            this._fitFontSize = 0;
             this.dirty = true;
         }
     }
@@ -763,6 +1612,7 @@ export class BitmapText extends Container
             return;
         }
         this._text = text;
+        this._fitFontSize = 0;
         this.dirty = true;
     }
 
@@ -785,6 +1635,7 @@ export class BitmapText extends Container
             return;
         }
         this._maxWidth = value;
+        this._fitFontSize = 0;
         this.dirty = true;
     }
 
@@ -831,6 +1682,7 @@ export class BitmapText extends Container
         if (this._letterSpacing !== value)
         {
             this._letterSpacing = value;
+            this._fitFontSize = 0;
             this.dirty = true;
         }
     }
@@ -858,6 +1710,169 @@ export class BitmapText extends Container
         }
     }
 
+    /**
+     * The textures of the images placed by tags like `<img id="coin"/>`, by their id. Images whose
+     * id is not found here are looked up in the texture cache, like the frames of loaded spritesheets.
+     *
+     * @member {Object<string, PIXI.Texture>}
+     */
+    public get images(): Record<string, Texture>
+    {
+        return this._images;
+    }
+
+    public set images(value: Record<string, Texture>)
+    {
+        this._images = value || {};
+        this._fitFontSize = 0;
+        this.dirty = true;
+    }
+
+    /**
+     * The width of the antialiased edges of distance field fonts, in pixels of the screen.
+     *
+     * @member {number}
+     * @default 1
+     */
+    public get smoothing(): number
+    {
+        return this._smoothing;
+    }
+
+    public set smoothing(value: number)
+    {
+        this._smoothing = value;
+    }
+
+    /**
+     * The color of the outline of distance field fonts.
+     *
+     * @member {number}
+     * @default 0x000000
+     */
+    public get stroke(): number
+    {
+        return this._stroke;
+    }
+
+    public set stroke(value: number)
+    {
+        this._stroke = value;
+    }
+
+    /**
+     * The thickness of the outline of distance field fonts, centered on the edges of the glyphs.
+     * It is limited by the range of the distance field.
+     *
+     * @member {number}
+     * @default 0
+     */
+    public get strokeThickness(): number
+    {
+        return this._strokeThickness;
+    }
+
+    public set strokeThickness(value: number)
+    {
+        this._strokeThickness = value;
+    }
+
+    /**
+     * Set a drop shadow for distance field fonts. It is limited by the padding of the glyphs in the font.
+     *
+     * @member {boolean}
+     * @default false
+     */
+    public get dropShadow(): boolean
+    {
+        return this._dropShadow;
+    }
+
+    public set dropShadow(value: boolean)
+    {
+        this._dropShadow = value;
+    }
+
+    /**
+     * The opacity of the drop shadow.
+     *
+     * @member {number}
+     * @default 1
+     */
+    public get dropShadowAlpha(): number
+    {
+        return this._dropShadowAlpha;
+    }
+
+    public set dropShadowAlpha(value: number)
+    {
+        this._dropShadowAlpha = value;
+    }
+
+    /**
+     * The angle of the drop shadow, in radians.
+     *
+     * @member {number}
+     * @default Math.PI/6
+     */
+    public get dropShadowAngle(): number
+    {
+        return this._dropShadowAngle;
+    }
+
+    public set dropShadowAngle(value: number)
+    {
+        this._dropShadowAngle = value;
+    }
+
+    /**
+     * The blur of the drop shadow.
+     *
+     * @member {number}
+     * @default 0
+     */
+    public get dropShadowBlur(): number
+    {
+        return this._dropShadowBlur;
+    }
+
+    public set dropShadowBlur(value: number)
+    {
+        this._dropShadowBlur = value;
+    }
+
+    /**
+     * The color of the drop shadow.
+     *
+     * @member {number}
+     * @default 0x000000
+     */
+    public get dropShadowColor(): number
+    {
+        return this._dropShadowColor;
+    }
+
+    public set dropShadowColor(value: number)
+    {
+        this._dropShadowColor = value;
+    }
+
+    /**
+     * The distance of the drop shadow.
+     *
+     * @member {number}
+     * @default 5
+     */
+    public get dropShadowDistance(): number
+    {
+        return this._dropShadowDistance;
+    }
+
+    public set dropShadowDistance(value: number)
+    {
+        this._dropShadowDistance = value;
+    }
+
     /**
      * The height of the overall text, different from fontSize,
      * which is defined in the style object.
@@ -888,4 +1903,70 @@ export class BitmapText extends Container
 
         super.destroy(options);
     }
+
+    /**
+     * Measures a single line of text as it is laid out by BitmapText: with the advances and the kerning of the
+     * glyphs, the letter spacing, and the right-to-left runs in the order they are displayed. Dynamic fonts
+     * generate the glyphs they don't have yet.
+     *
+     * @static
+     * @param {string} text - The text, on a single line
+     * @param {object} style - The style, see {@link PIXI.BitmapText}, `fontName` is required
+     * @return {PIXI.IBitmapTextLineMetrics} The width of the line, and the position from its left and the advance
+     *  of each UTF-16 code unit of the text. The second halves of surrogate pairs are placed with the first ones,
+     *  they and the characters without glyphs have no advance.
+     */
+    public static measureLine(text: string, style: Partial<IBitmapTextStyle>): IBitmapTextLineMetrics
+    {
+        const { fontName, fontSize, letterSpacing, direction } = Object.assign({}, BitmapText.styleDefaults, style);
+        const data = BitmapFont.available[fontName];
+
+        if (!data)
+        {
+            throw new Error(`Missing BitmapFont "${fontName}"`);
+        }
+
+        const scale = (fontSize || data.size) / data.size;
+        const levels = TextMetrics.getBidiLevels(text, direction);
+        const mirrored = TextMetrics.mirrorBidiText(text, levels);
+        const order = TextMetrics.getVisualOrder(levels);
+        const positions: number[] = [];
+        const advances: number[] = [];
+        let x = 0;
+        let prevCharCode = null;
+
+        data.addChars(mirrored);
+
+        for (let i = 0; i < order.length; i++)
+        {
+            const index = order[i];
+            const charCode = TextMetrics.getCodePoint(mirrored, index);
+            const charData = TextMetrics.isLowSurrogate(mirrored, index) ? null : data.chars[charCode];
+
+            if (prevCharCode && charData && charData.kerning[prevCharCode])
+            {
+                x += charData.kerning[prevCharCode];
+            }
+
+            positions[index] = x * scale;
+            advances[index] = 0;
+
+            if (charData)
+            {
+                advances[index] = (charData.xAdvance + letterSpacing) * scale;
+                x += charData.xAdvance + letterSpacing;
+                prevCharCode = charCode;
+            }
+        }
+
+        for (let i = 1; i < text.length; i++)
+        {
+            if (TextMetrics.isLowSurrogate(text, i))
+            {
+                positions[i] = positions[i - 1];
+            }
+        }
+
+        return { width: x * scale, positions, advances };
+    }
 }
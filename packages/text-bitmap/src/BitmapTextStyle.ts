@@ -1,15 +1,48 @@
-import type { TextStyleAlign } from '@pixi/text';
+import type { TextFitMode, TextStyleAlign, TextStyleDirection, TextStyleOverflow } from '@pixi/text';
 
 export interface IBitmapTextStyle {
     fontName: string;
     fontSize: number;
     tint: number;
     align: TextStyleAlign;
+    direction: TextStyleDirection;
     letterSpacing: number;
     maxWidth: number;
+    maxLines: number;
+    overflow: TextStyleOverflow;
+    fitMode: TextFitMode;
+    fitWidth: number;
+    fitHeight: number;
+    minFontSize: number;
+    maxFontSize: number;
+    smoothing: number;
+    stroke: number;
+    strokeThickness: number;
+    dropShadow: boolean;
+    dropShadowAlpha: number;
+    dropShadowAngle: number;
+    dropShadowBlur: number;
+    dropShadowColor: number;
+    dropShadowDistance: number;
 }
 
 export interface IBitmapTextFontDescriptor {
     name: string;
     size: number;
 }
+
+export interface IBitmapTextLineMetrics {
+    width: number;
+    positions: number[];
+    advances: number[];
+}
+
+/**
+ * The measurement of a line of text, see {@link PIXI.BitmapText.measureLine}.
+ *
+ * @memberof PIXI
+ * @typedef {object} IBitmapTextLineMetrics
+ * @property {number} width - The width of the line
+ * @property {number[]} positions - The distance from the left of the line to each UTF-16 code unit
+ * @property {number[]} advances - The advance of each UTF-16 code unit, with the letter spacing
+ */
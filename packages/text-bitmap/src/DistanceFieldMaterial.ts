@@ -0,0 +1,147 @@
+import { Program } from '@pixi/core';
+import { Point } from '@pixi/math';
+import { MeshMaterial } from '@pixi/mesh';
+import { premultiplyTintToRgba } from '@pixi/utils';
+import fragment from './shader/distanceField.frag';
+import vertex from './shader/distanceField.vert';
+
+import type { Texture } from '@pixi/core';
+
+/**
+ * Material of the glyphs of signed distance field fonts, see {@link PIXI.BitmapFont#distanceFieldType}.
+ *
+ * The glyphs are drawn from the distance to their edges stored in the color channels of the font pages,
+ * which keeps them sharp at any scale. Single channel fields (`'sdf'`) are read from the color or alpha channel,
+ * and multi-channel fields (`'msdf'`) from the median of the red, green and blue channels.
+ *
+ * The widths are in pixels of the screen, {@link PIXI.BitmapText} updates them as the text is transformed.
+ * Small meshes are batched by the {@link PIXI.DistanceFieldRenderer} plugin, named `'distanceField'`.
+ *
+ * @class
+ * @memberof PIXI
+ * @extends PIXI.MeshMaterial
+ */
+export class DistanceFieldMaterial extends MeshMaterial
+{
+    public pixelRange: number;
+    public smoothing: number;
+    public strokeWidth: number;
+    public strokeColor: number;
+    public strokeAlpha: number;
+    public shadowColor: number;
+    public shadowAlpha: number;
+    public shadowSoftness: number;
+    public readonly shadowOffset: Point;
+
+    /**
+     * @param {PIXI.Texture} uSampler - Page of the font
+     */
+    constructor(uSampler: Texture)
+    {
+        super(uSampler, {
+            program: Program.from(vertex, fragment),
+            pluginName: 'distanceField',
+            uniforms: {
+                uField: new Float32Array(4),
+                uStrokeColor: new Float32Array(4),
+                uShadowColor: new Float32Array(4),
+                uShadowOffset: new Float32Array(2),
+            },
+        });
+
+        // the program is only used for the meshes too large to be batched
+        this.batchable = true;
+
+        /**
+         * The number of pixels spanned by the range of the distance field.
+         *
+         * @member {number}
+         * @default 1
+         */
+        this.pixelRange = 1;
+
+        /**
+         * The width of the antialiased edges, in pixels.
+         *
+         * @member {number}
+         * @default 1
+         */
+        this.smoothing = 1;
+
+        /**
+         * The width of the outline outside of the glyphs, in pixels. It is limited by the range of the field.
+         *
+         * @member {number}
+         * @default 0
+         */
+        this.strokeWidth = 0;
+
+        /**
+         * The color of the outline.
+         *
+         * @member {number}
+         * @default 0x000000
+         */
+        this.strokeColor = 0;
+
+        /**
+         * The opacity of the outline.
+         *
+         * @member {number}
+         * @default 0
+         */
+        this.strokeAlpha = 0;
+
+        /**
+         * The color of the shadow.
+         *
+         * @member {number}
+         * @default 0x000000
+         */
+        this.shadowColor = 0;
+
+        /**
+         * The opacity of the shadow.
+         *
+         * @member {number}
+         * @default 0
+         */
+        this.shadowAlpha = 0;
+
+        /**
+         * The width of the blurred edges of the shadow in addition to the smoothing, in pixels.
+         *
+         * @member {number}
+         * @default 0
+         */
+        this.shadowSoftness = 0;
+
+        /**
+         * The offset of the shadow, in texture coordinates of the page. It is limited by the padding of the glyphs.
+         *
+         * @member {PIXI.Point}
+         * @readonly
+         */
+        this.shadowOffset = new Point();
+    }
+
+    /**
+     * Updates the uniforms of the field along with the color and texture ones.
+     */
+    public update(): void
+    {
+        super.update();
+
+        const { uField, uStrokeColor, uShadowColor, uShadowOffset } = this.uniforms;
+
+        uField[0] = this.pixelRange;
+        uField[1] = this.smoothing;
+        uField[2] = this.strokeWidth;
+        uField[3] = this.shadowSoftness;
+        uShadowOffset[0] = this.shadowOffset.x;
+        uShadowOffset[1] = this.shadowOffset.y;
+
+        premultiplyTintToRgba(this.strokeColor, this.strokeAlpha * this.alpha, uStrokeColor, true);
+        premultiplyTintToRgba(this.shadowColor, this.shadowAlpha * this.alpha, uShadowColor, true);
+    }
+}
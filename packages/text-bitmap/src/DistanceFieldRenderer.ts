@@ -0,0 +1,122 @@
+import { TYPES } from '@pixi/constants';
+import { BatchGeometry, BatchPluginFactory } from '@pixi/core';
+import { premultiplyTint } from '@pixi/utils';
+import fragment from './shader/distanceFieldBatch.frag';
+import vertex from './shader/distanceFieldBatch.vert';
+
+import type { IBatchableElement, ViewableBuffer } from '@pixi/core';
+import type { Mesh } from '@pixi/mesh';
+import type { DistanceFieldMaterial } from './DistanceFieldMaterial';
+
+/**
+ * Converts a color to the byte order of the batched colors, and premultiplies it by alpha.
+ *
+ * @private
+ */
+function toBatchColor(color: number, alpha: number): number
+{
+    return premultiplyTint((color >> 16) + (color & 0xff00) + ((color & 0xff) << 16), alpha);
+}
+
+/**
+ * Geometry used to batch the glyphs of distance field fonts, with the parameters of their
+ * {@link PIXI.DistanceFieldMaterial} in each vertex.
+ *
+ * @class
+ * @memberof PIXI
+ * @extends PIXI.BatchGeometry
+ */
+export class DistanceFieldGeometry extends BatchGeometry
+{
+    /**
+     * @param {boolean} [_static=false] - Optimization flag, where `false`
+     *        is updated every frame, `true` doesn't change frame-to-frame.
+     */
+    constructor(_static = false)
+    {
+        super(_static);
+
+        this.addAttribute('aField', this._buffer, 4, false, TYPES.FLOAT)
+            .addAttribute('aStrokeColor', this._buffer, 4, true, TYPES.UNSIGNED_BYTE)
+            .addAttribute('aShadowColor', this._buffer, 4, true, TYPES.UNSIGNED_BYTE)
+            .addAttribute('aShadowOffset', this._buffer, 2, false, TYPES.FLOAT);
+    }
+}
+
+/**
+ * Renderer plugin batching the meshes of {@link PIXI.DistanceFieldMaterial}, like the glyphs of
+ * {@link PIXI.BitmapText} with distance field fonts.
+ *
+ * It is installed as `'distanceField'` in the bundles, and needs to be registered when the packages are used
+ * directly.
+ *
+ * @example
+ * PIXI.Renderer.registerPlugin('distanceField', PIXI.DistanceFieldRenderer);
+ *
+ * @class
+ * @memberof PIXI
+ * @extends PIXI.AbstractBatchRenderer
+ */
+export class DistanceFieldRenderer extends BatchPluginFactory.create({
+    vertex,
+    fragment,
+    geometryClass: DistanceFieldGeometry,
+    vertexSize: 14,
+})
+{
+    /**
+     * Packs the vertices of a mesh along with the parameters of its material.
+     *
+     * @param {PIXI.IBatchableElement} element - The mesh
+     * @param {PIXI.ViewableBuffer} attributeBuffer - The interleaved attributes
+     * @param {Uint16Array} indexBuffer - The indices
+     * @param {number} aIndex - Index of the first attribute of the mesh
+     * @param {number} iIndex - Index of the first index of the mesh
+     */
+    packInterleavedGeometry(element: IBatchableElement, attributeBuffer: ViewableBuffer, indexBuffer: Uint16Array,
+        aIndex: number, iIndex: number): void
+    {
+        const {
+            uint32View,
+            float32View,
+        } = attributeBuffer;
+
+        const material = (element as unknown as Mesh).material as DistanceFieldMaterial;
+        const packedVertices = aIndex / this.vertexSize;
+        const uvs = element.uvs;
+        const indicies = element.indices;
+        const vertexData = element.vertexData;
+        const textureId = element._texture.baseTexture._batchLocation;
+
+        const alpha = Math.min(element.worldAlpha, 1.0);
+        const argb = (alpha < 1.0
+            && element._texture.baseTexture.alphaMode)
+            ? premultiplyTint(element._tintRGB, alpha)
+            : element._tintRGB + (alpha * 255 << 24);
+        const strokeColor = toBatchColor(material.strokeColor, material.strokeAlpha * alpha);
+        const shadowColor = toBatchColor(material.shadowColor, material.shadowAlpha * alpha);
+
+        for (let i = 0; i < vertexData.length; i += 2)
+        {
+            float32View[aIndex++] = vertexData[i];
+            float32View[aIndex++] = vertexData[i + 1];
+            float32View[aIndex++] = uvs[i];
+            float32View[aIndex++] = uvs[i + 1];
+            uint32View[aIndex++] = argb;
+            float32View[aIndex++] = textureId;
+            float32View[aIndex++] = material.pixelRange;
+            float32View[aIndex++] = material.smoothing;
+            float32View[aIndex++] = material.strokeWidth;
+            float32View[aIndex++] = material.shadowSoftness;
+            uint32View[aIndex++] = strokeColor;
+            uint32View[aIndex++] = shadowColor;
+            float32View[aIndex++] = material.shadowOffset.x;
+            float32View[aIndex++] = material.shadowOffset.y;
+        }
+
+        for (let i = 0; i < indicies.length; i++)
+        {
+            indexBuffer[iIndex++] = packedVertices + indicies[i];
+        }
+    }
+}
@@ -0,0 +1,142 @@
+import { BitmapFontData } from '../BitmapFontData';
+
+/**
+ * Font data in the JSON format of bmfont tools like msdf-bmfont.
+ *
+ * @memberof PIXI
+ * @typedef {object} IBitmapFontJSONData
+ * @property {object} info - With the `face` and `size` of the font
+ * @property {object} common - With the `lineHeight` of the font
+ * @property {string[]} pages - The files of the pages, by their id
+ * @property {object[]} chars - The characters, with the same properties as in the text format
+ * @property {object[]} [kernings] - The kerning pairs, with `first`, `second` and `amount` properties
+ * @property {object} [distanceField] - With the `fieldType` and `distanceRange` of distance field fonts
+ */
+export interface IBitmapFontJSONData
+{
+    info: {
+        face: string;
+        size: number;
+    };
+    common: {
+        lineHeight: number;
+    };
+    pages: string[];
+    chars: {
+        id: number;
+        page?: number;
+        x: number;
+        y: number;
+        width: number;
+        height: number;
+        xoffset: number;
+        yoffset: number;
+        xadvance: number;
+    }[];
+    kernings?: {
+        first: number;
+        second: number;
+        amount: number;
+    }[];
+    distanceField?: {
+        fieldType: string;
+        distanceRange: number;
+    };
+}
+
+/**
+ * BitmapFont format that's JSON-based, as output by msdf-bmfont and other bmfont tools.
+ *
+ * @class
+ * @private
+ */
+export class JSONFormat
+{
+    /**
+     * Check if resource refers to json font data.
+     *
+     * @static
+     * @private
+     * @param {any} data
+     * @return {boolean} True if resource could be treated as font data, false otherwise.
+     */
+    static test(data: unknown): boolean
+    {
+        const json = data as IBitmapFontJSONData;
+
+        return typeof json === 'object'
+            && json !== null
+            && typeof json.info === 'object'
+            && typeof json.common === 'object'
+            && json.pages instanceof Array
+            && json.chars instanceof Array;
+    }
+
+    /**
+     * Convert the JSON into BitmapFontData that we can use.
+     *
+     * @static
+     * @private
+     * @param {PIXI.IBitmapFontJSONData} json
+     * @return {BitmapFontData} Data to use for BitmapFont
+     */
+    static parse(json: IBitmapFontJSONData): BitmapFontData
+    {
+        const data = new BitmapFontData();
+
+        data.info.push({
+            face: json.info.face,
+            size: json.info.size,
+        });
+
+        data.common.push({
+            lineHeight: json.common.lineHeight,
+        });
+
+        for (let i = 0; i < json.pages.length; i++)
+        {
+            data.page.push({
+                id: i,
+                file: json.pages[i],
+            });
+        }
+
+        for (let i = 0; i < json.chars.length; i++)
+        {
+            const letter = json.chars[i];
+
+            data.char.push({
+                id: letter.id,
+                page: letter.page || 0,
+                x: letter.x,
+                y: letter.y,
+                width: letter.width,
+                height: letter.height,
+                xoffset: letter.xoffset,
+                yoffset: letter.yoffset,
+                xadvance: letter.xadvance,
+            });
+        }
+
+        const kernings = json.kernings || [];
+
+        for (let i = 0; i < kernings.length; i++)
+        {
+            data.kerning.push({
+                first: kernings[i].first,
+                second: kernings[i].second,
+                amount: kernings[i].amount,
+            });
+        }
+
+        if (json.distanceField)
+        {
+            data.distanceField.push({
+                fieldType: json.distanceField.fieldType,
+                distanceRange: json.distanceField.distanceRange,
+            });
+        }
+
+        return data;
+    }
+}
@@ -36,6 +36,10 @@ interface IBitmapFontRawData {
         second: string;
         amount: string;
     }[];
+    distanceField?: {
+        fieldType: string;
+        distanceRange: string;
+    }[];
 }
 
 /**
@@ -70,7 +74,7 @@ export class TextFormat
     static parse(txt: string): BitmapFontData
     {
         // Retrieve data item
-        const items = txt.match(/^[a-z]+\s+.+$/gm);
+        const items = txt.match(/^[a-zA-Z]+\s+.+$/gm);
         const rawData: IBitmapFontRawData = {
             info: [],
             common: [],
@@ -79,12 +83,13 @@ export class TextFormat
             chars: [],
             kerning: [],
             kernings: [],
+            distanceField: [],
         };
 
         for (const i in items)
         {
             // Extract item name
-            const name = items[i].match(/^[a-z]+/gm)[0] as keyof BitmapFontData;
+            const name = items[i].match(/^[a-zA-Z]+/gm)[0] as keyof BitmapFontData;
 
             // Extract item attribute list as string ex.: "width=10"
             const attributeList = items[i].match(/[a-zA-Z]+=([^\s"']+|"([^"]*)")/gm);
@@ -110,8 +115,11 @@ export class TextFormat
                 itemData[key] = value;
             }
 
-            // Push current item to the resulting data
-            rawData[name].push(itemData);
+            // Push current item to the resulting data, skipping unknown items
+            if (rawData[name])
+            {
+                rawData[name].push(itemData);
+            }
         }
 
         const font = new BitmapFontData();
@@ -148,6 +156,11 @@ export class TextFormat
             amount: parseInt(kerning.amount, 10),
         }));
 
+        rawData.distanceField.forEach((df) => font.distanceField.push({
+            fieldType: df.fieldType,
+            distanceRange: parseInt(df.distanceRange, 10),
+        }));
+
         return font;
     }
 }
@@ -39,6 +39,7 @@ export class XMLFormat
         const page = xml.getElementsByTagName('page');
         const char = xml.getElementsByTagName('char');
         const kerning = xml.getElementsByTagName('kerning');
+        const distanceField = xml.getElementsByTagName('distanceField');
 
         for (let i = 0; i < info.length; i++)
         {
@@ -89,6 +90,14 @@ export class XMLFormat
             });
         }
 
+        for (let i = 0; i < distanceField.length; i++)
+        {
+            data.distanceField.push({
+                fieldType: distanceField[i].getAttribute('fieldType'),
+                distanceRange: parseInt(distanceField[i].getAttribute('distanceRange'), 10),
+            });
+        }
+
         return data;
     }
 }
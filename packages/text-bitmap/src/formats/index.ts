@@ -1,12 +1,14 @@
 import { TextFormat } from './TextFormat';
 import { XMLFormat } from './XMLFormat';
 import { XMLStringFormat } from './XMLStringFormat';
+import { JSONFormat } from './JSONFormat';
 
 // Registered formats, maybe make this extensible in the future?
 const formats = [
     TextFormat,
     XMLFormat,
     XMLStringFormat,
+    JSONFormat,
 ] as const;
 
 /**
@@ -3,3 +3,6 @@ export * from './BitmapFontLoader';
 export * from './BitmapFont';
 export * from './BitmapFontData';
 export * from './BitmapTextStyle';
+export * from './DistanceFieldMaterial';
+export * from './DistanceFieldRenderer';
+export type { IBitmapFontJSONData } from './formats/JSONFormat';
@@ -0,0 +1,35 @@
+varying vec2 vTextureCoord;
+
+uniform sampler2D uSampler;
+uniform vec4 uColor;
+uniform vec4 uField;
+uniform vec4 uStrokeColor;
+uniform vec4 uShadowColor;
+uniform vec2 uShadowOffset;
+
+float median(float r, float g, float b)
+{
+    return max(min(r, g), min(max(r, g), b));
+}
+
+// signed distance to the edge of the glyphs in screen pixels, single channel fields are either
+// in the color or in the alpha channel and the other one is opaque
+float fieldDistance(vec4 field)
+{
+    return (min(median(field.r, field.g, field.b), field.a) - 0.5) * uField.x;
+}
+
+void main(void)
+{
+    float smoothing = uField.y;
+    float stroke = uField.z;
+    float dist = fieldDistance(texture2D(uSampler, vTextureCoord));
+    float shadowDist = fieldDistance(texture2D(uSampler, vTextureCoord - uShadowOffset)) + stroke;
+
+    vec4 color = uColor * clamp((dist / smoothing) + 0.5, 0.0, 1.0);
+
+    color += uStrokeColor * clamp(((dist + stroke) / smoothing) + 0.5, 0.0, 1.0) * (1.0 - color.a);
+    color += uShadowColor * clamp((shadowDist / (smoothing + uField.w)) + 0.5, 0.0, 1.0) * (1.0 - color.a);
+
+    gl_FragColor = color;
+}
@@ -0,0 +1,42 @@
+varying vec2 vTextureCoord;
+varying vec4 vColor;
+varying float vTextureId;
+varying vec4 vField;
+varying vec4 vStrokeColor;
+varying vec4 vShadowColor;
+varying vec2 vShadowOffset;
+uniform sampler2D uSamplers[%count%];
+
+float median(float r, float g, float b)
+{
+    return max(min(r, g), min(max(r, g), b));
+}
+
+// the parameter is named like the varying, which the generated sampling code reads
+vec4 sampleField(vec2 vTextureCoord)
+{
+    vec4 color;
+    %forloop%
+    return color;
+}
+
+// signed distance to the edge of the glyphs in screen pixels, single channel fields are either
+// in the color or in the alpha channel and the other one is opaque
+float fieldDistance(vec4 field)
+{
+    return (min(median(field.r, field.g, field.b), field.a) - 0.5) * vField.x;
+}
+
+void main(void){
+    float smoothing = vField.y;
+    float stroke = vField.z;
+    float dist = fieldDistance(sampleField(vTextureCoord));
+    float shadowDist = fieldDistance(sampleField(vTextureCoord - vShadowOffset)) + stroke;
+
+    vec4 color = vColor * clamp((dist / smoothing) + 0.5, 0.0, 1.0);
+
+    color += vStrokeColor * clamp(((dist + stroke) / smoothing) + 0.5, 0.0, 1.0) * (1.0 - color.a);
+    color += vShadowColor * clamp((shadowDist / (smoothing + vField.w)) + 0.5, 0.0, 1.0) * (1.0 - color.a);
+
+    gl_FragColor = color;
+}
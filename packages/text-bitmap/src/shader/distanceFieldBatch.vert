@@ -0,0 +1,33 @@
+precision highp float;
+attribute vec2 aVertexPosition;
+attribute vec2 aTextureCoord;
+attribute vec4 aColor;
+attribute float aTextureId;
+attribute vec4 aField;
+attribute vec4 aStrokeColor;
+attribute vec4 aShadowColor;
+attribute vec2 aShadowOffset;
+
+uniform mat3 projectionMatrix;
+uniform mat3 translationMatrix;
+uniform vec4 tint;
+
+varying vec2 vTextureCoord;
+varying vec4 vColor;
+varying float vTextureId;
+varying vec4 vField;
+varying vec4 vStrokeColor;
+varying vec4 vShadowColor;
+varying vec2 vShadowOffset;
+
+void main(void){
+    gl_Position = vec4((projectionMatrix * translationMatrix * vec3(aVertexPosition, 1.0)).xy, 0.0, 1.0);
+
+    vTextureCoord = aTextureCoord;
+    vTextureId = aTextureId;
+    vColor = aColor * tint;
+    vField = aField;
+    vStrokeColor = aStrokeColor * tint.a;
+    vShadowColor = aShadowColor * tint.a;
+    vShadowOffset = aShadowOffset;
+}
@@ -0,0 +1,175 @@
+import { BaseTexture, Texture } from '@pixi/core';
+import { TextMetrics } from '@pixi/text';
+import { drawGlyph } from './drawGlyph';
+
+import type { TextStyle } from '@pixi/text';
+import type { IBitmapFontDataChar } from '../BitmapFontData';
+
+/**
+ * Pages of glyphs drawn with a text style, filled row by row. Pages are added once the last one is full,
+ * and keep their size so the glyphs already in them stay where they are.
+ *
+ * Ignored because not directly exposed.
+ *
+ * @ignore
+ * @class
+ */
+export class GlyphAtlas
+{
+    public readonly textures: Texture[];
+    public readonly style: TextStyle;
+    public readonly resolution: number;
+    public readonly padding: number;
+    public readonly textureWidth: number;
+    public readonly textureHeight: number;
+
+    private canvas: HTMLCanvasElement;
+    private context: CanvasRenderingContext2D;
+    private positionX: number;
+    private positionY: number;
+    private maxCharHeight: number;
+
+    /**
+     * @param {PIXI.TextStyle} style - Style of the glyphs
+     * @param {number} resolution - Resolution of the pages
+     * @param {number} padding - Padding between the glyphs
+     * @param {number} textureWidth - Width of the pages
+     * @param {number} textureHeight - Height of the pages
+     */
+    constructor(style: TextStyle, resolution: number, padding: number, textureWidth: number, textureHeight: number)
+    {
+        this.textures = [];
+        this.style = style;
+        this.resolution = resolution;
+        this.padding = padding;
+        this.textureWidth = textureWidth;
+        this.textureHeight = textureHeight;
+        this.canvas = null;
+        this.context = null;
+        this.positionX = 0;
+        this.positionY = 0;
+        this.maxCharHeight = 0;
+    }
+
+    /**
+     * Starts a new page, the next glyphs are drawn in it.
+     */
+    public addPage(): void
+    {
+        const canvas = document.createElement('canvas');
+
+        canvas.width = this.textureWidth;
+        canvas.height = this.textureHeight;
+
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.textures.push(new Texture(new BaseTexture(canvas, { resolution: this.resolution })));
+        this.positionX = 0;
+        this.positionY = 0;
+        this.maxCharHeight = 0;
+    }
+
+    /**
+     * Draws the glyph of a character in the last page, or in a new page if it is full.
+     * The textures of the pages are not updated, see {@link PIXI.BaseTexture#update}.
+     *
+     * @param {string} char - The character
+     * @return {PIXI.IBitmapFontDataChar} The position and metrics of the glyph.
+     */
+    public addGlyph(char: string): IBitmapFontDataChar
+    {
+        const { style, resolution, textureHeight } = this;
+
+        for (;;)
+        {
+            if (!this.canvas)
+            {
+                this.addPage();
+            }
+
+            // Measure glyph dimensions
+            const metrics = TextMetrics.measureText(char, style, false, this.canvas);
+            const width = metrics.width;
+            const height = Math.ceil(metrics.height);
+
+            // This is ugly - but italics are given more space so they don't overlap
+            const textureGlyphWidth = Math.ceil((style.fontStyle === 'italic' ? 2 : 1) * width);
+
+            // Can't fit char anymore: next canvas please!
+            if (this.positionY >= textureHeight - (height * resolution))
+            {
+                if (this.positionY === 0)
+                {
+                    // We don't want user debugging an infinite loop (or do we? :)
+                    throw new Error(`[BitmapFont] textureHeight ${textureHeight}px is `
+                        + `too small for ${style.fontSize}px fonts`);
+                }
+
+                // Create new atlas once current has filled up, its context is still used for measuring
+                this.canvas = null;
+
+                continue;
+            }
+
+            this.maxCharHeight = Math.max(height + metrics.fontProperties.descent, this.maxCharHeight);
+
+            // Wrap line once full row has been rendered
+            if ((textureGlyphWidth * resolution) + this.positionX >= this.textureWidth)
+            {
+                this.positionY += this.maxCharHeight * resolution;
+                this.positionY = Math.ceil(this.positionY);
+                this.positionX = 0;
+                this.maxCharHeight = 0;
+
+                continue;
+            }
+
+            drawGlyph(this.canvas, this.context, metrics, this.positionX, this.positionY, resolution, style);
+
+            const data: IBitmapFontDataChar = {
+                // Unique (numeric) ID mapping to this glyph
+                id: TextMetrics.getCodePoint(metrics.text, 0),
+                page: this.textures.length - 1,
+                x: this.positionX / resolution,
+                y: this.positionY / resolution,
+                width: textureGlyphWidth,
+                height,
+                xoffset: 0,
+                yoffset: 0,
+                xadvance: Math.ceil(width
+                        - (style.dropShadow ? style.dropShadowDistance : 0)
+                        - (style.stroke ? style.strokeThickness : 0)),
+            };
+
+            this.positionX += (textureGlyphWidth + (2 * this.padding)) * resolution;
+            this.positionX = Math.ceil(this.positionX);
+
+            return data;
+        }
+    }
+
+    /**
+     * Measures the kerning between two characters, using measureText which is native and fast.
+     *
+     * @param {string} first - The first character
+     * @param {string} second - The second character
+     * @return {number} The amount to add to the advance of the first character.
+     */
+    public measureKerning(first: string, second: string): number
+    {
+        if (!this.context)
+        {
+            this.addPage();
+        }
+
+        const context = this.context;
+
+        context.font = this.style.toFontString();
+
+        const c1 = context.measureText(first).width;
+        const c2 = context.measureText(second).width;
+        const total = context.measureText(first + second).width;
+
+        return total - (c1 + c2);
+    }
+}
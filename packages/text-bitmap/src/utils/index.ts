@@ -1,3 +1,4 @@
 export * from './drawGlyph';
 export * from './generateFillStyle';
 export * from './resolveCharacters';
+export * from './GlyphAtlas';
@@ -1,3 +1,5 @@
+import { TextMetrics } from '@pixi/text';
+
 /**
  * Processes the passed character set data and returns a flattened array of all the characters.
  *
@@ -46,7 +48,11 @@ export function resolveCharacters(chars: string | (string | string[])[]): string
         // Handle a character set string
         else
         {
-            result.push(...item.split(''));
+            for (let i = 0; i < item.length; i++)
+            {
+                // the characters outside of the Basic Multilingual Plane are kept whole
+                result.push(TextMetrics.getCodePoint(item, i) > 0xFFFF ? item.substr(i++, 2) : item.charAt(i));
+            }
         }
     }
 
@@ -1,4 +1,6 @@
 const { BitmapFont } = require('../');
+const { BaseTexture, Texture } = require('@pixi/core');
+const { ALPHA_MODES } = require('@pixi/constants');
 
 describe('BitmapFont', function ()
 {
@@ -75,4 +77,162 @@ describe('BitmapFont', function ()
             expect(() => BitmapFont.from('foo', {}, { chars: [] })).to.throw;
         });
     });
+
+    describe('distance field', function ()
+    {
+        afterEach(function ()
+        {
+            for (const name in BitmapFont.available)
+            {
+                BitmapFont.uninstall(name);
+            }
+        });
+
+        it('should read the distance field of text fonts', function ()
+        {
+            const font = BitmapFont.install([
+                'info face="msdf" size=42 bold=0 italic=0 padding=2,2,2,2 spacing=0,0',
+                'common lineHeight=50 base=40 scaleW=64 scaleH=64 pages=1 packed=0',
+                'page id=0 file="msdf.png"',
+                'chars count=1',
+                'char id=65 x=0 y=0 width=30 height=38 xoffset=-2 yoffset=2 xadvance=26 page=0 chnl=15',
+                'distanceField fieldType=msdf distanceRange=4',
+            ].join('\n'), new Texture(new BaseTexture(document.createElement('canvas'))));
+
+            expect(font.distanceFieldType).to.equal('msdf');
+            expect(font.distanceFieldRange).to.equal(4);
+            expect(font.chars[65].xAdvance).to.equal(26);
+            expect(font.pageTextures[0].baseTexture.alphaMode).to.equal(ALPHA_MODES.PMA);
+        });
+
+        it('should read the distance field of XML fonts', function ()
+        {
+            const font = BitmapFont.install([
+                '<?xml version="1.0"?>',
+                '<font>',
+                '<info face="sdf" size="42"/>',
+                '<common lineHeight="50"/>',
+                '<pages><page id="0" file="sdf.png"/></pages>',
+                '<distanceField fieldType="sdf" distanceRange="8"/>',
+                '<chars count="1">',
+                '<char id="65" x="0" y="0" width="30" height="38" xoffset="-2" yoffset="2" xadvance="26" page="0"/>',
+                '</chars>',
+                '</font>',
+            ].join(''), new Texture(new BaseTexture(document.createElement('canvas'))));
+
+            expect(font.distanceFieldType).to.equal('sdf');
+            expect(font.distanceFieldRange).to.equal(8);
+        });
+
+        it('should read the distance field of JSON fonts', function ()
+        {
+            const font = BitmapFont.install({
+                pages: ['msdf.png'],
+                chars: [{ id: 65, x: 0, y: 0, width: 30, height: 38, xoffset: -2, yoffset: 2, xadvance: 26, page: 0 }],
+                info: { face: 'json', size: 42 },
+                common: { lineHeight: 50 },
+                distanceField: { fieldType: 'msdf', distanceRange: 4 },
+            }, new Texture(new BaseTexture(document.createElement('canvas'))));
+
+            expect(font.distanceFieldType).to.equal('msdf');
+            expect(font.distanceFieldRange).to.equal(4);
+            expect(font.lineHeight).to.equal(50);
+            expect(font.chars[65].xAdvance).to.equal(26);
+        });
+
+        it('should not have a distance field for generated fonts', function ()
+        {
+            const font = BitmapFont.from('foo', {}, { chars: 'a' });
+
+            expect(font.distanceFieldType).to.equal('none');
+            expect(font.distanceFieldRange).to.equal(0);
+            expect(font.pageTextures[0].baseTexture.alphaMode).to.not.equal(ALPHA_MODES.PMA);
+        });
+    });
+
+    describe('dynamic', function ()
+    {
+        afterEach(function ()
+        {
+            for (const name in BitmapFont.available)
+            {
+                BitmapFont.uninstall(name);
+            }
+        });
+
+        it('should generate the missing glyphs', function ()
+        {
+            const font = BitmapFont.from('foo', {}, { chars: 'a', dynamic: true });
+
+            expect(font.dynamic).to.be.true;
+            expect(Object.keys(font.chars).length).to.equal(1);
+
+            expect(font.addChars('ab\nc')).to.be.true;
+            expect(Object.keys(font.chars).length).to.equal(3);
+            expect(font.chars['c'.charCodeAt(0)].texture.baseTexture).to.equal(font.pageTextures[0].baseTexture);
+
+            expect(font.addChars('abc')).to.be.false;
+            expect(Object.keys(font.chars).length).to.equal(3);
+        });
+
+        it('should only measure the kerning of the pairs met', function ()
+        {
+            const font = BitmapFont.from('foo', {}, { chars: 'abc', dynamic: true });
+            const a = 'a'.charCodeAt(0);
+            const b = 'b'.charCodeAt(0);
+            const c = 'c'.charCodeAt(0);
+
+            expect(font.chars[b].kerning[a]).to.be.undefined;
+
+            font.addChars('ab');
+
+            expect(font.chars[b].kerning[a]).to.be.a('number');
+            expect(font.chars[c].kerning[a]).to.be.undefined;
+            expect(font.chars[a].kerning[b]).to.be.undefined;
+        });
+
+        it('should key the glyphs outside of the basic multilingual plane by code point', function ()
+        {
+            const font = BitmapFont.from('foo', {}, { chars: 'a', dynamic: true });
+            const b = 'b'.charCodeAt(0);
+
+            font.addChars('a\ud83d\ude00b');
+
+            expect(font.chars[0x1f600]).to.exist;
+            expect(font.chars[0xd83d]).to.be.undefined;
+            expect(font.chars[0xde00]).to.be.undefined;
+            expect(font.chars[0x1f600].kerning['a'.charCodeAt(0)]).to.be.a('number');
+            expect(font.chars[b].kerning[0x1f600]).to.be.a('number');
+        });
+
+        it('should add pages once the atlas is full', function ()
+        {
+            const font = BitmapFont.from('foo', { fontSize: 10 }, {
+                chars: 'a',
+                dynamic: true,
+                textureWidth: 64,
+                textureHeight: 64,
+            });
+
+            expect(Object.keys(font.pageTextures).length).to.equal(1);
+
+            font.addChars('bcdefghijklmnopqrstuvwxyz0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ');
+
+            const pages = Object.keys(font.pageTextures).length;
+            const lastChar = font.chars['Z'.charCodeAt(0)];
+
+            expect(pages).to.be.above(1);
+            expect(lastChar.page).to.equal(pages - 1);
+            expect(lastChar.texture.baseTexture).to.equal(font.pageTextures[pages - 1].baseTexture);
+        });
+
+        it('should leave other fonts as they are', function ()
+        {
+            const font = BitmapFont.from('foo', {}, { chars: 'a' });
+
+            expect(font.dynamic).to.be.false;
+            expect(font.addChars('bc')).to.be.false;
+            expect(Object.keys(font.chars).length).to.equal(1);
+        });
+    });
 });
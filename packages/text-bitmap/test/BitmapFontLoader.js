@@ -498,6 +498,38 @@ describe('PIXI.BitmapFontLoader', function ()
         });
     });
 
+    it('should properly register bitmap font based on JSON format', function (done)
+    {
+        const loader = new Loader();
+
+        loader.use(BitmapFontLoader.use);
+        loader.add(path.join(this.resources, 'split_font.json'));
+        loader.load(() =>
+        {
+            const font = BitmapFont.available.split_font_json;
+
+            expect(font).to.be.an.object;
+            expect(font.lineHeight).to.equal(27);
+            expect(font.distanceFieldType).to.equal('msdf');
+            expect(font.distanceFieldRange).to.equal(4);
+
+            const charA = font.chars['A'.charCodeAt(0)];
+            const charB = font.chars['B'.charCodeAt(0)];
+            const charD = font.chars['D'.charCodeAt(0)];
+
+            expect(charA.texture.baseTexture.resource.url).to.match(/split_font_ab\.png$/);
+            expect(charD.texture.baseTexture.resource.url).to.match(/split_font_cd\.png$/);
+            expect(charD.page).to.equal(1);
+            expect(charD.texture.frame.x).to.equal(2);
+            expect(charD.texture.frame.y).to.equal(24);
+            expect(charD.texture.frame.width).to.equal(17);
+            expect(charD.texture.frame.height).to.equal(20);
+            expect(charB.kerning['A'.charCodeAt(0)]).to.equal(-2);
+
+            done();
+        });
+    });
+
     it('should register bitmap font with side-loaded image', function (done)
     {
         const loader = new Loader();
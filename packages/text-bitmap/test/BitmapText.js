@@ -1,7 +1,7 @@
 const path = require('path');
 const fs = require('fs');
-const { BitmapText, BitmapFont } = require('../');
-const { Texture } = require('@pixi/core');
+const { BitmapText, BitmapFont, DistanceFieldMaterial } = require('../');
+const { BaseTexture, Texture } = require('@pixi/core');
 
 describe('PIXI.BitmapText', function ()
 {
@@ -138,6 +138,261 @@ describe('PIXI.BitmapText', function ()
 
         expect(bmpText.textWidth).to.lessThan(bmpText.maxWidth);
     });
+    it('should place images inline with the text', function ()
+    {
+        const font = BitmapFont.from('imageFont', { fontSize: 20 }, { chars: [['a', 'z'], ' '] });
+        const plain = new BitmapText('aa', { fontName: 'imageFont' });
+        const text = new BitmapText('a<img id="coin"/>a', { fontName: 'imageFont' });
+
+        text.images = { coin: Texture.WHITE };
+        plain.updateText();
+        text.updateText();
+
+        const findImage = () => text.children.find((child) => child.texture.baseTexture === Texture.WHITE.baseTexture);
+
+        expect(text.children.length).to.equal(2);
+        expect(findImage()).to.exist;
+        expect(text.textWidth).to.equal(plain.textWidth + font.lineHeight);
+
+        text.text = 'a <img id="coin" scale="0.5"/>';
+        text.maxWidth = plain.textWidth;
+        text.updateText();
+
+        expect(text.textHeight).to.equal(font.lineHeight * 2);
+        expect(findImage().getLocalBounds().height).to.equal(font.lineHeight / 2);
+
+        BitmapFont.uninstall('imageFont');
+    });
+
+    it('should draw distance field fonts with their own material', function ()
+    {
+        BitmapFont.install([
+            'info face="msdfFont" size=42',
+            'common lineHeight=50',
+            'page id=0 file="msdf.png"',
+            'char id=65 x=0 y=0 width=30 height=38 xoffset=-2 yoffset=2 xadvance=26 page=0',
+            'distanceField fieldType=msdf distanceRange=4',
+        ].join('\n'), new Texture(new BaseTexture(document.createElement('canvas'))));
+        BitmapFont.from('plainFont', {}, { chars: 'A' });
+
+        const text = new BitmapText('A', {
+            fontName: 'msdfFont',
+            fontSize: 84,
+            strokeThickness: 4,
+            dropShadow: true,
+            dropShadowAngle: 0,
+        });
+
+        text.updateText();
+        text._render({ renderTexture: { current: null }, resolution: 2 });
+
+        const material = text.children[0].material;
+
+        expect(material).to.be.instanceof(DistanceFieldMaterial);
+        expect(material.batchable).to.be.true;
+        expect(material.pluginName).to.equal('distanceField');
+        expect(material.pixelRange).to.equal(16);
+        expect(material.strokeWidth).to.equal(4);
+        expect(material.strokeAlpha).to.equal(1);
+        expect(material.shadowAlpha).to.equal(1);
+        expect(material.shadowOffset.x).to.be.above(0);
+        expect(material.shadowOffset.y).to.equal(0);
+
+        text.fontName = 'plainFont';
+        text.updateText();
+
+        expect(text.children[0].material).to.not.be.instanceof(DistanceFieldMaterial);
+
+        text.destroy();
+        BitmapFont.uninstall('msdfFont');
+        BitmapFont.uninstall('plainFont');
+    });
+
+    it('should show characters missing from dynamic fonts', function ()
+    {
+        const font = BitmapFont.from('dynamicFont', {}, { chars: ' ', dynamic: true });
+        const text = new BitmapText('\u65e5\u672c a', { fontName: 'dynamicFont' });
+
+        text.updateText();
+
+        expect(text.children.length).to.equal(1);
+        expect(text.textWidth).to.be.above(0);
+        expect(font.chars[0x65e5]).to.exist;
+        expect(font.chars[0x672c].kerning[0x65e5]).to.be.a('number');
+
+        text.destroy();
+        BitmapFont.uninstall('dynamicFont');
+    });
+
+    it('should draw the characters outside of the basic multilingual plane as one glyph', function ()
+    {
+        const font = BitmapFont.from('astralFont', {}, { chars: ['a', '\ud83d\ude00'] });
+        const text = new BitmapText('a\ud83d\ude00a', { fontName: 'astralFont' });
+
+        text.updateText();
+
+        expect(font.chars[0x1f600]).to.exist;
+        expect(text.children[0].size).to.equal(6 * 3);
+
+        text.destroy();
+        BitmapFont.uninstall('astralFont');
+    });
+
+    it('should measure a line like it is laid out', function ()
+    {
+        const font = BitmapFont.from('measureFont', {}, { chars: ['ab\u05d0'] });
+        const metrics = BitmapText.measureLine('ab\u05d0', { fontName: 'measureFont', fontSize: font.size * 2 });
+        const text = new BitmapText('ab\u05d0', { fontName: 'measureFont', fontSize: font.size * 2 });
+
+        expect(metrics.width).to.equal(text.textWidth);
+        expect(metrics.positions[0]).to.equal(0);
+        expect(metrics.advances[0]).to.equal(font.chars[97].xAdvance * 2);
+        expect(() => BitmapText.measureLine('a', { fontName: 'missingFont' })).to.throw('Missing BitmapFont "missingFont"');
+
+        text.destroy();
+        BitmapFont.uninstall('measureFont');
+    });
+
+    it('should lay out right-to-left runs in the order they are displayed', function ()
+    {
+        BitmapFont.from('bidiFont', {}, { chars: [' ab\u05d0\u05d1'] });
+
+        const text = new BitmapText('\u05d0\u05d1 ab', { fontName: 'bidiFont', direction: 'rtl' });
+
+        text.updateText();
+
+        // the quads of the characters are in logical order, with 4 vertices each
+        const left = (index) => text.children[0].geometry.getBuffer('aVertexPosition').data[index * 8];
+
+        expect(left(3)).to.be.below(left(4));
+        expect(left(4)).to.be.below(left(1));
+        expect(left(1)).to.be.below(left(0));
+
+        text.direction = 'ltr';
+        text.updateText();
+
+        expect(left(1)).to.be.below(left(0));
+        expect(left(0)).to.be.below(left(3));
+        expect(left(3)).to.be.below(left(4));
+
+        text.destroy();
+        BitmapFont.uninstall('bidiFont');
+    });
+
+    it('should cut off the lines after maxLines', function ()
+    {
+        BitmapFont.from('linesFont', {}, { chars: [' ab.'] });
+
+        const text = new BitmapText('a\nb\nb', { fontName: 'linesFont', maxLines: 2 });
+
+        text.updateText();
+
+        expect(text.children[0].size / 6).to.equal(2);
+
+        text.overflow = 'ellipsis';
+        text.updateText();
+
+        // without the ellipsis glyph in the font, three periods are used
+        expect(text.children[0].size / 6).to.equal(5);
+
+        text.destroy();
+        BitmapFont.uninstall('linesFont');
+    });
+
+    it('should end the words wider than maxWidth with an ellipsis', function ()
+    {
+        const font = BitmapFont.from('ellipsisFont', {}, { chars: [' ab\u2026'] });
+        const text = new BitmapText('aaaaaaaaaa b', { fontName: 'ellipsisFont', overflow: 'ellipsis' });
+        const width = font.chars[97].xAdvance * 4;
+
+        text.maxWidth = width;
+        text.updateText();
+
+        expect(text.textWidth).to.be.at.most(width);
+        expect(text.children[0].size / 6).to.equal(5);
+
+        text.destroy();
+        BitmapFont.uninstall('ellipsisFont');
+    });
+
+    it('should fit the font size in the fit width', function ()
+    {
+        BitmapFont.from('fitFont', { fontSize: 20 }, { chars: [' ab'] });
+
+        const text = new BitmapText('aaaa bbbb', { fontName: 'fitFont', fontSize: 40 });
+
+        text.updateText();
+
+        const width = text.textWidth;
+
+        text.fitMode = 'width';
+        text.fitWidth = width / 3;
+        text.updateText();
+
+        const fontSize = text._fitFontSize;
+
+        expect(fontSize).to.be.below(40);
+        expect(text.fontSize).to.equal(40);
+        expect(text.textWidth).to.be.at.most(width / 3);
+        expect(width * (fontSize + 1) / 40).to.be.above(width / 3);
+
+        text.anchor.set(0.5);
+        text.updateText();
+
+        expect(text._fitFontSize).to.equal(fontSize);
+
+        text.text = 'aaaa';
+        text.updateText();
+
+        expect(text._fitFontSize).to.be.above(fontSize);
+
+        text.destroy();
+        BitmapFont.uninstall('fitFont');
+    });
+
+    it('should only lay out the text to try font sizes, and build the meshes once', function ()
+    {
+        BitmapFont.from('fitFont', { fontSize: 20 }, { chars: [' ab'] });
+
+        const text = new BitmapText('aaaa bbbb', { fontName: 'fitFont', fontSize: 40 });
+
+        text.updateText();
+
+        const width = text.textWidth;
+        const update = sinon.spy(text.children[0].geometry.getBuffer('aVertexPosition'), 'update');
+        const layoutText = sinon.spy(text, 'layoutText');
+
+        text.fitMode = 'width';
+        text.fitWidth = width / 3;
+        text.updateText();
+
+        expect(layoutText.callCount).to.be.above(2);
+        expect(layoutText.lastCall.args[0]).to.equal(text._fitFontSize);
+        expect(update).to.have.been.calledOnce;
+
+        text.destroy();
+        BitmapFont.uninstall('fitFont');
+    });
+
+    it('should fit the font size of wrapped text in the fit height', function ()
+    {
+        BitmapFont.from('fitFont', { fontSize: 20 }, { chars: [' ab'] });
+
+        const text = new BitmapText('aa bb aa bb', { fontName: 'fitFont', fontSize: 40, maxWidth: 100 });
+
+        text.fitMode = 'contain';
+        text.fitWidth = 100;
+        text.fitHeight = 40;
+        text.minFontSize = 2;
+        text.updateText();
+
+        expect(text.textWidth).to.be.at.most(100);
+        expect(text.textHeight).to.be.at.most(40);
+
+        text.destroy();
+        BitmapFont.uninstall('fitFont');
+    });
+
     it('letterSpacing should add extra space between characters', function ()
     {
         const text = 'ABCD zz DCBA';
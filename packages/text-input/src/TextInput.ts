@@ -0,0 +1,1157 @@
+import { Container } from '@pixi/display';
+import { Graphics } from '@pixi/graphics';
+import { Rectangle } from '@pixi/math';
+import { Text, TextMetrics, TextStyle } from '@pixi/text';
+import { BitmapFont, BitmapText } from '@pixi/text-bitmap';
+import { Ticker } from '@pixi/ticker';
+
+import type { IDestroyOptions } from '@pixi/display';
+import type { InteractionEvent } from '@pixi/interaction';
+import type { ITextStyle } from '@pixi/text';
+import type { IBitmapTextStyle } from '@pixi/text-bitmap';
+
+export interface ITextInputOptions {
+    value?: string;
+    placeholder?: string;
+    style?: TextStyle|Partial<ITextStyle>;
+    bitmapStyle?: Partial<IBitmapTextStyle>;
+    password?: boolean;
+    maskChar?: string;
+    maxLength?: number;
+    boxWidth?: number;
+    placeholderAlpha?: number;
+    caretColor?: number;
+    caretWidth?: number;
+    caretBlinkTime?: number;
+    selectionColor?: number;
+    selectionAlpha?: number;
+}
+
+/**
+ * An editable, single line text input.
+ *
+ * The text is displayed by a {@link PIXI.Text}, or by a {@link PIXI.BitmapText} when the `bitmapStyle` option is
+ * given, with a caret and a highlight of the selected text. It gets the focus when clicked or tapped, through the
+ * pointer events of the {@link PIXI.InteractionManager}, and then a hidden DOM input element gets the focus so that
+ * the keyboards of mobile devices and the IME of the browser can be used. The value and the selection are kept in
+ * sync with the hidden input, which gives cut, copy and paste from the clipboard.
+ *
+ * Emits `input` when the value is edited, `submit` when Enter is pressed, and `focus` and `blur`.
+ *
+ * ```js
+ * let input = new PIXI.TextInput({
+ *     placeholder: 'Password',
+ *     password: true,
+ *     boxWidth: 200,
+ *     style: { fontFamily: 'Arial', fontSize: 24 },
+ * });
+ *
+ * input.on('submit', (value) => login(value));
+ * ```
+ *
+ * @class
+ * @extends PIXI.Container
+ * @memberof PIXI
+ */
+export class TextInput extends Container
+{
+    /**
+     * The default options of text inputs.
+     *
+     * @static
+     * @memberof PIXI.TextInput
+     * @member {PIXI.ITextInputOptions}
+     */
+    public static defaultOptions: ITextInputOptions = {
+        value: '',
+        placeholder: '',
+        style: null,
+        bitmapStyle: null,
+        password: false,
+        maskChar: '•',
+        maxLength: 0,
+        boxWidth: 0,
+        placeholderAlpha: 0.5,
+        caretColor: 0x000000,
+        caretWidth: 1,
+        caretBlinkTime: 500,
+        selectionColor: 0x3399FF,
+        selectionAlpha: 0.4,
+    };
+
+    /**
+     * The text input that has the focus, null if none has it.
+     *
+     * @static
+     * @memberof PIXI.TextInput
+     * @member {PIXI.TextInput}
+     */
+    public static focused: TextInput = null;
+
+    public readonly textDisplay: Text|BitmapText;
+    public readonly content: Container;
+    public readonly highlight: Graphics;
+    public readonly caret: Graphics;
+    public placeholderAlpha: number;
+    public caretColor: number;
+    public caretWidth: number;
+    public caretBlinkTime: number;
+    public selectionColor: number;
+    public selectionAlpha: number;
+    protected _value: string;
+    protected _placeholder: string;
+    protected _password: boolean;
+    protected _maskChar: string;
+    protected _maxLength: number;
+    protected _boxWidth: number;
+    protected _anchorIndex: number;
+    protected _caretIndex: number;
+    protected _offsets: number[];
+    protected _lineTop: number;
+    protected _lineHeight: number;
+    protected _scrollX: number;
+    protected _blinkTime: number;
+    protected _dragging: boolean;
+    protected _input: HTMLInputElement;
+    protected _inputX: number;
+    protected _inputY: number;
+    protected _boxMask: Graphics;
+
+    /**
+     * @param {object} [options] - The optional parameters of the input, see {@link PIXI.TextInput.defaultOptions}
+     * @param {string} [options.value=''] - The text that is edited
+     * @param {string} [options.placeholder=''] - The text that is shown when the value is empty
+     * @param {object|PIXI.TextStyle} [options.style] - The style of the {@link PIXI.Text} that displays the value,
+     *      it is copied and never wraps words
+     * @param {object} [options.bitmapStyle] - The style of a {@link PIXI.BitmapText} that displays the value instead,
+     *      see {@link PIXI.BitmapText}
+     * @param {boolean} [options.password=false] - Whether the value is masked
+     * @param {string} [options.maskChar='•'] - The character replacing each character of masked values
+     * @param {number} [options.maxLength=0] - The maximum length of the value, unlimited if set to 0
+     * @param {number} [options.boxWidth=0] - The width of the box in which the text scrolls to keep the caret visible,
+     *      the text is not clipped if set to 0
+     * @param {number} [options.placeholderAlpha=0.5] - The alpha of the placeholder
+     * @param {number} [options.caretColor=0x000000] - The color of the caret
+     * @param {number} [options.caretWidth=1] - The width of the caret
+     * @param {number} [options.caretBlinkTime=500] - The time the caret is shown and then hidden, in milliseconds,
+     *      it does not blink if set to 0
+     * @param {number} [options.selectionColor=0x3399FF] - The color of the highlight of the selected text
+     * @param {number} [options.selectionAlpha=0.4] - The alpha of the highlight of the selected text
+     */
+    constructor(options?: ITextInputOptions)
+    {
+        super();
+
+        options = Object.assign({}, TextInput.defaultOptions, options);
+
+        let textDisplay: Text|BitmapText;
+
+        if (options.bitmapStyle)
+        {
+            textDisplay = new BitmapText('', options.bitmapStyle);
+        }
+        else
+        {
+            const style = options.style instanceof TextStyle ? options.style.clone() : new TextStyle(options.style);
+
+            style.wordWrap = false;
+            textDisplay = new Text('', style);
+        }
+
+        /**
+         * The text or bitmap text that displays the value, or the placeholder.
+         *
+         * @member {PIXI.Text|PIXI.BitmapText}
+         * @readonly
+         */
+        this.textDisplay = textDisplay;
+
+        /**
+         * The container of the highlight, the text and the caret, it is moved to scroll them in the box.
+         *
+         * @member {PIXI.Container}
+         * @readonly
+         */
+        this.content = new Container();
+
+        /**
+         * The highlight of the selected text.
+         *
+         * @member {PIXI.Graphics}
+         * @readonly
+         */
+        this.highlight = new Graphics();
+
+        /**
+         * The caret, at the position where text is typed.
+         *
+         * @member {PIXI.Graphics}
+         * @readonly
+         */
+        this.caret = new Graphics();
+
+        /**
+         * The alpha of the placeholder.
+         *
+         * @member {number}
+         */
+        this.placeholderAlpha = options.placeholderAlpha;
+
+        /**
+         * The color of the caret.
+         *
+         * @member {number}
+         */
+        this.caretColor = options.caretColor;
+
+        /**
+         * The width of the caret.
+         *
+         * @member {number}
+         */
+        this.caretWidth = options.caretWidth;
+
+        /**
+         * The time the caret is shown and then hidden, in milliseconds. It does not blink if set to 0.
+         *
+         * @member {number}
+         */
+        this.caretBlinkTime = options.caretBlinkTime;
+
+        /**
+         * The color of the highlight of the selected text.
+         *
+         * @member {number}
+         */
+        this.selectionColor = options.selectionColor;
+
+        /**
+         * The alpha of the highlight of the selected text.
+         *
+         * @member {number}
+         */
+        this.selectionAlpha = options.selectionAlpha;
+
+        this._maxLength = options.maxLength;
+        this._value = this.sanitize(options.value);
+        this._placeholder = options.placeholder;
+        this._password = options.password;
+        this._maskChar = options.maskChar;
+        this._boxWidth = options.boxWidth;
+        this._anchorIndex = this._value.length;
+        this._caretIndex = this._value.length;
+        this._offsets = [];
+        this._lineTop = 0;
+        this._lineHeight = 0;
+        this._scrollX = 0;
+        this._blinkTime = 0;
+        this._dragging = false;
+        this._input = null;
+        this._inputX = 0;
+        this._inputY = 0;
+        this._boxMask = null;
+
+        this.onInput = this.onInput.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onClipboard = this.onClipboard.bind(this);
+        this.onInputBlur = this.onInputBlur.bind(this);
+
+        this.content.addChild(this.highlight, this.textDisplay, this.caret);
+        this.addChild(this.content);
+
+        this.interactive = true;
+        this.cursor = 'text';
+        this.on('pointerdown', this.onPointerDown, this);
+        this.on('pointermove', this.onPointerMove, this);
+        this.on('pointerup', this.onPointerUp, this);
+        this.on('pointerupoutside', this.onPointerUp, this);
+
+        this.updateLayout();
+    }
+
+    /**
+     * Gives the focus to this input, and to the hidden input which gets the keyboard events.
+     * The input that had the focus loses it.
+     */
+    public focus(): void
+    {
+        if (TextInput.focused !== this)
+        {
+            if (TextInput.focused)
+            {
+                TextInput.focused.blur();
+            }
+
+            TextInput.focused = this;
+            Ticker.shared.add(this.onTick, this);
+            this.emit('focus');
+        }
+
+        if (!this._input)
+        {
+            this._input = this.createInput();
+        }
+
+        this.syncInput();
+
+        if (document.activeElement !== this._input)
+        {
+            this._input.focus();
+        }
+
+        this._blinkTime = 0;
+        this.updateLayout();
+    }
+
+    /**
+     * Takes the focus away from this input, and removes the hidden input.
+     */
+    public blur(): void
+    {
+        if (TextInput.focused !== this)
+        {
+            return;
+        }
+
+        TextInput.focused = null;
+        Ticker.shared.remove(this.onTick, this);
+
+        // removing the hidden input blurs it, the focus is already gone
+        const input = this._input;
+
+        this._input = null;
+        this._dragging = false;
+
+        if (input)
+        {
+            input.removeEventListener('input', this.onInput);
+            input.removeEventListener('keydown', this.onKeyDown);
+            input.removeEventListener('copy', this.onClipboard);
+            input.removeEventListener('cut', this.onClipboard);
+            input.removeEventListener('blur', this.onInputBlur);
+
+            if (input.parentNode)
+            {
+                input.parentNode.removeChild(input);
+            }
+        }
+
+        this.updateLayout();
+        this.emit('blur');
+    }
+
+    /**
+     * Selects a part of the value. The caret is at the end, or at the start if `backward` is true.
+     *
+     * @param {number} start - Index of the first selected character
+     * @param {number} end - Index after the last selected character
+     * @param {boolean} [backward=false] - Whether the caret is at the start of the selection
+     */
+    public setSelectionRange(start: number, end: number, backward = false): void
+    {
+        const length = this._value.length;
+
+        start = this.clampIndex(Math.max(0, Math.min(start, length)));
+        end = this.clampIndex(Math.max(start, Math.min(end, length)));
+
+        this._anchorIndex = backward ? end : start;
+        this._caretIndex = backward ? start : end;
+        this._blinkTime = 0;
+        this.syncInput();
+        this.updateLayout();
+    }
+
+    /**
+     * Selects the whole value.
+     */
+    public select(): void
+    {
+        this.setSelectionRange(0, this._value.length);
+    }
+
+    /**
+     * Gets the local x position of the caret before a character of the value, not counting the scrolling.
+     *
+     * @param {number} index - Index of the character
+     * @return {number} The position of the caret.
+     */
+    public getCaretPosition(index: number): number
+    {
+        return this._offsets[Math.max(0, Math.min(index, this._value.length))];
+    }
+
+    /**
+     * Gets the index of the character before which the caret is placed for a local position of the content.
+     *
+     * @param {number} x - The local x position, in the content
+     * @return {number} Index of the closest position of the caret.
+     */
+    public getIndexAt(x: number): number
+    {
+        const offsets = this._offsets;
+        let index = 0;
+
+        for (let i = 1; i < offsets.length; i++)
+        {
+            if (TextMetrics.isLowSurrogate(this._value, i))
+            {
+                continue;
+            }
+
+            if (Math.abs(offsets[i] - x) < Math.abs(offsets[index] - x))
+            {
+                index = i;
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Measures the positions of the caret and the line, displays the text, and draws the caret and the highlight.
+     */
+    public updateLayout(): void
+    {
+        const display = this.textDisplay;
+        const value = this._value;
+        const start = this.selectionStart;
+        const end = this.selectionEnd;
+        const focused = TextInput.focused === this;
+
+        display.text = value ? this.getDisplayText(value) : this._placeholder;
+        display.alpha = value ? 1 : this.placeholderAlpha;
+
+        // the text is drawn inside the stroke, which is half outside of the glyphs
+        if (display instanceof BitmapText)
+        {
+            const font = BitmapFont.available[display.fontName];
+
+            this._lineTop = 0;
+            this._lineHeight = font.lineHeight * display.fontSize / font.size;
+        }
+        else
+        {
+            const style = display.style as TextStyle;
+
+            this._lineTop = style.strokeThickness / 2;
+            this._lineHeight = TextMetrics.measureText(' ', style, false).lineHeight;
+        }
+
+        const offsets = this._offsets;
+
+        offsets.length = value.length + 1;
+
+        for (let i = 0; i <= value.length; i++)
+        {
+            offsets[i] = TextMetrics.isLowSurrogate(value, i)
+                ? offsets[i - 1]
+                : this._lineTop + this.measureWidth(this.getDisplayText(value.substring(0, i)));
+        }
+
+        const caretX = offsets[this._caretIndex];
+        const boxWidth = this._boxWidth;
+
+        // scroll just enough for the caret to be in the box
+        if (boxWidth > 0)
+        {
+            const maxScroll = Math.max(0, offsets[value.length] + this.caretWidth - boxWidth);
+
+            this._scrollX = Math.max(this._scrollX, caretX + this.caretWidth - boxWidth);
+            this._scrollX = Math.max(0, Math.min(this._scrollX, caretX, maxScroll));
+
+            if (!this._boxMask)
+            {
+                this._boxMask = new Graphics();
+                this.addChild(this._boxMask);
+                this.content.mask = this._boxMask;
+            }
+
+            this._boxMask.clear()
+                .beginFill(0xFFFFFF)
+                .drawRect(0, 0, boxWidth, this._lineHeight + (this._lineTop * 2))
+                .endFill();
+        }
+        else
+        {
+            this._scrollX = 0;
+
+            if (this._boxMask)
+            {
+                this.content.mask = null;
+                this._boxMask.destroy();
+                this._boxMask = null;
+            }
+        }
+
+        this.content.x = -this._scrollX;
+
+        this.highlight.clear();
+
+        if (focused && start !== end)
+        {
+            this.highlight.beginFill(this.selectionColor, this.selectionAlpha)
+                .drawRect(offsets[start], this._lineTop, offsets[end] - offsets[start], this._lineHeight)
+                .endFill();
+        }
+
+        this.caret.clear()
+            .beginFill(this.caretColor)
+            .drawRect(0, 0, this.caretWidth, this._lineHeight)
+            .endFill();
+        this.caret.position.set(caretX, this._lineTop);
+        this.updateCaretVisibility();
+
+        this.hitArea = new Rectangle(0, 0,
+            boxWidth || Math.max(offsets[value.length], display.width) + this.caretWidth,
+            this._lineHeight + (this._lineTop * 2));
+    }
+
+    /**
+     * Gets the text that is displayed for a value, masked when the input is a password.
+     *
+     * @param {string} value - The value
+     * @return {string} The displayed text.
+     */
+    protected getDisplayText(value: string): string
+    {
+        if (!this._password)
+        {
+            return value;
+        }
+
+        let masked = '';
+
+        for (let i = 0; i < value.length; i++)
+        {
+            if (!TextMetrics.isLowSurrogate(value, i))
+            {
+                masked += this._maskChar;
+            }
+        }
+
+        return masked;
+    }
+
+    /**
+     * Measures the width of a displayed text, with the letter spacing after each character.
+     *
+     * @param {string} text - The displayed text
+     * @return {number} The width of the text.
+     */
+    protected measureWidth(text: string): number
+    {
+        const display = this.textDisplay;
+
+        if (display instanceof BitmapText)
+        {
+            return BitmapText.measureLine(text, {
+                fontName: display.fontName,
+                fontSize: display.fontSize,
+                letterSpacing: display.letterSpacing,
+                direction: display.direction,
+            }).width;
+        }
+
+        const style = display.style as TextStyle;
+        const context = TextMetrics._context;
+
+        context.font = style.toFontString();
+
+        return context.measureText(text).width + (text.length * style.letterSpacing);
+    }
+
+    /**
+     * Creates the hidden input that gets the keyboard events, at the position of the last pointer down event
+     * so that the IME shows its candidates next to it.
+     *
+     * @return {HTMLInputElement} The hidden input, added to the document.
+     */
+    protected createInput(): HTMLInputElement
+    {
+        const input = document.createElement('input');
+        const style = input.style;
+
+        input.type = this._password ? 'password' : 'text';
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+
+        if (this._maxLength > 0)
+        {
+            input.maxLength = this._maxLength;
+        }
+
+        style.position = 'fixed';
+        style.left = `${this._inputX}px`;
+        style.top = `${this._inputY}px`;
+        style.width = '1px';
+        style.height = '1px';
+        style.padding = '0';
+        style.border = '0';
+        style.opacity = '0';
+        style.pointerEvents = 'none';
+
+        // smaller fonts make mobile browsers zoom in on the input
+        style.fontSize = '16px';
+
+        input.addEventListener('input', this.onInput);
+        input.addEventListener('keydown', this.onKeyDown);
+        input.addEventListener('copy', this.onClipboard);
+        input.addEventListener('cut', this.onClipboard);
+        input.addEventListener('blur', this.onInputBlur);
+
+        document.body.appendChild(input);
+
+        return input;
+    }
+
+    /**
+     * Copies the value and the selection to the hidden input, for the edits and the clipboard to apply to them.
+     */
+    protected syncInput(): void
+    {
+        const input = this._input;
+
+        if (!input)
+        {
+            return;
+        }
+
+        if (input.value !== this._value)
+        {
+            input.value = this._value;
+        }
+
+        input.setSelectionRange(this.selectionStart, this.selectionEnd,
+            this._caretIndex < this._anchorIndex ? 'backward' : 'forward');
+    }
+
+    /**
+     * Copies the value and the selection edited in the hidden input, by typing, the IME, or the clipboard.
+     */
+    protected onInput(): void
+    {
+        const input = this._input;
+
+        if (!input)
+        {
+            return;
+        }
+
+        const value = input.value;
+        const changed = value !== this._value;
+        const backward = input.selectionDirection === 'backward';
+
+        this._value = value;
+        this._anchorIndex = backward ? input.selectionEnd : input.selectionStart;
+        this._caretIndex = backward ? input.selectionStart : input.selectionEnd;
+        this._blinkTime = 0;
+        this.updateLayout();
+
+        if (changed)
+        {
+            this.emit('input', value);
+        }
+    }
+
+    /**
+     * Moves the caret with the arrow, Home and End keys, extending the selection when shift is pressed,
+     * by words when ctrl or alt is pressed and to the ends when meta is pressed.
+     * The other edits are made by the hidden input, and the keys are left to the IME while it composes text.
+     *
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    protected onKeyDown(event: KeyboardEvent): void
+    {
+        // 229 is the key code of the events sent to the IME by browsers that don't set isComposing
+        if (event.isComposing || event.keyCode === 229)
+        {
+            return;
+        }
+
+        const value = this._value;
+        const caret = this._caretIndex;
+        const collapse = !event.shiftKey && !event.ctrlKey && !event.altKey && !event.metaKey
+            && this.selectionStart !== this.selectionEnd;
+        let index: number;
+
+        switch (event.key)
+        {
+            case 'ArrowLeft':
+                if (collapse)
+                {
+                    index = this.selectionStart;
+                }
+                else if (event.metaKey)
+                {
+                    index = 0;
+                }
+                else
+                {
+                    index = (event.ctrlKey || event.altKey) ? this.findWordStart(caret) : this.clampIndex(caret - 1);
+                }
+                break;
+            case 'ArrowRight':
+                if (collapse)
+                {
+                    index = this.selectionEnd;
+                }
+                else if (event.metaKey)
+                {
+                    index = value.length;
+                }
+                else
+                {
+                    index = (event.ctrlKey || event.altKey) ? this.findWordEnd(caret) : this.clampIndex(caret + 1, true);
+                }
+                break;
+            case 'ArrowUp':
+            case 'Home':
+                index = 0;
+                break;
+            case 'ArrowDown':
+            case 'End':
+                index = value.length;
+                break;
+            case 'a':
+            case 'A':
+                if (!event.ctrlKey && !event.metaKey)
+                {
+                    return;
+                }
+                event.preventDefault();
+                this.select();
+
+                return;
+            case 'Enter':
+                event.preventDefault();
+                this.emit('submit', value);
+
+                return;
+            case 'Escape':
+                this.blur();
+
+                return;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+
+        this._caretIndex = index;
+
+        if (!event.shiftKey)
+        {
+            this._anchorIndex = index;
+        }
+
+        this._blinkTime = 0;
+        this.syncInput();
+        this.updateLayout();
+    }
+
+    /**
+     * Keeps the masked values of passwords from being copied or cut to the clipboard.
+     *
+     * @param {ClipboardEvent} event - The copy or cut event
+     */
+    protected onClipboard(event: ClipboardEvent): void
+    {
+        if (this._password)
+        {
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * Takes the focus away when the hidden input loses it, unless the text is being selected with the pointer.
+     */
+    protected onInputBlur(): void
+    {
+        if (!this._dragging)
+        {
+            this.blur();
+        }
+    }
+
+    /**
+     * Places the caret under the pointer, or extends the selection to it when shift is pressed,
+     * and starts selecting the text.
+     *
+     * @param {PIXI.InteractionEvent} event - The pointer event
+     */
+    protected onPointerDown(event: InteractionEvent): void
+    {
+        const originalEvent = event.data.originalEvent as MouseEvent;
+
+        if (originalEvent && typeof originalEvent.clientX === 'number')
+        {
+            this._inputX = originalEvent.clientX;
+            this._inputY = originalEvent.clientY;
+        }
+
+        this._dragging = true;
+        this._caretIndex = this.getIndexAt(event.data.getLocalPosition(this.content).x);
+
+        if (!originalEvent || !originalEvent.shiftKey || TextInput.focused !== this)
+        {
+            this._anchorIndex = this._caretIndex;
+        }
+
+        this._blinkTime = 0;
+        this.syncInput();
+        this.updateLayout();
+    }
+
+    /**
+     * Extends the selection to the pointer while the text is being selected.
+     *
+     * @param {PIXI.InteractionEvent} event - The pointer event
+     */
+    protected onPointerMove(event: InteractionEvent): void
+    {
+        if (!this._dragging)
+        {
+            return;
+        }
+
+        const index = this.getIndexAt(event.data.getLocalPosition(this.content).x);
+
+        if (index !== this._caretIndex)
+        {
+            this._caretIndex = index;
+            this.syncInput();
+            this.updateLayout();
+        }
+    }
+
+    /**
+     * Ends the selection with the pointer, and gives the focus to the input. The hidden input is focused on
+     * pointer up, as the focus changes after pointer down and mobile browsers only show keyboards for user gestures.
+     */
+    protected onPointerUp(): void
+    {
+        if (!this._dragging)
+        {
+            return;
+        }
+
+        this._dragging = false;
+        this.focus();
+    }
+
+    /**
+     * Blinks the caret.
+     */
+    protected onTick(): void
+    {
+        this._blinkTime += Ticker.shared.elapsedMS;
+        this.updateCaretVisibility();
+    }
+
+    /**
+     * Shows the caret when the input has the focus and no text is selected, and hides it every other blink.
+     */
+    protected updateCaretVisibility(): void
+    {
+        const blinkTime = this.caretBlinkTime;
+
+        this.caret.visible = TextInput.focused === this
+            && this._anchorIndex === this._caretIndex
+            && (blinkTime <= 0 || Math.floor(this._blinkTime / blinkTime) % 2 === 0);
+    }
+
+    /**
+     * Moves an index back to the start of the code point it is in.
+     *
+     * @param {number} index - The index
+     * @param {boolean} [forward=false] - Whether to move it to the end of the code point instead
+     * @return {number} The index, between 0 and the length of the value.
+     */
+    protected clampIndex(index: number, forward = false): number
+    {
+        index = Math.max(0, Math.min(index, this._value.length));
+
+        if (TextMetrics.isLowSurrogate(this._value, index))
+        {
+            index += forward ? 1 : -1;
+        }
+
+        return index;
+    }
+
+    /**
+     * Finds the start of the word before an index. The words of passwords are not revealed, it is the start.
+     *
+     * @param {number} index - The index
+     * @return {number} Index of the start of the word.
+     */
+    protected findWordStart(index: number): number
+    {
+        const value = this._value;
+
+        if (this._password)
+        {
+            return 0;
+        }
+
+        while (index > 0 && (/\s/).test(value.charAt(index - 1)))
+        {
+            index--;
+        }
+
+        while (index > 0 && !(/\s/).test(value.charAt(index - 1)))
+        {
+            index--;
+        }
+
+        return index;
+    }
+
+    /**
+     * Finds the end of the word after an index. The words of passwords are not revealed, it is the end.
+     *
+     * @param {number} index - The index
+     * @return {number} Index of the end of the word.
+     */
+    protected findWordEnd(index: number): number
+    {
+        const value = this._value;
+
+        if (this._password)
+        {
+            return value.length;
+        }
+
+        while (index < value.length && (/\s/).test(value.charAt(index)))
+        {
+            index++;
+        }
+
+        while (index < value.length && !(/\s/).test(value.charAt(index)))
+        {
+            index++;
+        }
+
+        return index;
+    }
+
+    /**
+     * Removes the line breaks that single line inputs can't have, and cuts the value to the maximum length.
+     *
+     * @param {string} value - The value
+     * @return {string} The value that can be edited.
+     */
+    protected sanitize(value: string): string
+    {
+        value = String(value === null || value === undefined ? '' : value).replace(/[\r\n]/g, '');
+
+        return this._maxLength > 0 ? value.substring(0, this._maxLength) : value;
+    }
+
+    /**
+     * The text that is edited. Setting it places the caret at the end.
+     *
+     * @member {string}
+     */
+    get value(): string
+    {
+        return this._value;
+    }
+
+    set value(value: string)
+    {
+        value = this.sanitize(value);
+
+        if (this._value !== value)
+        {
+            this._value = value;
+            this._anchorIndex = value.length;
+            this._caretIndex = value.length;
+            this.syncInput();
+            this.updateLayout();
+        }
+    }
+
+    /**
+     * The text that is shown when the value is empty.
+     *
+     * @member {string}
+     */
+    get placeholder(): string
+    {
+        return this._placeholder;
+    }
+
+    set placeholder(value: string)
+    {
+        if (this._placeholder !== value)
+        {
+            this._placeholder = value;
+            this.updateLayout();
+        }
+    }
+
+    /**
+     * Whether the value is masked, and kept from the clipboard.
+     *
+     * @member {boolean}
+     */
+    get password(): boolean
+    {
+        return this._password;
+    }
+
+    set password(value: boolean)
+    {
+        if (this._password !== value)
+        {
+            this._password = value;
+
+            if (this._input)
+            {
+                this._input.type = value ? 'password' : 'text';
+            }
+
+            this.updateLayout();
+        }
+    }
+
+    /**
+     * The character replacing each character of masked values.
+     *
+     * @member {string}
+     * @default '•'
+     */
+    get maskChar(): string
+    {
+        return this._maskChar;
+    }
+
+    set maskChar(value: string)
+    {
+        if (this._maskChar !== value)
+        {
+            this._maskChar = value;
+            this.updateLayout();
+        }
+    }
+
+    /**
+     * The maximum length of the value, unlimited if set to 0. Setting it cuts the value.
+     *
+     * @member {number}
+     */
+    get maxLength(): number
+    {
+        return this._maxLength;
+    }
+
+    set maxLength(value: number)
+    {
+        if (this._maxLength !== value)
+        {
+            this._maxLength = value;
+
+            if (this._input)
+            {
+                if (value > 0)
+                {
+                    this._input.maxLength = value;
+                }
+                else
+                {
+                    this._input.removeAttribute('maxlength');
+                }
+            }
+
+            this.value = this._value;
+        }
+    }
+
+    /**
+     * The width of the box in which the text scrolls to keep the caret visible. The text is not clipped if set to 0.
+     *
+     * @member {number}
+     */
+    get boxWidth(): number
+    {
+        return this._boxWidth;
+    }
+
+    set boxWidth(value: number)
+    {
+        if (this._boxWidth !== value)
+        {
+            this._boxWidth = value;
+            this.updateLayout();
+        }
+    }
+
+    /**
+     * Index of the first selected character, or of the caret when no text is selected.
+     *
+     * @member {number}
+     * @readonly
+     */
+    get selectionStart(): number
+    {
+        return Math.min(this._anchorIndex, this._caretIndex);
+    }
+
+    /**
+     * Index after the last selected character, or of the caret when no text is selected.
+     *
+     * @member {number}
+     * @readonly
+     */
+    get selectionEnd(): number
+    {
+        return Math.max(this._anchorIndex, this._caretIndex);
+    }
+
+    /**
+     * Index of the caret, at the start or the end of the selection.
+     *
+     * @member {number}
+     * @readonly
+     */
+    get caretIndex(): number
+    {
+        return this._caretIndex;
+    }
+
+    /**
+     * Whether the input has the focus.
+     *
+     * @member {boolean}
+     * @readonly
+     */
+    get focused(): boolean
+    {
+        return TextInput.focused === this;
+    }
+
+    /**
+     * Takes the focus away from the input and destroys it.
+     *
+     * @param {object|boolean} [options] - Options parameter, see {@link PIXI.Container#destroy}
+     */
+    public destroy(options?: IDestroyOptions|boolean): void
+    {
+        this.blur();
+
+        if (this._boxMask)
+        {
+            this.content.mask = null;
+            this._boxMask.destroy();
+            this._boxMask = null;
+        }
+
+        this.textDisplay.destroy();
+        this.highlight.destroy();
+        this.caret.destroy();
+        this.content.destroy();
+
+        super.destroy(options);
+    }
+}
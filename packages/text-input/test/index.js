@@ -0,0 +1,355 @@
+const { TextInput } = require('../');
+const { BitmapFont, BitmapText } = require('@pixi/text-bitmap');
+const { Text, TextMetrics, TextStyle } = require('@pixi/text');
+const { Point } = require('@pixi/math');
+const { expect } = require('chai');
+
+function keyDown(input, key, options)
+{
+    const event = new KeyboardEvent('keydown', Object.assign({ key, cancelable: true }, options));
+
+    input._input.dispatchEvent(event);
+
+    return event;
+}
+
+function pointerEvent(x, shiftKey)
+{
+    return {
+        data: {
+            originalEvent: { clientX: 5, clientY: 6, shiftKey },
+            getLocalPosition: () => new Point(x, 0),
+        },
+    };
+}
+
+describe('PIXI.TextInput', function ()
+{
+    // the characters are 10 pixels wide
+    before(function ()
+    {
+        sinon.stub(TextMetrics._context, 'measureText').callsFake((text) => ({ width: text.length * 10 }));
+    });
+
+    after(function ()
+    {
+        TextMetrics._context.measureText.restore();
+    });
+
+    afterEach(function ()
+    {
+        if (TextInput.focused)
+        {
+            TextInput.focused.destroy();
+        }
+    });
+
+    it('should display the value with a copy of the style that does not wrap words', function ()
+    {
+        const style = new TextStyle({ fontSize: 20, wordWrap: true });
+        const input = new TextInput({ value: 'hello', style });
+
+        expect(input.textDisplay).to.be.instanceof(Text);
+        expect(input.textDisplay.text).to.equal('hello');
+        expect(input.textDisplay.style).to.not.equal(style);
+        expect(input.textDisplay.style.wordWrap).to.be.false;
+        expect(input.textDisplay.style.fontSize).to.equal(20);
+        expect(style.wordWrap).to.be.true;
+        expect(input.interactive).to.be.true;
+
+        input.destroy();
+    });
+
+    it('should display the placeholder when the value is empty', function ()
+    {
+        const input = new TextInput({ placeholder: 'Name' });
+
+        expect(input.textDisplay.text).to.equal('Name');
+        expect(input.textDisplay.alpha).to.equal(0.5);
+
+        input.value = 'Bob';
+
+        expect(input.textDisplay.text).to.equal('Bob');
+        expect(input.textDisplay.alpha).to.equal(1);
+
+        input.destroy();
+    });
+
+    it('should mask the value of passwords', function ()
+    {
+        const input = new TextInput({ value: 'ab😀', password: true });
+
+        expect(input.value).to.equal('ab😀');
+        expect(input.textDisplay.text).to.equal('•••');
+        expect(input.getCaretPosition(4)).to.equal(input.getCaretPosition(2) + 10);
+
+        input.maskChar = '*';
+
+        expect(input.textDisplay.text).to.equal('***');
+
+        input.destroy();
+    });
+
+    it('should remove line breaks and cut the value to the maximum length', function ()
+    {
+        const input = new TextInput({ value: 'ab\ncd\r\nef', maxLength: 5 });
+
+        expect(input.value).to.equal('abcde');
+
+        input.maxLength = 3;
+
+        expect(input.value).to.equal('abc');
+
+        input.destroy();
+    });
+
+    it('should place the caret and the selection between the characters', function ()
+    {
+        const input = new TextInput({ value: 'hello' });
+
+        expect(input.caretIndex).to.equal(5);
+        expect(input.getCaretPosition(3)).to.equal(30);
+
+        input.setSelectionRange(1, 3);
+
+        expect(input.selectionStart).to.equal(1);
+        expect(input.selectionEnd).to.equal(3);
+        expect(input.caretIndex).to.equal(3);
+        expect(input.caret.x).to.equal(30);
+
+        input.setSelectionRange(1, 3, true);
+
+        expect(input.caretIndex).to.equal(1);
+        expect(input.getIndexAt(26)).to.equal(3);
+        expect(input.getIndexAt(-10)).to.equal(0);
+        expect(input.getIndexAt(100)).to.equal(5);
+
+        input.destroy();
+    });
+
+    it('should focus a hidden input on pointer up and blur when it loses the focus', function ()
+    {
+        const input = new TextInput({ value: 'hello' });
+        const onFocus = sinon.spy();
+        const onBlur = sinon.spy();
+
+        input.on('focus', onFocus);
+        input.on('blur', onBlur);
+        input.onPointerDown(pointerEvent(21));
+
+        expect(input.focused).to.be.false;
+        expect(input.caretIndex).to.equal(2);
+
+        input.onPointerUp();
+
+        const hidden = input._input;
+
+        expect(input.focused).to.be.true;
+        expect(TextInput.focused).to.equal(input);
+        expect(onFocus).to.have.been.calledOnce;
+        expect(document.activeElement).to.equal(hidden);
+        expect(hidden.value).to.equal('hello');
+        expect(hidden.selectionStart).to.equal(2);
+        expect(hidden.style.left).to.equal('5px');
+        expect(input.caret.visible).to.be.true;
+
+        hidden.blur();
+
+        expect(input.focused).to.be.false;
+        expect(onBlur).to.have.been.calledOnce;
+        expect(hidden.parentNode).to.be.null;
+        expect(input.caret.visible).to.be.false;
+
+        input.destroy();
+    });
+
+    it('should select the text with the pointer', function ()
+    {
+        const input = new TextInput({ value: 'hello' });
+
+        input.onPointerDown(pointerEvent(9));
+        input.onPointerMove(pointerEvent(38));
+        input.onPointerUp();
+
+        expect(input.selectionStart).to.equal(1);
+        expect(input.selectionEnd).to.equal(4);
+        expect(input.highlight.geometry.graphicsData).to.have.lengthOf(1);
+        expect(input.caret.visible).to.be.false;
+
+        input.onPointerDown(pointerEvent(50, true));
+        input.onPointerUp();
+
+        expect(input.selectionStart).to.equal(1);
+        expect(input.selectionEnd).to.equal(5);
+    });
+
+    it('should blur the input that had the focus', function ()
+    {
+        const first = new TextInput();
+        const second = new TextInput();
+
+        first.focus();
+        second.focus();
+
+        expect(first.focused).to.be.false;
+        expect(second.focused).to.be.true;
+        expect(document.querySelectorAll('input')).to.have.lengthOf(1);
+
+        first.destroy();
+    });
+
+    it('should copy the edits of the hidden input', function ()
+    {
+        const input = new TextInput({ value: 'hello' });
+        const onInput = sinon.spy();
+
+        input.on('input', onInput);
+        input.focus();
+        input._input.value = 'hello world';
+        input._input.setSelectionRange(6, 11);
+        input._input.dispatchEvent(new Event('input'));
+
+        expect(input.value).to.equal('hello world');
+        expect(input.selectionStart).to.equal(6);
+        expect(input.selectionEnd).to.equal(11);
+        expect(input.textDisplay.text).to.equal('hello world');
+        expect(onInput).to.have.been.calledOnceWith('hello world');
+    });
+
+    it('should move the caret with the keyboard', function ()
+    {
+        const input = new TextInput({ value: 'one two three' });
+
+        input.focus();
+
+        expect(keyDown(input, 'ArrowLeft').defaultPrevented).to.be.true;
+        expect(input.caretIndex).to.equal(12);
+
+        keyDown(input, 'ArrowLeft', { ctrlKey: true });
+        expect(input.caretIndex).to.equal(8);
+
+        keyDown(input, 'ArrowLeft', { shiftKey: true, altKey: true });
+        expect(input.selectionStart).to.equal(4);
+        expect(input.selectionEnd).to.equal(8);
+        expect(input._input.selectionStart).to.equal(4);
+        expect(input._input.selectionDirection).to.equal('backward');
+
+        keyDown(input, 'ArrowRight');
+        expect(input.selectionStart).to.equal(8);
+        expect(input.selectionEnd).to.equal(8);
+
+        keyDown(input, 'End', { shiftKey: true });
+        expect(input.selectionStart).to.equal(8);
+        expect(input.selectionEnd).to.equal(13);
+
+        keyDown(input, 'Home');
+        expect(input.caretIndex).to.equal(0);
+
+        keyDown(input, 'ArrowRight', { ctrlKey: true });
+        expect(input.caretIndex).to.equal(3);
+
+        keyDown(input, 'a', { ctrlKey: true });
+        expect(input.selectionStart).to.equal(0);
+        expect(input.selectionEnd).to.equal(13);
+
+        expect(keyDown(input, 'x').defaultPrevented).to.be.false;
+    });
+
+    it('should move over surrogate pairs and over the words of passwords at once', function ()
+    {
+        const input = new TextInput({ value: 'a😀 b', password: true });
+
+        input.focus();
+        input.setSelectionRange(1, 1);
+
+        keyDown(input, 'ArrowRight');
+        expect(input.caretIndex).to.equal(3);
+
+        keyDown(input, 'ArrowLeft');
+        expect(input.caretIndex).to.equal(1);
+
+        keyDown(input, 'ArrowRight', { ctrlKey: true });
+        expect(input.caretIndex).to.equal(5);
+    });
+
+    it('should leave the keys to the IME while it composes text', function ()
+    {
+        const input = new TextInput({ value: 'hello' });
+        const onSubmit = sinon.spy();
+
+        input.on('submit', onSubmit);
+        input.focus();
+
+        expect(keyDown(input, 'Enter', { isComposing: true }).defaultPrevented).to.be.false;
+        expect(keyDown(input, 'ArrowLeft', { keyCode: 229 }).defaultPrevented).to.be.false;
+        expect(keyDown(input, 'Home', { isComposing: true }).defaultPrevented).to.be.false;
+        expect(input.caretIndex).to.equal(5);
+        expect(onSubmit).to.not.have.been.called;
+
+        input.destroy();
+    });
+
+    it('should emit submit on enter and keep passwords from the clipboard', function ()
+    {
+        const input = new TextInput({ value: 'secret', password: true });
+        const onSubmit = sinon.spy();
+
+        input.on('submit', onSubmit);
+        input.focus();
+        keyDown(input, 'Enter');
+
+        expect(onSubmit).to.have.been.calledOnceWith('secret');
+        expect(input._input.type).to.equal('password');
+
+        const copy = new Event('copy', { cancelable: true });
+
+        input._input.dispatchEvent(copy);
+
+        expect(copy.defaultPrevented).to.be.true;
+
+        keyDown(input, 'Escape');
+
+        expect(input.focused).to.be.false;
+
+        input.destroy();
+    });
+
+    it('should scroll the text to keep the caret in the box', function ()
+    {
+        const input = new TextInput({ value: 'abcdefghij', boxWidth: 50 });
+
+        expect(input.content.mask).to.not.be.null;
+        expect(input.content.x).to.equal(-51);
+        expect(input.hitArea.width).to.equal(50);
+
+        input.setSelectionRange(2, 2);
+
+        expect(input.content.x).to.equal(-20);
+
+        input.setSelectionRange(8, 8);
+
+        expect(input.content.x).to.equal(-31);
+
+        input.boxWidth = 0;
+
+        expect(input.content.mask).to.be.null;
+        expect(input.content.x).to.equal(0);
+
+        input.destroy();
+    });
+
+    it('should measure the value with bitmap fonts', function ()
+    {
+        const font = BitmapFont.from('TextInputFont', { fontSize: 20 }, { chars: [['a', 'z']] });
+        const input = new TextInput({ value: 'abc', bitmapStyle: { fontName: 'TextInputFont', letterSpacing: 2 } });
+
+        expect(input.textDisplay).to.be.instanceof(BitmapText);
+        const metrics = BitmapText.measureLine('abc', { fontName: 'TextInputFont', letterSpacing: 2 });
+
+        expect(input.getCaretPosition(1)).to.equal(font.chars[97].xAdvance + 2);
+        expect(input.getCaretPosition(3)).to.equal(metrics.width);
+
+        input.destroy();
+        BitmapFont.uninstall('TextInputFont');
+    });
+});
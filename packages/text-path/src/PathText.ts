@@ -0,0 +1,774 @@
+import { Container } from '@pixi/display';
+import { graphicsUtils } from '@pixi/graphics';
+import { Point } from '@pixi/math';
+import { RopeGeometry } from '@pixi/mesh-extras';
+import { Sprite } from '@pixi/sprite';
+import { Text, TextMetrics, TextStyle } from '@pixi/text';
+import { BitmapFont, BitmapText } from '@pixi/text-bitmap';
+
+import type { IDestroyOptions } from '@pixi/display';
+import type { IPoint, Rectangle } from '@pixi/math';
+import type { ITextStyle } from '@pixi/text';
+import type { IBitmapTextLineMetrics, IBitmapTextStyle } from '@pixi/text-bitmap';
+
+export type PathTextCurve = 'polyline'|'quadratic'|'bezier';
+export type PathTextAlign = 'left'|'center'|'right';
+
+export interface IPathTextOptions {
+    path?: IPoint[];
+    curve?: PathTextCurve;
+    style?: TextStyle|Partial<ITextStyle>;
+    bitmapStyle?: Partial<IBitmapTextStyle>;
+    startOffset?: number;
+    align?: PathTextAlign;
+    offset?: number;
+    rotate?: boolean;
+}
+
+/**
+ * A text whose glyphs are placed along a path, like the names of roads on maps or the labels around badges.
+ *
+ * The glyphs are sprites of {@link PIXI.Text} rendered once per character, or {@link PIXI.BitmapText} when the
+ * `bitmapStyle` option is given. They are centered on the path, and rotated along it with the tangents used
+ * by {@link PIXI.RopeGeometry}. Like in other texts, the right-to-left runs are placed in the order they are
+ * displayed, following the `direction` of the style.
+ *
+ * The path is a polyline, or a chain of quadratic or cubic bezier curves given by their control points like
+ * {@link PIXI.Graphics#quadraticCurveTo} and {@link PIXI.Graphics#bezierCurveTo}. The text wraps around
+ * closed paths, which end where they start, and the glyphs past the ends of open paths are hidden.
+ *
+ * ```js
+ * let badge = new PIXI.PathText('Hello World', {
+ *     path: [
+ *         new PIXI.Point(-100, 0),
+ *         new PIXI.Point(-100, -133), new PIXI.Point(100, -133), new PIXI.Point(100, 0),
+ *     ],
+ *     curve: 'bezier',
+ *     align: 'center',
+ *     style: { fontFamily: 'Arial', fontSize: 24 },
+ * });
+ *
+ * badge.startOffset = badge.pathLength / 2;
+ * ```
+ *
+ * @class
+ * @extends PIXI.Container
+ * @memberof PIXI
+ */
+export class PathText extends Container
+{
+    /**
+     * The default options of path texts.
+     *
+     * @static
+     * @memberof PIXI.PathText
+     * @member {PIXI.IPathTextOptions}
+     */
+    public static defaultOptions: IPathTextOptions = {
+        path: null,
+        curve: 'polyline',
+        style: null,
+        bitmapStyle: null,
+        startOffset: 0,
+        align: 'left',
+        offset: 0,
+        rotate: true,
+    };
+
+    public dirty: boolean;
+    public readonly glyphs: Array<Sprite|BitmapText>;
+    protected _text: string;
+    protected _path: IPoint[];
+    protected _curve: PathTextCurve;
+    protected _style: TextStyle;
+    protected _styleID: number;
+    protected _bitmapStyle: Partial<IBitmapTextStyle>;
+    protected _startOffset: number;
+    protected _align: PathTextAlign;
+    protected _offset: number;
+    protected _rotate: boolean;
+    protected _points: IPoint[];
+    protected _tangents: number[];
+    protected _distances: number[];
+    protected _closed: boolean;
+    protected _pathDirty: boolean;
+    protected _charTexts: Record<string, Text>;
+
+    /**
+     * @param {string} text - The text
+     * @param {object} [options] - The optional parameters of the text, see {@link PIXI.PathText.defaultOptions}
+     * @param {PIXI.IPoint[]} [options.path] - The points of the path
+     * @param {string} [options.curve='polyline'] - How the points make the path: 'polyline', or 'quadratic' or
+     *      'bezier' for a start point followed by the control points and the end point of each curve
+     * @param {object|PIXI.TextStyle} [options.style] - The style of the {@link PIXI.Text} that renders the glyphs
+     * @param {object} [options.bitmapStyle] - The style of the {@link PIXI.BitmapText} glyphs that are used instead,
+     *      see {@link PIXI.BitmapText}
+     * @param {number} [options.startOffset=0] - The distance along the path where the text is aligned
+     * @param {string} [options.align='left'] - Whether the text starts, is centered, or ends at the start offset,
+     *      'left', 'center' or 'right'
+     * @param {number} [options.offset=0] - The distance of the glyphs from the path, to its left
+     * @param {boolean} [options.rotate=true] - Whether the glyphs are rotated along the path, or stay upright
+     */
+    constructor(text: string, options?: IPathTextOptions)
+    {
+        super();
+
+        options = Object.assign({}, PathText.defaultOptions, options);
+
+        /**
+         * Whether the glyphs have to be placed again.
+         *
+         * @member {boolean}
+         */
+        this.dirty = true;
+
+        /**
+         * The sprites or bitmap texts of the glyphs, in the order of the text. Spaces have no glyphs.
+         *
+         * @member {Array<PIXI.Sprite|PIXI.BitmapText>}
+         * @readonly
+         */
+        this.glyphs = [];
+
+        this._text = String(text === null || text === undefined ? '' : text);
+        this._path = options.path || [];
+        this._curve = options.curve;
+        this._style = null;
+        this._styleID = -1;
+        this._bitmapStyle = options.bitmapStyle;
+        this._startOffset = options.startOffset;
+        this._align = options.align;
+        this._offset = options.offset;
+        this._rotate = options.rotate;
+        this._points = [];
+        this._tangents = [];
+        this._distances = [];
+        this._closed = false;
+        this._pathDirty = true;
+        this._charTexts = {};
+
+        if (!this._bitmapStyle)
+        {
+            this.style = options.style;
+        }
+    }
+
+    /**
+     * Places the glyphs along the path.
+     */
+    public updateText(): void
+    {
+        this.updatePath();
+
+        const text = this._text;
+        const bitmapStyle = this._bitmapStyle;
+        const metrics = this.measureLine(text);
+        const length = this.pathLength;
+        const closed = this.closed;
+        const point = new Point();
+        const tangent = new Point();
+        let start = this._startOffset;
+        let count = 0;
+
+        if (this._align === 'center')
+        {
+            start -= metrics.width / 2;
+        }
+        else if (this._align === 'right')
+        {
+            start -= metrics.width;
+        }
+
+        for (let i = 0; i < text.length; i++)
+        {
+            const char = TextMetrics.getCodePoint(text, i) > 0xFFFF ? text.substr(i, 2) : text.charAt(i);
+            const pen = metrics.positions[i];
+            const advance = metrics.advances[i];
+
+            i += char.length - 1;
+
+            if ((/(?:\s)/).test(char))
+            {
+                continue;
+            }
+
+            let glyph = this.glyphs[count];
+
+            if (bitmapStyle)
+            {
+                if (!glyph)
+                {
+                    glyph = new BitmapText(char, bitmapStyle);
+                }
+
+                (glyph as BitmapText).text = char;
+            }
+            else
+            {
+                const style = this._style;
+                let charText = this._charTexts[char];
+
+                if (!charText)
+                {
+                    charText = this._charTexts[char] = new Text(char, style);
+                }
+
+                charText.updateText(true);
+
+                if (!glyph)
+                {
+                    glyph = new Sprite(charText.texture);
+                }
+
+                (glyph as Sprite).texture = charText.texture;
+            }
+
+            if (!this.glyphs[count])
+            {
+                this.glyphs[count] = glyph;
+                this.addChild(glyph);
+            }
+
+            // the glyph is centered on the path at the middle of its advance
+            let distance = start + pen + (advance / 2);
+
+            if (closed && length > 0)
+            {
+                distance = ((distance % length) + length) % length;
+            }
+
+            this.getPointAt(distance, point, tangent);
+
+            const dirX = this._rotate ? tangent.x : 1;
+            const dirY = this._rotate ? tangent.y : 0;
+            const left = (advance / 2) + (bitmapStyle ? 0 : this._style.strokeThickness / 2);
+
+            glyph.anchor.set(0, 0.5);
+            glyph.rotation = this._rotate ? Math.atan2(tangent.y, tangent.x) : 0;
+            glyph.position.set(
+                point.x - (dirX * left) + (tangent.y * this._offset),
+                point.y - (dirY * left) - (tangent.x * this._offset)
+            );
+            glyph.visible = closed || (distance >= 0 && distance <= length);
+
+            count++;
+        }
+
+        const removed = this.glyphs.splice(count, this.glyphs.length - count);
+
+        for (let i = 0; i < removed.length; i++)
+        {
+            removed[i].destroy();
+        }
+
+        this._styleID = this._style ? this._style.styleID : -1;
+        this.dirty = false;
+    }
+
+    /**
+     * Gets the position and the direction of the path at a distance along it. The direction is the one of the
+     * segments of polylines, and is interpolated between the tangents at the points of flattened curves.
+     *
+     * @param {number} distance - The distance along the path, clamped to its length
+     * @param {PIXI.IPoint} [point] - Point to put the position in, otherwise a new one is created
+     * @param {PIXI.IPoint} [tangent] - Point to put the unit tangent in, otherwise it is not computed
+     * @return {PIXI.IPoint} The position.
+     */
+    public getPointAt(distance: number, point: IPoint = new Point(), tangent?: IPoint): IPoint
+    {
+        this.updatePath();
+
+        const points = this._points;
+        const distances = this._distances;
+        const tangents = this._tangents;
+
+        if (points.length === 0)
+        {
+            point.set(0, 0);
+
+            if (tangent)
+            {
+                tangent.set(1, 0);
+            }
+
+            return point;
+        }
+
+        // binary search of the segment the distance is in
+        let low = 0;
+        let high = points.length - 1;
+
+        while (high - low > 1)
+        {
+            const middle = (low + high) >> 1;
+
+            if (distances[middle] <= distance)
+            {
+                low = middle;
+            }
+            else
+            {
+                high = middle;
+            }
+        }
+
+        const segment = distances[high] - distances[low];
+        const t = segment > 0 ? Math.max(0, Math.min((distance - distances[low]) / segment, 1)) : 0;
+        const from = points[low];
+        const to = points[high];
+
+        point.set(from.x + ((to.x - from.x) * t), from.y + ((to.y - from.y) * t));
+
+        if (tangent)
+        {
+            let x = to.x - from.x;
+            let y = to.y - from.y;
+            let tangentLength = 0;
+
+            // the segments of curves are short, and turn smoothly with the tangents at their points
+            if (this._curve !== 'polyline')
+            {
+                x = tangents[low * 2] + ((tangents[high * 2] - tangents[low * 2]) * t);
+                y = tangents[(low * 2) + 1] + ((tangents[(high * 2) + 1] - tangents[(low * 2) + 1]) * t);
+                tangentLength = Math.sqrt((x * x) + (y * y));
+            }
+
+            // opposite tangents cancel out, the segment is followed instead
+            if (tangentLength < 1e-6)
+            {
+                x = to.x - from.x;
+                y = to.y - from.y;
+                tangentLength = Math.sqrt((x * x) + (y * y));
+            }
+
+            if (tangentLength > 0)
+            {
+                tangent.set(x / tangentLength, y / tangentLength);
+            }
+            else
+            {
+                tangent.set(1, 0);
+            }
+        }
+
+        return point;
+    }
+
+    /**
+     * Flattens the curves of the path, and measures the tangents and the distances at its points.
+     */
+    protected updatePath(): void
+    {
+        if (!this._pathDirty)
+        {
+            return;
+        }
+
+        const path = this._path;
+        const points: IPoint[] = [];
+
+        if (this._curve === 'polyline' || path.length < 2)
+        {
+            for (let i = 0; i < path.length; i++)
+            {
+                points.push(new Point(path[i].x, path[i].y));
+            }
+        }
+        else
+        {
+            const quadratic = this._curve === 'quadratic';
+            const step = quadratic ? 2 : 3;
+            const coords = [path[0].x, path[0].y];
+
+            for (let i = 1; i + step - 1 < path.length; i += step)
+            {
+                const cp = path[i];
+                const to = path[i + step - 1];
+
+                if (quadratic)
+                {
+                    graphicsUtils.QuadraticUtils.curveTo(cp.x, cp.y, to.x, to.y, coords);
+                }
+                else
+                {
+                    const cp2 = path[i + 1];
+
+                    graphicsUtils.BezierUtils.curveTo(cp.x, cp.y, cp2.x, cp2.y, to.x, to.y, coords);
+                }
+            }
+
+            for (let i = 0; i < coords.length; i += 2)
+            {
+                points.push(new Point(coords[i], coords[i + 1]));
+            }
+        }
+
+        const distances = this._distances;
+
+        distances.length = points.length;
+
+        for (let i = 0; i < points.length; i++)
+        {
+            const prev = points[i > 0 ? i - 1 : 0];
+            const dx = points[i].x - prev.x;
+            const dy = points[i].y - prev.y;
+
+            distances[i] = (i > 0 ? distances[i - 1] : 0) + Math.sqrt((dx * dx) + (dy * dy));
+        }
+
+        const first = points[0];
+        const last = points[points.length - 1];
+
+        this._points = points;
+        this._closed = points.length > 2
+            && Math.abs(first.x - last.x) < 1e-6
+            && Math.abs(first.y - last.y) < 1e-6;
+        RopeGeometry.computeTangents(points, this._tangents);
+
+        // the ends of closed paths meet, with the direction between them
+        if (this._closed)
+        {
+            const last = (points.length - 1) * 2;
+            const before = points[points.length - 2];
+            const dx = points[1].x - before.x;
+            const dy = points[1].y - before.y;
+            const length = Math.sqrt((dx * dx) + (dy * dy));
+
+            if (length > 0)
+            {
+                this._tangents[0] = this._tangents[last] = dx / length;
+                this._tangents[1] = this._tangents[last + 1] = dy / length;
+            }
+        }
+
+        this._pathDirty = false;
+    }
+
+    /**
+     * Measures the text on a single line, with the letter spacing and the right-to-left runs in the order they
+     * are displayed, see {@link PIXI.BitmapText.measureLine}.
+     *
+     * @param {string} text - The text
+     * @return {PIXI.IBitmapTextLineMetrics} The width of the text, and the position and the advance of each
+     *  UTF-16 code unit.
+     */
+    protected measureLine(text: string): IBitmapTextLineMetrics
+    {
+        const bitmapStyle = this._bitmapStyle;
+
+        if (bitmapStyle)
+        {
+            const fontName = Object.assign({}, BitmapText.styleDefaults, bitmapStyle).fontName;
+
+            if (!BitmapFont.available[fontName])
+            {
+                throw new Error(`[PathText] Missing BitmapFont "${fontName}"`);
+            }
+
+            return BitmapText.measureLine(text, bitmapStyle);
+        }
+
+        const style = this._style;
+        const context = TextMetrics._context;
+        const order = TextMetrics.getVisualOrder(TextMetrics.getBidiLevels(text, style.direction));
+        const positions: number[] = [];
+        const advances: number[] = [];
+        let line = '';
+        let count = 0;
+        let width = 0;
+
+        context.font = style.toFontString();
+
+        // the characters are measured in the order they are displayed, from the left
+        for (let i = 0; i < order.length; i++)
+        {
+            const index = order[i];
+
+            positions[index] = width;
+            advances[index] = 0;
+
+            if (!TextMetrics.isLowSurrogate(text, index))
+            {
+                line += TextMetrics.getCodePoint(text, index) > 0xFFFF ? text.substr(index, 2) : text.charAt(index);
+                width = context.measureText(line).width + (++count * style.letterSpacing);
+                advances[index] = width - positions[index];
+            }
+        }
+
+        for (let i = 1; i < text.length; i++)
+        {
+            if (TextMetrics.isLowSurrogate(text, i))
+            {
+                positions[i] = positions[i - 1];
+            }
+        }
+
+        return { width, positions, advances };
+    }
+
+    /**
+     * Places the glyphs again if the text, the path or the style changed.
+     */
+    protected validate(): void
+    {
+        if (this._style && this._style.styleID !== this._styleID)
+        {
+            this.dirty = true;
+        }
+
+        if (this.dirty)
+        {
+            this.updateText();
+        }
+    }
+
+    /**
+     * Places the glyphs before their transforms are updated.
+     */
+    public updateTransform(): void
+    {
+        this.validate();
+        super.updateTransform();
+    }
+
+    /**
+     * Gets the local bounds of the glyphs.
+     *
+     * @param {PIXI.Rectangle} [rect] - The output rectangle.
+     * @return {PIXI.Rectangle} The bounds.
+     */
+    public getLocalBounds(rect?: Rectangle): Rectangle
+    {
+        this.validate();
+
+        return super.getLocalBounds(rect);
+    }
+
+    /**
+     * The text.
+     *
+     * @member {string}
+     */
+    get text(): string
+    {
+        return this._text;
+    }
+
+    set text(text: string)
+    {
+        text = String(text === null || text === undefined ? '' : text);
+
+        if (this._text !== text)
+        {
+            this._text = text;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The points of the path. Call {@link PIXI.PathText#updatePoints} after changing them in place.
+     *
+     * @member {PIXI.IPoint[]}
+     */
+    get path(): IPoint[]
+    {
+        return this._path;
+    }
+
+    set path(value: IPoint[])
+    {
+        this._path = value || [];
+        this.updatePoints();
+    }
+
+    /**
+     * Places the glyphs again after the points of the path have changed.
+     */
+    public updatePoints(): void
+    {
+        this._pathDirty = true;
+        this.dirty = true;
+    }
+
+    /**
+     * How the points make the path: 'polyline', or 'quadratic' or 'bezier' for a start point followed
+     * by the control points and the end point of each curve.
+     *
+     * @member {string}
+     * @default 'polyline'
+     */
+    get curve(): PathTextCurve
+    {
+        return this._curve;
+    }
+
+    set curve(value: PathTextCurve)
+    {
+        if (this._curve !== value)
+        {
+            this._curve = value;
+            this.updatePoints();
+        }
+    }
+
+    /**
+     * The style of the {@link PIXI.Text} that renders the glyphs, null with bitmap glyphs.
+     *
+     * @member {object|PIXI.TextStyle}
+     */
+    get style(): TextStyle|Partial<ITextStyle>
+    {
+        return this._style;
+    }
+
+    set style(style: TextStyle|Partial<ITextStyle>)
+    {
+        if (this._bitmapStyle)
+        {
+            throw new Error('[PathText] The style of bitmap glyphs is set with the bitmapStyle option');
+        }
+
+        style = style || {};
+        this._style = style instanceof TextStyle ? style : new TextStyle(style);
+
+        for (const char in this._charTexts)
+        {
+            this._charTexts[char].style = this._style;
+        }
+
+        this.dirty = true;
+    }
+
+    /**
+     * The distance along the path where the text is aligned.
+     *
+     * @member {number}
+     * @default 0
+     */
+    get startOffset(): number
+    {
+        return this._startOffset;
+    }
+
+    set startOffset(value: number)
+    {
+        if (this._startOffset !== value)
+        {
+            this._startOffset = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Whether the text starts, is centered, or ends at the start offset, 'left', 'center' or 'right'.
+     *
+     * @member {string}
+     * @default 'left'
+     */
+    get align(): PathTextAlign
+    {
+        return this._align;
+    }
+
+    set align(value: PathTextAlign)
+    {
+        if (this._align !== value)
+        {
+            this._align = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The distance of the glyphs from the path, to its left. Negative distances are to its right.
+     *
+     * @member {number}
+     * @default 0
+     */
+    get offset(): number
+    {
+        return this._offset;
+    }
+
+    set offset(value: number)
+    {
+        if (this._offset !== value)
+        {
+            this._offset = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * Whether the glyphs are rotated along the path, or stay upright.
+     *
+     * @member {boolean}
+     * @default true
+     */
+    get rotate(): boolean
+    {
+        return this._rotate;
+    }
+
+    set rotate(value: boolean)
+    {
+        if (this._rotate !== value)
+        {
+            this._rotate = value;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The length of the path, with its curves flattened.
+     *
+     * @member {number}
+     * @readonly
+     */
+    get pathLength(): number
+    {
+        this.updatePath();
+
+        const distances = this._distances;
+
+        return distances.length > 0 ? distances[distances.length - 1] : 0;
+    }
+
+    /**
+     * Whether the path ends where it starts, the text wraps around closed paths.
+     *
+     * @member {boolean}
+     * @readonly
+     */
+    get closed(): boolean
+    {
+        this.updatePath();
+
+        return this._closed;
+    }
+
+    /**
+     * Destroys the glyphs and the texts they are rendered from.
+     *
+     * @param {object|boolean} [options] - Options parameter, see {@link PIXI.Container#destroy}
+     */
+    public destroy(options?: IDestroyOptions|boolean): void
+    {
+        for (let i = 0; i < this.glyphs.length; i++)
+        {
+            this.glyphs[i].destroy();
+        }
+
+        for (const char in this._charTexts)
+        {
+            this._charTexts[char].destroy(true);
+        }
+
+        this.glyphs.length = 0;
+        this._charTexts = null;
+        this._path = null;
+        this._points = null;
+
+        super.destroy(options);
+    }
+}
@@ -0,0 +1,215 @@
+const { PathText } = require('../');
+const { BitmapFont, BitmapText } = require('@pixi/text-bitmap');
+const { TextMetrics } = require('@pixi/text');
+const { Point } = require('@pixi/math');
+const { expect } = require('chai');
+
+function line(x1, y1, x2, y2)
+{
+    return [new Point(x1, y1), new Point(x2, y2)];
+}
+
+function positions(text)
+{
+    text.updateText();
+
+    return text.glyphs.map((glyph) => [glyph.x, glyph.y]);
+}
+
+describe('PIXI.PathText', function ()
+{
+    // the characters are 10 pixels wide
+    before(function ()
+    {
+        sinon.stub(TextMetrics._context, 'measureText').callsFake((text) => ({ width: text.length * 10 }));
+    });
+
+    after(function ()
+    {
+        TextMetrics._context.measureText.restore();
+    });
+
+    it('should place the glyphs along a polyline', function ()
+    {
+        const text = new PathText('abc', { path: line(0, 0, 100, 0), style: { fontSize: 20 } });
+
+        expect(positions(text)).to.eql([[0, 0], [10, 0], [20, 0]]);
+        expect(text.children).to.have.lengthOf(3);
+        expect(text.glyphs[0].rotation).to.equal(0);
+        expect(text.glyphs[0].anchor.y).to.equal(0.5);
+
+        text.destroy();
+    });
+
+    it('should share the textures of the same characters and skip spaces', function ()
+    {
+        const text = new PathText('a a', { path: line(0, 0, 100, 0) });
+
+        expect(positions(text)).to.eql([[0, 0], [20, 0]]);
+        expect(text.glyphs[0].texture).to.equal(text.glyphs[1].texture);
+
+        text.text = 'b';
+
+        expect(positions(text)).to.eql([[0, 0]]);
+        expect(text.children).to.have.lengthOf(1);
+
+        text.destroy();
+    });
+
+    it('should align the text at the start offset', function ()
+    {
+        const text = new PathText('abc', { path: line(0, 0, 100, 0), startOffset: 50, align: 'center' });
+
+        expect(positions(text)).to.eql([[35, 0], [45, 0], [55, 0]]);
+
+        text.align = 'right';
+
+        expect(positions(text)).to.eql([[20, 0], [30, 0], [40, 0]]);
+
+        text.destroy();
+    });
+
+    it('should rotate the glyphs along the path and offset them to its left', function ()
+    {
+        const text = new PathText('ab', { path: line(0, 0, 0, 100), offset: 5 });
+
+        expect(positions(text)).to.eql([[5, 0], [5, 10]]);
+        expect(text.glyphs[0].rotation).to.be.closeTo(Math.PI / 2, 0.0001);
+
+        text.rotate = false;
+
+        expect(positions(text)).to.eql([[0, 5], [0, 15]]);
+        expect(text.glyphs[0].rotation).to.equal(0);
+
+        text.path = line(0, 0, 100, 0);
+
+        expect(positions(text)).to.eql([[0, -5], [10, -5]]);
+
+        text.destroy();
+    });
+
+    it('should hide the glyphs past the ends of open paths', function ()
+    {
+        const text = new PathText('abcdefghijkl', { path: line(0, 0, 100, 0), startOffset: -10 });
+
+        text.updateText();
+
+        expect(text.glyphs[0].visible).to.be.false;
+        expect(text.glyphs[1].visible).to.be.true;
+        expect(text.glyphs[10].visible).to.be.true;
+        expect(text.glyphs[11].visible).to.be.false;
+
+        text.destroy();
+    });
+
+    it('should wrap the text around closed paths', function ()
+    {
+        const path = [new Point(0, 0), new Point(100, 0), new Point(100, 100), new Point(0, 100), new Point(0, 0)];
+        const text = new PathText('ab', { path, startOffset: 395 });
+
+        expect(text.closed).to.be.true;
+        expect(text.pathLength).to.equal(400);
+        expect(positions(text)).to.eql([[-5, 0], [5, 0]]);
+        expect(text.glyphs[0].visible).to.be.true;
+
+        text.destroy();
+    });
+
+    it('should turn smoothly where closed curves meet', function ()
+    {
+        const path = [new Point(0, 0), new Point(100, 0), new Point(100, 100), new Point(0, 100), new Point(0, 0)];
+        const text = new PathText('ab', { path, curve: 'quadratic' });
+        const tangent = new Point();
+
+        expect(text.closed).to.be.true;
+
+        text.getPointAt(0, new Point(), tangent);
+
+        expect(tangent.x).to.be.closeTo(Math.SQRT1_2, 0.05);
+        expect(tangent.y).to.be.closeTo(-Math.SQRT1_2, 0.05);
+
+        text.destroy();
+    });
+
+    it('should flatten bezier and quadratic curves', function ()
+    {
+        const path = [new Point(0, 0), new Point(0, 100), new Point(100, 100), new Point(100, 0)];
+        const text = new PathText('abc', { path, curve: 'bezier' });
+        const point = text.getPointAt(text.pathLength / 2);
+
+        expect(text.pathLength).to.be.greaterThan(150);
+        expect(text.pathLength).to.be.lessThan(200);
+        expect(point.x).to.be.closeTo(50, 0.5);
+        expect(point.y).to.be.closeTo(75, 0.5);
+
+        text.updateText();
+
+        expect(text.glyphs[0].rotation).to.be.greaterThan(Math.PI / 4);
+
+        text.curve = 'quadratic';
+
+        expect(text.getPointAt(1000).x).to.equal(100);
+        expect(text.getPointAt(1000).y).to.equal(100);
+
+        text.destroy();
+    });
+
+    it('should place the right-to-left runs in the order they are displayed', function ()
+    {
+        const text = new PathText('ab \u05d0\u05d1', { path: line(0, 0, 100, 0) });
+
+        expect(positions(text)).to.eql([[0, 0], [10, 0], [40, 0], [30, 0]]);
+
+        text.style = { direction: 'rtl' };
+
+        expect(positions(text)).to.eql([[30, 0], [40, 0], [10, 0], [0, 0]]);
+
+        text.destroy();
+    });
+
+    it('should place bitmap text glyphs', function ()
+    {
+        const font = BitmapFont.from('PathTextFont', { fontSize: 20 }, { chars: [['a', 'z']] });
+        const pen1 = font.chars[97].xAdvance + 2 + (font.chars[98].kerning[97] || 0);
+        const pen2 = pen1 + font.chars[98].xAdvance + 2 + (font.chars[99].kerning[98] || 0);
+
+        const text = new PathText('abc', {
+            path: line(0, 0, 100, 0),
+            bitmapStyle: { fontName: 'PathTextFont', letterSpacing: 2 },
+        });
+
+        expect(positions(text)).to.eql([[0, 0], [pen1, 0], [pen2, 0]]);
+        expect(text.glyphs[0]).to.be.instanceof(BitmapText);
+        expect(text.glyphs[2].text).to.equal('c');
+        expect(() => { text.style = {}; }).to.throw();
+
+        text.destroy();
+        BitmapFont.uninstall('PathTextFont');
+    });
+
+    it('should place the right-to-left runs of bitmap text glyphs in the order they are displayed', function ()
+    {
+        const font = BitmapFont.from('PathTextBidiFont', {}, { chars: ['a\u05d0\u05d1'] });
+        const text = new PathText('a\u05d0\u05d1', {
+            path: line(0, 0, 100, 0),
+            bitmapStyle: { fontName: 'PathTextBidiFont', direction: 'rtl' },
+        });
+        const metrics = BitmapText.measureLine('a\u05d0\u05d1', { fontName: 'PathTextBidiFont', direction: 'rtl' });
+
+        expect(metrics.width).to.be.above(0);
+        expect(metrics.positions[2]).to.equal(0);
+        expect(metrics.positions[0]).to.be.above(metrics.positions[1]);
+        expect(metrics.advances[1]).to.equal(font.chars[0x05d0].xAdvance);
+        expect(positions(text)).to.eql([[metrics.positions[0], 0], [metrics.positions[1], 0], [0, 0]]);
+
+        text.destroy();
+        BitmapFont.uninstall('PathTextBidiFont');
+    });
+
+    it('should throw for missing bitmap fonts', function ()
+    {
+        const text = new PathText('abc', { bitmapStyle: { fontName: 'MissingPathTextFont' } });
+
+        expect(() => text.updateText()).to.throw('[PathText] Missing BitmapFont "MissingPathTextFont"');
+    });
+});
@@ -0,0 +1,296 @@
+import { Text } from './Text';
+import { parseImageTags, TEXT_IMAGE_CHAR } from './parseImageTags';
+
+import type { TextStyle, ITextStyle } from './TextStyle';
+import type { ITextRun } from './RichTextMetrics';
+
+/**
+ * Styles of named tags, as fields of {@link PIXI.TextStyle} that override the ones of the enclosing text.
+ *
+ * @memberof PIXI
+ * @typedef {Object<string, object>} ITextTagStyles
+ */
+export interface ITextTagStyles
+{
+    [name: string]: Partial<ITextStyle>;
+}
+
+/**
+ * Converts the value of a tag, like `#ff0` in `<color=#ff0>`, to fields of {@link PIXI.TextStyle}.
+ *
+ * @memberof PIXI
+ * @typedef {Function} TextTagValueParser
+ * @param {string} value - The value
+ * @return {object} The fields of the style.
+ */
+export type TextTagValueParser = (value: string) => Partial<ITextStyle>;
+
+/**
+ * A tag open in the markup.
+ *
+ * @private
+ */
+interface IOpenTag
+{
+    name: string;
+    key: string;
+    style: Partial<ITextStyle>;
+}
+
+/**
+ * A RichText Object creates a line or multiple lines of text, parts of which are drawn with their own
+ * style, given by tags in the text.
+ *
+ * The built-in tags are `<b>`, `<i>`, `<color=...>` and `<size=...>`, and named styles can be added with
+ * {@link PIXI.RichText#tagStyles}. Tags can be nested, and each tag is closed by its name, like `</color>`.
+ * Text that looks like a tag, but is not a known one, is drawn as it is.
+ *
+ * Textures are placed inline with the text by tags like `<img id="coin"/>`, like {@link PIXI.Text} does.
+ * They are as high as the line height of the font around them, or scaled by a `scale` attribute.
+ *
+ * The fonts, fills, strokes and drop shadows can change from a part of the text to the next, while
+ * the word wrap, alignment, line spacing and direction are the ones of the {@link PIXI.RichText#style} of the
+ * whole text. Lines are wrapped across the parts, and are as high as their largest font. Right-to-left
+ * and bidirectional text is laid out like {@link PIXI.Text} does, across the parts.
+ *
+ * ```js
+ * let text = new PIXI.RichText('Press <key>Space</key> to <b>jump</b>, or <color=#ff0000>run</color>!', {
+ *     fontFamily: 'Arial',
+ *     fontSize: 24,
+ *     fill: 0xffffff,
+ *     wordWrap: true,
+ *     wordWrapWidth: 200,
+ * }, {
+ *     key: { fill: 0xffcc00, stroke: 0x000000, strokeThickness: 4 },
+ * });
+ * ```
+ *
+ * @class
+ * @extends PIXI.Text
+ * @memberof PIXI
+ */
+export class RichText extends Text
+{
+    /**
+     * Styles of the built-in tags without values, which can be overridden by the
+     * {@link PIXI.RichText#tagStyles} of each text.
+     *
+     * @static
+     * @member {PIXI.ITextTagStyles}
+     */
+    public static defaultTagStyles: ITextTagStyles = {
+        b: { fontWeight: 'bold' },
+        i: { fontStyle: 'italic' },
+    };
+
+    /**
+     * Parsers of the tags with values, like `<color=#ff0>`, by their name.
+     * New tags can be added, like `RichText.valueTags.font = (value) => ({ fontFamily: value })`.
+     *
+     * @static
+     * @member {Object<string, PIXI.TextTagValueParser>}
+     */
+    public static valueTags: { [name: string]: TextTagValueParser } = {
+        color: (value) => ({ fill: value }),
+        size: (value) => ({ fontSize: (/^\d+(\.\d+)?$/).test(value) ? parseFloat(value) : value }),
+    };
+
+    protected _tagStyles: ITextTagStyles;
+
+    /**
+     * @param {string} text - The string that you would like the text to display, with its tags
+     * @param {object|PIXI.TextStyle} [style] - The style parameters of the whole text
+     * @param {PIXI.ITextTagStyles} [tagStyles] - The styles of named tags
+     * @param {HTMLCanvasElement} [canvas] - The canvas element for drawing text
+     */
+    constructor(text: string, style?: Partial<ITextStyle>|TextStyle, tagStyles?: ITextTagStyles,
+        canvas?: HTMLCanvasElement)
+    {
+        super(text, style, canvas);
+
+        /**
+         * Private tracker for the styles of named tags.
+         *
+         * @member {PIXI.ITextTagStyles}
+         * @private
+         */
+        this._tagStyles = tagStyles || {};
+    }
+
+    /**
+     * Splits text into runs by its tags. The styles of the runs are created from the style of the
+     * whole text, and are shared by runs with the same tags.
+     *
+     * @param {string} text - The text with its tags
+     * @return {PIXI.ITextRun[]} The runs, without the tags.
+     */
+    public parseMarkup(text: string): ITextRun[]
+    {
+        const runs: ITextRun[] = [];
+        const styles: { [key: string]: TextStyle } = {};
+        const openTags: IOpenTag[] = [];
+        const regex = (/<(\/?)([a-zA-Z][\w-]*)(?:=([^<>]*))?>/g);
+        const parsed = parseImageTags(text, this._images);
+        const images = parsed.images;
+        let lastIndex = 0;
+        let runText = '';
+        let match: RegExpExecArray;
+
+        text = parsed.text;
+
+        const getStyle = (): TextStyle =>
+        {
+            const key = openTags.map((tag) => tag.key).join('<');
+            let style = styles[key];
+
+            if (!style)
+            {
+                style = this._style.clone();
+
+                for (let i = 0; i < openTags.length; i++)
+                {
+                    Object.assign(style, openTags[i].style);
+                }
+
+                styles[key] = style;
+            }
+
+            return style;
+        };
+
+        const addRun = (): void =>
+        {
+            if (runText)
+            {
+                runs.push({ text: runText, style: getStyle() });
+                runText = '';
+            }
+        };
+
+        // adds text, with its images as runs of their own
+        const addText = (start: number, end: number): void =>
+        {
+            for (let i = start; i < end; i++)
+            {
+                if (images[i])
+                {
+                    addRun();
+                    runs.push({ text: TEXT_IMAGE_CHAR, style: getStyle(), image: images[i] });
+                }
+                else
+                {
+                    runText += text[i];
+                }
+            }
+        };
+
+        while ((match = regex.exec(text)) !== null)
+        {
+            const isClosing = match[1] === '/';
+            const name = match[2];
+            const value = match[3];
+
+            addText(lastIndex, match.index);
+            lastIndex = regex.lastIndex;
+
+            if (isClosing)
+            {
+                let index = openTags.length - 1;
+
+                while (index >= 0 && openTags[index].name !== name)
+                {
+                    index--;
+                }
+
+                if (index >= 0 && value === undefined)
+                {
+                    addRun();
+                    openTags.splice(index, 1);
+                    continue;
+                }
+            }
+            else
+            {
+                const style = this.getTagStyle(name, value);
+
+                if (style)
+                {
+                    addRun();
+                    openTags.push({ name, key: match[0], style });
+                    continue;
+                }
+            }
+
+            // not a known tag, it is text
+            runText += match[0];
+        }
+
+        addText(lastIndex, text.length);
+        addRun();
+
+        return runs;
+    }
+
+    /**
+     * Gets the fields of the style of a tag.
+     *
+     * @protected
+     * @param {string} name - The name of the tag
+     * @param {string} [value] - The value of the tag, if it has one
+     * @return {object} The fields, or `null` if the tag is not known.
+     */
+    protected getTagStyle(name: string, value?: string): Partial<ITextStyle>
+    {
+        if (value !== undefined)
+        {
+            const parser = RichText.valueTags[name];
+
+            return parser ? parser(value) : null;
+        }
+
+        return this._tagStyles[name] || RichText.defaultTagStyles[name] || null;
+    }
+
+    /**
+     * Renders text to its canvas, and updates its texture.
+     *
+     * @param {boolean} respectDirty - Whether to abort updating the text if the Text isn't dirty and the function is called.
+     */
+    public updateText(respectDirty: boolean): void
+    {
+        const style = this._style;
+
+        // check if style has changed..
+        if (this.localStyleID !== style.styleID)
+        {
+            this.dirty = true;
+            this.localStyleID = style.styleID;
+        }
+
+        if (!this.dirty && respectDirty)
+        {
+            return;
+        }
+
+        this._font = style.toFontString();
+
+        this.updateRuns(this.parseMarkup(this._text || ' '), style);
+    }
+
+    /**
+     * The styles of named tags, like `{ warning: { fill: 'red', fontWeight: 'bold' } }` for `<warning>`.
+     * They override the {@link PIXI.RichText.defaultTagStyles}.
+     *
+     * @member {PIXI.ITextTagStyles}
+     */
+    get tagStyles(): ITextTagStyles
+    {
+        return this._tagStyles;
+    }
+
+    set tagStyles(tagStyles: ITextTagStyles)
+    {
+        this._tagStyles = tagStyles || {};
+        this.dirty = true;
+    }
+}
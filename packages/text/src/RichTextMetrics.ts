@@ -0,0 +1,709 @@
+import { TextMetrics } from './TextMetrics';
+
+import type { TextStyle } from './TextStyle';
+import type { IFontMetrics, CharacterWidthCache } from './TextMetrics';
+import type { ITextImage } from './parseImageTags';
+
+/**
+ * A piece of text drawn with a single style.
+ *
+ * @memberof PIXI
+ * @typedef {object} ITextRun
+ * @property {string} text - The text, or {@link PIXI.TEXT_IMAGE_CHAR} for an image
+ * @property {PIXI.TextStyle} style - The style of the text
+ * @property {PIXI.ITextImage} [image] - The image drawn in place of the text
+ */
+export interface ITextRun
+{
+    text: string;
+    style: TextStyle;
+    image?: ITextImage;
+}
+
+/**
+ * A run of text laid out on a line by {@link PIXI.RichTextMetrics}.
+ *
+ * @memberof PIXI
+ * @typedef {object} IRichTextSegment
+ * @property {string} text - The text
+ * @property {PIXI.TextStyle} style - The style of the text
+ * @property {number} x - Horizontal position of the run from the left of its line
+ * @property {number} width - Width of the run, including the letter spacing after its last character
+ * @property {number} level - Bidi embedding level of the run, odd for right-to-left text
+ */
+export interface IRichTextSegment extends ITextRun
+{
+    x: number;
+    width: number;
+    level: number;
+}
+
+/**
+ * Size of an image laid out with text.
+ *
+ * @memberof PIXI
+ * @typedef {object} ITextImageMetrics
+ * @property {number} width - The width of the image
+ * @property {number} height - The height of the image
+ * @property {number} ascent - How far the image reaches above the baseline
+ */
+export interface ITextImageMetrics
+{
+    width: number;
+    height: number;
+    ascent: number;
+}
+
+/**
+ * Measures the font of a style, falling back to the font size of the style
+ * when the user agent disallows reading canvas data.
+ *
+ * @private
+ * @param {PIXI.TextStyle} style - The style
+ * @return {PIXI.IFontMetrics} The font properties.
+ */
+function measureStyleFont(style: TextStyle): IFontMetrics
+{
+    const fontProperties = TextMetrics.measureFont(style.toFontString());
+
+    if (fontProperties.fontSize === 0)
+    {
+        fontProperties.fontSize = style.fontSize as number;
+        fontProperties.ascent = style.fontSize as number;
+    }
+
+    return fontProperties;
+}
+
+/**
+ * Splits the runs of a line where the bidi embedding level of their characters changes.
+ *
+ * @private
+ * @param {PIXI.IRichTextSegment[]} segments - The runs of the line
+ * @param {number[]} levels - The embedding level of each character of the line
+ * @return {PIXI.IRichTextSegment[]} The runs, each with a single level.
+ */
+function splitBidiSegments(segments: IRichTextSegment[], levels: number[]): IRichTextSegment[]
+{
+    const result: IRichTextSegment[] = [];
+    let start = 0;
+
+    for (let i = 0; i < segments.length; i++)
+    {
+        const segment = segments[i];
+        const end = start + segment.text.length;
+        let from = start;
+
+        for (let j = start + 1; j <= end; j++)
+        {
+            if (j === end || levels[j] !== levels[from])
+            {
+                result.push(Object.assign({}, segment, {
+                    text: segment.text.slice(from - start, j - start),
+                    level: levels[from],
+                }));
+                from = j;
+            }
+        }
+
+        start = end;
+    }
+
+    return result;
+}
+
+/**
+ * The RichTextMetrics object represents the measurement of runs of text drawn with different styles,
+ * laid out on lines by {@link PIXI.RichTextMetrics.measureRuns}.
+ *
+ * Lines are wrapped between words, where a word may be made of several runs. The white space handling,
+ * word wrap width, alignment, line spacing and direction are the ones of the style of the whole text, while
+ * the fonts, fills, strokes and drop shadows are the ones of the runs.
+ *
+ * Lines with right-to-left text are laid out in the order they are displayed: the runs are split where the
+ * direction of their characters changes, and the runs of each line are ordered from the left.
+ *
+ * @class
+ * @extends PIXI.TextMetrics
+ * @memberof PIXI
+ */
+export class RichTextMetrics extends TextMetrics
+{
+    public runs: ITextRun[];
+    public lineSegments: IRichTextSegment[][];
+    public lineTops: number[];
+    public lineHeights: number[];
+    public lineBaselines: number[];
+    public direction: 'ltr'|'rtl';
+
+    /**
+     * @param {string} text - the text that was measured, without markup
+     * @param {PIXI.TextStyle} style - the style of the whole text
+     * @param {number} width - the measured width of the text
+     * @param {number} height - the measured height of the text
+     * @param {string[]} lines - the text of each line
+     * @param {number[]} lineWidths - the width of each line
+     * @param {number} lineHeight - the largest line height, including the leading
+     * @param {number} maxLineWidth - the maximum line width for all measured lines
+     * @param {PIXI.IFontMetrics} fontProperties - the font properties of the style of the whole text
+     * @param {PIXI.ITextRun[]} runs - the runs that were measured
+     */
+    constructor(text: string, style: TextStyle, width: number, height: number, lines: string[], lineWidths: number[],
+        lineHeight: number, maxLineWidth: number, fontProperties: IFontMetrics, runs: ITextRun[])
+    {
+        super(text, style, width, height, lines, lineWidths, lineHeight, maxLineWidth, fontProperties);
+
+        /**
+         * The runs that were measured
+         *
+         * @member {PIXI.ITextRun[]}
+         */
+        this.runs = runs;
+
+        /**
+         * The runs laid out on each line, from the left, runs broken by a line or by a change of direction are split
+         *
+         * @member {Array<PIXI.IRichTextSegment[]>}
+         */
+        this.lineSegments = [];
+
+        /**
+         * The top of each line
+         *
+         * @member {number[]}
+         */
+        this.lineTops = [];
+
+        /**
+         * The height of each line, not including the leading
+         *
+         * @member {number[]}
+         */
+        this.lineHeights = [];
+
+        /**
+         * The baseline of each line, from the top of the text, that all the runs of the line are drawn on
+         *
+         * @member {number[]}
+         */
+        this.lineBaselines = [];
+
+        /**
+         * The base direction of the text, 'ltr' or 'rtl'
+         *
+         * @member {string}
+         */
+        this.direction = 'ltr';
+    }
+
+    /**
+     * Lays out runs of text on lines and measures them.
+     *
+     * @param {PIXI.ITextRun[]} runs - the runs to measure
+     * @param {PIXI.TextStyle} style - the style of the whole text
+     * @param {boolean} [wordWrap] - optional override for if word-wrap should be applied to the text.
+     * @param {HTMLCanvasElement} [canvas] - optional specification of the canvas to use for measuring.
+     * @return {PIXI.RichTextMetrics} The measured runs.
+     */
+    public static measureRuns(runs: ITextRun[], style: TextStyle, wordWrap?: boolean,
+        canvas = TextMetrics._canvas): RichTextMetrics
+    {
+        wordWrap = (wordWrap === undefined || wordWrap === null) ? style.wordWrap : wordWrap;
+
+        const context = canvas.getContext('2d');
+        const caches: { [font: string]: CharacterWidthCache } = Object.create(null);
+
+        // width of pieces of text, with the letter spacing after each of their characters
+        const measure = (pieces: ITextRun[]): number =>
+        {
+            let width = 0;
+
+            for (let i = 0; i < pieces.length; i++)
+            {
+                if (pieces[i].image)
+                {
+                    width += RichTextMetrics.measureImage(pieces[i].image, pieces[i].style).width
+                        + pieces[i].style.letterSpacing;
+                    continue;
+                }
+
+                const font = pieces[i].style.toFontString();
+                const cache = caches[font] || (caches[font] = Object.create(null));
+
+                context.font = font;
+                width += TextMetrics.getFromCache(pieces[i].text, pieces[i].style.letterSpacing, cache, context);
+            }
+
+            return width;
+        };
+
+        // break the runs into words, breaking spaces and newlines, where words may be made of several runs
+        const words: ITextRun[][] = [];
+        let word: ITextRun[] = [];
+
+        for (let i = 0; i < runs.length; i++)
+        {
+            const tokens = TextMetrics.tokenize(runs[i].text);
+
+            for (let j = 0; j < tokens.length; j++)
+            {
+                const piece = { text: tokens[j], style: runs[i].style, image: runs[i].image };
+
+                if (TextMetrics.isBreakingSpace(tokens[j]) || TextMetrics.isNewline(tokens[j]))
+                {
+                    if (word.length)
+                    {
+                        words.push(word);
+                        word = [];
+                    }
+
+                    words.push([piece]);
+                }
+                else
+                {
+                    word.push(piece);
+                }
+            }
+        }
+
+        if (word.length)
+        {
+            words.push(word);
+        }
+
+        const lines: ITextRun[][] = [];
+        const collapseSpaces = wordWrap && TextMetrics.collapseSpaces(style.whiteSpace);
+        const collapseNewlines = wordWrap && TextMetrics.collapseNewlines(style.whiteSpace);
+        const wordWrapWidth = style.wordWrapWidth + style.letterSpacing;
+        let canPrependSpaces = !collapseSpaces;
+        let line: ITextRun[] = [];
+        let width = 0;
+
+        const addLine = (): void =>
+        {
+            lines.push(line);
+            line = [];
+            width = 0;
+        };
+
+        for (let i = 0; i < words.length; i++)
+        {
+            let pieces = words[i];
+
+            if (pieces.length === 1 && TextMetrics.isNewline(pieces[0].text))
+            {
+                if (!collapseNewlines)
+                {
+                    addLine();
+                    canPrependSpaces = !collapseSpaces;
+                    continue;
+                }
+
+                pieces = [{ text: ' ', style: pieces[0].style }];
+            }
+
+            const isBreakingSpace = pieces.length === 1 && TextMetrics.isBreakingSpace(pieces[0].text);
+
+            if (collapseSpaces && isBreakingSpace && line.length
+                && TextMetrics.isBreakingSpace(line[line.length - 1].text))
+            {
+                continue;
+            }
+
+            const wordWidth = measure(pieces);
+
+            if (wordWrap && wordWidth > wordWrapWidth)
+            {
+                if (line.length)
+                {
+                    addLine();
+                }
+
+                const text = pieces.map((piece) => piece.text).join('');
+
+                if (TextMetrics.canBreakWords(text, style.breakWords))
+                {
+                    let index = 0;
+
+                    for (let j = 0; j < pieces.length; j++)
+                    {
+                        const characters = TextMetrics.wordWrapSplit(pieces[j].text);
+
+                        for (let k = 0; k < characters.length; k++)
+                        {
+                            const start = index + k;
+                            let char = characters[k];
+
+                            // keep together the characters that should not be split
+                            while (k + 1 < characters.length && !TextMetrics.canBreakChars(
+                                char[char.length - 1], characters[k + 1], text, start, style.breakWords))
+                            {
+                                char += characters[++k];
+                            }
+
+                            const piece = { text: char, style: pieces[j].style, image: pieces[j].image };
+                            const charWidth = measure([piece]);
+
+                            if (charWidth + width > wordWrapWidth && line.length)
+                            {
+                                addLine();
+                                canPrependSpaces = false;
+                            }
+
+                            line.push(piece);
+                            width += charWidth;
+                        }
+
+                        index += pieces[j].text.length;
+                    }
+                }
+                else
+                {
+                    // give the word its own line
+                    line = line.concat(pieces);
+
+                    if (i < words.length - 1)
+                    {
+                        addLine();
+                    }
+
+                    canPrependSpaces = false;
+                }
+
+                continue;
+            }
+
+            if (wordWrap && wordWidth + width > wordWrapWidth)
+            {
+                canPrependSpaces = false;
+                addLine();
+            }
+
+            // don't add spaces to the beginning of lines
+            if (line.length || !isBreakingSpace || canPrependSpaces)
+            {
+                line = line.concat(pieces);
+                width += wordWidth;
+            }
+        }
+
+        lines.push(line);
+
+        const keptLines = RichTextMetrics.truncateRunLines(lines, style, wordWrap ? style.wordWrapWidth : Infinity,
+            measure);
+        const direction = TextMetrics.getBidiDirection(runs.map((run) => run.text).join(''), style.direction);
+
+        return RichTextMetrics.layoutLines(runs, keptLines, style, wordWrap, direction, context);
+    }
+
+    /**
+     * Finds the largest font size, in whole pixels, with which runs fit in a box, like
+     * {@link PIXI.TextMetrics.measureFitFontSize} does for text. The font size is set on the runs that have
+     * the style of the whole text, like the text and the images of a {@link PIXI.Text}.
+     *
+     * @param {PIXI.ITextRun[]} runs - the runs to fit
+     * @param {PIXI.TextStyle} style - the style of the whole text
+     * @param {number} width - The maximum width of the runs, not limited if 0
+     * @param {number} height - The maximum height of the runs, not limited if 0
+     * @param {number} minFontSize - The smallest font size, used even if the runs do not fit with it
+     * @param {number} maxFontSize - The largest font size
+     * @param {HTMLCanvasElement} [canvas] - optional specification of the canvas to use for measuring.
+     * @return {number} The font size.
+     */
+    public static measureRunsFitFontSize(runs: ITextRun[], style: TextStyle, width: number, height: number,
+        minFontSize: number, maxFontSize: number, canvas = TextMetrics._canvas): number
+    {
+        const fitStyle = style.clone();
+        const fitRuns = runs.map((run): ITextRun => (run.style === style
+            ? { text: run.text, style: fitStyle, image: run.image }
+            : run));
+        const fits = (fontSize: number): boolean =>
+        {
+            fitStyle.fontSize = fontSize;
+
+            const measured = RichTextMetrics.measureRuns(fitRuns, fitStyle, fitStyle.wordWrap, canvas);
+
+            return (!width || measured.width <= width) && (!height || measured.height <= height);
+        };
+
+        return RichTextMetrics.searchFitFontSize(fits, minFontSize, maxFontSize);
+    }
+
+    /**
+     * Cuts off the lines after the maxLines of the style, like {@link PIXI.TextMetrics} does. With the 'ellipsis'
+     * overflow, the last line ends with {@link PIXI.TextMetrics.ELLIPSIS} when lines are cut off, and so do the
+     * lines wider than the maximum width. The ellipsis has the style of the run it follows.
+     *
+     * @private
+     * @param {Array<PIXI.ITextRun[]>} lines - the pieces of text on each line
+     * @param {PIXI.TextStyle} style - the style of the whole text
+     * @param {number} maxWidth - the maximum width of the lines, Infinity when they are not wrapped
+     * @param {Function} measure - measures pieces of text, with the letter spacing after each of their characters
+     * @return {Array<PIXI.ITextRun[]>} The lines that are kept
+     */
+    private static truncateRunLines(lines: ITextRun[][], style: TextStyle, maxWidth: number,
+        measure: (pieces: ITextRun[]) => number): ITextRun[][]
+    {
+        const { maxLines, letterSpacing, breakWords } = style;
+        const truncated = maxLines > 0 && lines.length > maxLines;
+        const keptLines = truncated ? lines.slice(0, maxLines) : lines;
+
+        if (style.overflow !== 'ellipsis')
+        {
+            return keptLines;
+        }
+
+        // as in wordWrap, the widths include the letterSpacing after the last character
+        const lineWidth = maxWidth + letterSpacing;
+        const getEllipsis = (pieces: ITextRun[]): ITextRun => ({
+            text: TextMetrics.ELLIPSIS,
+            style: pieces.length ? pieces[pieces.length - 1].style : style,
+        });
+        const trimRight = (pieces: ITextRun[]): void =>
+        {
+            while (pieces.length && TextMetrics.isBreakingSpace(pieces[pieces.length - 1].text))
+            {
+                pieces.pop();
+            }
+        };
+
+        for (let i = 0; i < keptLines.length; i++)
+        {
+            let line = keptLines[i];
+
+            if (!(truncated && i === keptLines.length - 1) && measure(line) <= lineWidth)
+            {
+                continue;
+            }
+
+            line = line.slice();
+            trimRight(line);
+
+            while (line.length && measure(line) + measure([getEllipsis(line)]) > lineWidth)
+            {
+                let end = line.length - 1;
+
+                if (!breakWords)
+                {
+                    while (end > 0 && !TextMetrics.isBreakingSpace(line[end].text))
+                    {
+                        end--;
+                    }
+                }
+
+                // drop the last word, or the last character when the line is a single word
+                if (end > 0)
+                {
+                    line.length = end;
+                }
+                else
+                {
+                    const last = line.pop();
+                    let length = last.text.length - 1;
+
+                    // keep surrogate pairs together
+                    if (TextMetrics.isLowSurrogate(last.text, length))
+                    {
+                        length--;
+                    }
+
+                    if (length > 0 && !last.image)
+                    {
+                        line.push({ text: last.text.slice(0, length), style: last.style });
+                    }
+                }
+
+                trimRight(line);
+            }
+
+            line.push(getEllipsis(line));
+            keptLines[i] = line;
+        }
+
+        return keptLines;
+    }
+
+    /**
+     * Measures an image laid out with text of a style. The image is as high as the line height of the font of
+     * the style times the scale of the image, and is centered on the font.
+     *
+     * @param {PIXI.ITextImage} image - the image
+     * @param {PIXI.TextStyle} style - the style of the text around the image
+     * @return {PIXI.ITextImageMetrics} The size of the image.
+     */
+    public static measureImage(image: ITextImage, style: TextStyle): ITextImageMetrics
+    {
+        const fontProperties = measureStyleFont(style);
+        const frame = image.texture.frame;
+        const height = fontProperties.fontSize * image.scale;
+        const width = frame.height > 0 ? height * frame.width / frame.height : 0;
+
+        return {
+            width,
+            height,
+            ascent: fontProperties.ascent - ((fontProperties.fontSize - height) / 2),
+        };
+    }
+
+    /**
+     * Merges the pieces of each line into segments, and measures the lines.
+     *
+     * @private
+     * @param {PIXI.ITextRun[]} runs - the runs that were measured
+     * @param {Array<PIXI.ITextRun[]>} lines - the pieces of text on each line
+     * @param {PIXI.TextStyle} style - the style of the whole text
+     * @param {boolean} wordWrap - whether the lines were wrapped
+     * @param {string} direction - the base direction of the text, 'ltr' or 'rtl'
+     * @param {CanvasRenderingContext2D} context - the context to measure with
+     * @return {PIXI.RichTextMetrics} The measured runs.
+     */
+    private static layoutLines(runs: ITextRun[], lines: ITextRun[][], style: TextStyle, wordWrap: boolean,
+        direction: 'ltr'|'rtl', context: CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D): RichTextMetrics
+    {
+        const fontProperties = measureStyleFont(style);
+        const lineTexts: string[] = [];
+        const lineWidths: number[] = [];
+        const lineSegments: IRichTextSegment[][] = [];
+        const lineTops: number[] = [];
+        const lineHeights: number[] = [];
+        const lineBaselines: number[] = [];
+        let maxLineWidth = 0;
+        let maxLineHeight = 0;
+        let strokeThickness = style.strokeThickness;
+        let dropShadowDistance = style.dropShadow ? style.dropShadowDistance : 0;
+        let top = 0;
+        let height = 0;
+
+        for (let i = 0; i < lines.length; i++)
+        {
+            const pieces = lines[i];
+
+            // wrapped lines don't end with spaces
+            if (wordWrap)
+            {
+                while (pieces.length && TextMetrics.isBreakingSpace(pieces[pieces.length - 1].text))
+                {
+                    pieces.pop();
+                }
+            }
+
+            const merged: IRichTextSegment[] = [];
+            let text = '';
+
+            for (let j = 0; j < pieces.length; j++)
+            {
+                const last = merged[merged.length - 1];
+
+                if (last && last.style === pieces[j].style && !last.image && !pieces[j].image)
+                {
+                    last.text += pieces[j].text;
+                }
+                else
+                {
+                    merged.push({
+                        text: pieces[j].text, style: pieces[j].style, image: pieces[j].image, x: 0, width: 0, level: 0,
+                    });
+                }
+
+                text += pieces[j].text;
+            }
+
+            const segments = splitBidiSegments(merged, TextMetrics.getBidiLevels(text, direction));
+
+            let ascent = 0;
+            let descent = 0;
+            let lineStroke = 0;
+            let letterSpacing = 0;
+
+            for (let j = 0; j < segments.length; j++)
+            {
+                const segment = segments[j];
+                const segmentStyle = segment.style;
+
+                letterSpacing = segmentStyle.letterSpacing;
+
+                if (segment.image)
+                {
+                    const image = RichTextMetrics.measureImage(segment.image, segmentStyle);
+
+                    segment.width = image.width + letterSpacing;
+                    ascent = Math.max(ascent, image.ascent);
+                    descent = Math.max(descent, image.height - image.ascent);
+                    continue;
+                }
+
+                const segmentFont = measureStyleFont(segmentStyle);
+
+                context.font = segmentStyle.toFontString();
+                segment.width = context.measureText(segment.text).width
+                    + (segment.text.length * letterSpacing);
+
+                ascent = Math.max(ascent, segmentFont.ascent);
+                descent = Math.max(descent, segmentFont.fontSize - segmentFont.ascent);
+                lineStroke = Math.max(lineStroke, segmentStyle.strokeThickness);
+
+                if (segmentStyle.dropShadow)
+                {
+                    dropShadowDistance = Math.max(dropShadowDistance, segmentStyle.dropShadowDistance);
+                }
+            }
+
+            if (!segments.length)
+            {
+                ascent = fontProperties.ascent;
+                descent = fontProperties.fontSize - fontProperties.ascent;
+                lineStroke = style.strokeThickness;
+            }
+
+            // the runs are placed from the left in the order they are displayed
+            const order = TextMetrics.getVisualOrder(segments.map((segment) => segment.level));
+            const visualSegments = order.map((index) => segments[index]);
+            let x = 0;
+
+            for (let j = 0; j < visualSegments.length; j++)
+            {
+                visualSegments[j].x = x;
+                x += visualSegments[j].width;
+            }
+
+            // there is no letter spacing after the last character of the line
+            const lineWidth = segments.length ? x - letterSpacing : 0;
+            const textHeight = ascent + descent + lineStroke;
+            const lineHeight = style.lineHeight || textHeight;
+
+            lineTexts.push(text);
+            lineWidths.push(lineWidth);
+            lineSegments.push(visualSegments);
+            lineTops.push(top);
+            lineHeights.push(lineHeight);
+            lineBaselines.push(top + (lineStroke / 2) + ascent);
+
+            maxLineWidth = Math.max(maxLineWidth, lineWidth);
+            maxLineHeight = Math.max(maxLineHeight, lineHeight);
+            strokeThickness = Math.max(strokeThickness, lineStroke);
+            height = top + Math.max(lineHeight, textHeight);
+            top += lineHeight + style.leading;
+        }
+
+        const measured = new RichTextMetrics(
+            lineTexts.join('\n'),
+            style,
+            maxLineWidth + strokeThickness + dropShadowDistance,
+            height + dropShadowDistance,
+            lineTexts,
+            lineWidths,
+            maxLineHeight + style.leading,
+            maxLineWidth,
+            fontProperties,
+            runs
+        );
+
+        measured.lineSegments = lineSegments;
+        measured.lineTops = lineTops;
+        measured.lineHeights = lineHeights;
+        measured.lineBaselines = lineBaselines;
+        measured.direction = direction;
+
+        return measured;
+    }
+}
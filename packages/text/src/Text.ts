@@ -7,10 +7,16 @@ import { sign, trimCanvas, hex2rgb, string2hex } from '@pixi/utils';
 import { TEXT_GRADIENT } from './const';
 import { TextStyle } from './TextStyle';
 import { TextMetrics } from './TextMetrics';
+import { RichTextMetrics } from './RichTextMetrics';
+import { parseImageTags, TEXT_IMAGE_CHAR } from './parseImageTags';
 
 import type { IDestroyOptions } from '@pixi/display';
-import type { Renderer } from '@pixi/core';
+import type { Renderer, BaseImageResource } from '@pixi/core';
 import type { ITextStyle } from './TextStyle';
+import type { ITextRun, IRichTextSegment } from './RichTextMetrics';
+import type { ITextImage } from './parseImageTags';
+
+export type TextFitMode = 'none'|'width'|'height'|'contain';
 
 const defaultDestroyOptions: IDestroyOptions = {
     texture: true,
@@ -32,6 +38,10 @@ const defaultDestroyOptions: IDestroyOptions = {
  * To split a line you can use '\n' in your text string, or, on the `style` object,
  * change its `wordWrap` property to true and and give the `wordWrapWidth` property a value.
  *
+ * Textures are placed inline with the text by tags like `<img id="coin"/>`, see {@link PIXI.Text#images}.
+ * They are as high as the line height of the font, or scaled by a `scale` attribute, and are wrapped and
+ * aligned like words. Text with images is laid out in runs, like the text of {@link PIXI.RichText}.
+ *
  * A Text can be created directly from a string and a style object,
  * which can be generated [here](https://pixijs.io/pixi-text-style).
  *
@@ -56,6 +66,13 @@ export class Text extends Sprite
     protected _font: string;
     protected _style: TextStyle;
     protected _styleListener: () => void;
+    protected _fitMode: TextFitMode;
+    protected _fitWidth: number;
+    protected _fitHeight: number;
+    protected _minFontSize: number;
+    protected _maxFontSize: number;
+    protected _fitStyle: TextStyle;
+    protected _images: { [id: string]: Texture };
     private _ownCanvas: boolean;
 
     /**
@@ -147,6 +164,62 @@ export class Text extends Sprite
          */
         this._font = '';
 
+        /**
+         * Private tracker for the fit of the font size.
+         *
+         * @member {string}
+         * @private
+         */
+        this._fitMode = 'none';
+
+        /**
+         * Private tracker for the width to fit the text in.
+         *
+         * @member {number}
+         * @private
+         */
+        this._fitWidth = 0;
+
+        /**
+         * Private tracker for the height to fit the text in.
+         *
+         * @member {number}
+         * @private
+         */
+        this._fitHeight = 0;
+
+        /**
+         * Private tracker for the smallest fitted font size.
+         *
+         * @member {number}
+         * @private
+         */
+        this._minFontSize = 1;
+
+        /**
+         * Private tracker for the largest fitted font size.
+         *
+         * @member {number}
+         * @private
+         */
+        this._maxFontSize = 0;
+
+        /**
+         * The style with the fitted font size, until the text or the style change.
+         *
+         * @member {PIXI.TextStyle}
+         * @private
+         */
+        this._fitStyle = null;
+
+        /**
+         * Private tracker for the textures of the images.
+         *
+         * @member {Object<string, PIXI.Texture>}
+         * @private
+         */
+        this._images = {};
+
         this.text = text;
         this.style = style;
 
@@ -163,13 +236,14 @@ export class Text extends Sprite
      */
     public updateText(respectDirty: boolean): void
     {
-        const style = this._style;
+        let style = this._style;
 
         // check if style has changed..
         if (this.localStyleID !== style.styleID)
         {
             this.dirty = true;
             this.localStyleID = style.styleID;
+            this._fitStyle = null;
         }
 
         if (!this.dirty && respectDirty)
@@ -177,10 +251,48 @@ export class Text extends Sprite
             return;
         }
 
-        this._font = this._style.toFontString();
+        // text with images is laid out in runs of text and images
+        const parsed = parseImageTags(this._text || ' ', this._images);
+        const hasImages = parsed.images.length > 0;
+
+        // the fitted font size is kept until the text, the style or the fit change
+        if (this._fitMode !== 'none')
+        {
+            if (!this._fitStyle)
+            {
+                const fitWidth = this._fitMode === 'height' ? 0 : this._fitWidth;
+                const fitHeight = this._fitMode === 'width' ? 0 : this._fitHeight;
+                const fontSize = typeof style.fontSize === 'number' ? style.fontSize : parseFloat(style.fontSize);
+                const maxFontSize = this._maxFontSize || fontSize;
+
+                this._fitStyle = style.clone();
+
+                if (hasImages)
+                {
+                    this._fitStyle.fontSize = RichTextMetrics.measureRunsFitFontSize(this.createImageRuns(parsed, style),
+                        style, fitWidth, fitHeight, this._minFontSize, maxFontSize, this.canvas);
+                }
+                else
+                {
+                    this._fitStyle.fontSize = TextMetrics.measureFitFontSize(this._text || ' ', style, fitWidth,
+                        fitHeight, this._minFontSize, maxFontSize, this.canvas);
+                }
+            }
+
+            style = this._fitStyle;
+        }
+
+        this._font = style.toFontString();
+
+        if (hasImages)
+        {
+            this.updateRuns(this.createImageRuns(parsed, style), style);
+
+            return;
+        }
 
         const context = this.context;
-        const measured = TextMetrics.measureText(this._text || ' ', this._style, this._style.wordWrap, this.canvas);
+        const measured = TextMetrics.measureText(this._text || ' ', style, style.wordWrap, this.canvas);
         const width = measured.width;
         const height = measured.height;
         const lines = measured.lines;
@@ -202,6 +314,12 @@ export class Text extends Sprite
         context.lineJoin = style.lineJoin;
         context.miterLimit = style.miterLimit;
 
+        const direction = TextMetrics.getBidiDirection(this._text, style.direction);
+
+        // the lines are positioned by their left edge in both directions
+        context.direction = direction;
+        context.textAlign = 'left';
+
         let linePositionX: number;
         let linePositionY: number;
 
@@ -263,7 +381,7 @@ export class Text extends Sprite
                 linePositionX = style.strokeThickness / 2;
                 linePositionY = ((style.strokeThickness / 2) + (i * lineHeight)) + fontProperties.ascent;
 
-                if (style.align === 'right')
+                if (style.align === 'right' || (style.align === 'justify' && direction === 'rtl'))
                 {
                     linePositionX += maxLineWidth - lineWidths[i];
                 }
@@ -296,6 +414,250 @@ export class Text extends Sprite
         this.updateTexture();
     }
 
+    /**
+     * Renders runs of text and images to its canvas, laid out by {@link PIXI.RichTextMetrics}, and updates
+     * its texture.
+     *
+     * @protected
+     * @param {PIXI.ITextRun[]} runs - The runs
+     * @param {PIXI.TextStyle} style - The style of the whole text
+     */
+    protected updateRuns(runs: ITextRun[], style: TextStyle): void
+    {
+        const context = this.context;
+        const measured = RichTextMetrics.measureRuns(runs, style, style.wordWrap, this.canvas);
+        const width = measured.width;
+        const height = measured.height;
+
+        this.canvas.width = Math.ceil((Math.max(1, width) + (style.padding * 2)) * this._resolution);
+        this.canvas.height = Math.ceil((Math.max(1, height) + (style.padding * 2)) * this._resolution);
+
+        context.scale(this._resolution, this._resolution);
+
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        context.textBaseline = style.textBaseline;
+
+        // the runs are positioned by their left edge in both directions
+        context.textAlign = 'left';
+
+        let hasDropShadow = false;
+
+        for (let i = 0; i < measured.runs.length; i++)
+        {
+            hasDropShadow = hasDropShadow || measured.runs[i].style.dropShadow;
+        }
+
+        // as for lines, draws the drop shadows of all the runs off-screen first, so that they stay beneath the text
+        const dsOffsetText = Math.ceil(Math.max(1, height) + (style.padding * 2));
+
+        if (hasDropShadow)
+        {
+            this.drawRuns(measured, true, dsOffsetText);
+        }
+
+        context.shadowColor = 'black';
+        context.shadowBlur = 0;
+        context.shadowOffsetX = 0;
+        context.shadowOffsetY = 0;
+
+        this.drawRuns(measured, false, 0);
+
+        this.updateTexture();
+    }
+
+    /**
+     * Draws the runs of each line, the strokes of a line before its fills.
+     *
+     * @protected
+     * @param {PIXI.RichTextMetrics} measured - The measured runs
+     * @param {boolean} isShadowPass - Whether to draw only the drop shadows of the runs that have one
+     * @param {number} dsOffsetText - How far above the canvas the text of the shadow pass is drawn
+     */
+    protected drawRuns(measured: RichTextMetrics, isShadowPass: boolean, dsOffsetText: number): void
+    {
+        const style = this._style;
+        const lineSegments = measured.lineSegments;
+        let strokeThickness = style.strokeThickness;
+
+        for (let i = 0; i < measured.runs.length; i++)
+        {
+            strokeThickness = Math.max(strokeThickness, measured.runs[i].style.strokeThickness);
+        }
+
+        for (let i = 0; i < lineSegments.length; i++)
+        {
+            let lineOffset = (strokeThickness / 2) + style.padding;
+
+            if (style.align === 'right' || (style.align === 'justify' && measured.direction === 'rtl'))
+            {
+                lineOffset += measured.maxLineWidth - measured.lineWidths[i];
+            }
+            else if (style.align === 'center')
+            {
+                lineOffset += (measured.maxLineWidth - measured.lineWidths[i]) / 2;
+            }
+
+            const y = measured.lineBaselines[i] + style.padding - dsOffsetText;
+
+            for (let pass = 0; pass < 2; pass++)
+            {
+                const isStroke = pass === 0;
+
+                for (let j = 0; j < lineSegments[i].length; j++)
+                {
+                    const segment = lineSegments[i][j];
+                    const segmentStyle = segment.style;
+
+                    if (segment.image)
+                    {
+                        if (!isStroke && !isShadowPass)
+                        {
+                            this.drawImage(segment, lineOffset + segment.x, y);
+                        }
+
+                        continue;
+                    }
+                    if (isShadowPass && !segmentStyle.dropShadow)
+                    {
+                        continue;
+                    }
+                    if (isStroke ? !(segmentStyle.stroke && segmentStyle.strokeThickness) : !segmentStyle.fill)
+                    {
+                        continue;
+                    }
+
+                    this.applySegmentStyle(segment, measured, isShadowPass, dsOffsetText);
+                    this.drawLetterSpacing(segment.text, lineOffset + segment.x, y, isStroke,
+                        segmentStyle.letterSpacing);
+                }
+            }
+        }
+    }
+
+    /**
+     * Draws the image of a run, or redraws the text once the texture of the image is loaded.
+     *
+     * @private
+     * @param {PIXI.IRichTextSegment} segment - The run
+     * @param {number} x - Horizontal position of the image
+     * @param {number} y - Baseline of the line of the image
+     */
+    private drawImage(segment: IRichTextSegment, x: number, y: number): void
+    {
+        const texture = segment.image.texture;
+
+        if (!texture.valid)
+        {
+            texture.off('update', this.onImageUpdate, this);
+            texture.once('update', this.onImageUpdate, this);
+
+            return;
+        }
+
+        const source = (texture.baseTexture.resource as BaseImageResource)?.source;
+
+        if (!source)
+        {
+            return;
+        }
+
+        const frame = texture.frame;
+        const resolution = texture.baseTexture.resolution;
+        const size = RichTextMetrics.measureImage(segment.image, segment.style);
+
+        this.context.drawImage(source as CanvasImageSource,
+            frame.x * resolution, frame.y * resolution, frame.width * resolution, frame.height * resolution,
+            x, y - size.ascent, size.width, size.height);
+    }
+
+    /**
+     * Redraws the text when the texture of one of its images is loaded.
+     *
+     * @private
+     */
+    private onImageUpdate(): void
+    {
+        this.dirty = true;
+    }
+
+    /**
+     * Sets up the context to draw a run.
+     *
+     * @private
+     * @param {PIXI.IRichTextSegment} segment - The run
+     * @param {PIXI.RichTextMetrics} measured - The measured runs
+     * @param {boolean} isShadowPass - Whether the drop shadow of the run is drawn
+     * @param {number} dsOffsetText - How far above the canvas the text of the shadow pass is drawn
+     */
+    private applySegmentStyle(segment: IRichTextSegment, measured: RichTextMetrics, isShadowPass: boolean,
+        dsOffsetText: number): void
+    {
+        const context = this.context;
+        const style = segment.style;
+
+        context.font = style.toFontString();
+        context.direction = segment.level % 2 === 1 ? 'rtl' : 'ltr';
+        context.lineWidth = style.strokeThickness;
+        context.lineJoin = style.lineJoin;
+        context.miterLimit = style.miterLimit;
+
+        if (isShadowPass)
+        {
+            const dropShadowColor = style.dropShadowColor;
+            const rgb = hex2rgb(typeof dropShadowColor === 'number' ? dropShadowColor : string2hex(dropShadowColor));
+
+            context.fillStyle = 'black';
+            context.strokeStyle = 'black';
+            context.shadowColor = `rgba(${rgb[0] * 255},${rgb[1] * 255},${rgb[2] * 255},${style.dropShadowAlpha})`;
+            context.shadowBlur = style.dropShadowBlur;
+            context.shadowOffsetX = Math.cos(style.dropShadowAngle) * style.dropShadowDistance;
+            context.shadowOffsetY = (Math.sin(style.dropShadowAngle) * style.dropShadowDistance)
+                + (dsOffsetText * this._resolution);
+        }
+        else
+        {
+            context.fillStyle = this._generateFillStyle(style, measured.lines, measured);
+            context.strokeStyle = style.stroke as string;
+        }
+    }
+
+    /**
+     * Splits text at its images into runs with the style of the whole text.
+     *
+     * @private
+     * @param {object} parsed - The text with {@link PIXI.TEXT_IMAGE_CHAR} in place of its images, and the images
+     * @param {PIXI.TextStyle} style - The style of the whole text
+     * @return {PIXI.ITextRun[]} The runs.
+     */
+    private createImageRuns(parsed: { text: string; images: ITextImage[] }, style: TextStyle): ITextRun[]
+    {
+        const { text, images } = parsed;
+        const runs: ITextRun[] = [];
+        let start = 0;
+
+        for (let i = 0; i < text.length; i++)
+        {
+            if (images[i])
+            {
+                if (i > start)
+                {
+                    runs.push({ text: text.substring(start, i), style });
+                }
+
+                runs.push({ text: TEXT_IMAGE_CHAR, style, image: images[i] });
+                start = i + 1;
+            }
+        }
+
+        if (start < text.length)
+        {
+            runs.push({ text: text.substring(start), style });
+        }
+
+        return runs;
+    }
+
     /**
      * Render the text with letter-spacing.
      * @param {string} text - The text to draw
@@ -303,14 +665,13 @@ export class Text extends Sprite
      * @param {number} y - Vertical position to draw the text
      * @param {boolean} [isStroke=false] - Is this drawing for the outside stroke of the
      *  text? If not, it's for the inside fill
-     * @private
+     * @param {number} [letterSpacing] - The letter spacing, defaults to the one of the style
+     * @protected
      */
-    private drawLetterSpacing(text: string, x: number, y: number, isStroke = false): void
+    protected drawLetterSpacing(text: string, x: number, y: number, isStroke = false,
+        letterSpacing = this._style.letterSpacing): void
     {
-        const style = this._style;
-
         // letterSpacing of 0 means normal
-        const letterSpacing = style.letterSpacing;
 
         if (letterSpacing === 0)
         {
@@ -326,6 +687,8 @@ export class Text extends Sprite
             return;
         }
 
+        const context = this.context;
+        const direction = context.direction;
         let currentPosition = x;
 
         // Using Array.from correctly splits characters whilst keeping emoji together.
@@ -334,34 +697,42 @@ export class Text extends Sprite
         // Handling all of this would require a big library itself.
         // https://medium.com/@giltayar/iterating-over-emoji-characters-the-es6-way-f06e4589516
         // https://github.com/orling/grapheme-splitter
-        const stringArray = Array.from ? Array.from(text) : text.split('');
-        let previousWidth = this.context.measureText(text).width;
+        //
+        // The characters are drawn from the left in the order they are displayed, and already mirrored,
+        // following the direction of the context.
+        const visualText = TextMetrics.reorderBidiText(text, direction === 'rtl' ? 'rtl' : 'ltr');
+        const stringArray = Array.from ? Array.from(visualText) : visualText.split('');
+        let previousWidth = context.measureText(visualText).width;
         let currentWidth = 0;
 
+        context.direction = 'ltr';
+
         for (let i = 0; i < stringArray.length; ++i)
         {
             const currentChar = stringArray[i];
 
             if (isStroke)
             {
-                this.context.strokeText(currentChar, currentPosition, y);
+                context.strokeText(currentChar, currentPosition, y);
             }
             else
             {
-                this.context.fillText(currentChar, currentPosition, y);
+                context.fillText(currentChar, currentPosition, y);
             }
-            currentWidth = this.context.measureText(text.substring(i + 1)).width;
+            currentWidth = context.measureText(visualText.substring(i + 1)).width;
             currentPosition += previousWidth - currentWidth + letterSpacing;
             previousWidth = currentWidth;
         }
+
+        context.direction = direction;
     }
 
     /**
      * Updates texture size based on canvas size
      *
-     * @private
+     * @protected
      */
-    private updateTexture(): void
+    protected updateTexture(): void
     {
         const canvas = this.canvas;
 
@@ -448,12 +819,13 @@ export class Text extends Sprite
     /**
      * Generates the fill style. Can automatically generate a gradient based on the fill style being an array
      *
-     * @private
+     * @protected
      * @param {object} style - The style.
      * @param {string[]} lines - The lines of text.
      * @return {string|number|CanvasGradient} The fill style
      */
-    private _generateFillStyle(style: TextStyle, lines: string[], metrics: TextMetrics): string|CanvasGradient|CanvasPattern
+    protected _generateFillStyle(style: TextStyle, lines: string[],
+        metrics: TextMetrics): string|CanvasGradient|CanvasPattern
     {
         // TODO: Can't have different types for getter and setter. The getter shouldn't have the number type as
         //       the setter converts to string. See this thread for more details:
@@ -611,6 +983,7 @@ export class Text extends Sprite
         this.canvas = null;
 
         this._style = null;
+        this._fitStyle = null;
     }
 
     /**
@@ -686,6 +1059,7 @@ export class Text extends Sprite
 
         this.localStyleID = -1;
         this.dirty = true;
+        this._fitStyle = null;
     }
 
     /**
@@ -708,6 +1082,143 @@ export class Text extends Sprite
         }
         this._text = text;
         this.dirty = true;
+        this._fitStyle = null;
+    }
+
+    /**
+     * The textures of the images placed by tags like `<img id="coin"/>`, by their id. Images whose
+     * id is not found here are looked up in the texture cache, like the frames of loaded spritesheets.
+     * Frames rotated in their spritesheet are not supported.
+     *
+     * @member {Object<string, PIXI.Texture>}
+     */
+    get images(): { [id: string]: Texture }
+    {
+        return this._images;
+    }
+
+    set images(images: { [id: string]: Texture })
+    {
+        this._images = images || {};
+        this.dirty = true;
+    }
+
+    /**
+     * Fits the font size of the text in {@link PIXI.Text#fitWidth} and {@link PIXI.Text#fitHeight}:
+     * 'none', 'width', 'height' or 'contain' for both. The largest font size with which the text fits,
+     * wrapped as set by the style, is used between {@link PIXI.Text#minFontSize} and {@link PIXI.Text#maxFontSize}.
+     * It is measured again when the text or the style change. It is not supported by {@link PIXI.RichText}.
+     *
+     * @example
+     * const label = new PIXI.Text(localizedString, { fontSize: 32, wordWrap: true, wordWrapWidth: 200 });
+     *
+     * // the font size shrinks to fit in 200x80, but no smaller than 12
+     * label.fitMode = 'contain';
+     * label.fitWidth = 200;
+     * label.fitHeight = 80;
+     * label.minFontSize = 12;
+     *
+     * @member {string}
+     * @default 'none'
+     */
+    get fitMode(): TextFitMode
+    {
+        return this._fitMode;
+    }
+
+    set fitMode(value: TextFitMode)
+    {
+        if (this._fitMode !== value)
+        {
+            this._fitMode = value;
+            this._fitStyle = null;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The width the text fits in, see {@link PIXI.Text#fitMode}.
+     *
+     * @member {number}
+     * @default 0
+     */
+    get fitWidth(): number
+    {
+        return this._fitWidth;
+    }
+
+    set fitWidth(value: number)
+    {
+        if (this._fitWidth !== value)
+        {
+            this._fitWidth = value;
+            this._fitStyle = null;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The height the text fits in, see {@link PIXI.Text#fitMode}.
+     *
+     * @member {number}
+     * @default 0
+     */
+    get fitHeight(): number
+    {
+        return this._fitHeight;
+    }
+
+    set fitHeight(value: number)
+    {
+        if (this._fitHeight !== value)
+        {
+            this._fitHeight = value;
+            this._fitStyle = null;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The smallest font size when fitting the text, it is used even if the text does not fit with it.
+     *
+     * @member {number}
+     * @default 1
+     */
+    get minFontSize(): number
+    {
+        return this._minFontSize;
+    }
+
+    set minFontSize(value: number)
+    {
+        if (this._minFontSize !== value)
+        {
+            this._minFontSize = value;
+            this._fitStyle = null;
+            this.dirty = true;
+        }
+    }
+
+    /**
+     * The largest font size when fitting the text. If 0, the font size of the style in pixels is the largest,
+     * so the text only shrinks.
+     *
+     * @member {number}
+     * @default 0
+     */
+    get maxFontSize(): number
+    {
+        return this._maxFontSize;
+    }
+
+    set maxFontSize(value: number)
+    {
+        if (this._maxFontSize !== value)
+        {
+            this._maxFontSize = value;
+            this._fitStyle = null;
+            this.dirty = true;
+        }
     }
 
     /**
@@ -1,12 +1,16 @@
+import { getBidiType, getCodePoint, getMirroredChar, resolveBidiParagraph } from './bidi';
 import { TextStyle, TextStyleWhiteSpace } from './TextStyle';
 
-interface IFontMetrics {
+import type { BidiType } from './bidi';
+import type { TextStyleDirection } from './TextStyle';
+
+export interface IFontMetrics {
     ascent: number;
     descent: number;
     fontSize: number;
 }
 
-type CharacterWidthCache = { [key: string]: number };
+export type CharacterWidthCache = { [key: string]: number };
 
 /**
  * The TextMetrics object represents the measurement of a block of text with a specified style.
@@ -33,6 +37,7 @@ export class TextMetrics
 
     public static METRICS_STRING: string;
     public static BASELINE_SYMBOL: string;
+    public static ELLIPSIS: string;
     public static BASELINE_MULTIPLIER: number;
     public static HEIGHT_MULTIPLIER: number;
 
@@ -149,7 +154,12 @@ export class TextMetrics
         context.font = font;
 
         const outputText = wordWrap ? TextMetrics.wordWrap(text, style, canvas) : text;
-        const lines = outputText.split(/(?:\r\n|\r|\n)/);
+        const lines = TextMetrics.truncateLines(
+            outputText.split(/(?:\r\n|\r|\n)/),
+            style,
+            wordWrap ? style.wordWrapWidth : Infinity,
+            canvas
+        );
         const lineWidths = new Array<number>(lines.length);
         let maxLineWidth = 0;
 
@@ -189,6 +199,73 @@ export class TextMetrics
         );
     }
 
+    /**
+     * Finds the largest font size, in whole pixels, with which the text fits in a box. The text is wrapped
+     * as set by the style, and the other properties of the style are kept.
+     *
+     * @param {string} text - The text to fit
+     * @param {PIXI.TextStyle} style - The style of the text
+     * @param {number} width - The maximum width of the text, not limited if 0
+     * @param {number} height - The maximum height of the text, not limited if 0
+     * @param {number} minFontSize - The smallest font size, used even if the text does not fit with it
+     * @param {number} maxFontSize - The largest font size
+     * @param {HTMLCanvasElement} [canvas] - optional specification of the canvas to use for measuring.
+     * @return {number} The font size.
+     */
+    public static measureFitFontSize(text: string, style: TextStyle, width: number, height: number,
+        minFontSize: number, maxFontSize: number, canvas = TextMetrics._canvas): number
+    {
+        const fitStyle = style.clone();
+        const fits = (fontSize: number): boolean =>
+        {
+            fitStyle.fontSize = fontSize;
+
+            const measured = TextMetrics.measureText(text, fitStyle, fitStyle.wordWrap, canvas);
+
+            return (!width || measured.width <= width) && (!height || measured.height <= height);
+        };
+
+        return TextMetrics.searchFitFontSize(fits, minFontSize, maxFontSize);
+    }
+
+    /**
+     * Finds the largest font size, in whole pixels, with which text fits.
+     *
+     * @protected
+     * @param {Function} fits - Whether the text fits with a font size
+     * @param {number} minFontSize - The smallest font size, used even if the text does not fit with it
+     * @param {number} maxFontSize - The largest font size
+     * @return {number} The font size.
+     */
+    protected static searchFitFontSize(fits: (fontSize: number) => boolean, minFontSize: number,
+        maxFontSize: number): number
+    {
+        let low = Math.max(1, Math.ceil(minFontSize));
+        let high = Math.max(low, Math.floor(maxFontSize));
+
+        if (fits(high))
+        {
+            return high;
+        }
+
+        // the text does not fit with the high size, and fits with the low one unless it is the minimum
+        while (high - low > 1)
+        {
+            const fontSize = Math.floor((low + high) / 2);
+
+            if (fits(fontSize))
+            {
+                low = fontSize;
+            }
+            else
+            {
+                high = fontSize;
+            }
+        }
+
+        return low;
+    }
+
     /**
      * Applies newlines to a string to have it optimally fit into the horizontal
      * bounds set by the Text object's wordWrapWidth property.
@@ -405,16 +482,93 @@ export class TextMetrics
     }
 
     /**
-     * Gets & sets the widths of calculated characters in a cache object
+     * Cuts off the lines after the maxLines of the style. With the 'ellipsis' overflow, the last line ends
+     * with {@link PIXI.TextMetrics.ELLIPSIS} when lines are cut off, and so do the lines wider than the maximum width.
+     * Lines are shortened by words, or by characters when breakWords is set or when a single word is too long.
      *
      * @private
+     * @param {string[]} lines - The lines of the text
+     * @param {PIXI.TextStyle} style - The style to use when measuring
+     * @param {number} maxWidth - The maximum width of the lines, Infinity when they are not wrapped
+     * @param {HTMLCanvasElement} [canvas] - optional specification of the canvas to use for measuring.
+     * @return {string[]} The lines that are kept
+     */
+    private static truncateLines(lines: string[], style: TextStyle, maxWidth: number,
+        canvas = TextMetrics._canvas): string[]
+    {
+        const { maxLines, letterSpacing, breakWords } = style;
+        const truncated = maxLines > 0 && lines.length > maxLines;
+        const keptLines = truncated ? lines.slice(0, maxLines) : lines;
+
+        if (style.overflow !== 'ellipsis')
+        {
+            return keptLines;
+        }
+
+        const context = canvas.getContext('2d');
+        const cache: CharacterWidthCache = Object.create(null);
+        const ellipsis = TextMetrics.ELLIPSIS;
+
+        // as in wordWrap, the widths include the letterSpacing after the last character
+        const lineWidth = maxWidth + letterSpacing;
+        const textWidth = lineWidth - TextMetrics.getFromCache(ellipsis, letterSpacing, cache, context);
+
+        for (let i = 0; i < keptLines.length; i++)
+        {
+            let line = keptLines[i];
+
+            if (!(truncated && i === keptLines.length - 1)
+                && TextMetrics.getFromCache(line, letterSpacing, cache, context) <= lineWidth)
+            {
+                continue;
+            }
+
+            line = TextMetrics.trimRight(line);
+
+            while (line && TextMetrics.getFromCache(line, letterSpacing, cache, context) > textWidth)
+            {
+                let end = line.length - 1;
+
+                if (!breakWords)
+                {
+                    while (end > 0 && !TextMetrics.isBreakingSpace(line[end]))
+                    {
+                        end--;
+                    }
+                }
+
+                // drop the last word, or the last character when the line is a single word
+                if (end <= 0)
+                {
+                    end = line.length - 1;
+                }
+
+                // keep surrogate pairs together
+                if (TextMetrics.isLowSurrogate(line, end))
+                {
+                    end--;
+                }
+
+                line = TextMetrics.trimRight(line.slice(0, end));
+            }
+
+            keptLines[i] = line + ellipsis;
+        }
+
+        return keptLines;
+    }
+
+    /**
+     * Gets & sets the widths of calculated characters in a cache object
+     *
+     * @protected
      * @param  {string}                    key            - The key
      * @param  {number}                    letterSpacing  - The letter spacing
      * @param  {object}                    cache          - The cache
      * @param  {CanvasRenderingContext2D}  context        - The canvas context
      * @return {number}                    The from cache.
      */
-    private static getFromCache(key: string, letterSpacing: number, cache: CharacterWidthCache,
+    protected static getFromCache(key: string, letterSpacing: number, cache: CharacterWidthCache,
         context: CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D): number
     {
         let width = cache[key];
@@ -433,11 +587,11 @@ export class TextMetrics
     /**
      * Determines whether we should collapse breaking spaces
      *
-     * @private
+     * @protected
      * @param  {string}   whiteSpace - The TextStyle property whiteSpace
      * @return {boolean}  should collapse
      */
-    private static collapseSpaces(whiteSpace: TextStyleWhiteSpace): boolean
+    protected static collapseSpaces(whiteSpace: TextStyleWhiteSpace): boolean
     {
         return (whiteSpace === 'normal' || whiteSpace === 'pre-line');
     }
@@ -445,11 +599,11 @@ export class TextMetrics
     /**
      * Determines whether we should collapse newLine chars
      *
-     * @private
+     * @protected
      * @param  {string}   whiteSpace - The white space
      * @return {boolean}  should collapse
      */
-    private static collapseNewlines(whiteSpace: TextStyleWhiteSpace): boolean
+    protected static collapseNewlines(whiteSpace: TextStyleWhiteSpace): boolean
     {
         return (whiteSpace === 'normal');
     }
@@ -486,11 +640,11 @@ export class TextMetrics
     /**
      * Determines if char is a newline.
      *
-     * @private
+     * @protected
      * @param  {string}  char - The character
      * @return {boolean}  True if newline, False otherwise.
      */
-    private static isNewline(char: string): boolean
+    protected static isNewline(char: string): boolean
     {
         if (typeof char !== 'string')
         {
@@ -524,11 +678,11 @@ export class TextMetrics
     /**
      * Splits a string into words, breaking-spaces and newLine characters
      *
-     * @private
+     * @protected
      * @param  {string}  text - The text
      * @return {string[]}  A tokenized array
      */
-    private static tokenize(text: string): string[]
+    protected static tokenize(text: string): string[]
     {
         const tokens: string[] = [];
         let token = '';
@@ -623,6 +777,253 @@ export class TextMetrics
         return token.split('');
     }
 
+    /**
+     * Gets the code point at an index of a text, combining surrogate pairs.
+     *
+     * @static
+     * @param {string} text - The text
+     * @param {number} index - Index of the UTF-16 code unit
+     * @return {number} The code point.
+     */
+    public static getCodePoint(text: string, index: number): number
+    {
+        return getCodePoint(text, index);
+    }
+
+    /**
+     * Tests if the code unit at an index of a text is a low surrogate following a high one, the second half
+     * of a code point outside of the Basic Multilingual Plane.
+     *
+     * @static
+     * @param {string} text - The text
+     * @param {number} index - Index of the UTF-16 code unit
+     * @return {boolean} Whether the code unit at the index ends a surrogate pair.
+     */
+    public static isLowSurrogate(text: string, index: number): boolean
+    {
+        return index > 0 && getCodePoint(text, index - 1) > 0xFFFF;
+    }
+
+    /**
+     * Resolves the base direction of a text. The `'auto'` direction is the one of the first strong character
+     * of the text, or left-to-right if it has none.
+     *
+     * @static
+     * @param {string} text - The text
+     * @param {string} [direction='ltr'] - The direction of the style, 'ltr', 'rtl' or 'auto'
+     * @return {string} The base direction, 'ltr' or 'rtl'.
+     */
+    public static getBidiDirection(text: string, direction: TextStyleDirection = 'ltr'): 'ltr'|'rtl'
+    {
+        if (direction !== 'auto')
+        {
+            return direction;
+        }
+
+        for (let i = 0; i < text.length; i++)
+        {
+            const type = getBidiType(getCodePoint(text, i));
+
+            if (type === 'L')
+            {
+                return 'ltr';
+            }
+            if (type === 'R' || type === 'AL')
+            {
+                return 'rtl';
+            }
+        }
+
+        return 'ltr';
+    }
+
+    /**
+     * Resolves the embedding levels of the characters of a text with the Unicode Bidirectional Algorithm.
+     * Even levels are left-to-right and odd levels right-to-left. The explicit embeddings, overrides and
+     * isolates are not supported, their formatting characters are ignored.
+     *
+     * @static
+     * @param {string} text - The text, its paragraphs are separated by newlines
+     * @param {string} [direction='ltr'] - The base direction, 'ltr', 'rtl' or 'auto'
+     * @return {number[]} The level of each UTF-16 code unit of the text.
+     */
+    public static getBidiLevels(text: string, direction: TextStyleDirection = 'ltr'): number[]
+    {
+        const baseLevel = TextMetrics.getBidiDirection(text, direction) === 'rtl' ? 1 : 0;
+        const types: BidiType[] = [];
+        const levels: number[] = [];
+
+        for (let i = 0; i < text.length; i++)
+        {
+            const codePoint = getCodePoint(text, i);
+
+            types.push(getBidiType(codePoint));
+
+            // the second half of a surrogate pair is resolved like the first one
+            if (codePoint > 0xFFFF)
+            {
+                types.push(types[i]);
+                i++;
+            }
+        }
+
+        let start = 0;
+
+        for (let i = 0; i <= types.length; i++)
+        {
+            if (i === types.length || types[i] === 'B')
+            {
+                resolveBidiParagraph(types, levels, start, i, baseLevel);
+                start = i + 1;
+
+                if (i < types.length)
+                {
+                    levels[i] = baseLevel;
+                }
+            }
+        }
+
+        return levels;
+    }
+
+    /**
+     * Gets the order in which characters are displayed from the left, by reversing their runs from the highest
+     * level to the lowest odd level.
+     *
+     * @static
+     * @param {number[]} levels - The embedding levels of the characters, see {@link PIXI.TextMetrics.getBidiLevels}
+     * @param {number} [start=0] - Index of the first character of the line
+     * @param {number} [end=levels.length] - Index after the last character of the line
+     * @return {number[]} The indices of the characters of the line, from left to right.
+     */
+    public static getVisualOrder(levels: number[], start = 0, end = levels.length): number[]
+    {
+        const order: number[] = [];
+        let highestLevel = 0;
+        let lowestOddLevel = Infinity;
+
+        for (let i = start; i < end; i++)
+        {
+            const level = levels[i];
+
+            order.push(i);
+            highestLevel = Math.max(highestLevel, level);
+
+            if (level % 2 === 1)
+            {
+                lowestOddLevel = Math.min(lowestOddLevel, level);
+            }
+        }
+
+        for (let level = highestLevel; level >= lowestOddLevel; level--)
+        {
+            let i = 0;
+
+            while (i < order.length)
+            {
+                if (levels[order[i]] < level)
+                {
+                    i++;
+                    continue;
+                }
+
+                let j = i;
+
+                while (j < order.length && levels[order[j]] >= level)
+                {
+                    j++;
+                }
+
+                for (let a = i, b = j - 1; a < b; a++, b--)
+                {
+                    const index = order[a];
+
+                    order[a] = order[b];
+                    order[b] = index;
+                }
+
+                i = j;
+            }
+        }
+
+        return order;
+    }
+
+    /**
+     * Replaces the paired punctuation of right-to-left characters, like brackets, by its mirror.
+     *
+     * @static
+     * @param {string} text - The text
+     * @param {number[]} levels - The embedding levels of the characters, see {@link PIXI.TextMetrics.getBidiLevels}
+     * @return {string} The mirrored text, with the same length.
+     */
+    public static mirrorBidiText(text: string, levels: number[]): string
+    {
+        let mirrored = '';
+
+        for (let i = 0; i < text.length; i++)
+        {
+            const char = text.charAt(i);
+
+            mirrored += levels[i] % 2 === 1 ? getMirroredChar(char) : char;
+        }
+
+        return mirrored;
+    }
+
+    /**
+     * Reorders each line of a text in the order its characters are displayed from the left, and mirrors
+     * the paired punctuation of right-to-left characters. This is useful to draw the text character by character.
+     *
+     * @static
+     * @param {string} text - The text, its lines are separated by newlines
+     * @param {string} [direction='ltr'] - The base direction, 'ltr', 'rtl' or 'auto'
+     * @return {string} The reordered text.
+     */
+    public static reorderBidiText(text: string, direction: TextStyleDirection = 'ltr'): string
+    {
+        const levels = TextMetrics.getBidiLevels(text, direction);
+        const mirrored = TextMetrics.mirrorBidiText(text, levels);
+        let reordered = '';
+        let start = 0;
+
+        for (let i = 0; i <= text.length; i++)
+        {
+            if (i < text.length && !TextMetrics.isNewline(text.charAt(i)))
+            {
+                continue;
+            }
+
+            const order = TextMetrics.getVisualOrder(levels, start, i);
+
+            for (let j = 0; j < order.length; j++)
+            {
+                const index = order[j];
+
+                // surrogate pairs are reversed along with the runs, swap them back
+                if (j + 1 < order.length && order[j + 1] === index - 1 && getCodePoint(text, index - 1) > 0xFFFF)
+                {
+                    reordered += mirrored.charAt(index - 1);
+                    reordered += mirrored.charAt(index);
+                    j++;
+                }
+                else
+                {
+                    reordered += mirrored.charAt(index);
+                }
+            }
+
+            if (i < text.length)
+            {
+                reordered += text.charAt(i);
+            }
+
+            start = i + 1;
+        }
+
+        return reordered;
+    }
+
     /**
      * Calculates the ascent, descent and fontSize of a given font-style
      *
@@ -835,6 +1236,17 @@ TextMetrics.METRICS_STRING = '|ÉqÅ';
  */
 TextMetrics.BASELINE_SYMBOL = 'M';
 
+/**
+ * String ending the lines that are cut off, see {@link PIXI.TextStyle#overflow}.
+ *
+ * @static
+ * @memberof PIXI.TextMetrics
+ * @name ELLIPSIS
+ * @type {string}
+ * @default …
+ */
+TextMetrics.ELLIPSIS = '\u2026';
+
 /**
  * Baseline multiplier for calculate font metrics.
  *
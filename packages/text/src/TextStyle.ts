@@ -5,17 +5,20 @@ import { TEXT_GRADIENT } from './const';
 import { hex2string } from '@pixi/utils';
 
 export type TextStyleAlign = 'left'|'center'|'right'|'justify';
+export type TextStyleDirection = 'ltr'|'rtl'|'auto';
 export type TextStyleFill = string|string[]|number|number[]|CanvasGradient|CanvasPattern;
 export type TextStyleFontStyle = 'normal'|'italic'|'oblique';
 export type TextStyleFontVariant = 'normal'|'small-caps';
 export type TextStyleFontWeight = 'normal'|'bold'|'bolder'|'lighter'|'100'|'200'|'300'|'400'|'500'|'600'|'700'|'800'|'900';
 export type TextStyleLineJoin = 'miter'|'round'|'bevel';
+export type TextStyleOverflow = 'clip'|'ellipsis';
 export type TextStyleTextBaseline = 'alphabetic'|'top'|'hanging'|'middle'|'ideographic'|'bottom';
 export type TextStyleWhiteSpace = 'normal'|'pre'|'pre-line';
 
 export interface ITextStyle {
     align: TextStyleAlign;
     breakWords: boolean;
+    direction: TextStyleDirection;
     dropShadow: boolean;
     dropShadowAlpha: number;
     dropShadowAngle: number;
@@ -33,7 +36,9 @@ export interface ITextStyle {
     letterSpacing: number;
     lineHeight: number;
     lineJoin: TextStyleLineJoin;
+    maxLines: number;
     miterLimit: number;
+    overflow: TextStyleOverflow;
     padding: number;
     stroke: string|number;
     strokeThickness: number;
@@ -48,6 +53,7 @@ export interface ITextStyle {
 const defaultStyle: ITextStyle = {
     align: 'left',
     breakWords: false,
+    direction: 'ltr',
     dropShadow: false,
     dropShadowAlpha: 1,
     dropShadowAngle: Math.PI / 6,
@@ -65,7 +71,9 @@ const defaultStyle: ITextStyle = {
     letterSpacing: 0,
     lineHeight: 0,
     lineJoin: 'miter',
+    maxLines: 0,
     miterLimit: 10,
+    overflow: 'clip',
     padding: 0,
     stroke: 'black',
     strokeThickness: 0,
@@ -102,6 +110,7 @@ export class TextStyle implements ITextStyle
 
     protected _align: TextStyleAlign;
     protected _breakWords: boolean;
+    protected _direction: TextStyleDirection;
     protected _dropShadow: boolean;
     protected _dropShadowAlpha: number;
     protected _dropShadowAngle: number;
@@ -119,7 +128,9 @@ export class TextStyle implements ITextStyle
     protected _letterSpacing: number;
     protected _lineHeight: number;
     protected _lineJoin: TextStyleLineJoin;
+    protected _maxLines: number;
     protected _miterLimit: number;
+    protected _overflow: TextStyleOverflow;
     protected _padding: number;
     protected _stroke: string|number;
     protected _strokeThickness: number;
@@ -136,6 +147,9 @@ export class TextStyle implements ITextStyle
      *  does not affect single line text
      * @param {boolean} [style.breakWords=false] - Indicates if lines can be wrapped within words, it
      *  needs wordWrap to be set to true
+     * @param {string} [style.direction='ltr'] - The base direction of the text ('ltr', 'rtl' or 'auto' to take
+     *  the direction of its first strong character), the lines of right-to-left text that are not justified
+     *  are aligned to the right
      * @param {boolean} [style.dropShadow=false] - Set a drop shadow for the text
      * @param {number} [style.dropShadowAlpha=1] - Set alpha for the drop shadow
      * @param {number} [style.dropShadowAngle=Math.PI/6] - Set a angle of the drop shadow
@@ -163,8 +177,13 @@ export class TextStyle implements ITextStyle
      * @param {string} [style.lineJoin='miter'] - The lineJoin property sets the type of corner created, it can resolve
      *      spiked text issues. Possible values "miter" (creates a sharp corner), "round" (creates a round corner) or "bevel"
      *      (creates a squared corner).
+     * @param {number} [style.maxLines=0] - The maximum number of lines, the following ones are cut off.
+     *      Unlimited if set to 0
      * @param {number} [style.miterLimit=10] - The miter limit to use when using the 'miter' lineJoin mode. This can reduce
      *      or increase the spikiness of rendered text.
+     * @param {string} [style.overflow='clip'] - How lines are cut off ('clip' or 'ellipsis'), with 'ellipsis'
+     *      the last line ends with "…" when lines are cut off after maxLines, and so do the lines wider than
+     *      wordWrapWidth
      * @param {number} [style.padding=0] - Occasionally some fonts are cropped. Adding some padding will prevent this from
      *     happening by adding padding to all sides of the text.
      * @param {string|number} [style.stroke='black'] - A canvas fillstyle that will be used on the text stroke
@@ -246,6 +265,26 @@ export class TextStyle implements ITextStyle
         }
     }
 
+    /**
+     * The base direction of the text: 'ltr', 'rtl' or 'auto' to take the direction of its first strong character.
+     * Runs of the other direction are reordered, and the lines of right-to-left text that are not justified
+     * (the last ones of paragraphs) are aligned to the right when the align is 'justify'.
+     *
+     * @member {string}
+     */
+    get direction(): TextStyleDirection
+    {
+        return this._direction;
+    }
+    set direction(direction: TextStyleDirection)
+    {
+        if (this._direction !== direction)
+        {
+            this._direction = direction;
+            this.styleID++;
+        }
+    }
+
     /**
      * Set a drop shadow for the text
      *
@@ -586,6 +625,24 @@ export class TextStyle implements ITextStyle
         }
     }
 
+    /**
+     * The maximum number of lines, the following ones are cut off. Unlimited if set to 0.
+     *
+     * @member {number}
+     */
+    get maxLines(): number
+    {
+        return this._maxLines;
+    }
+    set maxLines(maxLines: number)
+    {
+        if (this._maxLines !== maxLines)
+        {
+            this._maxLines = maxLines;
+            this.styleID++;
+        }
+    }
+
     /**
      * The miter limit to use when using the 'miter' lineJoin mode
      * This can reduce or increase the spikiness of rendered text.
@@ -605,6 +662,25 @@ export class TextStyle implements ITextStyle
         }
     }
 
+    /**
+     * How lines are cut off: 'clip' or 'ellipsis'. With 'ellipsis', the last line ends with "…" when lines
+     * are cut off after {@link PIXI.TextStyle#maxLines}, and so do the words too long for the wordWrapWidth.
+     *
+     * @member {string}
+     */
+    get overflow(): TextStyleOverflow
+    {
+        return this._overflow;
+    }
+    set overflow(overflow: TextStyleOverflow)
+    {
+        if (this._overflow !== overflow)
+        {
+            this._overflow = overflow;
+            this.styleID++;
+        }
+    }
+
     /**
      * Occasionally some fonts are cropped. Adding some padding will prevent this from happening
      * by adding padding to all sides of the text.
@@ -0,0 +1,562 @@
+/**
+ * Bidirectional character types of the Unicode Bidirectional Algorithm.
+ *
+ * @private
+ */
+export type BidiType = 'L' | 'R' | 'AL' | 'EN' | 'ES' | 'ET' | 'AN' | 'CS' | 'NSM' | 'BN' | 'B' | 'S' | 'WS' | 'ON';
+
+/**
+ * Ranges of code points that are not strong left-to-right characters, sorted by their first code point.
+ * Each range is its first and last code point followed by its type. The explicit formatting characters
+ * are ignored like boundary neutrals.
+ *
+ * @private
+ */
+const BIDI_RANGES: Array<[number, number, BidiType]> = [
+    [0x0000, 0x0008, 'BN'],
+    [0x0009, 0x0009, 'S'],
+    [0x000A, 0x000A, 'B'],
+    [0x000B, 0x000B, 'S'],
+    [0x000C, 0x000C, 'WS'],
+    [0x000D, 0x000D, 'B'],
+    [0x000E, 0x001B, 'BN'],
+    [0x001C, 0x001E, 'B'],
+    [0x001F, 0x001F, 'S'],
+    [0x0020, 0x0020, 'WS'],
+    [0x0021, 0x0022, 'ON'],
+    [0x0023, 0x0025, 'ET'],
+    [0x0026, 0x002A, 'ON'],
+    [0x002B, 0x002B, 'ES'],
+    [0x002C, 0x002C, 'CS'],
+    [0x002D, 0x002D, 'ES'],
+    [0x002E, 0x002F, 'CS'],
+    [0x0030, 0x0039, 'EN'],
+    [0x003A, 0x003A, 'CS'],
+    [0x003B, 0x0040, 'ON'],
+    [0x005B, 0x0060, 'ON'],
+    [0x007B, 0x007E, 'ON'],
+    [0x007F, 0x0084, 'BN'],
+    [0x0085, 0x0085, 'B'],
+    [0x0086, 0x009F, 'BN'],
+    [0x00A0, 0x00A0, 'CS'],
+    [0x00A1, 0x00A1, 'ON'],
+    [0x00A2, 0x00A5, 'ET'],
+    [0x00A6, 0x00A9, 'ON'],
+    [0x00AB, 0x00AC, 'ON'],
+    [0x00AD, 0x00AD, 'BN'],
+    [0x00AE, 0x00AF, 'ON'],
+    [0x00B0, 0x00B1, 'ET'],
+    [0x00B2, 0x00B3, 'EN'],
+    [0x00B4, 0x00B4, 'ON'],
+    [0x00B6, 0x00B8, 'ON'],
+    [0x00B9, 0x00B9, 'EN'],
+    [0x00BB, 0x00BF, 'ON'],
+    [0x00D7, 0x00D7, 'ON'],
+    [0x00F7, 0x00F7, 'ON'],
+    [0x0300, 0x036F, 'NSM'],
+    [0x0483, 0x0489, 'NSM'],
+    [0x0590, 0x0590, 'R'],
+    [0x0591, 0x05BD, 'NSM'],
+    [0x05BE, 0x05BE, 'R'],
+    [0x05BF, 0x05BF, 'NSM'],
+    [0x05C0, 0x05C0, 'R'],
+    [0x05C1, 0x05C2, 'NSM'],
+    [0x05C3, 0x05C3, 'R'],
+    [0x05C4, 0x05C5, 'NSM'],
+    [0x05C6, 0x05C6, 'R'],
+    [0x05C7, 0x05C7, 'NSM'],
+    [0x05C8, 0x05FF, 'R'],
+    [0x0600, 0x0605, 'AN'],
+    [0x0606, 0x0607, 'ON'],
+    [0x0608, 0x0608, 'AL'],
+    [0x0609, 0x060A, 'ET'],
+    [0x060B, 0x060B, 'AL'],
+    [0x060C, 0x060C, 'CS'],
+    [0x060D, 0x060D, 'AL'],
+    [0x060E, 0x060F, 'ON'],
+    [0x0610, 0x061A, 'NSM'],
+    [0x061B, 0x064A, 'AL'],
+    [0x064B, 0x065F, 'NSM'],
+    [0x0660, 0x0669, 'AN'],
+    [0x066A, 0x066A, 'ET'],
+    [0x066B, 0x066C, 'AN'],
+    [0x066D, 0x066F, 'AL'],
+    [0x0670, 0x0670, 'NSM'],
+    [0x0671, 0x06D5, 'AL'],
+    [0x06D6, 0x06DC, 'NSM'],
+    [0x06DD, 0x06DD, 'AN'],
+    [0x06DE, 0x06DE, 'ON'],
+    [0x06DF, 0x06E4, 'NSM'],
+    [0x06E5, 0x06E6, 'AL'],
+    [0x06E7, 0x06E8, 'NSM'],
+    [0x06E9, 0x06E9, 'ON'],
+    [0x06EA, 0x06ED, 'NSM'],
+    [0x06EE, 0x06EF, 'AL'],
+    [0x06F0, 0x06F9, 'EN'],
+    [0x06FA, 0x0710, 'AL'],
+    [0x0711, 0x0711, 'NSM'],
+    [0x0712, 0x072F, 'AL'],
+    [0x0730, 0x074A, 'NSM'],
+    [0x074B, 0x07A5, 'AL'],
+    [0x07A6, 0x07B0, 'NSM'],
+    [0x07B1, 0x07BF, 'AL'],
+    [0x07C0, 0x07EA, 'R'],
+    [0x07EB, 0x07F3, 'NSM'],
+    [0x07F4, 0x07F5, 'R'],
+    [0x07F6, 0x07F9, 'ON'],
+    [0x07FA, 0x07FC, 'R'],
+    [0x07FD, 0x07FD, 'NSM'],
+    [0x07FE, 0x0815, 'R'],
+    [0x0816, 0x082D, 'NSM'],
+    [0x082E, 0x0858, 'R'],
+    [0x0859, 0x085B, 'NSM'],
+    [0x085C, 0x085F, 'R'],
+    [0x0860, 0x08D2, 'AL'],
+    [0x08D3, 0x08E1, 'NSM'],
+    [0x08E2, 0x08E2, 'AN'],
+    [0x08E3, 0x08FF, 'NSM'],
+    [0x1680, 0x1680, 'WS'],
+    [0x180E, 0x180E, 'BN'],
+    [0x2000, 0x200A, 'WS'],
+    [0x200B, 0x200D, 'BN'],
+    [0x200F, 0x200F, 'R'],
+    [0x2010, 0x2027, 'ON'],
+    [0x2028, 0x2028, 'WS'],
+    [0x2029, 0x2029, 'B'],
+    [0x202A, 0x202E, 'BN'],
+    [0x202F, 0x202F, 'CS'],
+    [0x2030, 0x2034, 'ET'],
+    [0x2035, 0x2043, 'ON'],
+    [0x2044, 0x2044, 'CS'],
+    [0x2045, 0x205E, 'ON'],
+    [0x205F, 0x205F, 'WS'],
+    [0x2060, 0x206F, 'BN'],
+    [0x2070, 0x2070, 'EN'],
+    [0x2074, 0x2079, 'EN'],
+    [0x207A, 0x207B, 'ES'],
+    [0x207C, 0x207E, 'ON'],
+    [0x2080, 0x2089, 'EN'],
+    [0x208A, 0x208B, 'ES'],
+    [0x208C, 0x208E, 'ON'],
+    [0x20A0, 0x20CF, 'ET'],
+    [0x20D0, 0x20F0, 'NSM'],
+    [0x2100, 0x2101, 'ON'],
+    [0x2103, 0x2106, 'ON'],
+    [0x2108, 0x2109, 'ON'],
+    [0x2116, 0x2118, 'ON'],
+    [0x211E, 0x2123, 'ON'],
+    [0x2125, 0x2125, 'ON'],
+    [0x2127, 0x2127, 'ON'],
+    [0x2129, 0x2129, 'ON'],
+    [0x212E, 0x212E, 'ET'],
+    [0x213A, 0x213B, 'ON'],
+    [0x2140, 0x2144, 'ON'],
+    [0x214A, 0x214D, 'ON'],
+    [0x2150, 0x215F, 'ON'],
+    [0x2189, 0x218B, 'ON'],
+    [0x2190, 0x2211, 'ON'],
+    [0x2212, 0x2212, 'ES'],
+    [0x2213, 0x2213, 'ET'],
+    [0x2214, 0x2335, 'ON'],
+    [0x237B, 0x2394, 'ON'],
+    [0x2396, 0x2487, 'ON'],
+    [0x2488, 0x249B, 'EN'],
+    [0x24EA, 0x26AB, 'ON'],
+    [0x26AD, 0x27FF, 'ON'],
+    [0x2900, 0x2B73, 'ON'],
+    [0x2B76, 0x2BFF, 'ON'],
+    [0x2CEF, 0x2CF1, 'NSM'],
+    [0x2CF9, 0x2CFF, 'ON'],
+    [0x2DE0, 0x2DFF, 'NSM'],
+    [0x2E00, 0x2E7F, 'ON'],
+    [0x2E80, 0x2FFB, 'ON'],
+    [0x3000, 0x3000, 'WS'],
+    [0x3001, 0x3004, 'ON'],
+    [0x3008, 0x3020, 'ON'],
+    [0x302A, 0x302D, 'NSM'],
+    [0x3030, 0x3030, 'ON'],
+    [0x3036, 0x3037, 'ON'],
+    [0x303D, 0x303F, 'ON'],
+    [0x3099, 0x309A, 'NSM'],
+    [0x309B, 0x309C, 'ON'],
+    [0x30A0, 0x30A0, 'ON'],
+    [0x30FB, 0x30FB, 'ON'],
+    [0xA490, 0xA4C6, 'ON'],
+    [0xFB1D, 0xFB1D, 'R'],
+    [0xFB1E, 0xFB1E, 'NSM'],
+    [0xFB1F, 0xFB28, 'R'],
+    [0xFB29, 0xFB29, 'ES'],
+    [0xFB2A, 0xFB4F, 'R'],
+    [0xFB50, 0xFD3D, 'AL'],
+    [0xFD3E, 0xFD3F, 'ON'],
+    [0xFD40, 0xFDFF, 'AL'],
+    [0xFE00, 0xFE0F, 'NSM'],
+    [0xFE10, 0xFE19, 'ON'],
+    [0xFE20, 0xFE2F, 'NSM'],
+    [0xFE30, 0xFE4F, 'ON'],
+    [0xFE50, 0xFE50, 'CS'],
+    [0xFE51, 0xFE51, 'ON'],
+    [0xFE52, 0xFE52, 'CS'],
+    [0xFE54, 0xFE54, 'ON'],
+    [0xFE55, 0xFE55, 'CS'],
+    [0xFE56, 0xFE5E, 'ON'],
+    [0xFE5F, 0xFE5F, 'ET'],
+    [0xFE60, 0xFE61, 'ON'],
+    [0xFE62, 0xFE63, 'ES'],
+    [0xFE64, 0xFE66, 'ON'],
+    [0xFE68, 0xFE68, 'ON'],
+    [0xFE69, 0xFE6A, 'ET'],
+    [0xFE6B, 0xFE6B, 'ON'],
+    [0xFE70, 0xFEFE, 'AL'],
+    [0xFEFF, 0xFEFF, 'BN'],
+    [0xFF01, 0xFF02, 'ON'],
+    [0xFF03, 0xFF05, 'ET'],
+    [0xFF06, 0xFF0A, 'ON'],
+    [0xFF0B, 0xFF0B, 'ES'],
+    [0xFF0C, 0xFF0C, 'CS'],
+    [0xFF0D, 0xFF0D, 'ES'],
+    [0xFF0E, 0xFF0F, 'CS'],
+    [0xFF10, 0xFF19, 'EN'],
+    [0xFF1A, 0xFF1A, 'CS'],
+    [0xFF1B, 0xFF20, 'ON'],
+    [0xFF3B, 0xFF40, 'ON'],
+    [0xFF5B, 0xFF65, 'ON'],
+    [0xFFE0, 0xFFE1, 'ET'],
+    [0xFFE2, 0xFFE4, 'ON'],
+    [0xFFE5, 0xFFE6, 'ET'],
+    [0xFFE8, 0xFFEE, 'ON'],
+    [0xFFF9, 0xFFFD, 'ON'],
+    [0x10800, 0x10FFF, 'R'],
+    [0x1D7CE, 0x1D7FF, 'EN'],
+    [0x1E800, 0x1EDFF, 'R'],
+    [0x1EE00, 0x1EEFF, 'AL'],
+    [0x1F000, 0x1F0FF, 'ON'],
+    [0x1F100, 0x1F10A, 'EN'],
+    [0x1F10B, 0x1F10F, 'ON'],
+    [0x1F300, 0x1FAFF, 'ON'],
+    [0xE0001, 0xE007F, 'BN'],
+];
+
+/**
+ * Pairs of characters that are mirrored in right-to-left text.
+ *
+ * @private
+ */
+const MIRRORED_PAIRS = '()<>[]{}«»‹›⁅⁆⁽⁾₍₎∈∋∉∌∊∍≤≥≦≧≪≫≮≯≰≱≲≳≺≻≼≽⊂⊃⊆⊇⊏⊐⊑⊒⊢⊣'
+    + '⌈⌉⌊⌋〈〉❨❩❪❫❬❭❮❯❰❱❲❳❴❵⟦⟧⟨⟩⟪⟫⦃⦄⦅⦆⦇⦈⦉⦊⦋⦌'
+    + '〈〉《》「」『』【】〔〕〖〗〘〙〚〛﹙﹚﹛﹜﹝﹞﹤﹥（）＜＞［］｛｝｟｠｢｣';
+
+/**
+ * Characters by the character they are mirrored to.
+ *
+ * @private
+ */
+const MIRRORS: { [char: string]: string } = {};
+
+for (let i = 0; i < MIRRORED_PAIRS.length; i += 2)
+{
+    MIRRORS[MIRRORED_PAIRS[i]] = MIRRORED_PAIRS[i + 1];
+    MIRRORS[MIRRORED_PAIRS[i + 1]] = MIRRORED_PAIRS[i];
+}
+
+/**
+ * Gets the bidirectional type of a code point.
+ *
+ * @private
+ * @param {number} codePoint - The code point
+ * @return {string} The type.
+ */
+export function getBidiType(codePoint: number): BidiType
+{
+    let low = 0;
+    let high = BIDI_RANGES.length - 1;
+
+    while (low <= high)
+    {
+        const middle = (low + high) >> 1;
+        const range = BIDI_RANGES[middle];
+
+        if (codePoint < range[0])
+        {
+            high = middle - 1;
+        }
+        else if (codePoint > range[1])
+        {
+            low = middle + 1;
+        }
+        else
+        {
+            return range[2];
+        }
+    }
+
+    return 'L';
+}
+
+/**
+ * Gets the character a character is mirrored to in right-to-left text.
+ *
+ * @private
+ * @param {string} char - The character
+ * @return {string} The mirrored character, or the same one if it has no mirror.
+ */
+export function getMirroredChar(char: string): string
+{
+    return MIRRORS[char] || char;
+}
+
+/**
+ * Gets the code point at an index of a text, combining surrogate pairs.
+ *
+ * @private
+ * @param {string} text - The text
+ * @param {number} index - Index of the UTF-16 code unit
+ * @return {number} The code point.
+ */
+export function getCodePoint(text: string, index: number): number
+{
+    const code = text.charCodeAt(index);
+
+    if (code >= 0xD800 && code <= 0xDBFF && index + 1 < text.length)
+    {
+        const next = text.charCodeAt(index + 1);
+
+        if (next >= 0xDC00 && next <= 0xDFFF)
+        {
+            return ((code - 0xD800) * 0x400) + (next - 0xDC00) + 0x10000;
+        }
+    }
+
+    return code;
+}
+
+/**
+ * Gets the strong direction a resolved type counts as for the neutral characters next to it.
+ *
+ * @private
+ */
+function getStrongType(type: BidiType): BidiType
+{
+    return type === 'L' ? 'L' : 'R';
+}
+
+/**
+ * Checks if a resolved type is neutral, its direction is resolved from the characters around it.
+ *
+ * @private
+ */
+function isNeutral(type: BidiType): boolean
+{
+    return type === 'ON' || type === 'WS' || type === 'S' || type === 'B';
+}
+
+/**
+ * Resolves the levels of the characters of a paragraph, which is a single isolating run sequence
+ * as the explicit formatting characters are not supported.
+ *
+ * @private
+ * @param {string[]} types - The bidirectional types of the characters of the text
+ * @param {number[]} levels - The levels of the characters of the text, filled for the paragraph
+ * @param {number} start - Index of the first character of the paragraph
+ * @param {number} end - Index after the last character of the paragraph
+ * @param {number} baseLevel - The level of the paragraph, 0 or 1
+ */
+export function resolveBidiParagraph(types: BidiType[], levels: number[], start: number, end: number,
+    baseLevel: number): void
+{
+    const baseType: BidiType = baseLevel === 1 ? 'R' : 'L';
+    const indices: number[] = [];
+    const resolved: BidiType[] = [];
+
+    // X9: the boundary neutrals are ignored
+    for (let i = start; i < end; i++)
+    {
+        if (types[i] !== 'BN')
+        {
+            indices.push(i);
+            resolved.push(types[i]);
+        }
+    }
+
+    const length = resolved.length;
+
+    // W1: non-spacing marks take the type of the previous character
+    for (let i = 0; i < length; i++)
+    {
+        if (resolved[i] === 'NSM')
+        {
+            resolved[i] = i > 0 ? resolved[i - 1] : baseType;
+        }
+    }
+
+    // W2, W3: european numbers after arabic letters are arabic numbers, arabic letters are right-to-left
+    let lastStrong: BidiType = baseType;
+
+    for (let i = 0; i < length; i++)
+    {
+        const type = resolved[i];
+
+        if (type === 'L' || type === 'R' || type === 'AL')
+        {
+            lastStrong = type;
+        }
+        if (type === 'EN' && lastStrong === 'AL')
+        {
+            resolved[i] = 'AN';
+        }
+        if (type === 'AL')
+        {
+            resolved[i] = 'R';
+        }
+    }
+
+    // W4: single separators between numbers of the same type join them
+    for (let i = 1; i < length - 1; i++)
+    {
+        const type = resolved[i];
+        const before = resolved[i - 1];
+        const after = resolved[i + 1];
+
+        if (type === 'ES' && before === 'EN' && after === 'EN')
+        {
+            resolved[i] = 'EN';
+        }
+        else if (type === 'CS' && (before === 'EN' || before === 'AN') && after === before)
+        {
+            resolved[i] = before;
+        }
+    }
+
+    // W5: terminators next to european numbers are european numbers
+    for (let i = 0; i < length; i++)
+    {
+        if (resolved[i] !== 'ET')
+        {
+            continue;
+        }
+
+        let j = i;
+
+        while (j < length && resolved[j] === 'ET')
+        {
+            j++;
+        }
+
+        if ((i > 0 && resolved[i - 1] === 'EN') || (j < length && resolved[j] === 'EN'))
+        {
+            for (let k = i; k < j; k++)
+            {
+                resolved[k] = 'EN';
+            }
+        }
+
+        i = j - 1;
+    }
+
+    // W6, W7: the other separators and terminators are neutral, european numbers after left-to-right
+    // characters are left-to-right
+    lastStrong = baseType;
+
+    for (let i = 0; i < length; i++)
+    {
+        const type = resolved[i];
+
+        if (type === 'ES' || type === 'ET' || type === 'CS')
+        {
+            resolved[i] = 'ON';
+        }
+        else if (type === 'L' || type === 'R')
+        {
+            lastStrong = type;
+        }
+        else if (type === 'EN' && lastStrong === 'L')
+        {
+            resolved[i] = 'L';
+        }
+    }
+
+    // N1, N2: neutrals between characters of the same direction take it, the others take the base direction
+    for (let i = 0; i < length; i++)
+    {
+        const type = resolved[i];
+
+        if (!isNeutral(type))
+        {
+            continue;
+        }
+
+        let j = i;
+
+        while (j < length && isNeutral(resolved[j]))
+        {
+            j++;
+        }
+
+        const before = i > 0 ? getStrongType(resolved[i - 1]) : baseType;
+        const after = j < length ? getStrongType(resolved[j]) : baseType;
+        const neutralType = before === after ? before : baseType;
+
+        for (let k = i; k < j; k++)
+        {
+            resolved[k] = neutralType;
+        }
+
+        i = j - 1;
+    }
+
+    // I1, I2: the levels are raised by the resolved types
+    for (let i = 0; i < length; i++)
+    {
+        const type = resolved[i];
+        let level = baseLevel;
+
+        if (baseLevel === 0)
+        {
+            if (type === 'R')
+            {
+                level = 1;
+            }
+            else if (type === 'AN' || type === 'EN')
+            {
+                level = 2;
+            }
+        }
+        else if (type !== 'R')
+        {
+            level = 2;
+        }
+
+        levels[indices[i]] = level;
+    }
+
+    // the boundary neutrals take the level of the previous character
+    for (let i = start; i < end; i++)
+    {
+        if (types[i] === 'BN')
+        {
+            levels[i] = i > start ? levels[i - 1] : baseLevel;
+        }
+    }
+
+    // L1: segment separators and the whitespace before them or at the end are at the base level
+    let trailing = true;
+
+    for (let i = end - 1; i >= start; i--)
+    {
+        const type = types[i];
+
+        if (type === 'S')
+        {
+            levels[i] = baseLevel;
+            trailing = true;
+        }
+        else if (trailing && (type === 'WS' || type === 'BN'))
+        {
+            levels[i] = baseLevel;
+        }
+        else
+        {
+            trailing = false;
+        }
+    }
+}
@@ -1,5 +1,8 @@
 export * from './Text';
 export * from './TextStyle';
 export * from './TextMetrics';
+export * from './RichText';
+export * from './RichTextMetrics';
+export * from './parseImageTags';
 
 export * from './const';
@@ -0,0 +1,129 @@
+import { Texture } from '@pixi/core';
+import { TextureCache } from '@pixi/utils';
+
+/**
+ * An image placed inline with text, by a tag like `<img id="coin"/>`.
+ *
+ * @memberof PIXI
+ * @typedef {object} ITextImage
+ * @property {string} id - The id of the texture
+ * @property {PIXI.Texture} texture - The texture
+ * @property {number} scale - The height of the image, relative to the line height of the font
+ */
+export interface ITextImage
+{
+    id: string;
+    texture: Texture;
+    scale: number;
+}
+
+/**
+ * The character that takes the place of the images in text, the object replacement character.
+ *
+ * @memberof PIXI
+ * @constant
+ * @name TEXT_IMAGE_CHAR
+ * @type {string}
+ */
+export const TEXT_IMAGE_CHAR = '\uFFFC';
+
+/**
+ * Regular expression matching the image tags.
+ *
+ * @private
+ */
+const IMAGE_TAG = (/<img((?:\s+[\w-]+\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'<>/]+))*)\s*\/?>/g);
+
+/**
+ * Regular expression matching the attributes of an image tag.
+ *
+ * @private
+ */
+const ATTRIBUTE = (/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'<>/]+))/g);
+
+/**
+ * Parses an image tag, like `<img id="coin"/>` or `<img id="coin" scale="1.5"/>`.
+ *
+ * The textures are looked up by their id in `images` first, then in the texture cache, so the frames
+ * of loaded spritesheets can be used directly.
+ *
+ * @memberof PIXI
+ * @function parseImageTag
+ * @param {string} tag - The tag
+ * @param {Object<string, PIXI.Texture>} [images] - Textures by their id
+ * @return {PIXI.ITextImage} The image, or `null` if the tag is not an image tag or its texture is not found.
+ */
+export function parseImageTag(tag: string, images?: { [id: string]: Texture }): ITextImage
+{
+    IMAGE_TAG.lastIndex = 0;
+
+    const match = IMAGE_TAG.exec(tag);
+
+    if (!match || match.index !== 0 || match[0].length !== tag.length)
+    {
+        return null;
+    }
+
+    const attributes: { [name: string]: string } = {};
+    let attribute: RegExpExecArray;
+
+    ATTRIBUTE.lastIndex = 0;
+
+    while ((attribute = ATTRIBUTE.exec(match[1])) !== null)
+    {
+        attributes[attribute[1]] = attribute[2] !== undefined ? attribute[2] : (attribute[3] || attribute[4] || '');
+    }
+
+    const id = attributes.id;
+    const texture = id && ((images && images[id]) || TextureCache[id]);
+
+    if (!(texture instanceof Texture))
+    {
+        return null;
+    }
+
+    const scale = parseFloat(attributes.scale);
+
+    return { id, texture, scale: scale >= 0 ? scale : 1 };
+}
+
+/**
+ * Replaces the image tags of text by {@link PIXI.TEXT_IMAGE_CHAR}, see {@link PIXI.parseImageTag}.
+ * Tags whose texture is not found are kept as text.
+ *
+ * @memberof PIXI
+ * @function parseImageTags
+ * @param {string} text - The text
+ * @param {Object<string, PIXI.Texture>} [images] - Textures by their id
+ * @return {object} The `text` without the tags, and its `images` by the index of their character.
+ */
+export function parseImageTags(text: string, images?: { [id: string]: Texture }): { text: string; images: ITextImage[] }
+{
+    const result: ITextImage[] = [];
+    const regex = new RegExp(IMAGE_TAG.source, 'g');
+    let output = '';
+    let lastIndex = 0;
+    let match: RegExpExecArray;
+
+    while ((match = regex.exec(text)) !== null)
+    {
+        const image = parseImageTag(match[0], images);
+
+        output += text.substring(lastIndex, match.index);
+        lastIndex = regex.lastIndex;
+
+        if (image)
+        {
+            result[output.length] = image;
+            output += TEXT_IMAGE_CHAR;
+        }
+        else
+        {
+            output += match[0];
+        }
+    }
+
+    output += text.substring(lastIndex);
+
+    return { text: output, images: result };
+}
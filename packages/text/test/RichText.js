@@ -0,0 +1,336 @@
+const { RichText, RichTextMetrics, TextMetrics, TextStyle, TEXT_IMAGE_CHAR } = require('../');
+const { Texture } = require('@pixi/core');
+const { Rectangle } = require('@pixi/math');
+
+/**
+ * Stubs the measurement of fonts, which depends on the platform, with ascents of 80% of the font sizes.
+ */
+function stubMeasureFont()
+{
+    return sinon.stub(TextMetrics, 'measureFont').callsFake((font) =>
+    {
+        const fontSize = parseFloat(font.match(/(\d+(\.\d+)?)px/)[1]);
+
+        return { ascent: fontSize * 0.8, descent: fontSize * 0.2, fontSize };
+    });
+}
+
+describe('PIXI.RichText', function ()
+{
+    describe('parseMarkup', function ()
+    {
+        it('should split the text into runs by its tags', function ()
+        {
+            const text = new RichText('', { fontSize: 20, fill: 'white' });
+            const runs = text.parseMarkup('a <b>b <color=#ff0>c</color></b> <size=32>d</size> <i>e</i>');
+
+            expect(runs.map((run) => run.text)).to.deep.equal(['a ', 'b ', 'c', ' ', 'd', ' ', 'e']);
+            expect(runs[0].style.fontWeight).to.equal('normal');
+            expect(runs[1].style.fontWeight).to.equal('bold');
+            expect(runs[2].style.fontWeight).to.equal('bold');
+            expect(runs[2].style.fill).to.equal('#ff0');
+            expect(runs[4].style.fontSize).to.equal(32);
+            expect(runs[6].style.fontStyle).to.equal('italic');
+            expect(runs[0].style).to.equal(runs[3].style);
+            expect(runs[0].style).to.not.equal(text.style);
+        });
+
+        it('should apply the named tag styles', function ()
+        {
+            const text = new RichText('', { fontSize: 20 }, {
+                warning: { fill: 'red', strokeThickness: 2 },
+                b: { fontWeight: '900' },
+            });
+            const runs = text.parseMarkup('<warning>a <b>b</b></warning>');
+
+            expect(runs.length).to.equal(2);
+            expect(runs[0].style.fill).to.equal('red');
+            expect(runs[0].style.strokeThickness).to.equal(2);
+            expect(runs[1].style.fill).to.equal('red');
+            expect(runs[1].style.fontWeight).to.equal('900');
+        });
+
+        it('should keep unknown and unmatched tags as text', function ()
+        {
+            const text = new RichText('');
+            const runs = text.parseMarkup('1 < 2 <foo>bar</foo></b> <color=red>x</i></color>');
+
+            expect(runs.map((run) => run.text)).to.deep.equal(['1 < 2 <foo>bar</foo></b> ', 'x</i>']);
+            expect(runs[1].style.fill).to.equal('red');
+        });
+
+        it('should close the tags by their name', function ()
+        {
+            const text = new RichText('');
+            const runs = text.parseMarkup('<b>a<i>b</b>c</i>d');
+
+            expect(runs.map((run) => run.text)).to.deep.equal(['a', 'b', 'c', 'd']);
+            expect(runs[2].style.fontWeight).to.equal('normal');
+            expect(runs[2].style.fontStyle).to.equal('italic');
+            expect(runs[3].style.fontStyle).to.equal('normal');
+        });
+    });
+
+    describe('RichTextMetrics', function ()
+    {
+        // the TextMetrics tests override how words are broken
+        const { canBreakWords, canBreakChars } = TextMetrics;
+
+        before(function ()
+        {
+            this.overrides = { canBreakWords: TextMetrics.canBreakWords, canBreakChars: TextMetrics.canBreakChars };
+            Object.assign(TextMetrics, { canBreakWords, canBreakChars });
+        });
+
+        after(function ()
+        {
+            Object.assign(TextMetrics, this.overrides);
+        });
+
+        it('should wrap the lines across the runs', function ()
+        {
+            const style = new TextStyle({ wordWrap: true });
+            const text = new RichText('', style);
+            const runs = text.parseMarkup('aa<b>bb cc</b> dd');
+
+            // as wide as the first word
+            style.wordWrapWidth = RichTextMetrics.measureRuns(text.parseMarkup('aa<b>bb</b>'), style).lineWidths[0];
+
+            const measured = RichTextMetrics.measureRuns(runs, style);
+
+            expect(measured.lines).to.deep.equal(['aabb', 'cc', 'dd']);
+            expect(measured.lineSegments[0].length).to.equal(2);
+            expect(measured.lineSegments[0][1].text).to.equal('bb');
+            expect(measured.lineSegments[0][1].x).to.equal(measured.lineSegments[0][0].width);
+            expect(measured.lineSegments[1][0].style.fontWeight).to.equal('bold');
+            expect(measured.lineSegments[2][0].style.fontWeight).to.equal('normal');
+        });
+
+        it('should keep the lines on one line without word wrap', function ()
+        {
+            const style = new TextStyle({ wordWrapWidth: 1 });
+            const text = new RichText('', style);
+            const measured = RichTextMetrics.measureRuns(text.parseMarkup('aa <b>bb</b>\ncc'), style);
+
+            expect(measured.lines).to.deep.equal(['aa bb', 'cc']);
+            expect(measured.lineWidths[0]).to.be.above(measured.lineWidths[1]);
+            expect(measured.maxLineWidth).to.equal(measured.lineWidths[0]);
+        });
+
+        it('should fit the lines to their largest font', function ()
+        {
+            const measureFont = stubMeasureFont();
+            const style = new TextStyle({ fontSize: 20, leading: 5 });
+            const text = new RichText('', style);
+            const measured = RichTextMetrics.measureRuns(text.parseMarkup('a<size=40>b</size>\nc'), style);
+
+            measureFont.restore();
+
+            expect(measured.lineHeights).to.deep.equal([40, 20]);
+            expect(measured.lineTops).to.deep.equal([0, 45]);
+            expect(measured.lineBaselines).to.deep.equal([32, 61]);
+            expect(measured.lineHeight).to.equal(45);
+            expect(measured.height).to.equal(65);
+        });
+
+        it('should cut off the lines after maxLines', function ()
+        {
+            const style = new TextStyle({ maxLines: 2 });
+            const text = new RichText('', style);
+            const measured = RichTextMetrics.measureRuns(text.parseMarkup('aa\n<b>bb</b>\ncc'), style);
+
+            expect(measured.lines).to.deep.equal(['aa', 'bb']);
+            expect(measured.lineSegments.length).to.equal(2);
+        });
+
+        it('should end the last line with an ellipsis in the style of its last run when lines are cut off', function ()
+        {
+            const style = new TextStyle({ wordWrap: true, maxLines: 1, overflow: 'ellipsis' });
+            const text = new RichText('', style);
+
+            // as wide as the first line with the ellipsis
+            style.wordWrapWidth = RichTextMetrics.measureRuns(text.parseMarkup(`aa <b>bb${TextMetrics.ELLIPSIS}</b>`),
+                style).lineWidths[0];
+
+            const measured = RichTextMetrics.measureRuns(text.parseMarkup('aa <b>bb</b> cc dd'), style);
+
+            expect(measured.lines).to.deep.equal([`aa bb${TextMetrics.ELLIPSIS}`]);
+            expect(measured.lineSegments[0][1].text).to.equal(`bb${TextMetrics.ELLIPSIS}`);
+            expect(measured.lineSegments[0][1].style.fontWeight).to.equal('bold');
+        });
+
+        it('should end the lines wider than the word wrap width with an ellipsis', function ()
+        {
+            const style = new TextStyle({ wordWrap: true, overflow: 'ellipsis' });
+            const text = new RichText('', style);
+
+            style.wordWrapWidth = RichTextMetrics.measureRuns(text.parseMarkup(`abc${TextMetrics.ELLIPSIS}`),
+                style).lineWidths[0];
+
+            const measured = RichTextMetrics.measureRuns(text.parseMarkup('a <b>bcdefgh</b> i'), style);
+
+            expect(measured.lines).to.deep.equal(['a', `bcd${TextMetrics.ELLIPSIS}`, 'i']);
+            expect(measured.maxLineWidth).to.be.at.most(style.wordWrapWidth);
+        });
+    });
+
+    describe('bidi', function ()
+    {
+        it('should split the runs where the direction changes', function ()
+        {
+            const style = new TextStyle();
+            const text = new RichText('', style);
+            const measured = RichTextMetrics.measureRuns(text.parseMarkup('ab \u05d0\u05d1 cd'), style);
+            const segments = measured.lineSegments[0];
+
+            expect(measured.direction).to.equal('ltr');
+            expect(segments.map((segment) => segment.text)).to.deep.equal(['ab ', '\u05d0\u05d1', ' cd']);
+            expect(segments.map((segment) => segment.level)).to.deep.equal([0, 1, 0]);
+            expect(segments[1].x).to.equal(segments[0].width);
+            expect(segments[2].x).to.equal(segments[0].width + segments[1].width);
+        });
+
+        it('should lay out the runs of right-to-left text from the left in the order they are displayed', function ()
+        {
+            const style = new TextStyle({ direction: 'rtl' });
+            const text = new RichText('', style);
+            const measured = RichTextMetrics.measureRuns(text.parseMarkup('\u05d0\u05d1 <b>cd</b>'), style);
+            const segments = measured.lineSegments[0];
+
+            expect(measured.direction).to.equal('rtl');
+            expect(measured.lines).to.deep.equal(['\u05d0\u05d1 cd']);
+            expect(segments.map((segment) => segment.text)).to.deep.equal(['cd', '\u05d0\u05d1 ']);
+            expect(segments.map((segment) => segment.level)).to.deep.equal([2, 1]);
+            expect(segments[0].style.fontWeight).to.equal('bold');
+            expect(segments[0].x).to.equal(0);
+            expect(segments[1].x).to.equal(segments[0].width);
+        });
+
+        it('should find the direction of the text without its tags', function ()
+        {
+            const style = new TextStyle({ direction: 'auto' });
+            const text = new RichText('', style);
+            const measured = RichTextMetrics.measureRuns(text.parseMarkup('<b>\u05d0\u05d1</b> cd'), style);
+
+            expect(measured.direction).to.equal('rtl');
+        });
+
+        it('should draw each run in its direction', function ()
+        {
+            const text = new RichText('\u05d0\u05d1 <b>cd</b>', { direction: 'rtl' });
+            const context = text.context;
+            const calls = [];
+
+            sinon.stub(context, 'fillText').callsFake((run, x) =>
+            {
+                calls.push({ run, x, direction: context.direction, textAlign: context.textAlign });
+            });
+
+            text.updateText(false);
+
+            expect(calls.map((call) => call.run)).to.deep.equal(['cd', '\u05d0\u05d1 ']);
+            expect(calls.map((call) => call.direction)).to.deep.equal(['ltr', 'rtl']);
+            expect(calls[0].x).to.be.below(calls[1].x);
+            expect(calls[0].textAlign).to.equal('left');
+        });
+
+        it('should draw the characters of right-to-left runs with letter spacing in display order', function ()
+        {
+            const text = new RichText('ab<b>\u05d0\u05d1</b>', { letterSpacing: 2 });
+            const fillText = sinon.spy(text.context, 'fillText');
+
+            text.updateText(false);
+
+            expect(fillText.args.map((args) => args[0])).to.deep.equal(['a', 'b', '\u05d1', '\u05d0']);
+        });
+    });
+
+    describe('images', function ()
+    {
+        it('should place the images in runs of their own', function ()
+        {
+            const text = new RichText('');
+
+            text.images = { coin: Texture.WHITE };
+
+            const runs = text.parseMarkup('<b>10<img id="coin"/></b> <img id="gem"/>');
+
+            expect(runs.map((run) => run.text)).to.deep.equal(['10', TEXT_IMAGE_CHAR, ' <img id="gem"/>']);
+            expect(runs[1].image.texture).to.equal(Texture.WHITE);
+            expect(runs[1].style).to.equal(runs[0].style);
+            expect(runs[1].style.fontWeight).to.equal('bold');
+        });
+
+        it('should lay out the images like words', function ()
+        {
+            const measureFont = stubMeasureFont();
+            const style = new TextStyle({ fontSize: 20, wordWrap: true });
+            const text = new RichText('', style);
+
+            text.images = { wide: new Texture(Texture.WHITE.baseTexture, new Rectangle(0, 0, 16, 8)) };
+
+            const runs = text.parseMarkup('a<img id="wide"/> <img id="wide" scale="2"/>');
+            const image = RichTextMetrics.measureImage(runs[1].image, style);
+
+            style.wordWrapWidth = RichTextMetrics.measureRuns(runs.slice(0, 2), style).lineWidths[0];
+
+            const measured = RichTextMetrics.measureRuns(runs, style);
+
+            measureFont.restore();
+
+            expect(image).to.deep.equal({ width: 40, height: 20, ascent: 16 });
+            expect(measured.lines).to.deep.equal([`a${TEXT_IMAGE_CHAR}`, TEXT_IMAGE_CHAR]);
+            expect(measured.lineSegments[0][1].width).to.equal(40);
+            expect(measured.lineSegments[1][0].width).to.equal(80);
+            expect(measured.lineHeights).to.deep.equal([20, 40]);
+            expect(measured.lineBaselines[1] - measured.lineTops[1]).to.equal(26);
+        });
+
+        it('should draw the images', function ()
+        {
+            const text = new RichText('<img id="coin"/>');
+
+            text.images = { coin: Texture.WHITE };
+
+            const drawImage = sinon.spy(text.context, 'drawImage');
+
+            text.updateText(false);
+
+            expect(drawImage).to.have.been.calledOnce;
+            expect(drawImage.firstCall.args[0]).to.equal(Texture.WHITE.baseTexture.resource.source);
+        });
+    });
+
+    describe('updateText', function ()
+    {
+        it('should draw the stroke and drop shadow of each run', function ()
+        {
+            const text = new RichText('a <outline>b</outline> <shadow>c</shadow>', { fill: 'white' }, {
+                outline: { stroke: 'black', strokeThickness: 4 },
+                shadow: { dropShadow: true, dropShadowDistance: 3 },
+            });
+            const strokeText = sinon.spy(text.context, 'strokeText');
+            const fillText = sinon.spy(text.context, 'fillText');
+
+            text.updateText(false);
+
+            expect(strokeText).to.have.been.calledOnce;
+            expect(strokeText.firstCall.args[0]).to.equal('b');
+            expect(fillText.callCount).to.equal(5);
+            expect(fillText.firstCall.args[0]).to.equal('c');
+            expect(fillText.firstCall.args[2]).to.be.below(0);
+        });
+
+        it('should update when the tag styles change', function ()
+        {
+            const measureFont = stubMeasureFont();
+            const text = new RichText('<big>a</big>', { fontSize: 10 });
+            const height = text.height;
+
+            text.tagStyles = { big: { fontSize: 40 } };
+
+            expect(text.height).to.equal(height + 30);
+            measureFont.restore();
+        });
+    });
+});
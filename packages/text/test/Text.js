@@ -1,4 +1,5 @@
 const { Text } = require('../');
+const { Texture } = require('@pixi/core');
 const { Sprite } = require('@pixi/sprite');
 const { skipHello } = require('@pixi/utils');
 const { settings } = require('@pixi/settings');
@@ -213,4 +214,110 @@ describe('PIXI.Text', function ()
             expect(text.canvas.width).to.be.above(0);
         });
     });
+
+    describe('fitMode', function ()
+    {
+        it('should fit a copy of the style', function ()
+        {
+            const text = new Text('Hello world', { fontSize: 40 });
+
+            text.fitMode = 'width';
+            text.fitWidth = 100;
+            text.minFontSize = 8;
+            text.updateText(false);
+
+            expect(text._fitStyle).to.not.equal(text.style);
+            expect(text._fitStyle.fontSize).to.be.within(8, 40);
+            expect(text.style.fontSize).to.equal(40);
+
+            text.fitMode = 'none';
+            text.updateText(false);
+
+            expect(text._fitStyle).to.be.null;
+
+            text.destroy();
+        });
+
+        it('should keep the fitted font size until the text or the style change', function ()
+        {
+            const text = new Text('Hello world', { fontSize: 40 });
+
+            text.fitMode = 'contain';
+            text.fitWidth = 100;
+            text.fitHeight = 40;
+            text.updateText(false);
+
+            const fitStyle = text._fitStyle;
+
+            text.resolution = 2;
+            text.updateText(true);
+
+            expect(text._fitStyle).to.equal(fitStyle);
+
+            text.text = 'Hello';
+            text.updateText(true);
+
+            expect(text._fitStyle).to.not.equal(fitStyle);
+
+            const textFitStyle = text._fitStyle;
+
+            text.style.fill = 'red';
+            text.updateText(true);
+
+            expect(text._fitStyle).to.not.equal(textFitStyle);
+            expect(text._fitStyle.fill).to.equal('red');
+
+            text.destroy();
+        });
+    });
+
+    describe('images', function ()
+    {
+        it('should draw the images in place of their tags', function ()
+        {
+            const text = new Text('Buy for 10 <img id="coin"/>');
+
+            text.images = { coin: Texture.WHITE };
+
+            const drawImage = sinon.spy(text.context, 'drawImage');
+            const fillText = sinon.spy(text.context, 'fillText');
+
+            text.updateText(false);
+
+            expect(drawImage).to.have.been.calledOnce;
+            expect(drawImage.firstCall.args[0]).to.equal(Texture.WHITE.baseTexture.resource.source);
+            expect(fillText).to.have.been.calledWith('Buy for 10 ');
+            expect(fillText).to.not.have.been.calledWithMatch('<img');
+
+            text.destroy();
+        });
+
+        it('should draw the tags whose texture is not found as text', function ()
+        {
+            const text = new Text('<img id="missing"/>');
+            const fillText = sinon.spy(text.context, 'fillText');
+
+            text.updateText(false);
+
+            expect(fillText).to.have.been.calledWith('<img id="missing"/>');
+
+            text.destroy();
+        });
+
+        it('should fit the font size to the images instead of their tags', function ()
+        {
+            const text = new Text('a<img id="coin"/>', { fontSize: 40 });
+            const width = text.width;
+
+            text.images = { coin: Texture.WHITE };
+            text.fitMode = 'width';
+            text.fitWidth = width / 2;
+            text.updateText(false);
+
+            expect(text._fitStyle.fontSize).to.equal(40);
+            expect(text.width).to.be.at.most(width / 2);
+
+            text.destroy();
+        });
+    });
 });
@@ -709,4 +709,149 @@ describe('PIXI.TextMetrics', function ()
             expect(metrics.lines[1]).to.equal('9999------');
         });
     });
+
+    describe('maxLines and overflow', function ()
+    {
+        // the tests above override how words are broken
+        const { canBreakWords, canBreakChars } = TextMetrics;
+
+        before(function ()
+        {
+            this.overrides = { canBreakWords: TextMetrics.canBreakWords, canBreakChars: TextMetrics.canBreakChars };
+            Object.assign(TextMetrics, { canBreakWords, canBreakChars });
+        });
+
+        after(function ()
+        {
+            Object.assign(TextMetrics, this.overrides);
+        });
+
+        it('should cut off the lines after maxLines', function ()
+        {
+            const style = new TextStyle({ maxLines: 2 });
+            const metrics = TextMetrics.measureText('a\nb\nc', style);
+
+            expect(metrics.lines).to.deep.equal(['a', 'b']);
+            expect(metrics.lineWidths.length).to.equal(2);
+        });
+
+        it('should end the last line with an ellipsis', function ()
+        {
+            const style = new TextStyle({ maxLines: 1, overflow: 'ellipsis' });
+
+            expect(TextMetrics.measureText('a\nb', style).lines).to.deep.equal([`a${TextMetrics.ELLIPSIS}`]);
+            expect(TextMetrics.measureText('a', style).lines).to.deep.equal(['a']);
+        });
+
+        it('should fit the ellipsis in wordWrapWidth by words', function ()
+        {
+            const style = new TextStyle(Object.assign({}, defaultStyle, {
+                breakWords: false,
+                maxLines: 2,
+                overflow: 'ellipsis',
+            }));
+            const metrics = TextMetrics.measureText(longText, style);
+            const words = metrics.lines[1].slice(0, -1).split(' ');
+
+            expect(metrics.lines.length).to.equal(2);
+            expect(metrics.lines[1].slice(-1)).to.equal(TextMetrics.ELLIPSIS);
+            expect(metrics.lineWidths[1]).to.be.at.most(style.wordWrapWidth);
+            expect(longText.split(' ')).to.include(words[words.length - 1]);
+        });
+
+        it('should fit the ellipsis in wordWrapWidth by characters with breakWords', function ()
+        {
+            const style = new TextStyle(Object.assign({}, defaultStyle, {
+                maxLines: 1,
+                overflow: 'ellipsis',
+            }));
+            const metrics = TextMetrics.measureText(longText, style);
+
+            expect(metrics.lines.length).to.equal(1);
+            expect(metrics.lines[0].slice(-1)).to.equal(TextMetrics.ELLIPSIS);
+            expect(metrics.lineWidths[0]).to.be.at.most(style.wordWrapWidth);
+        });
+
+        it('should end the words wider than wordWrapWidth with an ellipsis', function ()
+        {
+            const style = new TextStyle(Object.assign({}, defaultStyle, {
+                breakWords: false,
+                overflow: 'ellipsis',
+            }));
+            const metrics = TextMetrics.measureText(`${intergityText} a`, style);
+
+            expect(metrics.lines.length).to.equal(2);
+            expect(metrics.lines[0].slice(-1)).to.equal(TextMetrics.ELLIPSIS);
+            expect(metrics.lineWidths[0]).to.be.at.most(style.wordWrapWidth);
+            expect(metrics.lines[1]).to.equal('a');
+        });
+    });
+
+    describe('measureFitFontSize', function ()
+    {
+        const measure = (text, options, fontSize) =>
+            TextMetrics.measureText(text, new TextStyle(Object.assign({}, options, { fontSize })));
+
+        it('should find the largest font size that fits', function ()
+        {
+            const options = Object.assign({}, defaultStyle, { wordWrapWidth: 300 });
+            const fontSize = TextMetrics.measureFitFontSize(longText, new TextStyle(options), 0, 200, 4, 60);
+
+            expect(fontSize).to.be.within(4, 60);
+            expect(fontSize === 4 || measure(longText, options, fontSize).height <= 200).to.be.true;
+            expect(fontSize === 60 || measure(longText, options, fontSize + 1).height > 200).to.be.true;
+        });
+
+        it('should be limited by the minimum and maximum font sizes', function ()
+        {
+            const style = new TextStyle(defaultStyle);
+
+            expect(TextMetrics.measureFitFontSize('a', style, 10000, 10000, 4, 60)).to.equal(60);
+            expect(TextMetrics.measureFitFontSize(longText, style, 1, 1, 4, 60)).to.equal(4);
+        });
+    });
+
+    describe('bidi', function ()
+    {
+        it('should resolve the auto direction from the first strong character', function ()
+        {
+            expect(TextMetrics.getBidiDirection('123 \u05d0 abc', 'auto')).to.equal('rtl');
+            expect(TextMetrics.getBidiDirection('123 abc \u05d0', 'auto')).to.equal('ltr');
+            expect(TextMetrics.getBidiDirection('123', 'auto')).to.equal('ltr');
+            expect(TextMetrics.getBidiDirection('abc', 'rtl')).to.equal('rtl');
+        });
+
+        it('should resolve the levels of mixed text', function ()
+        {
+            const levels = TextMetrics.getBidiLevels('abc \u05d0\u05d1\u05d2 123', 'ltr');
+
+            expect(levels).to.deep.equal([0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2]);
+            expect(TextMetrics.getVisualOrder(levels)).to.deep.equal([0, 1, 2, 3, 8, 9, 10, 7, 6, 5, 4]);
+        });
+
+        it('should resolve numbers after arabic letters as arabic numbers', function ()
+        {
+            expect(TextMetrics.getBidiLevels('\u0628 12', 'rtl')).to.deep.equal([1, 1, 2, 2]);
+            expect(TextMetrics.getBidiLevels('a 12', 'rtl')).to.deep.equal([2, 2, 2, 2]);
+        });
+
+        it('should put trailing whitespace and paragraphs at the base level', function ()
+        {
+            expect(TextMetrics.getBidiLevels('\u05d0\u05d1 ', 'ltr')).to.deep.equal([1, 1, 0]);
+            expect(TextMetrics.getBidiLevels('\u05d0\na', 'auto')).to.deep.equal([1, 1, 2]);
+        });
+
+        it('should ignore boundary neutrals', function ()
+        {
+            expect(TextMetrics.getBidiLevels('\u05d0\u200b\u05d1', 'ltr')).to.deep.equal([1, 1, 1]);
+        });
+
+        it('should reorder and mirror the lines of the text', function ()
+        {
+            expect(TextMetrics.reorderBidiText('\u05d0(\u05d1)', 'rtl')).to.equal('(\u05d1)\u05d0');
+            expect(TextMetrics.reorderBidiText('a (\u05d0\u05d1)', 'ltr')).to.equal('a (\u05d1\u05d0)');
+            expect(TextMetrics.reorderBidiText('\u05d0\u05d1\nab', 'ltr')).to.equal('\u05d1\u05d0\nab');
+            expect(TextMetrics.reorderBidiText('\u05d0\ud83d\ude00', 'rtl')).to.equal('\ud83d\ude00\u05d0');
+        });
+    });
 });
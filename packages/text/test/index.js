@@ -1,3 +1,5 @@
 require('./Text');
 require('./TextStyle');
 require('./TextMetrics');
+require('./RichText');
+require('./parseImageTags');
@@ -0,0 +1,37 @@
+const { parseImageTag, parseImageTags, TEXT_IMAGE_CHAR } = require('../');
+const { Texture } = require('@pixi/core');
+const { TextureCache } = require('@pixi/utils');
+
+describe('PIXI.parseImageTags', function ()
+{
+    it('should parse the attributes of image tags', function ()
+    {
+        const images = { coin: Texture.WHITE };
+
+        expect(parseImageTag('<img id="coin"/>', images)).to.deep.equal({ id: 'coin', texture: Texture.WHITE, scale: 1 });
+        expect(parseImageTag('<img scale=\'1.5\' id=coin>', images).scale).to.equal(1.5);
+        expect(parseImageTag('<img id="coin" scale="-1" />', images).scale).to.equal(1);
+        expect(parseImageTag('<img id="gem"/>', images)).to.be.null;
+        expect(parseImageTag('<image id="coin"/>', images)).to.be.null;
+    });
+
+    it('should find the textures in the texture cache', function ()
+    {
+        TextureCache.parseImageTagsTest = Texture.WHITE;
+
+        expect(parseImageTag('<img id="parseImageTagsTest"/>').texture).to.equal(Texture.WHITE);
+
+        delete TextureCache.parseImageTagsTest;
+    });
+
+    it('should replace the image tags by characters', function ()
+    {
+        const result = parseImageTags('<img id="coin"/> x 10 <img id="gem"/>, <img id="coin" scale="2"/>', {
+            coin: Texture.WHITE,
+        });
+
+        expect(result.text).to.equal(`${TEXT_IMAGE_CHAR} x 10 <img id="gem"/>, ${TEXT_IMAGE_CHAR}`);
+        expect(Object.keys(result.images)).to.deep.equal(['0', `${result.text.length - 1}`]);
+        expect(result.images[result.text.length - 1].scale).to.equal(2);
+    });
+});